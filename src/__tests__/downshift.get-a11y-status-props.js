@@ -0,0 +1,88 @@
+import * as React from 'react'
+import {act, render, screen} from '@testing-library/react'
+import Downshift from '../'
+
+jest.useFakeTimers()
+
+afterEach(() => {
+  act(() => jest.runAllTimers())
+})
+
+test('sets the a11y status on the element of the instance', () => {
+  const {rerender} = renderDownshift()
+
+  rerender(<DownshiftWithStatus isOpen={true} />)
+  act(() => jest.advanceTimersByTime(200))
+
+  expect(screen.getByTestId('status')).toHaveTextContent(
+    '1 result is available, use up and down arrow keys to navigate. Press Enter key to select.',
+  )
+  expect(document.getElementById('a11y-status-message')).toBeNull()
+})
+
+test('gives each instance its own a11y status', () => {
+  const {rerender} = render(
+    <>
+      <DownshiftWithStatus testId="first" isOpen={false} />
+      <DownshiftWithStatus testId="second" isOpen={false} />
+    </>,
+  )
+
+  rerender(
+    <>
+      <DownshiftWithStatus testId="first" isOpen={true} />
+      <DownshiftWithStatus testId="second" isOpen={false} />
+    </>,
+  )
+  act(() => jest.advanceTimersByTime(200))
+
+  expect(screen.getByTestId('first')).toHaveTextContent('1 result')
+  expect(screen.getByTestId('second')).toBeEmptyDOMElement()
+})
+
+test('returns the status attributes with a visually hidden style', () => {
+  renderDownshift({statusProps: {style: {color: 'red'}}})
+
+  const status = screen.getByTestId('status')
+
+  expect(status).toHaveAttribute('role', 'status')
+  expect(status).toHaveAttribute('aria-live', 'polite')
+  expect(status).toHaveAttribute('aria-relevant', 'additions text')
+  expect(status).toHaveStyle({position: 'absolute', color: 'red'})
+})
+
+test('forwards the ref of the status element', () => {
+  const ref = React.createRef()
+
+  renderDownshift({statusProps: {ref}})
+
+  expect(ref.current).toBe(screen.getByTestId('status'))
+})
+
+test('does not set the a11y status after the instance unmounts', () => {
+  const {rerender, unmount} = renderDownshift()
+
+  rerender(<DownshiftWithStatus isOpen={true} />)
+  unmount()
+  act(() => jest.runAllTimers())
+
+  expect(document.getElementById('a11y-status-message')).toBeNull()
+})
+
+function DownshiftWithStatus({testId = 'status', statusProps, ...props}) {
+  return (
+    <Downshift {...props}>
+      {({getInputProps, getItemProps, getA11yStatusProps}) => (
+        <div>
+          <input {...getInputProps()} />
+          <div {...getItemProps({item: 'foo', index: 0})} />
+          <div data-testid={testId} {...getA11yStatusProps(statusProps)} />
+        </div>
+      )}
+    </Downshift>
+  )
+}
+
+function renderDownshift(props) {
+  return render(<DownshiftWithStatus isOpen={false} {...props} />)
+}
@@ -719,6 +719,150 @@ test('highlight should be removed on inputValue change if defaultHighlightedInde
   )
 })
 
+describe('keyBindings', () => {
+  const keyBindings = {
+    'Ctrl+N': Downshift.stateChangeTypes.keyDownArrowDown,
+    'Ctrl+P': Downshift.stateChangeTypes.keyDownArrowUp,
+    Tab: Downshift.stateChangeTypes.keyDownEnter,
+  }
+
+  test('runs the actions bound to the key combos', () => {
+    const {input, childrenSpy} = renderDownshift({props: {keyBindings}})
+
+    fireEvent.keyDown(input, {key: 'n', ctrlKey: true})
+    expect(childrenSpy).toHaveBeenLastCalledWith(
+      expect.objectContaining({isOpen: true, highlightedIndex: 0}),
+    )
+
+    fireEvent.keyDown(input, {key: 'p', ctrlKey: true})
+    expect(childrenSpy).toHaveBeenLastCalledWith(
+      expect.objectContaining({highlightedIndex: colors.length - 1}),
+    )
+
+    fireEvent.keyDown(input, {key: 'Tab'})
+    expect(childrenSpy).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        isOpen: false,
+        selectedItem: colors[colors.length - 1],
+      }),
+    )
+  })
+
+  test('does not run the actions if the modifiers are different', () => {
+    const {input, childrenSpy} = renderDownshift({props: {keyBindings}})
+
+    fireEvent.keyDown(input, {key: 'N', ctrlKey: true, shiftKey: true})
+    fireEvent.keyDown(input, {key: 'Tab', shiftKey: true})
+
+    expect(childrenSpy).toHaveBeenLastCalledWith(
+      expect.objectContaining({isOpen: false, highlightedIndex: null}),
+    )
+  })
+})
+
+describe('selectOnBlur', () => {
+  test('resets the state without selecting by default', () => {
+    const {arrowDownInput, blurOnInput, childrenSpy} = renderDownshift()
+
+    arrowDownInput()
+    blurOnInput()
+    act(() => {
+      jest.runAllTimers()
+    })
+
+    expect(childrenSpy).toHaveBeenLastCalledWith(
+      expect.objectContaining({isOpen: false, selectedItem: null}),
+    )
+  })
+
+  test('selects the highlighted item if highlighted', () => {
+    const onChange = jest.fn()
+    const {arrowDownInput, blurOnInput} = renderDownshift({
+      props: {selectOnBlur: 'highlighted', onChange},
+    })
+
+    arrowDownInput()
+    blurOnInput()
+    act(() => {
+      jest.runAllTimers()
+    })
+
+    expect(onChange).toHaveBeenCalledWith(
+      colors[0],
+      expect.objectContaining({isOpen: false, inputValue: colors[0]}),
+    )
+  })
+
+  test('selects the item matching the input value if exactMatch', () => {
+    const onChange = jest.fn()
+    const {changeInputValue, blurOnInput} = renderDownshift({
+      props: {selectOnBlur: 'exactMatch', onChange},
+    })
+
+    changeInputValue('blue')
+    blurOnInput()
+    act(() => {
+      jest.runAllTimers()
+    })
+
+    expect(onChange).toHaveBeenCalledWith(
+      'Blue',
+      expect.objectContaining({inputValue: 'Blue'}),
+    )
+  })
+
+  test('does not select without an exact match if exactMatch', () => {
+    const onChange = jest.fn()
+    const {changeInputValue, arrowDownInput, blurOnInput} = renderDownshift({
+      props: {selectOnBlur: 'exactMatch', onChange},
+    })
+
+    changeInputValue('blu')
+    arrowDownInput()
+    blurOnInput()
+    act(() => {
+      jest.runAllTimers()
+    })
+
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})
+
+describe('selectOnTab', () => {
+  test('selects the highlighted item on Tab if true', () => {
+    const onChange = jest.fn()
+    const {input, arrowDownInput} = renderDownshift({
+      props: {selectOnTab: true, onChange},
+    })
+
+    arrowDownInput()
+    fireEvent.keyDown(input, {key: 'Tab'})
+
+    expect(onChange).toHaveBeenCalledWith(
+      colors[0],
+      expect.objectContaining({isOpen: false}),
+    )
+  })
+
+  test('resets the state on Tab if false', () => {
+    const onStateChange = jest.fn()
+    const {input, arrowDownInput} = renderDownshift({
+      props: {selectOnTab: false, selectOnBlur: 'highlighted', onStateChange},
+    })
+
+    arrowDownInput()
+    fireEvent.keyDown(input, {key: 'Tab'})
+
+    expect(onStateChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        type: Downshift.stateChangeTypes.keyDownTab,
+        isOpen: false,
+      }),
+      expect.objectContaining({selectedItem: null}),
+    )
+  })
+})
+
 function setupDownshiftWithState() {
   const items = ['animal', 'bug', 'cat']
   const utils = renderDownshift({items})
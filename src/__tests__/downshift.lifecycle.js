@@ -146,6 +146,39 @@ test('props update causes the a11y status to be updated', () => {
   expect(setA11yStatus).toHaveBeenCalledTimes(1)
 })
 
+test('the a11y status is passed to the announce prop if there is one', () => {
+  setA11yStatus.mockReset()
+  const announce = jest.fn()
+  const {updateProps, unmount} = setup({
+    announce,
+    getA11yStatusMessage: () => 'custom message',
+  })
+
+  updateProps({isOpen: true})
+  jest.runAllTimers()
+
+  expect(announce).toHaveBeenCalledTimes(1)
+  expect(announce).toHaveBeenCalledWith('custom message', {
+    politeness: 'polite',
+  })
+  expect(setA11yStatus).not.toHaveBeenCalled()
+  unmount()
+})
+
+test('the a11y status is built with the messages and locale', () => {
+  setA11yStatus.mockReset()
+  const {updateProps, unmount} = setup({
+    messages: {noResults: 'Aucun résultat.'},
+    locale: 'fr',
+  })
+
+  updateProps({isOpen: true})
+  jest.runAllTimers()
+
+  expect(setA11yStatus).toHaveBeenCalledWith('Aucun résultat.', document)
+  unmount()
+})
+
 test('inputValue initializes properly if the selectedItem is controlled and set', () => {
   const childrenSpy = jest.fn(() => null)
   render(<Downshift selectedItem="foo">{childrenSpy}</Downshift>)
@@ -215,6 +215,18 @@ test('stateReducer customizes the final state after keyDownEnter handled', () =>
   )
 })
 
+test('keyBindings are validated in development', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+  setup({keyBindings: {'Hyper+N': Downshift.stateChangeTypes.keyDownArrowDown}})
+
+  expect(console.error).toHaveBeenCalledWith(
+    expect.stringContaining('Failed %s type'),
+    'prop',
+    'Invalid key combo `Hyper+N` supplied to `Downshift` in `keyBindings`.',
+    expect.any(String),
+  )
+})
+
 function mouseDownAndUp(node) {
   fireEvent.mouseDown(node)
   fireEvent.mouseUp(node)
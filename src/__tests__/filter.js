@@ -0,0 +1,172 @@
+import {createFilter, highlightMatches} from '../filter'
+
+const elements = [
+  'Neptunium',
+  'Plutonium',
+  'Americium',
+  'Curium',
+  'Berkelium',
+  'Californium',
+  'Einsteinium',
+]
+
+describe('createFilter', () => {
+  test('returns all items, in order and without matches, for an empty input value', () => {
+    const filter = createFilter()
+
+    expect(filter(elements, '')).toEqual(
+      elements.map((item, index) => ({
+        item,
+        index,
+        score: 1,
+        text: item,
+        matches: [],
+      })),
+    )
+  })
+
+  test('ranks exact, prefix, word prefix, substring and fuzzy matches in this order', () => {
+    const filter = createFilter()
+    const items = ['xcurx', 'cxuxr', 'xx cur', 'curium', 'cur']
+
+    expect(filter(items, 'cur').map(({item}) => item)).toEqual([
+      'cur',
+      'curium',
+      'xx cur',
+      'xcurx',
+      'cxuxr',
+    ])
+  })
+
+  test('keeps the original order of items with the same score', () => {
+    const filter = createFilter()
+
+    expect(filter(elements, 'ium').map(({index}) => index)).toEqual([
+      0, 1, 2, 3, 4, 5, 6,
+    ])
+  })
+
+  test('excludes the items that do not match', () => {
+    const filter = createFilter()
+
+    expect(filter(elements, 'plut').map(({item}) => item)).toEqual([
+      'Plutonium',
+    ])
+    expect(filter(elements, 'xyz')).toEqual([])
+  })
+
+  test('returns the ranges of the matched characters', () => {
+    const filter = createFilter()
+
+    expect(filter(['Berkelium'], 'kel')[0].matches).toEqual([[3, 6]])
+    expect(filter(['Berkelium'], 'bkm')[0].matches).toEqual([
+      [0, 1],
+      [3, 4],
+      [8, 9],
+    ])
+  })
+
+  test('matches the characters that are closest to each other', () => {
+    const filter = createFilter()
+
+    expect(filter(['a b abc'], 'ac')[0].matches).toEqual([
+      [4, 5],
+      [6, 7],
+    ])
+  })
+
+  test('is case insensitive', () => {
+    const filter = createFilter()
+
+    expect(filter(elements, 'CURIUM')[0]).toMatchObject({
+      item: 'Curium',
+      score: 1,
+    })
+  })
+
+  test('ignores diacritics unless told otherwise', () => {
+    const items = ['Fermium', 'Nobélium']
+
+    expect(createFilter()(items, 'nobe')[0]).toMatchObject({
+      item: 'Nobélium',
+      matches: [[0, 4]],
+    })
+    expect(createFilter()(items, 'Nobé')).toHaveLength(1)
+    expect(createFilter({diacritics: true})(items, 'nobe')).toEqual([])
+  })
+
+  test('reports the matches on the original text if it has combining marks', () => {
+    const filter = createFilter()
+
+    expect(filter(['Nobe\u0301lium'], 'nobel')[0].matches).toEqual([[0, 6]])
+  })
+
+  test('uses itemToString to get the text of the items', () => {
+    const filter = createFilter({itemToString: item => item.name})
+    const items = [{name: 'Lawrencium'}, {name: 'Rutherfordium'}]
+
+    expect(filter(items, 'ruth')).toEqual([
+      {
+        item: items[1],
+        index: 1,
+        score: 0.9,
+        text: 'Rutherfordium',
+        matches: [[0, 4]],
+      },
+    ])
+  })
+
+  test('uses the best match among the keys', () => {
+    const filter = createFilter({
+      keys: ['name', item => item.symbol],
+    })
+    const items = [
+      {name: 'Dubnium', symbol: 'Db'},
+      {name: 'Seaborgium', symbol: 'Sg'},
+    ]
+
+    expect(filter(items, 'sg')).toEqual([
+      {item: items[1], index: 1, score: 1, text: 'Sg', matches: [[0, 2]]},
+    ])
+  })
+
+  test('excludes the items with a score below the threshold', () => {
+    const filter = createFilter({threshold: 0.7})
+
+    expect(filter(['xcurx', 'cxuxr'], 'cur').map(({item}) => item)).toEqual([
+      'xcurx',
+    ])
+  })
+})
+
+describe('highlightMatches', () => {
+  test('splits the text into matched and not matched segments', () => {
+    expect(
+      highlightMatches('Berkelium', [
+        [0, 1],
+        [3, 6],
+      ]),
+    ).toEqual([
+      {text: 'B', isMatch: true},
+      {text: 'er', isMatch: false},
+      {text: 'kel', isMatch: true},
+      {text: 'ium', isMatch: false},
+    ])
+  })
+
+  test('returns the whole text as not matched if there are no matches', () => {
+    expect(highlightMatches('Berkelium', [])).toEqual([
+      {text: 'Berkelium', isMatch: false},
+    ])
+  })
+
+  test('works with the results of the filter', () => {
+    const [{text, matches}] = createFilter()(elements, 'stein')
+
+    expect(
+      highlightMatches(text, matches)
+        .filter(({isMatch}) => isMatch)
+        .map(segment => segment.text),
+    ).toEqual(['stein'])
+  })
+})
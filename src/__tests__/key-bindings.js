@@ -0,0 +1,142 @@
+import {
+  parseKeyCombo,
+  isKeyComboMatch,
+  getKeyBindingHandlerKey,
+  createKeyBindingsPropType,
+} from '../key-bindings'
+
+const handlerKeys = {
+  __arrow_down__: 'ArrowDown',
+  __enter__: 'Enter',
+}
+
+describe('parseKeyCombo', () => {
+  test('returns the key and the modifiers of the combo', () => {
+    expect(parseKeyCombo('Ctrl+Shift+N')).toEqual({
+      key: 'N',
+      ctrlKey: true,
+      altKey: false,
+      shiftKey: true,
+      metaKey: false,
+    })
+  })
+
+  test('accepts the modifier aliases case insensitively', () => {
+    expect(parseKeyCombo('control+OPTION+cmd+a')).toEqual({
+      key: 'a',
+      ctrlKey: true,
+      altKey: true,
+      shiftKey: false,
+      metaKey: true,
+    })
+  })
+
+  test('accepts the key names and the plus key', () => {
+    expect(parseKeyCombo('Space').key).toEqual(' ')
+    expect(parseKeyCombo('Esc').key).toEqual('Escape')
+    expect(parseKeyCombo('Ctrl++').key).toEqual('+')
+  })
+
+  test('returns null for invalid combos', () => {
+    expect(parseKeyCombo('')).toBeNull()
+    expect(parseKeyCombo('Hyper+N')).toBeNull()
+  })
+
+  test('returns null for combos without a key', () => {
+    expect(parseKeyCombo('Ctrl+')).toBeNull()
+    expect(parseKeyCombo('Ctrl+Shift+')).toBeNull()
+  })
+})
+
+describe('isKeyComboMatch', () => {
+  test('matches the key case insensitively', () => {
+    expect(isKeyComboMatch({key: 'n', ctrlKey: true}, 'Ctrl+N')).toBe(true)
+    expect(isKeyComboMatch({key: 'Tab'}, 'tab')).toBe(true)
+  })
+
+  test('matches the modifiers exactly', () => {
+    expect(isKeyComboMatch({key: 'n'}, 'Ctrl+N')).toBe(false)
+    expect(
+      isKeyComboMatch({key: 'N', ctrlKey: true, shiftKey: true}, 'Ctrl+N'),
+    ).toBe(false)
+    expect(isKeyComboMatch({key: 'Tab', shiftKey: true}, 'Tab')).toBe(false)
+  })
+})
+
+describe('getKeyBindingHandlerKey', () => {
+  test('returns the handler key of the action bound to the event', () => {
+    const keyBindings = {'Ctrl+N': '__arrow_down__', Tab: '__enter__'}
+
+    expect(
+      getKeyBindingHandlerKey(
+        {key: 'n', ctrlKey: true},
+        keyBindings,
+        handlerKeys,
+      ),
+    ).toEqual('ArrowDown')
+    expect(
+      getKeyBindingHandlerKey({key: 'Tab'}, keyBindings, handlerKeys),
+    ).toEqual('Enter')
+  })
+
+  test('returns undefined without a bound action', () => {
+    expect(
+      getKeyBindingHandlerKey(
+        {key: 'p', ctrlKey: true},
+        {'Ctrl+N': '__arrow_down__'},
+        handlerKeys,
+      ),
+    ).toBeUndefined()
+    expect(
+      getKeyBindingHandlerKey({key: 'n'}, undefined, handlerKeys),
+    ).toBeUndefined()
+  })
+})
+
+describe('createKeyBindingsPropType', () => {
+  const keyBindingsPropType = createKeyBindingsPropType(handlerKeys)
+
+  test('accepts valid key bindings', () => {
+    expect(
+      keyBindingsPropType(
+        {keyBindings: {'Ctrl+N': '__arrow_down__'}},
+        'keyBindings',
+        'useSelect',
+      ),
+    ).toBeNull()
+    expect(keyBindingsPropType({}, 'keyBindings', 'useSelect')).toBeNull()
+  })
+
+  test('rejects invalid key combos', () => {
+    expect(
+      keyBindingsPropType(
+        {keyBindings: {'Hyper+N': '__arrow_down__'}},
+        'keyBindings',
+        'useSelect',
+      ).message,
+    ).toMatchInlineSnapshot(
+      `Invalid key combo \`Hyper+N\` supplied to \`useSelect\` in \`keyBindings\`.`,
+    )
+  })
+
+  test('rejects unknown action types', () => {
+    expect(
+      keyBindingsPropType(
+        {keyBindings: {'Ctrl+N': '__item_click__'}},
+        'keyBindings',
+        'useSelect',
+      ).message,
+    ).toMatchInlineSnapshot(
+      `Invalid action type \`__item_click__\` bound to \`Ctrl+N\` in \`keyBindings\` of \`useSelect\`, expected one of: __arrow_down__, __enter__.`,
+    )
+  })
+
+  test('rejects values that are not objects', () => {
+    expect(
+      keyBindingsPropType({keyBindings: 'Ctrl+N'}, 'keyBindings', 'useSelect')
+        .message,
+    ).toMatchInlineSnapshot(
+      `Invalid prop \`keyBindings\` supplied to \`useSelect\`, expected an object.`,
+    )
+  })
+})
@@ -0,0 +1,74 @@
+import {defaultMessages, formatMessage} from '../messages'
+
+const frenchMessages = {
+  itemRemoved: '{item} a été supprimé.',
+  itemsRemoved: {
+    one: '{count} élément a été supprimé.',
+    other: '{count} éléments ont été supprimés.',
+  },
+}
+
+describe('formatMessage', () => {
+  test('returns the default message of the key', () => {
+    expect(formatMessage('noResults')).toEqual(defaultMessages.noResults)
+  })
+
+  test('replaces the placeholders with the values', () => {
+    expect(
+      formatMessage('itemMoved', {item: 'Curium', position: 2, count: 3}),
+    ).toEqual('Curium has been moved to position 2 of 3.')
+  })
+
+  test('keeps the placeholders without a value', () => {
+    expect(formatMessage('itemRemoved')).toEqual('{item} has been removed.')
+  })
+
+  test('uses the plural form of the count', () => {
+    expect(formatMessage('itemsRemoved', {count: 1})).toEqual(
+      '1 item has been removed.',
+    )
+    expect(formatMessage('itemsRemoved', {count: 2})).toEqual(
+      '2 items have been removed.',
+    )
+  })
+
+  test('uses the messages passed by the user, or the default ones if missing', () => {
+    const localization = {messages: frenchMessages, locale: 'fr'}
+
+    expect(
+      formatMessage('itemRemoved', {item: 'Curium'}, localization),
+    ).toEqual('Curium a été supprimé.')
+    expect(formatMessage('noResults', {}, localization)).toEqual(
+      defaultMessages.noResults,
+    )
+  })
+
+  test('uses the plural rules of the locale', () => {
+    expect(
+      formatMessage('itemsRemoved', {count: 0}, {messages: frenchMessages}),
+    ).toEqual('0 éléments ont été supprimés.')
+    expect(
+      formatMessage(
+        'itemsRemoved',
+        {count: 0},
+        {messages: frenchMessages, locale: 'fr'},
+      ),
+    ).toEqual('0 élément a été supprimé.')
+  })
+
+  test('uses the other form if the plural category is missing', () => {
+    const messages = {itemsRemoved: {other: '{count} removed.'}}
+
+    expect(formatMessage('itemsRemoved', {count: 1}, {messages})).toEqual(
+      '1 removed.',
+    )
+  })
+
+  test('uses the default message if the other form is missing too', () => {
+    const messages = {itemsRemoved: {one: '{count} removed.'}}
+
+    expect(formatMessage('itemsRemoved', {count: 2}, {messages})).toEqual(
+      '2 items have been removed.',
+    )
+  })
+})
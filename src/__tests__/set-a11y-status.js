@@ -78,6 +78,25 @@ test('creates no status div if there is no document', () => {
   expect(document.body).toBeEmptyDOMElement()
 })
 
+test('sets the status on the scoped status node if there is one', () => {
+  const setA11yStatus = setup()
+  const statusDiv = document.createElement('div')
+  setA11yStatus('hello', document, statusDiv)
+  expect(statusDiv).toHaveTextContent('hello')
+  expect(document.getElementById('a11y-status-message')).toBeNull()
+})
+
+test('performs the cleanup of each scoped status node after a timeout', () => {
+  const setA11yStatus = setup()
+  const statusDiv = document.createElement('div')
+  const otherStatusDiv = document.createElement('div')
+  setA11yStatus('hello', document, statusDiv)
+  setA11yStatus('goodbye', document, otherStatusDiv)
+  jest.runAllTimers()
+  expect(statusDiv).toBeEmptyDOMElement()
+  expect(otherStatusDiv).toBeEmptyDOMElement()
+})
+
 function setup() {
   jest.resetModules()
   return require('../set-a11y-status').default
@@ -58,6 +58,36 @@ const tests = [
     },
     output: '',
   },
+  {
+    input: {
+      isOpen: true,
+      resultCount: 5,
+      previousResultCount: 5,
+      highlightedGroup: {label: 'Recent', items: []},
+      previousHighlightedGroup: {label: 'All', items: []},
+    },
+    output: 'Recent group.',
+  },
+  {
+    input: {
+      isOpen: true,
+      resultCount: 5,
+      previousResultCount: 5,
+      highlightedGroup: {label: 'Recent', items: []},
+      previousHighlightedGroup: {label: 'Recent', items: []},
+    },
+    output: '',
+  },
+  {
+    input: {
+      isOpen: true,
+      resultCount: 5,
+      previousResultCount: 3,
+      highlightedGroup: {label: 'Recent', items: []},
+    },
+    output:
+      '5 results are available, use up and down arrow keys to navigate. Press Enter key to select. Recent group.',
+  },
 ]
 
 tests.forEach(({input, output}) => {
@@ -4,7 +4,7 @@ import PropTypes from 'prop-types'
 import {Component, cloneElement} from 'react'
 import {isForwardRef} from 'react-is'
 import {isPreact, isReactNative, isReactNativeWeb} from './is.macro'
-import setA11yStatus from './set-a11y-status'
+import setA11yStatus, {statusDivStyle} from './set-a11y-status'
 import * as stateChangeTypes from './stateChangeTypes'
 import {
   handleRefs,
@@ -28,7 +28,25 @@ import {
   validateControlledUnchanged,
   getHighlightedIndex,
   getNonDisabledIndex,
+  getExactMatchIndex,
 } from './utils'
+import {
+  getKeyBindingHandlerKey,
+  createKeyBindingsPropType,
+} from './key-bindings'
+
+// the action types that can be bound to a key combo with the keyBindings prop,
+// mapped to the keys of the keydown handlers that run them.
+const keyBindingHandlerKeys = {
+  [stateChangeTypes.keyDownArrowDown]: 'ArrowDown',
+  [stateChangeTypes.keyDownArrowUp]: 'ArrowUp',
+  [stateChangeTypes.keyDownHome]: 'Home',
+  [stateChangeTypes.keyDownEnd]: 'End',
+  [stateChangeTypes.keyDownEscape]: 'Escape',
+  [stateChangeTypes.keyDownEnter]: 'Enter',
+  [stateChangeTypes.keyDownSpaceButton]: ' ',
+  [stateChangeTypes.keyDownTab]: 'Tab',
+}
 
 class Downshift extends Component {
   static propTypes = {
@@ -40,6 +58,9 @@ class Downshift extends Component {
     initialInputValue: PropTypes.string,
     initialIsOpen: PropTypes.bool,
     getA11yStatusMessage: PropTypes.func,
+    announce: PropTypes.func,
+    messages: PropTypes.object,
+    locale: PropTypes.string,
     itemToString: PropTypes.func,
     onChange: PropTypes.func,
     onSelect: PropTypes.func,
@@ -64,6 +85,9 @@ class Downshift extends Component {
     }),
     suppressRefError: PropTypes.bool,
     scrollIntoView: PropTypes.func,
+    keyBindings: createKeyBindingsPropType(keyBindingHandlerKeys),
+    selectOnBlur: PropTypes.oneOf(['never', 'highlighted', 'exactMatch']),
+    selectOnTab: PropTypes.bool,
     // things we keep in state for uncontrolled components
     // but can accept as props for controlled components
     /* eslint-disable react/no-unused-prop-types */
@@ -113,6 +137,7 @@ class Downshift extends Component {
     stateReducer: (state, stateToSet) => stateToSet,
     suppressRefError: false,
     scrollIntoView,
+    selectOnBlur: 'never',
   }
 
   static stateChangeTypes = stateChangeTypes
@@ -306,6 +331,30 @@ class Downshift extends Component {
     )
   }
 
+  // selects the item of the selectOnBlur policy when the menu is left by blur
+  // or by Tab, or resets the state if there is no such item.
+  selectOnLeaveOrReset = (selectOnBlur, otherStateToSet) => {
+    const {isOpen, highlightedIndex, inputValue} = this.getState()
+    let itemIndex = -1
+
+    if (isOpen && selectOnBlur === 'highlighted') {
+      itemIndex = highlightedIndex ?? -1
+    } else if (isOpen && selectOnBlur === 'exactMatch') {
+      itemIndex = getExactMatchIndex(
+        this.items,
+        inputValue,
+        this.props.itemToString,
+        this.isItemDisabled,
+      )
+    }
+
+    if (itemIndex >= 0 && this.items[itemIndex] != null) {
+      this.selectItemAtIndex(itemIndex, otherStateToSet)
+    } else {
+      this.reset(otherStateToSet)
+    }
+  }
+
   // any piece of our state can live in two places:
   // 1. Uncontrolled: it's internal (this.state)
   //    We will call this.setState to update that state
@@ -435,6 +484,7 @@ class Downshift extends Component {
       getMenuProps,
       getInputProps,
       getItemProps,
+      getA11yStatusProps,
       openMenu,
       closeMenu,
       toggleMenu,
@@ -457,6 +507,7 @@ class Downshift extends Component {
       getMenuProps,
       getInputProps,
       getItemProps,
+      getA11yStatusProps,
 
       // actions
       reset,
@@ -611,6 +662,28 @@ class Downshift extends Component {
         ...(!this.state.isOpen && {selectedItem: null, inputValue: ''}),
       })
     },
+
+    Tab() {
+      // the Tab key is handled by selectOnBlur, unless selectOnTab is passed.
+      if (this.props.selectOnTab === undefined || !this.getState().isOpen) {
+        return
+      }
+
+      this.selectOnLeaveOrReset(
+        this.props.selectOnTab ? 'highlighted' : 'never',
+        {type: stateChangeTypes.keyDownTab},
+      )
+    },
+  }
+
+  getKeyDownHandlerKey(event) {
+    return (
+      getKeyBindingHandlerKey(
+        event,
+        this.props.keyBindings,
+        keyBindingHandlerKeys,
+      ) ?? normalizeArrowKey(event)
+    )
   }
 
   //////////////////////////// BUTTON
@@ -725,7 +798,7 @@ class Downshift extends Component {
   }
 
   buttonHandleKeyDown = event => {
-    const key = normalizeArrowKey(event)
+    const key = this.getKeyDownHandlerKey(event)
     if (this.buttonKeyDownHandlers[key]) {
       this.buttonKeyDownHandlers[key].call(this, event)
     }
@@ -770,7 +843,9 @@ class Downshift extends Component {
         (activeElement == null || activeElement.id !== this.inputId) &&
         activeElement !== blurTarget // Do nothing if we refocus the same element again (to solve issue in Safari on iOS)
       ) {
-        this.reset({type: stateChangeTypes.blurButton})
+        this.selectOnLeaveOrReset(this.props.selectOnBlur, {
+          type: stateChangeTypes.blurButton,
+        })
       }
     })
   }
@@ -852,7 +927,7 @@ class Downshift extends Component {
   }
 
   inputHandleKeyDown = event => {
-    const key = normalizeArrowKey(event)
+    const key = this.getKeyDownHandlerKey(event)
     if (key && this.inputKeyDownHandlers[key]) {
       this.inputKeyDownHandlers[key].call(this, event)
     }
@@ -884,7 +959,9 @@ class Downshift extends Component {
         this._rootNode.contains(activeElement)
 
       if (!downshiftButtonIsActive) {
-        this.reset({type: stateChangeTypes.blurInput})
+        this.selectOnLeaveOrReset(this.props.selectOnBlur, {
+          type: stateChangeTypes.blurInput,
+        })
       }
     })
   }
@@ -916,6 +993,22 @@ class Downshift extends Component {
   }
   //\\\\\\\\\\\\\\\\\\\\\\\\\\\\\ MENU
 
+  /////////////////////////////// A11Y STATUS
+
+  a11yStatusRef = node => {
+    this._a11yStatusNode = node
+  }
+
+  getA11yStatusProps = ({refKey = 'ref', ref, style, ...rest} = {}) => ({
+    [refKey]: handleRefs(ref, this.a11yStatusRef),
+    role: 'status',
+    'aria-live': 'polite',
+    'aria-relevant': 'additions text',
+    style: {...statusDivStyle, ...style},
+    ...rest,
+  })
+  //\\\\\\\\\\\\\\\\\\\\\\\\\\\\\ A11Y STATUS
+
   /////////////////////////////// ITEM
   getItemProps = ({
     onMouseMove,
@@ -1041,7 +1134,7 @@ class Downshift extends Component {
   }
 
   updateStatus = debounce(() => {
-    if (!this.props?.environment?.document) {
+    if (!this.props?.announce && !this.props?.environment?.document) {
       return
     }
 
@@ -1053,11 +1146,25 @@ class Downshift extends Component {
       previousResultCount: this.previousResultCount,
       resultCount,
       highlightedItem: item,
+      messages: this.props.messages,
+      locale: this.props.locale,
       ...state,
     })
     this.previousResultCount = resultCount
 
-    setA11yStatus(status, this.props.environment.document)
+    if (this.props.announce) {
+      if (status) {
+        this.props.announce(status, {politeness: 'polite'})
+      }
+    } else if (this._a11yStatusNode) {
+      setA11yStatus(
+        status,
+        this.props.environment.document,
+        this._a11yStatusNode,
+      )
+    } else {
+      setA11yStatus(status, this.props.environment.document)
+    }
   }, 200)
 
   componentDidMount() {
@@ -1075,6 +1182,7 @@ class Downshift extends Component {
     if (isReactNative || !this.props.environment) {
       this.cleanup = () => {
         this.internalClearTimeouts()
+        this.updateStatus.cancel()
       }
     } else {
       // this.isMouseDown helps us track whether the mouse is currently held down.
@@ -1196,7 +1304,7 @@ class Downshift extends Component {
     }
 
     /* istanbul ignore else (react-native) */
-    if (!isReactNative) {
+    if (!isReactNative || this.props.announce) {
       this.updateStatus()
     }
   }
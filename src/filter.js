@@ -0,0 +1,288 @@
+const COMBINING_MARKS = /[\u0300-\u036f]/g
+const WORD_SEPARATOR = /[\s\-_.,/]/
+
+// scores for each way the input value can match the text, from best to worst.
+const EXACT_SCORE = 1
+const PREFIX_SCORE = 0.9
+const WORD_PREFIX_SCORE = 0.8
+const SUBSTRING_SCORE = 0.7
+const FUZZY_MAX_SCORE = 0.5
+
+/**
+ * Default itemToString of the filter, the same as the one of the hooks.
+ *
+ * @param {unknown} item The item.
+ * @returns {string} The string version of the item.
+ */
+function defaultItemToString(item) {
+  return item ? String(item) : ''
+}
+
+/**
+ * Lower cases the text and, if needed, removes its diacritics. Since these
+ * change the length of the text, it also returns the index in the original
+ * text of each character of the normalized one, in order to report the
+ * matches on the original text.
+ *
+ * @param {string} text The text to normalize.
+ * @param {boolean} diacritics Whether diacritics are kept.
+ * @returns {{value: string, indexes: number[]}} The normalized text.
+ */
+function normalize(text, diacritics) {
+  let value = ''
+  const indexes = []
+
+  for (let index = 0; index < text.length; index++) {
+    let character = text[index].toLowerCase()
+
+    if (!diacritics) {
+      character = character.normalize('NFD').replace(COMBINING_MARKS, '')
+    }
+
+    value += character
+
+    for (let offset = 0; offset < character.length; offset++) {
+      indexes.push(index)
+    }
+  }
+
+  return {value, indexes}
+}
+
+/**
+ * Returns the positions in the text of the characters of the query, in order,
+ * or null if the text does not contain all of them. After finding the first
+ * positions that match, it searches backwards from the last one, in order to
+ * keep the matched characters as close to each other as possible.
+ *
+ * @param {string} text The normalized text.
+ * @param {string} query The normalized input value.
+ * @returns {number[] | null} The positions of the matched characters.
+ */
+function getFuzzyPositions(text, query) {
+  let textIndex = 0
+
+  for (let queryIndex = 0; queryIndex < query.length; queryIndex++) {
+    textIndex = text.indexOf(query[queryIndex], textIndex)
+
+    if (textIndex === -1) {
+      return null
+    }
+
+    textIndex++
+  }
+
+  const positions = []
+
+  for (let queryIndex = query.length - 1; queryIndex >= 0; queryIndex--) {
+    textIndex = text.lastIndexOf(query[queryIndex], textIndex - 1)
+    positions.unshift(textIndex)
+  }
+
+  return positions
+}
+
+/**
+ * Turns the positions of the matched characters in the normalized text into
+ * ranges of the original text, merging the adjacent ones.
+ *
+ * @param {number[]} positions The positions in the normalized text.
+ * @param {number[]} indexes The original index of each normalized character.
+ * @param {string} text The original text.
+ * @returns {[number, number][]} The [start, end) ranges of the matches.
+ */
+function getMatchRanges(positions, indexes, text) {
+  const ranges = []
+
+  positions.forEach(position => {
+    const start = indexes[position]
+    // the characters removed by the normalization, such as combining marks,
+    // stay with the character they belong to.
+    const end = Math.max(start + 1, indexes[position + 1] ?? text.length)
+    const lastRange = ranges[ranges.length - 1]
+
+    if (lastRange && lastRange[1] >= start) {
+      lastRange[1] = Math.max(lastRange[1], end)
+    } else {
+      ranges.push([start, end])
+    }
+  })
+
+  return ranges
+}
+
+/**
+ * Returns the range of positions from start, for matches that are a single
+ * piece of the text.
+ *
+ * @param {number} start The position of the first matched character.
+ * @param {number} length The number of matched characters.
+ * @returns {number[]} The positions of the matched characters.
+ */
+function getConsecutivePositions(start, length) {
+  return Array.from({length}, (_, offset) => start + offset)
+}
+
+/**
+ * Scores how well the query matches the text, between 0 (no match) and 1
+ * (exact match), and returns the positions of the matched characters.
+ *
+ * @param {string} text The normalized text.
+ * @param {string} query The normalized input value.
+ * @returns {{score: number, positions: number[]}} The score and positions.
+ */
+function getMatch(text, query) {
+  if (text === query) {
+    return {
+      score: EXACT_SCORE,
+      positions: getConsecutivePositions(0, query.length),
+    }
+  }
+
+  if (text.startsWith(query)) {
+    return {
+      score: PREFIX_SCORE,
+      positions: getConsecutivePositions(0, query.length),
+    }
+  }
+
+  let substringIndex = text.indexOf(query)
+
+  if (substringIndex !== -1) {
+    const firstSubstringIndex = substringIndex
+
+    while (
+      substringIndex !== -1 &&
+      !WORD_SEPARATOR.test(text[substringIndex - 1])
+    ) {
+      substringIndex = text.indexOf(query, substringIndex + 1)
+    }
+
+    return substringIndex === -1
+      ? {
+          score: SUBSTRING_SCORE,
+          positions: getConsecutivePositions(firstSubstringIndex, query.length),
+        }
+      : {
+          score: WORD_PREFIX_SCORE,
+          positions: getConsecutivePositions(substringIndex, query.length),
+        }
+  }
+
+  const positions = getFuzzyPositions(text, query)
+
+  if (!positions) {
+    return {score: 0, positions: []}
+  }
+
+  // the closer the matched characters are to each other, the better.
+  const span = positions[positions.length - 1] - positions[0] + 1
+
+  return {score: (FUZZY_MAX_SCORE * query.length) / span, positions}
+}
+
+/**
+ * Returns the function that reads a text of the item for the given key.
+ *
+ * @param {string | Function} key The property name or a function of the item.
+ * @returns {Function} The function that returns the text for the item.
+ */
+function getKeyToString(key) {
+  return typeof key === 'function' ? key : item => item?.[key]
+}
+
+/**
+ * Creates a function that filters and ranks items by how well their text
+ * matches an input value, best matches first. Matching is case insensitive
+ * and, unless `diacritics` is true, ignores diacritics.
+ *
+ * @param {Object} options The filter options.
+ * @param {Function} options.itemToString Returns the text of an item.
+ * @param {Array<string | Function>} options.keys The texts of an item to match, as property names or functions, instead of itemToString.
+ * @param {number} options.threshold The minimum score, between 0 and 1, of the returned items.
+ * @param {boolean} options.diacritics Whether diacritics need to match.
+ * @returns {Function} The filter, called with the items and the input value.
+ */
+function createFilter({
+  itemToString = defaultItemToString,
+  keys,
+  threshold = 0,
+  diacritics = false,
+} = {}) {
+  const itemToStrings = keys ? keys.map(getKeyToString) : [itemToString]
+
+  return function filter(items, inputValue = '') {
+    const query = normalize(inputValue, diacritics).value
+
+    if (!query) {
+      return items.map((item, index) => ({
+        item,
+        index,
+        score: EXACT_SCORE,
+        text: String(itemToStrings[0](item) ?? ''),
+        matches: [],
+      }))
+    }
+
+    const results = []
+
+    items.forEach((item, index) => {
+      let bestResult = null
+
+      itemToStrings.forEach(keyToString => {
+        const text = String(keyToString(item) ?? '')
+        const normalizedText = normalize(text, diacritics)
+        const {score, positions} = getMatch(normalizedText.value, query)
+
+        if (score > 0 && (!bestResult || score > bestResult.score)) {
+          bestResult = {
+            item,
+            index,
+            score,
+            text,
+            matches: getMatchRanges(positions, normalizedText.indexes, text),
+          }
+        }
+      })
+
+      if (bestResult && bestResult.score >= threshold) {
+        results.push(bestResult)
+      }
+    })
+
+    return results.sort(
+      (result, otherResult) =>
+        otherResult.score - result.score || result.index - otherResult.index,
+    )
+  }
+}
+
+/**
+ * Splits the text into the segments that are matched and those that are not,
+ * so the matched ones can be rendered differently, for instance in bold.
+ *
+ * @param {string} text The text of the item.
+ * @param {[number, number][]} matches The [start, end) ranges of the matches.
+ * @returns {{text: string, isMatch: boolean}[]} The segments of the text.
+ */
+function highlightMatches(text, matches = []) {
+  const segments = []
+  let segmentStart = 0
+
+  matches.forEach(([start, end]) => {
+    if (start > segmentStart) {
+      segments.push({text: text.slice(segmentStart, start), isMatch: false})
+    }
+
+    segments.push({text: text.slice(start, end), isMatch: true})
+    segmentStart = end
+  })
+
+  if (segmentStart < text.length) {
+    segments.push({text: text.slice(segmentStart), isMatch: false})
+  }
+
+  return segments
+}
+
+export {createFilter, highlightMatches}
@@ -0,0 +1,209 @@
+import {act, renderHook} from '@testing-library/react'
+import {renderUseCombobox} from '../useCombobox/testUtils'
+import {items} from '../testUtils'
+import * as stateChangeTypes from '../useCombobox/stateChangeTypes'
+import useCombobox from '../useCombobox'
+import {
+  debugRegistry,
+  getStateChangeTypeName,
+  getStateDiff,
+  withDownshiftLogger,
+} from '../debug'
+
+beforeEach(() => {
+  jest.spyOn(console, 'groupCollapsed').mockImplementation(() => {})
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  jest.spyOn(console, 'groupEnd').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('debug', () => {
+  describe('getStateChangeTypeName', () => {
+    test('returns the name of the type in stateChangeTypes', () => {
+      expect(
+        getStateChangeTypeName(stateChangeTypes.InputKeyDownArrowDown),
+      ).toEqual('InputKeyDownArrowDown')
+    })
+
+    test('returns the type if it has no name', () => {
+      expect(getStateChangeTypeName('__custom__')).toEqual('__custom__')
+    })
+  })
+
+  describe('getStateDiff', () => {
+    test('returns the previous and new values of the changed keys', () => {
+      expect(
+        getStateDiff(
+          {isOpen: false, highlightedIndex: -1, inputValue: ''},
+          {isOpen: true, highlightedIndex: 0, inputValue: ''},
+        ),
+      ).toEqual({
+        isOpen: {prev: false, next: true},
+        highlightedIndex: {prev: -1, next: 0},
+      })
+    })
+  })
+
+  describe('withDownshiftLogger', () => {
+    test('logs the action in a console group and returns the final state', () => {
+      const stateReducer = jest.fn((_state, {changes}) => ({
+        ...changes,
+        highlightedIndex: 2,
+      }))
+      const props = {items}
+      const state = {isOpen: false, highlightedIndex: -1}
+      const changes = {isOpen: true, highlightedIndex: 0}
+      const newState = withDownshiftLogger(stateReducer)(state, {
+        type: stateChangeTypes.InputClick,
+        props,
+        changes,
+      })
+
+      expect(newState).toEqual({isOpen: true, highlightedIndex: 2})
+      expect(console.groupCollapsed).toHaveBeenCalledWith(
+        'downshift: InputClick',
+      )
+      expect(console.log).toHaveBeenCalledWith('action', {
+        type: stateChangeTypes.InputClick,
+      })
+      expect(console.log).toHaveBeenCalledWith('props', props)
+      expect(console.log).toHaveBeenCalledWith('changes', changes)
+      expect(console.log).toHaveBeenCalledWith('state', newState)
+      expect(console.log).toHaveBeenCalledWith('diff', {
+        isOpen: {prev: false, next: true},
+        highlightedIndex: {prev: -1, next: 2},
+      })
+      expect(console.groupEnd).toHaveBeenCalledTimes(1)
+    })
+
+    test('returns the changes without a state reducer', () => {
+      const changes = {isOpen: true}
+
+      expect(
+        withDownshiftLogger()(
+          {isOpen: false},
+          {type: stateChangeTypes.InputClick, props: {}, changes},
+        ),
+      ).toBe(changes)
+    })
+
+    test('returns the state reducer in production', () => {
+      const originalEnv = process.env.NODE_ENV
+      const stateReducer = jest.fn()
+
+      process.env.NODE_ENV = 'production'
+
+      try {
+        expect(withDownshiftLogger(stateReducer)).toBe(stateReducer)
+      } finally {
+        process.env.NODE_ENV = originalEnv
+      }
+    })
+  })
+
+  describe('debug prop', () => {
+    test('logs the actions of the hook', () => {
+      const {result} = renderUseCombobox({debug: true})
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(console.groupCollapsed).toHaveBeenCalledWith(
+        'downshift: FunctionOpenMenu',
+      )
+      expect(console.log).toHaveBeenCalledWith('diff', {
+        isOpen: {prev: false, next: true},
+      })
+    })
+
+    test('does not log the actions without it', () => {
+      const {result} = renderUseCombobox()
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(console.groupCollapsed).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('debugRegistry', () => {
+    test('has the live instances with the debug prop', () => {
+      const listener = jest.fn()
+      const unsubscribe = debugRegistry.subscribe(listener)
+      const {result, unmount} = renderUseCombobox({
+        debug: true,
+        id: 'debugged',
+      })
+
+      expect(window.__DOWNSHIFT_DEVTOOLS__).toBe(debugRegistry)
+      expect([...debugRegistry.instances.values()]).toEqual([
+        expect.objectContaining({
+          id: 'debugged',
+          state: expect.objectContaining({isOpen: false}),
+        }),
+      ])
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      const [instance] = debugRegistry.instances.values()
+
+      expect(instance.state.isOpen).toBe(true)
+      expect(instance.action.type).toEqual(stateChangeTypes.FunctionOpenMenu)
+      expect(listener).toHaveBeenCalledWith(debugRegistry.instances)
+
+      unmount()
+      unsubscribe()
+
+      expect(debugRegistry.instances.size).toEqual(0)
+    })
+
+    test('updates the instance after actions and not on every render', () => {
+      const listener = jest.fn()
+      const unsubscribe = debugRegistry.subscribe(listener)
+      const {result, rerender, unmount} = renderHook(
+        props => useCombobox(props),
+        {initialProps: {items, debug: true}},
+      )
+
+      listener.mockClear()
+      rerender({items, debug: true})
+      rerender({items, debug: true})
+
+      expect(listener).not.toHaveBeenCalled()
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(listener).toHaveBeenCalledTimes(1)
+
+      unmount()
+      unsubscribe()
+    })
+
+    test('removes the instance if the debug prop is removed', () => {
+      const {rerender} = renderHook(props => useCombobox(props), {
+        initialProps: {items, debug: true},
+      })
+
+      expect(debugRegistry.instances.size).toEqual(1)
+
+      rerender({items, debug: false})
+
+      expect(debugRegistry.instances.size).toEqual(0)
+    })
+
+    test('does not have the instances without the debug prop', () => {
+      renderUseCombobox()
+
+      expect(debugRegistry.instances.size).toEqual(0)
+    })
+  })
+})
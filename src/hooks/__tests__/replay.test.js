@@ -0,0 +1,220 @@
+import {useState} from 'react'
+import {act, renderHook} from '@testing-library/react'
+import {
+  renderCombobox,
+  getInput,
+  changeInputValue,
+  keyDownOnInput,
+} from '../useCombobox/testUtils'
+import {renderUseMultipleSelection} from '../useMultipleSelection/testUtils'
+import useCombobox from '../useCombobox'
+import {items} from '../testUtils'
+import createSelectMachine from '../useSelect/machine'
+import {recordActions, replayActions} from '../..'
+
+describe('replay', () => {
+  describe('recordActions', () => {
+    test('records the actions of the hook with the names of their types', async () => {
+      const actionRecorder = recordActions()
+
+      renderCombobox({actionRecorder})
+      await changeInputValue('N')
+      await keyDownOnInput('{ArrowDown}')
+
+      expect(actionRecorder.getActions()).toEqual([
+        {type: 'InputChange', inputValue: 'N', props: {items}},
+        {type: 'InputKeyDownArrowDown', altKey: false},
+      ])
+    })
+
+    test('records the items again after they change', () => {
+      const actionRecorder = recordActions()
+      const machine = createSelectMachine({items, actionRecorder})
+      const {ToggleButtonClick} = createSelectMachine.stateChangeTypes
+
+      machine.send({type: ToggleButtonClick})
+      machine.send({type: ToggleButtonClick})
+      machine.setProps({items: items.slice(0, 2), actionRecorder})
+      machine.send({type: ToggleButtonClick})
+
+      expect(actionRecorder.getActions()).toEqual([
+        {type: 'ToggleButtonClick', props: {items}},
+        {type: 'ToggleButtonClick'},
+        {type: 'ToggleButtonClick', props: {items: items.slice(0, 2)}},
+      ])
+    })
+
+    test('records actions that can be serialized', async () => {
+      const actionRecorder = recordActions()
+
+      renderCombobox({actionRecorder})
+      await changeInputValue('Ne')
+      await keyDownOnInput('{ArrowDown}{Enter}')
+
+      const actions = actionRecorder.getActions()
+
+      expect(JSON.parse(JSON.stringify(actions))).toEqual(actions)
+    })
+
+    test('records the actions sent to a machine', () => {
+      const actionRecorder = recordActions()
+      const machine = createSelectMachine({items, actionRecorder})
+
+      machine.send({
+        type: createSelectMachine.stateChangeTypes.ToggleButtonClick,
+      })
+
+      expect(actionRecorder.getActions()).toEqual([
+        {type: 'ToggleButtonClick', props: {items}},
+      ])
+    })
+
+    test('removes the recorded actions with clear', async () => {
+      const actionRecorder = recordActions()
+
+      renderCombobox({actionRecorder})
+      await changeInputValue('N')
+      actionRecorder.clear()
+
+      expect(actionRecorder.getActions()).toEqual([])
+    })
+
+    test('throws an error for a reducer that is not from downshift', () => {
+      expect(() =>
+        recordActions().record(state => state, {type: 'Open', props: {}}),
+      ).toThrowError('Actions can only be recorded on a downshift reducer.')
+    })
+  })
+
+  describe('replayActions', () => {
+    test('computes the state of the recorded session', async () => {
+      const actionRecorder = recordActions()
+
+      renderCombobox({actionRecorder})
+      await changeInputValue('Ne')
+      await keyDownOnInput('{ArrowDown}{ArrowDown}{Enter}')
+
+      expect(
+        replayActions('useCombobox', {items}, actionRecorder.getActions()),
+      ).toEqual(
+        expect.objectContaining({
+          isOpen: false,
+          highlightedIndex: -1,
+          selectedItem: items[1],
+          inputValue: getInput().value,
+        }),
+      )
+    })
+
+    test('uses the items recorded with the actions', () => {
+      const actionRecorder = recordActions()
+      const {result} = renderHook(() => {
+        const [inputItems, setInputItems] = useState(items)
+
+        return useCombobox({
+          items: inputItems,
+          actionRecorder,
+          onInputValueChange({inputValue}) {
+            setInputItems(
+              items.filter(item =>
+                item.toLowerCase().startsWith(inputValue.toLowerCase()),
+              ),
+            )
+          },
+        })
+      })
+
+      act(() => {
+        result.current.getInputProps().onChange({target: {value: 'c'}})
+      })
+      act(() => {
+        result.current
+          .getInputProps()
+          .onKeyDown({key: 'ArrowDown', preventDefault: jest.fn()})
+      })
+      act(() => {
+        result.current
+          .getInputProps()
+          .onKeyDown({key: 'Enter', preventDefault: jest.fn()})
+      })
+
+      expect(result.current.selectedItem).toEqual('Curium')
+      expect(
+        replayActions('useCombobox', {items}, actionRecorder.getActions()),
+      ).toEqual(expect.objectContaining({selectedItem: 'Curium'}))
+    })
+
+    test('computes the state of the multiple selection session', () => {
+      const actionRecorder = recordActions()
+      const {result} = renderUseMultipleSelection({
+        actionRecorder,
+        initialSelectedItems: [items[0], items[1]],
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[2])
+      })
+      act(() => {
+        result.current.removeSelectedItem(items[0])
+      })
+      act(() => {
+        result.current.setActiveIndex(1)
+      })
+
+      expect(
+        replayActions(
+          'useMultipleSelection',
+          {initialSelectedItems: [items[0], items[1]]},
+          actionRecorder.getActions(),
+        ),
+      ).toEqual({
+        selectedItems: result.current.selectedItems,
+        activeIndex: result.current.activeIndex,
+        activeRange: null,
+        rejectionReason: null,
+      })
+    })
+
+    test('uses the state reducer and the controlled props', () => {
+      const stateReducer = jest.fn((_state, {changes}) => ({
+        ...changes,
+        highlightedIndex: 2,
+      }))
+
+      expect(
+        replayActions('useCombobox', {items, stateReducer}, [
+          {type: 'InputKeyDownArrowDown'},
+        ]),
+      ).toEqual(expect.objectContaining({isOpen: true, highlightedIndex: 2}))
+      expect(
+        replayActions('useCombobox', {items, isOpen: false}, [
+          {type: 'InputKeyDownArrowDown'},
+        ]),
+      ).toEqual(expect.objectContaining({isOpen: false}))
+    })
+
+    test('replays the actions of a machine', () => {
+      expect(
+        replayActions('useSelect', {items}, [
+          {type: 'ToggleButtonClick'},
+          {type: 'ToggleButtonKeyDownArrowDown', altKey: false},
+          {type: 'ToggleButtonKeyDownEnter'},
+        ]),
+      ).toEqual(
+        expect.objectContaining({isOpen: false, selectedItem: items[0]}),
+      )
+    })
+
+    test('throws an error for an unknown action type', () => {
+      expect(() =>
+        replayActions('useCombobox', {items}, [{type: 'SelectedItemClick'}]),
+      ).toThrowError('The action type "SelectedItemClick" cannot be replayed.')
+    })
+
+    test('throws an error for a hook that is not from downshift', () => {
+      expect(() => replayActions('useAutocomplete', {items}, [])).toThrowError(
+        'The actions of "useAutocomplete" cannot be replayed.',
+      )
+    })
+  })
+})
@@ -5,6 +5,8 @@ import {
   getDefaultValue,
   useMouseAndTouchTracker,
   getItemAndIndex,
+  getItemsFromCount,
+  appendItem,
 } from '../utils'
 
 describe('utils', () => {
@@ -45,6 +47,66 @@ describe('utils', () => {
         index,
       ])
     })
+
+    test('finds the index in a virtualized list with getItemIndex', () => {
+      const getItem = jest.fn(index => `Item ${index}`)
+      const countItems = getItemsFromCount(100, getItem, item =>
+        Number(item.replace('Item ', '')),
+      )
+
+      expect(getItemAndIndex('Item 42', undefined, countItems)).toEqual([
+        'Item 42',
+        42,
+      ])
+      expect(getItem).not.toHaveBeenCalled()
+    })
+
+    test('does not search a virtualized list without getItemIndex', () => {
+      const getItem = jest.fn(index => `Item ${index}`)
+
+      expect(
+        getItemAndIndex('Item 42', undefined, getItemsFromCount(100, getItem)),
+      ).toEqual(['Item 42', -1])
+      expect(getItem).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('appendItem', () => {
+    test('returns a new array with the item at the end', () => {
+      const items = ['Neptunium', 'Plutonium']
+
+      expect(appendItem(items, 'Adamantium')).toEqual([
+        'Neptunium',
+        'Plutonium',
+        'Adamantium',
+      ])
+      expect(items).toHaveLength(2)
+    })
+
+    test('adds the item to the items of a virtualized list', () => {
+      const countItems = appendItem(
+        getItemsFromCount(100, index => `Item ${index}`),
+        'Adamantium',
+      )
+
+      expect(countItems).toHaveLength(101)
+      expect(countItems.getItem(99)).toEqual('Item 99')
+      expect(countItems.getItem(100)).toEqual('Adamantium')
+    })
+
+    test('finds the index of the added item in a virtualized list', () => {
+      const countItems = appendItem(
+        getItemsFromCount(
+          100,
+          index => `Item ${index}`,
+          item => Number(item.replace('Item ', '')),
+        ),
+        'Adamantium',
+      )
+
+      expect(countItems.getItemIndex('Item 7')).toEqual(7)
+      expect(countItems.getItemIndex('Adamantium')).toEqual(100)
+    })
   })
 
   test('getInitialValue will not return undefined as initial value', () => {
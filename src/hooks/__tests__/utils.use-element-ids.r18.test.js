@@ -16,7 +16,10 @@ describe('useElementIds', () => {
 
     expect(result.current).toEqual({
       getItemId: expect.any(Function),
+      getGroupLabelId: expect.any(Function),
       inputId: 'downshift-mocked-id-input',
+      errorMessageId: 'downshift-mocked-id-error-message',
+      descriptionId: 'downshift-mocked-id-description',
       labelId: 'downshift-mocked-id-label',
       menuId: 'downshift-mocked-id-menu',
       toggleButtonId: 'downshift-mocked-id-toggle-button',
@@ -21,7 +21,10 @@ describe('useElementIds', () => {
 
     expect(result.current).toEqual({
       getItemId: expect.any(Function),
+      getGroupLabelId: expect.any(Function),
       inputId: 'downshift-test-id-input',
+      errorMessageId: 'downshift-test-id-error-message',
+      descriptionId: 'downshift-test-id-description',
       labelId: 'downshift-test-id-label',
       menuId: 'downshift-test-id-menu',
       toggleButtonId: 'downshift-test-id-toggle-button',
@@ -0,0 +1,139 @@
+import {getState} from '../utils'
+import {withDownshiftLogger} from './debug'
+
+// The state logic that the hooks and the machines share. None of it uses React,
+// so the machines run it outside of React.
+
+function capitalizeString(string) {
+  return `${string.slice(0, 1).toUpperCase()}${string.slice(1)}`
+}
+
+/**
+ * Flattens the items of the groups into a single list, in the order in which
+ * the groups and their items are rendered.
+ *
+ * @param {Array} groups The groups passed to the hook.
+ * @returns {Array} The items of all groups.
+ */
+function getItemsFromGroups(groups) {
+  return groups.reduce((items, group) => items.concat(group.items), [])
+}
+
+/**
+ * Creates the items of a virtualized list, an array-like object whose items
+ * are read one by one through `getItem` instead of being kept in an array.
+ *
+ * @param {number} itemCount The number of items.
+ * @param {Function} getItem Returns the item at the index it receives.
+ * @param {Function} [getIndex] Returns the index of the item it receives, or
+ * -1 if it is not one of the items.
+ * @returns {Object} The items, with a `length`, a `getItem` and a
+ * `getItemIndex` function.
+ */
+function getItemsFromCount(itemCount, getItem, getIndex) {
+  return {length: itemCount, getItem, getItemIndex: getIndex}
+}
+
+/**
+ * Returns the props of a dropdown with the default props applied, and with the
+ * items of the `groups` or the `itemCount` props, if any, as `items`. The hooks
+ * do the same while memoizing the items between renders.
+ *
+ * @param {Object} userProps The props passed by the user.
+ * @param {Object} defaultProps The default props of the dropdown.
+ * @returns {Object} The props to use.
+ */
+function getDropdownProps(userProps, defaultProps) {
+  return {
+    ...defaultProps,
+    ...userProps,
+    ...(userProps.groups && {items: getItemsFromGroups(userProps.groups)}),
+    ...(userProps.itemCount !== undefined && {
+      items: getItemsFromCount(
+        userProps.itemCount,
+        userProps.getItem,
+        userProps.getItemIndex,
+      ),
+    }),
+  }
+}
+
+/**
+ * Returns the action that the reducer computes the state for, which is the
+ * action dispatched unless the reducer has a `getAction` function that replaces
+ * it, such as the one of `useMultipleSelection`, which turns an action that
+ * rejects an added item into a `SelectionRejected` action. The `stateReducer`
+ * and the `on*Change` props receive this action.
+ *
+ * @param {Function} reducer Reducer function from downshift.
+ * @param {Object} state The previous state.
+ * @param {Object} action The action dispatched, with the props.
+ * @returns {Object} The action to compute the state for.
+ */
+function getReducerAction(reducer, state, action) {
+  return reducer.getAction
+    ? reducer.getAction(getState(state, action.props), action)
+    : action
+}
+
+/**
+ * Computes the new state from the previous state and the action, using two
+ * reducers, the one from downshift and the optional `stateReducer` prop. The
+ * controlled props of `action.props` are applied to the previous state first.
+ * It does not depend on React, so it is shared by the hooks and the machines.
+ * In development, the action is logged if the `debug` prop is passed.
+ *
+ * @param {Function} reducer Reducer function from downshift.
+ * @param {Object} state The previous state.
+ * @param {Object} action The action, with the props passed to the hook.
+ * @returns {Object} The new state.
+ */
+function getStateOnAction(reducer, state, action) {
+  const controlledState = getState(state, action.props)
+  const changes = reducer(controlledState, action)
+  const stateReducerLocal =
+    process.env.NODE_ENV !== 'production' && action.props.debug
+      ? withDownshiftLogger(action.props.stateReducer)
+      : action.props.stateReducer
+
+  return stateReducerLocal(controlledState, {...action, changes})
+}
+
+function callOnChangeProps(action, state, newState) {
+  const {props, type} = action
+  const changes = {}
+
+  Object.keys(state).forEach(key => {
+    invokeOnChangeHandler(key, action, state, newState)
+
+    if (newState[key] !== state[key]) {
+      changes[key] = newState[key]
+    }
+  })
+
+  if (props.onStateChange && Object.keys(changes).length) {
+    props.onStateChange({type, ...changes})
+  }
+}
+
+function invokeOnChangeHandler(key, action, state, newState) {
+  const {props, type} = action
+  const handler = `on${capitalizeString(key)}Change`
+  if (
+    props[handler] &&
+    newState[key] !== undefined &&
+    newState[key] !== state[key]
+  ) {
+    props[handler]({type, ...newState})
+  }
+}
+
+export {
+  getReducerAction,
+  getStateOnAction,
+  callOnChangeProps,
+  capitalizeString,
+  getItemsFromGroups,
+  getItemsFromCount,
+  getDropdownProps,
+}
@@ -0,0 +1,154 @@
+import * as useSelectStateChangeTypes from './useSelect/stateChangeTypes'
+import * as useComboboxStateChangeTypes from './useCombobox/stateChangeTypes'
+import * as useMultipleSelectionStateChangeTypes from './useMultipleSelection/stateChangeTypes'
+import * as useTreeSelectStateChangeTypes from './useTreeSelect/stateChangeTypes'
+
+// The key of the registry on `window`, where a devtools panel can read it.
+const registryKey = '__DOWNSHIFT_DEVTOOLS__'
+
+const stateChangeTypeNames = [
+  useSelectStateChangeTypes,
+  useComboboxStateChangeTypes,
+  useMultipleSelectionStateChangeTypes,
+  useTreeSelectStateChangeTypes,
+].reduce((names, stateChangeTypes) => {
+  Object.keys(stateChangeTypes).forEach(name => {
+    names[stateChangeTypes[name]] = name
+  })
+
+  return names
+}, {})
+
+let listeners = []
+let instanceCount = 0
+
+/**
+ * The live hook instances with the `debug` prop, by a number that identifies
+ * them. Each instance has its `id` prop, its state, its props and the last
+ * action it handled.
+ */
+const debugRegistry = {
+  instances: new Map(),
+  subscribe(listener) {
+    listeners = [...listeners, listener]
+
+    return () => {
+      listeners = listeners.filter(
+        subscribedListener => subscribedListener !== listener,
+      )
+    }
+  },
+}
+
+function notifyListeners() {
+  listeners.forEach(listener => listener(debugRegistry.instances))
+}
+
+/**
+ * Adds an instance to the registry and exposes the registry on `window`.
+ *
+ * @returns {number} The key of the instance in the registry.
+ */
+function registerDebugInstance() {
+  instanceCount += 1
+
+  if (typeof window !== 'undefined') {
+    window[registryKey] = debugRegistry
+  }
+
+  return instanceCount
+}
+
+/**
+ * Sets the details of an instance in the registry and notifies the listeners.
+ *
+ * @param {number} key The key of the instance in the registry.
+ * @param {Object} instance The `id`, `state`, `props` and `action` of the
+ * instance.
+ */
+function updateDebugInstance(key, instance) {
+  debugRegistry.instances.set(key, instance)
+  notifyListeners()
+}
+
+/**
+ * Removes an instance from the registry and notifies the listeners.
+ *
+ * @param {number} key The key of the instance in the registry.
+ */
+function unregisterDebugInstance(key) {
+  if (debugRegistry.instances.delete(key)) {
+    notifyListeners()
+  }
+}
+
+/**
+ * Returns the name of the action type in `stateChangeTypes`, such as
+ * `InputKeyDownArrowDown` for `__input_keydown_arrow_down__`.
+ *
+ * @param {string} type The action type.
+ * @returns {string} The name of the type, or the type if it has no name.
+ */
+function getStateChangeTypeName(type) {
+  return stateChangeTypeNames[type] ?? String(type)
+}
+
+/**
+ * Returns the state values that are different in the new state.
+ *
+ * @param {Object} state The previous state.
+ * @param {Object} newState The new state.
+ * @returns {Object} The previous and the new value of each changed key.
+ */
+function getStateDiff(state, newState) {
+  return Object.keys(newState).reduce((diff, key) => {
+    if (state[key] !== newState[key]) {
+      diff[key] = {prev: state[key], next: newState[key]}
+    }
+
+    return diff
+  }, {})
+}
+
+/**
+ * Wraps a `stateReducer` so that each action is logged in a console group,
+ * with its type, the props it was dispatched with, the `changes` computed by
+ * downshift, the final state returned by the `stateReducer` and the diff
+ * between the previous and the final state. In production, the `stateReducer`
+ * is returned as it is.
+ *
+ * @param {Function} stateReducer The state reducer to wrap.
+ * @returns {Function} The state reducer that logs the actions.
+ */
+function withDownshiftLogger(stateReducer = (_state, {changes}) => changes) {
+  if (process.env.NODE_ENV === 'production') {
+    return stateReducer
+  }
+
+  return function loggedStateReducer(state, actionAndChanges) {
+    const {type, props, changes, ...action} = actionAndChanges
+    const newState = stateReducer(state, actionAndChanges)
+
+    /* eslint-disable no-console */
+    console.groupCollapsed(`downshift: ${getStateChangeTypeName(type)}`)
+    console.log('action', {type, ...action})
+    console.log('props', props)
+    console.log('changes', changes)
+    console.log('state', newState)
+    console.log('diff', getStateDiff(state, newState))
+    console.groupEnd()
+    /* eslint-enable no-console */
+
+    return newState
+  }
+}
+
+export {
+  debugRegistry,
+  registerDebugInstance,
+  updateDebugInstance,
+  unregisterDebugInstance,
+  getStateChangeTypeName,
+  getStateDiff,
+  withDownshiftLogger,
+}
@@ -1,3 +1,10 @@
 export {default as useSelect} from './useSelect'
 export {default as useCombobox} from './useCombobox'
 export {default as useMultipleSelection} from './useMultipleSelection'
+export {default as useTreeSelect} from './useTreeSelect'
+export {default as createSelectMachine} from './useSelect/machine'
+export {default as createComboboxMachine} from './useCombobox/machine'
+export {default as createMultipleSelectionMachine} from './useMultipleSelection/machine'
+export {default as bindCombobox} from './useCombobox/bind'
+export {withDownshiftLogger, debugRegistry} from './debug'
+export {recordActions, replayActions} from './replay'
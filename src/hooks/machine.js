@@ -0,0 +1,75 @@
+import {getState, noop} from '../utils'
+import {callOnChangeProps, getReducerAction, getStateOnAction} from './core'
+
+/**
+ * Creates a state machine that runs the reducer of a dropdown without React.
+ * Actions are sent with `send`, which computes the new state exactly like the
+ * dispatch of the hooks does, calls the `on*Change` and `onStateChange` props
+ * and then notifies the subscribers. Controlled props are applied to the state
+ * returned by `getState`, and are updated with `setProps`.
+ *
+ * @param {Object} options The parts of the dropdown the machine runs.
+ * @param {Function} options.reducer Reducer function from downshift.
+ * @param {Function} options.getProps Returns the props to use, from the props
+ * passed by the user.
+ * @param {Function} options.getInitialState Returns the initial state, from the
+ * props to use.
+ * @param {Function} [options.callOnActionProps] Calls the props that depend on
+ * the action rather than on a state value, once its state is computed.
+ * @param {Object} userProps The props passed by the user.
+ * @returns {Object} The machine, with `send`, `getState`, `getProps`,
+ * `setProps` and `subscribe`.
+ */
+export default function createMachine(
+  {reducer, getProps, getInitialState, callOnActionProps = noop},
+  userProps,
+) {
+  let props = getProps(userProps)
+  let state = getInitialState(props)
+  let listeners = []
+
+  function getMachineState() {
+    return getState(state, props)
+  }
+
+  function send(action) {
+    const prevState = getMachineState()
+    const actionWithProps = {props, ...action}
+
+    if (props.actionRecorder) {
+      props.actionRecorder.record(reducer, actionWithProps)
+    }
+
+    const reducerAction = getReducerAction(reducer, state, actionWithProps)
+
+    state = getStateOnAction(reducer, state, reducerAction)
+    callOnChangeProps(reducerAction, prevState, state)
+    callOnActionProps(reducerAction, prevState, state)
+
+    const newState = getMachineState()
+
+    listeners.forEach(listener => listener(newState, reducerAction))
+  }
+
+  function setProps(newUserProps) {
+    props = getProps(newUserProps)
+  }
+
+  function subscribe(listener) {
+    listeners = [...listeners, listener]
+
+    return () => {
+      listeners = listeners.filter(
+        subscribedListener => subscribedListener !== listener,
+      )
+    }
+  }
+
+  return {
+    send,
+    getState: getMachineState,
+    getProps: () => props,
+    setProps,
+    subscribe,
+  }
+}
@@ -0,0 +1,172 @@
+import {getState} from '../utils'
+import {getReducerAction, getStateOnAction, getDropdownProps} from './core'
+import downshiftSelectReducer from './useSelect/reducer'
+import {
+  defaultProps as selectDefaultProps,
+  getInitialState as getSelectInitialState,
+} from './useSelect/utils'
+import * as useSelectStateChangeTypes from './useSelect/stateChangeTypes'
+import downshiftUseComboboxReducer from './useCombobox/reducer'
+import {
+  defaultProps as comboboxDefaultProps,
+  getInitialState as getComboboxInitialState,
+} from './useCombobox/utils'
+import * as useComboboxStateChangeTypes from './useCombobox/stateChangeTypes'
+import downshiftMultipleSelectionReducer from './useMultipleSelection/reducer'
+import {
+  defaultProps as multipleSelectionDefaultProps,
+  getInitialState as getMultipleSelectionInitialState,
+} from './useMultipleSelection/utils'
+import * as useMultipleSelectionStateChangeTypes from './useMultipleSelection/stateChangeTypes'
+import downshiftTreeSelectReducer from './useTreeSelect/reducer'
+import {
+  defaultProps as treeSelectDefaultProps,
+  getInitialState as getTreeSelectInitialState,
+} from './useTreeSelect/utils'
+import * as useTreeSelectStateChangeTypes from './useTreeSelect/stateChangeTypes'
+
+// What is needed to record and replay the actions of each hook: its reducer,
+// its state change types, its props with the defaults and its initial state.
+const replaySetups = {
+  useSelect: {
+    reducer: downshiftSelectReducer,
+    stateChangeTypes: useSelectStateChangeTypes,
+    getProps: props => getDropdownProps(props, selectDefaultProps),
+    getInitialState: getSelectInitialState,
+  },
+  useCombobox: {
+    reducer: downshiftUseComboboxReducer,
+    stateChangeTypes: useComboboxStateChangeTypes,
+    getProps: props => getDropdownProps(props, comboboxDefaultProps),
+    getInitialState: getComboboxInitialState,
+  },
+  useMultipleSelection: {
+    reducer: downshiftMultipleSelectionReducer,
+    stateChangeTypes: useMultipleSelectionStateChangeTypes,
+    getProps: props => ({...multipleSelectionDefaultProps, ...props}),
+    getInitialState: getMultipleSelectionInitialState,
+  },
+  useTreeSelect: {
+    reducer: downshiftTreeSelectReducer,
+    stateChangeTypes: useTreeSelectStateChangeTypes,
+    getProps: props => ({...treeSelectDefaultProps, ...props}),
+    getInitialState: getTreeSelectInitialState,
+  },
+}
+
+/**
+ * Returns the replay setup of the hook that dispatches the actions of a
+ * reducer.
+ *
+ * @param {Function} reducer Reducer function from downshift.
+ * @returns {Object} The `reducer`, `stateChangeTypes`, `getProps` and
+ * `getInitialState` of the hook.
+ */
+function getReplaySetup(reducer) {
+  const replaySetup = Object.values(replaySetups).find(
+    setup => setup.reducer === reducer,
+  )
+
+  if (!replaySetup) {
+    throw new Error('Actions can only be recorded on a downshift reducer.')
+  }
+
+  return replaySetup
+}
+
+/**
+ * Creates a recorder to pass as the `actionRecorder` prop of a hook or a
+ * machine. It keeps every action dispatched by the hook, with the name of its
+ * type in `stateChangeTypes`, such as `InputKeyDownArrowDown`, so the recorded
+ * actions are the same in development and in production, where the types are
+ * numbers. Of the props, only the `items` are kept, as `props.items` on the
+ * first action and on the actions dispatched after the items changed.
+ *
+ * @returns {Object} The recorder, with `record`, `getActions` and `clear`.
+ */
+function recordActions() {
+  let actions = []
+  let recordedItems
+
+  function record(reducer, action) {
+    const {stateChangeTypes} = getReplaySetup(reducer)
+    const {props, type, ...actionWithoutProps} = action
+    const typeName = Object.keys(stateChangeTypes).find(
+      name => stateChangeTypes[name] === type,
+    )
+    const hasNewItems = props.items !== recordedItems
+
+    recordedItems = props.items
+    actions = [
+      ...actions,
+      {
+        ...actionWithoutProps,
+        type: typeName,
+        ...(hasNewItems && {props: {items: props.items}}),
+      },
+    ]
+  }
+
+  function getActions() {
+    return actions
+  }
+
+  function clear() {
+    actions = []
+    recordedItems = undefined
+  }
+
+  return {
+    record,
+    getActions,
+    clear,
+  }
+}
+
+/**
+ * Replays recorded actions on the reducer of a hook, starting from the initial
+ * state of the hook for the props. Each action is computed like the hook does it,
+ * including the `stateReducer` prop and the controlled props, but without the
+ * `on*Change` props, so the same actions always end in the same state. The
+ * items recorded with an action replace the items of the props from that
+ * action on.
+ *
+ * @param {string} hookName The name of the hook, such as `'useCombobox'`.
+ * @param {Object} initialProps The props of the hook, used for every action.
+ * @param {Array} actions The actions returned by `getActions` of a recorder.
+ * @returns {Object} The state after the last action.
+ */
+function replayActions(hookName, initialProps, actions) {
+  if (!Object.hasOwn(replaySetups, hookName)) {
+    throw new Error(`The actions of "${hookName}" cannot be replayed.`)
+  }
+
+  const {reducer, stateChangeTypes, getProps, getInitialState} =
+    replaySetups[hookName]
+  let props = getProps(initialProps)
+  let state = getInitialState(props)
+
+  actions.forEach(({type, props: recordedProps, ...action}) => {
+    if (!(type in stateChangeTypes)) {
+      throw new Error(`The action type "${type}" cannot be replayed.`)
+    }
+
+    if (recordedProps) {
+      props = {...props, ...recordedProps}
+    }
+
+    state = getStateOnAction(
+      reducer,
+      state,
+      getReducerAction(reducer, state, {
+        ...action,
+        type: stateChangeTypes[type],
+        props,
+      }),
+    )
+  })
+
+  return getState(state, props)
+}
+
+export {recordActions, replayActions}
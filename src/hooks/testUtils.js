@@ -31,6 +31,11 @@ export const items = [
   'Oganesson',
 ]
 
+export const groups = [
+  {label: 'Recent', items: items.slice(0, 2)},
+  {label: 'All', items: items.slice(2, 6)},
+]
+
 export const dataTestIds = {
   toggleButton: 'toggle-button-id',
   menu: 'menu-id',
@@ -44,8 +49,11 @@ export const defaultIds = {
   labelId: 'downshift-test-id-label',
   menuId: 'downshift-test-id-menu',
   getItemId: index => `downshift-test-id-item-${index}`,
+  getGroupLabelId: index => `downshift-test-id-group-label-${index}`,
   toggleButtonId: 'downshift-test-id-toggle-button',
   inputId: 'downshift-test-id-input',
+  errorMessageId: 'downshift-test-id-error-message',
+  descriptionId: 'downshift-test-id-description',
 }
 
 export const waitForDebouncedA11yStatusUpdate = () =>
@@ -0,0 +1,295 @@
+import {renderHook, act} from '@testing-library/react'
+import {renderUseCombobox} from '../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import useCombobox from '..'
+import useMultipleSelection from '../../useMultipleSelection'
+
+describe('allowCreate', () => {
+  const fruitToString = fruit => fruit?.name ?? ''
+
+  function keyDownOnInputProps(result, key) {
+    act(() => {
+      result.current.getInputProps().onKeyDown({key, preventDefault: jest.fn()})
+    })
+  }
+
+  test('adds the item to create after the items if none matches the input value', () => {
+    const {result} = renderUseCombobox({items: ['Apple'], allowCreate: true})
+
+    act(() => {
+      result.current.setInputValue('Pear')
+    })
+
+    expect(result.current.items).toEqual(['Apple', 'Pear'])
+    expect(result.current.newItem).toBe('Pear')
+
+    act(() => {
+      result.current.setInputValue('apple')
+    })
+
+    expect(result.current.items).toEqual(['Apple'])
+    expect(result.current.newItem).toBeNull()
+  })
+
+  test('does not add the item to create if not allowed or if the input is empty', () => {
+    const {result, rerender} = renderHook(props => useCombobox(props), {
+      initialProps: {items: ['Apple'], initialInputValue: 'Pear'},
+    })
+
+    expect(result.current.items).toEqual(['Apple'])
+
+    rerender({items: ['Apple'], allowCreate: true})
+    act(() => {
+      result.current.setInputValue('')
+    })
+
+    expect(result.current.items).toEqual(['Apple'])
+    expect(result.current.newItem).toBeNull()
+  })
+
+  test('creates the item with getNewItem', () => {
+    const getNewItem = jest.fn(inputValue => ({
+      name: inputValue,
+      isNew: true,
+    }))
+    const {result} = renderUseCombobox({
+      items: [{name: 'Apple'}],
+      itemToString: fruitToString,
+      allowCreate: true,
+      getNewItem,
+      initialInputValue: 'Pear',
+    })
+
+    expect(getNewItem).toHaveBeenCalledWith('Pear')
+    expect(result.current.newItem).toEqual({name: 'Pear', isNew: true})
+  })
+
+  test('highlights the item to create if it is the only one', () => {
+    const {result} = renderUseCombobox({
+      items: [],
+      allowCreate: true,
+      initialIsOpen: true,
+    })
+
+    act(() => {
+      result.current.setInputValue('Pear')
+    })
+
+    expect(result.current.highlightedIndex).toBe(0)
+  })
+
+  test('highlights the item to create with the action that adds it', () => {
+    const onHighlightedIndexChange = jest.fn()
+    const {result} = renderUseCombobox({
+      items: [],
+      allowCreate: true,
+      initialIsOpen: true,
+      onHighlightedIndexChange,
+    })
+
+    act(() => {
+      result.current.getInputProps().onChange({target: {value: 'Pear'}})
+    })
+
+    expect(onHighlightedIndexChange).toHaveBeenCalledTimes(1)
+    expect(onHighlightedIndexChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: stateChangeTypes.InputChange,
+        highlightedIndex: 0,
+      }),
+    )
+  })
+
+  test('keeps the same item to create for the same input value', () => {
+    const getNewItem = jest.fn(inputValue => ({name: inputValue}))
+    const {result} = renderUseCombobox({
+      items: [{name: 'Apple'}],
+      itemToString: fruitToString,
+      allowCreate: true,
+      getNewItem,
+      initialIsOpen: true,
+      initialInputValue: 'Pear',
+    })
+    const {newItem} = result.current
+
+    expect(result.current.items[1]).toBe(newItem)
+
+    act(() => {
+      result.current.getItemProps({index: 1}).onClick({})
+    })
+
+    expect(result.current.selectedItem).toBe(newItem)
+    expect(getNewItem).toHaveBeenCalledTimes(1)
+  })
+
+  test('calls getNewItem once per input value, even if it is not stable', () => {
+    const createItem = jest.fn(inputValue => ({name: inputValue}))
+    const {result} = renderHook(() =>
+      useCombobox({
+        items: [{name: 'Apple'}],
+        itemToString: fruitToString,
+        allowCreate: true,
+        getNewItem: inputValue => createItem(inputValue),
+        initialIsOpen: true,
+        initialInputValue: 'Pear',
+      }),
+    )
+    const {newItem} = result.current
+
+    keyDownOnInputProps(result, 'ArrowUp')
+    keyDownOnInputProps(result, 'ArrowUp')
+
+    expect(result.current.newItem).toBe(newItem)
+    expect(createItem).toHaveBeenCalledTimes(1)
+
+    act(() => {
+      result.current.setInputValue('Plum')
+    })
+
+    expect(result.current.newItem).toEqual({name: 'Plum'})
+    expect(createItem).toHaveBeenCalledTimes(2)
+  })
+
+  test('does not share the item to create between comboboxes', () => {
+    const getNewItem = jest.fn(inputValue => ({name: inputValue}))
+    const props = {
+      items: [],
+      itemToString: fruitToString,
+      allowCreate: true,
+      getNewItem,
+    }
+    const {result: first} = renderUseCombobox(props)
+    const {result: second} = renderUseCombobox(props)
+
+    act(() => {
+      first.current.setInputValue('Pear')
+    })
+    act(() => {
+      second.current.setInputValue('Plum')
+    })
+
+    const {newItem} = first.current
+
+    act(() => {
+      first.current.openMenu()
+    })
+    act(() => {
+      second.current.openMenu()
+    })
+
+    expect(first.current.newItem).toBe(newItem)
+    expect(getNewItem).toHaveBeenCalledTimes(2)
+  })
+
+  test('creates the item on Enter and calls onCreateItem', () => {
+    const onCreateItem = jest.fn()
+    const onStateChange = jest.fn()
+    const {result} = renderUseCombobox({
+      items: [],
+      allowCreate: true,
+      initialIsOpen: true,
+      initialInputValue: 'Pear',
+      onCreateItem,
+      onStateChange,
+    })
+
+    keyDownOnInputProps(result, 'Enter')
+
+    expect(result.current.selectedItem).toBe('Pear')
+    expect(result.current.isOpen).toBe(false)
+    expect(onStateChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        type: stateChangeTypes.ItemCreate,
+        selectedItem: 'Pear',
+      }),
+    )
+    expect(onCreateItem).toHaveBeenCalledTimes(1)
+    expect(onCreateItem).toHaveBeenCalledWith({
+      newItem: 'Pear',
+      inputValue: 'Pear',
+    })
+  })
+
+  test('creates the item on click', () => {
+    const onCreateItem = jest.fn()
+    const {result} = renderUseCombobox({
+      items: ['Apple'],
+      allowCreate: true,
+      initialIsOpen: true,
+      initialInputValue: 'Pear',
+      onCreateItem,
+    })
+
+    act(() => {
+      result.current.getItemProps({index: 1}).onClick({})
+    })
+
+    expect(result.current.selectedItem).toBe('Pear')
+    expect(onCreateItem).toHaveBeenCalledWith({
+      newItem: 'Pear',
+      inputValue: 'Pear',
+    })
+  })
+
+  test('does not call onCreateItem if the stateReducer prevents it', () => {
+    const onCreateItem = jest.fn()
+    const {result} = renderUseCombobox({
+      items: [],
+      allowCreate: true,
+      initialIsOpen: true,
+      initialInputValue: 'Pear',
+      onCreateItem,
+      stateReducer: state => state,
+    })
+
+    keyDownOnInputProps(result, 'Enter')
+
+    expect(result.current.selectedItem).toBeNull()
+    expect(onCreateItem).not.toHaveBeenCalled()
+  })
+
+  test('does not create the item on blur', () => {
+    const onCreateItem = jest.fn()
+    const {result} = renderUseCombobox({
+      items: [],
+      allowCreate: true,
+      initialIsOpen: true,
+      initialInputValue: 'Pear',
+      onCreateItem,
+    })
+
+    act(() => {
+      result.current.getInputProps().onBlur({})
+    })
+
+    expect(result.current.isOpen).toBe(false)
+    expect(result.current.selectedItem).toBeNull()
+    expect(onCreateItem).not.toHaveBeenCalled()
+  })
+
+  test('adds the created item to useMultipleSelection', () => {
+    const {result} = renderHook(() => {
+      const multipleSelection = useMultipleSelection()
+      const combobox = useCombobox({
+        items: ['Apple'],
+        allowCreate: true,
+        initialIsOpen: true,
+        initialInputValue: 'Pear',
+        initialHighlightedIndex: 1,
+        onCreateItem({newItem}) {
+          multipleSelection.addSelectedItem(newItem)
+        },
+      })
+
+      return {multipleSelection, combobox}
+    })
+
+    act(() => {
+      result.current.combobox
+        .getInputProps()
+        .onKeyDown({key: 'Enter', preventDefault: jest.fn()})
+    })
+
+    expect(result.current.multipleSelection.selectedItems).toEqual(['Pear'])
+  })
+})
@@ -0,0 +1,411 @@
+import {fireEvent, screen, waitFor} from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import {items} from '../../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import bindCombobox from '../bind'
+
+let combobox
+
+function renderBoundCombobox(options) {
+  const label = document.createElement('label')
+  const input = document.createElement('input')
+  const menu = document.createElement('ul')
+  const outside = document.createElement('div')
+
+  label.id = 'element-label'
+  label.textContent = 'Choose an element:'
+  outside.textContent = 'Outside'
+  document.body.append(label, input, menu, outside)
+  combobox = bindCombobox(input, menu, {
+    items,
+    id: 'bound',
+    labelId: 'element-label',
+    ...options,
+  })
+
+  return {input, menu, outside, user: userEvent.setup()}
+}
+
+function getOptions() {
+  return screen.queryAllByRole('option')
+}
+
+afterEach(() => {
+  combobox?.unbind()
+  combobox = undefined
+  document.body.textContent = ''
+})
+
+describe('bindCombobox', () => {
+  test('has the state change types of useCombobox', () => {
+    expect(bindCombobox.stateChangeTypes).toEqual(stateChangeTypes)
+  })
+
+  describe('attributes', () => {
+    test('are the ones of getInputProps and getMenuProps', () => {
+      const {input, menu} = renderBoundCombobox()
+
+      expect(input).toHaveAttribute('id', 'bound-input')
+      expect(input).toHaveAttribute('role', 'combobox')
+      expect(input).toHaveAttribute('autocomplete', 'off')
+      expect(input).toHaveAttribute('aria-autocomplete', 'list')
+      expect(input).toHaveAttribute('aria-controls', 'bound-menu')
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+      expect(input).toHaveAttribute('aria-activedescendant', '')
+      expect(input).toHaveAttribute('aria-labelledby', 'element-label')
+      expect(menu).toHaveAttribute('id', 'bound-menu')
+      expect(menu).toHaveAttribute('role', 'listbox')
+      expect(menu).toHaveAttribute('aria-labelledby', 'element-label')
+    })
+
+    test('keep the ids of the elements', () => {
+      const input = document.createElement('input')
+      const menu = document.createElement('ul')
+
+      input.id = 'my-input'
+      menu.id = 'my-menu'
+      document.body.append(input, menu)
+      combobox = bindCombobox(input, menu, {items})
+
+      expect(input).toHaveAttribute('id', 'my-input')
+      expect(input).toHaveAttribute('aria-controls', 'my-menu')
+      expect(menu).toHaveAttribute('id', 'my-menu')
+    })
+
+    test('are the ones of getItemProps on the items', async () => {
+      const {user} = renderBoundCombobox({
+        isItemDisabled: (_item, index) => index === 1,
+      })
+
+      await user.click(screen.getByRole('combobox'))
+      await user.keyboard('{ArrowDown}')
+
+      const options = getOptions()
+
+      expect(options).toHaveLength(items.length)
+      expect(options[0]).toHaveAttribute('id', 'bound-item-0')
+      expect(options[0]).toHaveAttribute('aria-selected', 'true')
+      expect(options[0]).toHaveAttribute('aria-disabled', 'false')
+      expect(options[0]).toHaveTextContent(items[0])
+      expect(options[1]).toHaveAttribute('aria-selected', 'false')
+      expect(options[1]).toHaveAttribute('aria-disabled', 'true')
+      expect(screen.getByRole('combobox')).toHaveAttribute(
+        'aria-activedescendant',
+        'bound-item-0',
+      )
+    })
+
+    test('are set for the validation', () => {
+      const {input} = renderBoundCombobox({
+        required: true,
+        initialIsInvalid: true,
+      })
+
+      expect(input).toHaveAttribute('aria-required', 'true')
+      expect(input).toHaveAttribute('aria-invalid', 'true')
+      expect(input).toHaveAttribute('aria-errormessage', 'bound-error-message')
+    })
+  })
+
+  describe('input', () => {
+    test('opens the menu with the items on click', async () => {
+      const {input, user} = renderBoundCombobox()
+
+      await user.click(input)
+
+      expect(input).toHaveAttribute('aria-expanded', 'true')
+      expect(getOptions()).toHaveLength(items.length)
+    })
+
+    test('changes the input value when typing', async () => {
+      const onInputValueChange = jest.fn()
+      const {input, user} = renderBoundCombobox({onInputValueChange})
+
+      await user.type(input, 'Cu')
+
+      expect(input).toHaveValue('Cu')
+      expect(input).toHaveAttribute('aria-expanded', 'true')
+      expect(onInputValueChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.InputChange,
+          inputValue: 'Cu',
+        }),
+      )
+    })
+
+    test('selects the highlighted item on Enter', async () => {
+      const onSelectedItemChange = jest.fn()
+      const {input, user} = renderBoundCombobox({onSelectedItemChange})
+
+      await user.click(input)
+      await user.keyboard('{ArrowDown}{ArrowDown}{Enter}')
+
+      expect(input).toHaveValue(items[1])
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+      expect(getOptions()).toHaveLength(0)
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.InputKeyDownEnter,
+          selectedItem: items[1],
+        }),
+      )
+    })
+
+    test('highlights the last item on End and the first on Home', async () => {
+      const {input, user} = renderBoundCombobox()
+
+      await user.click(input)
+      await user.keyboard('{End}')
+
+      expect(input).toHaveAttribute(
+        'aria-activedescendant',
+        `bound-item-${items.length - 1}`,
+      )
+
+      await user.keyboard('{Home}')
+
+      expect(input).toHaveAttribute('aria-activedescendant', 'bound-item-0')
+    })
+
+    test('closes the menu, then clears the input on Escape', async () => {
+      const {input, user} = renderBoundCombobox()
+
+      await user.type(input, 'Cu')
+      await user.keyboard('{Escape}')
+
+      expect(input).toHaveValue('Cu')
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+
+      await user.keyboard('{Escape}')
+
+      expect(input).toHaveValue('')
+    })
+
+    test('uses the keyBindings', async () => {
+      const {input, user} = renderBoundCombobox({
+        keyBindings: {'Ctrl+N': stateChangeTypes.InputKeyDownArrowDown},
+      })
+
+      await user.click(input)
+      await user.keyboard('{Control>}n{/Control}')
+
+      expect(input).toHaveAttribute('aria-activedescendant', 'bound-item-0')
+    })
+
+    test('selects the highlighted item on blur', async () => {
+      const {input, user} = renderBoundCombobox()
+
+      await user.click(input)
+      await user.keyboard('{ArrowDown}')
+      fireEvent.blur(input, {relatedTarget: document.body})
+
+      expect(input).toHaveValue(items[0])
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    test('completes the input value inline with inlineAutocomplete', async () => {
+      const {input, user} = renderBoundCombobox({inlineAutocomplete: true})
+
+      await user.type(input, 'Ne')
+
+      expect(input).toHaveValue(items[0])
+      expect(input.selectionStart).toEqual(2)
+      expect(input.selectionEnd).toEqual(items[0].length)
+    })
+
+    test('commits the typed value on Enter with freeSolo', async () => {
+      const {input, user} = renderBoundCombobox({freeSolo: true})
+
+      await user.type(input, 'Adamantium{Enter}')
+
+      expect(combobox.getState().selectedItem).toEqual('Adamantium')
+    })
+  })
+
+  describe('items', () => {
+    test('are selected on click', async () => {
+      const {input, user} = renderBoundCombobox()
+
+      await user.click(input)
+      await user.click(getOptions()[3])
+
+      expect(input).toHaveValue(items[3])
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    test('are not selected on click if disabled', async () => {
+      const {input, user} = renderBoundCombobox({
+        isItemDisabled: (_item, index) => index === 3,
+      })
+
+      await user.click(input)
+      await user.click(getOptions()[3])
+
+      expect(input).toHaveValue('')
+      expect(input).toHaveAttribute('aria-expanded', 'true')
+    })
+
+    test('are highlighted on mouse move and not on mouse leave', async () => {
+      const {input, menu, user} = renderBoundCombobox()
+
+      await user.click(input)
+      fireEvent.mouseMove(getOptions()[2])
+
+      expect(input).toHaveAttribute('aria-activedescendant', 'bound-item-2')
+
+      fireEvent.mouseLeave(menu)
+
+      expect(input).toHaveAttribute('aria-activedescendant', '')
+    })
+
+    test('are rendered with renderItem', async () => {
+      const {input, user} = renderBoundCombobox({
+        renderItem({item, index}) {
+          const itemElement = document.createElement('li')
+
+          itemElement.textContent = `${index + 1}. ${item}`
+
+          return itemElement
+        },
+      })
+
+      await user.click(input)
+
+      expect(getOptions()[0]).toHaveTextContent(`1. ${items[0]}`)
+    })
+
+    test('are scrolled into view if highlighted by keyboard', async () => {
+      const scrollIntoView = jest.fn()
+      const {input, menu, user} = renderBoundCombobox({scrollIntoView})
+
+      await user.click(input)
+      await user.keyboard('{ArrowDown}')
+
+      expect(scrollIntoView).toHaveBeenCalledTimes(1)
+      expect(scrollIntoView).toHaveBeenCalledWith(getOptions()[0], menu)
+
+      fireEvent.mouseMove(getOptions()[2])
+
+      expect(scrollIntoView).toHaveBeenCalledTimes(1)
+    })
+
+    test('are replaced with setProps', async () => {
+      const {input, user} = renderBoundCombobox()
+
+      await user.click(input)
+      combobox.setProps({items: items.slice(0, 2)})
+
+      expect(getOptions()).toHaveLength(2)
+    })
+
+    test('are the new item to create if allowCreate', async () => {
+      const onCreateItem = jest.fn()
+      const {input, user} = renderBoundCombobox({
+        allowCreate: true,
+        onCreateItem,
+      })
+
+      await user.type(input, 'Adamantium')
+      await user.click(getOptions()[items.length])
+
+      expect(onCreateItem).toHaveBeenCalledWith({
+        newItem: 'Adamantium',
+        inputValue: 'Adamantium',
+      })
+      expect(combobox.getState().selectedItem).toEqual('Adamantium')
+    })
+
+    test('are not rendered again on highlight if allowCreate', async () => {
+      const {input, user} = renderBoundCombobox({allowCreate: true})
+
+      await user.type(input, 'Adamantium')
+
+      const [newItemElement] = getOptions()
+
+      await user.keyboard('{ArrowDown}')
+
+      expect(getOptions()[0]).toBe(newItemElement)
+    })
+  })
+
+  describe('loadItems', () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => jest.useRealTimers())
+
+    test('loads the items for the input value after the menu opens', async () => {
+      const loadItems = jest.fn(() => Promise.resolve(['Aluminium']))
+      const {input} = renderBoundCombobox({
+        items: undefined,
+        loadItems,
+        initialInputValue: 'al',
+      })
+
+      fireEvent.click(input)
+      jest.advanceTimersByTime(300)
+
+      expect(loadItems).toHaveBeenCalledWith('al', {
+        signal: expect.any(AbortSignal),
+      })
+      expect(combobox.getState().isLoading).toBe(true)
+
+      await waitFor(() => expect(getOptions()).toHaveLength(1))
+      expect(getOptions()[0]).toHaveTextContent('Aluminium')
+      expect(combobox.getState().isLoading).toBe(false)
+    })
+
+    test('does not load the items after unbind', () => {
+      const loadItems = jest.fn(() => Promise.resolve([]))
+      const {input} = renderBoundCombobox({items: undefined, loadItems})
+
+      fireEvent.click(input)
+      combobox.unbind()
+      jest.advanceTimersByTime(300)
+
+      expect(loadItems).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('outside interactions', () => {
+    test('close the menu on a click outside', async () => {
+      const {input, outside, user} = renderBoundCombobox()
+
+      await user.click(input)
+      await user.keyboard('{ArrowDown}')
+      await user.click(outside)
+
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+      expect(input).toHaveValue('')
+    })
+
+    test('close the menu on a touch outside', async () => {
+      const {input, outside, user} = renderBoundCombobox()
+
+      await user.click(input)
+      fireEvent.touchStart(outside)
+      fireEvent.touchEnd(outside)
+
+      expect(input).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    test('do not close the menu on a touch move', async () => {
+      const {input, outside, user} = renderBoundCombobox()
+
+      await user.click(input)
+      input.focus()
+      fireEvent.touchStart(outside)
+      fireEvent.touchMove(outside)
+      fireEvent.touchEnd(outside)
+
+      expect(input).toHaveAttribute('aria-expanded', 'true')
+    })
+  })
+
+  test('removes the event handlers with unbind', async () => {
+    const {input, user} = renderBoundCombobox()
+
+    combobox.unbind()
+    await user.click(input)
+
+    expect(input).toHaveAttribute('aria-expanded', 'false')
+  })
+})
@@ -0,0 +1,99 @@
+import * as React from 'react'
+import {render, screen} from '@testing-library/react'
+import {renderUseCombobox} from '../testUtils'
+import {items, defaultIds} from '../../testUtils'
+import useCombobox from '..'
+
+function ComboboxWithDescription({
+  hasDescription = true,
+  isDescriptionFirst = false,
+  inputProps,
+  ...props
+}) {
+  const {getInputProps, getDescriptionProps} = useCombobox({
+    items,
+    ...props,
+  })
+  const description = hasDescription ? (
+    <p {...getDescriptionProps()}>Pick your favourite element.</p>
+  ) : null
+
+  return (
+    <div>
+      {isDescriptionFirst ? description : null}
+      <input data-testid="input" {...getInputProps(inputProps)} />
+      {isDescriptionFirst ? null : description}
+    </div>
+  )
+}
+
+describe('getDescriptionProps', () => {
+  test('returns the description id', () => {
+    const {result} = renderUseCombobox()
+
+    expect(result.current.getDescriptionProps()).toEqual({
+      ref: expect.any(Function),
+      id: defaultIds.descriptionId,
+    })
+  })
+
+  test('uses the descriptionId prop', () => {
+    const {result} = renderUseCombobox({descriptionId: 'my-description'})
+
+    expect(result.current.getDescriptionProps().id).toEqual('my-description')
+  })
+
+  test('passes the props through', () => {
+    const {result} = renderUseCombobox()
+
+    expect(
+      result.current.getDescriptionProps({className: 'hint'}),
+    ).toMatchObject({className: 'hint'})
+  })
+
+  test('describes the input if rendered before it', () => {
+    render(<ComboboxWithDescription isDescriptionFirst />)
+
+    expect(screen.getByTestId('input')).toHaveAttribute(
+      'aria-describedby',
+      defaultIds.descriptionId,
+    )
+    expect(screen.getByTestId('input')).toHaveAccessibleDescription(
+      'Pick your favourite element.',
+    )
+  })
+
+  test('describes the input if rendered after it', () => {
+    render(<ComboboxWithDescription />)
+
+    expect(screen.getByTestId('input')).toHaveAttribute(
+      'aria-describedby',
+      defaultIds.descriptionId,
+    )
+  })
+
+  test('stops describing the input once it is removed', () => {
+    const {rerender} = render(<ComboboxWithDescription />)
+
+    rerender(<ComboboxWithDescription hasDescription={false} />)
+
+    expect(screen.getByTestId('input')).not.toHaveAttribute('aria-describedby')
+  })
+
+  test('is merged with the aria-describedby passed to the input', () => {
+    render(
+      <ComboboxWithDescription inputProps={{'aria-describedby': 'my-hint'}} />,
+    )
+
+    expect(screen.getByTestId('input')).toHaveAttribute(
+      'aria-describedby',
+      `${defaultIds.descriptionId} my-hint`,
+    )
+  })
+
+  test('does not describe the input without a description', () => {
+    render(<ComboboxWithDescription hasDescription={false} />)
+
+    expect(screen.getByTestId('input')).not.toHaveAttribute('aria-describedby')
+  })
+})
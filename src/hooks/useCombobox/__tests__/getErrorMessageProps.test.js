@@ -0,0 +1,83 @@
+import {
+  renderCombobox,
+  renderUseCombobox,
+  getInput,
+  clickOnItemAtIndex,
+  keyDownOnInput,
+  changeInputValue,
+  tab,
+  clickOnInput,
+} from '../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import {defaultIds} from '../../testUtils'
+
+describe('getErrorMessageProps', () => {
+  test('returns the error message id and a polite live region', () => {
+    const {result} = renderUseCombobox()
+
+    expect(result.current.getErrorMessageProps()).toEqual({
+      id: defaultIds.errorMessageId,
+      'aria-live': 'polite',
+    })
+  })
+})
+
+describe('required', () => {
+  test('sets aria-required on the input', () => {
+    renderCombobox({required: true})
+
+    expect(getInput()).toHaveAttribute('aria-required', 'true')
+    expect(getInput()).not.toHaveAttribute('aria-invalid')
+  })
+
+  test('is invalid without a selected item once the input is blurred', async () => {
+    const onValidationMessageChange = jest.fn()
+    renderCombobox({required: true, onValidationMessageChange})
+
+    await changeInputValue('cu')
+    await tab()
+
+    expect(getInput()).toHaveAttribute('aria-invalid', 'true')
+    expect(getInput()).toHaveAttribute(
+      'aria-errormessage',
+      defaultIds.errorMessageId,
+    )
+    expect(onValidationMessageChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        validationMessage: 'Please select an item.',
+        type: stateChangeTypes.InputBlur,
+      }),
+    )
+  })
+})
+
+describe('validate', () => {
+  test('validates the input value committed with freeSolo', async () => {
+    const validate = jest.fn(() => 'Unknown.')
+    const onValidationMessageChange = jest.fn()
+    renderCombobox({freeSolo: true, validate, onValidationMessageChange})
+
+    await changeInputValue('Adamantium')
+    await keyDownOnInput('{Enter}')
+
+    expect(validate).toHaveBeenCalledWith('Adamantium')
+    expect(getInput()).toHaveAttribute('aria-invalid', 'true')
+    expect(onValidationMessageChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        validationMessage: 'Unknown.',
+        type: stateChangeTypes.InputCommit,
+      }),
+    )
+  })
+
+  test('is valid once a valid item is selected', async () => {
+    renderCombobox({validate: item => item !== null, initialIsInvalid: true})
+
+    expect(getInput()).toHaveAttribute('aria-invalid', 'true')
+
+    await clickOnInput()
+    await clickOnItemAtIndex(1)
+
+    expect(getInput()).not.toHaveAttribute('aria-invalid')
+  })
+})
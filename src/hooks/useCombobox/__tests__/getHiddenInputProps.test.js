@@ -0,0 +1,74 @@
+import * as React from 'react'
+import {act, fireEvent, render, screen} from '@testing-library/react'
+import {renderUseCombobox} from '../testUtils'
+import {items} from '../../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import useCombobox from '..'
+
+function ComboboxInForm(props) {
+  const {getInputProps, getHiddenInputProps, selectItem} = useCombobox({
+    items,
+    ...props,
+  })
+
+  return (
+    <form data-testid="form">
+      <input {...getInputProps()} />
+      <input {...getHiddenInputProps({name: 'element'})} />
+      <button type="button" onClick={() => selectItem(items[2])}>
+        Select
+      </button>
+    </form>
+  )
+}
+
+describe('getHiddenInputProps', () => {
+  test('assigns the hidden type, the name and the value', () => {
+    const {result} = renderUseCombobox({initialSelectedItem: items[1]})
+    const hiddenInputProps = result.current.getHiddenInputProps({
+      name: 'element',
+    })
+
+    expect(hiddenInputProps.type).toEqual('hidden')
+    expect(hiddenInputProps.name).toEqual('element')
+    expect(hiddenInputProps.value).toEqual(items[1])
+  })
+
+  test('serializes the selected item with itemToValue', () => {
+    const {result} = renderUseCombobox({
+      initialSelectedItem: items[1],
+      itemToValue: item => item.toLowerCase(),
+    })
+
+    expect(result.current.getHiddenInputProps().value).toEqual(
+      items[1].toLowerCase(),
+    )
+  })
+
+  test('resets the state to the default values when the form is reset', () => {
+    const onSelectedItemChange = jest.fn()
+    render(
+      <ComboboxInForm
+        defaultSelectedItem={items[1]}
+        defaultInputValue={items[1]}
+        onSelectedItemChange={onSelectedItemChange}
+      />,
+    )
+
+    fireEvent.click(screen.getByRole('button'))
+    act(() => {
+      screen.getByTestId('form').reset()
+    })
+
+    expect(onSelectedItemChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        selectedItem: items[1],
+        type: stateChangeTypes.FunctionReset,
+      }),
+    )
+    expect(screen.getByRole('combobox')).toHaveValue(items[1])
+    expect(new FormData(screen.getByTestId('form')).get('element')).toEqual(
+      items[1],
+    )
+  })
+})
@@ -0,0 +1,85 @@
+import {items} from '../../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import createComboboxMachine from '../machine'
+
+describe('createComboboxMachine', () => {
+  test('has the state change types of useCombobox', () => {
+    expect(createComboboxMachine.stateChangeTypes).toEqual(stateChangeTypes)
+  })
+
+  test('computes the input value from the initial selected item', () => {
+    const machine = createComboboxMachine({
+      items,
+      initialSelectedItem: items[2],
+    })
+
+    expect(machine.getState()).toEqual({
+      highlightedIndex: -1,
+      isOpen: false,
+      selectedItem: items[2],
+      inputValue: items[2],
+    })
+  })
+
+  test('selects the highlighted item with the keyboard', () => {
+    const onSelectedItemChange = jest.fn()
+    const machine = createComboboxMachine({items, onSelectedItemChange})
+
+    machine.send({type: stateChangeTypes.InputChange, inputValue: 'Ne'})
+    machine.send({type: stateChangeTypes.InputKeyDownArrowDown})
+    machine.send({type: stateChangeTypes.InputKeyDownEnter})
+
+    expect(machine.getState()).toEqual({
+      highlightedIndex: -1,
+      isOpen: false,
+      selectedItem: items[0],
+      inputValue: items[0],
+    })
+    expect(onSelectedItemChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: stateChangeTypes.InputKeyDownEnter,
+        selectedItem: items[0],
+      }),
+    )
+  })
+
+  test('commits the typed value with freeSolo', () => {
+    const machine = createComboboxMachine({
+      items,
+      freeSolo: true,
+      parseInputValue: inputValue => inputValue.toUpperCase(),
+    })
+
+    machine.send({type: stateChangeTypes.InputChange, inputValue: 'Adamantium'})
+    machine.send({type: stateChangeTypes.InputCommit})
+
+    expect(machine.getState().selectedItem).toEqual('ADAMANTIUM')
+  })
+
+  test('updates the input value when the controlled selected item changes', () => {
+    const listener = jest.fn()
+    const machine = createComboboxMachine({items, selectedItem: items[0]})
+
+    machine.subscribe(listener)
+    machine.setProps({items, selectedItem: items[1]})
+
+    expect(machine.getState().inputValue).toEqual(items[1])
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({selectedItem: items[1], inputValue: items[1]}),
+      expect.objectContaining({
+        type: stateChangeTypes.ControlledPropUpdatedSelectedItem,
+      }),
+    )
+  })
+
+  test('does not update the input value if the selected item is the same', () => {
+    const listener = jest.fn()
+    const machine = createComboboxMachine({items, selectedItem: items[0]})
+
+    machine.subscribe(listener)
+    machine.setProps({items, selectedItem: items[0], isOpen: true})
+
+    expect(listener).not.toHaveBeenCalled()
+    expect(machine.getState().isOpen).toBe(true)
+  })
+})
@@ -1,9 +1,10 @@
 import React from 'react'
-import {renderHook, act} from '@testing-library/react'
+import {renderHook, act, fireEvent} from '@testing-library/react'
 import {
   renderCombobox,
   renderUseCombobox,
   items,
+  groups,
   defaultIds,
   waitForDebouncedA11yStatusUpdate,
   getToggleButton,
@@ -74,127 +75,987 @@ describe('props', () => {
     })
   })
 
+  describe('itemCount', () => {
+    const itemCount = 100000
+    const getItem = index => `Item ${index}`
+
+    function keyDown(result, key) {
+      act(() => {
+        result.current
+          .getInputProps()
+          .onKeyDown({key, preventDefault: jest.fn()})
+      })
+    }
+
+    test('reads the items through getItem', () => {
+      const {result} = renderUseCombobox({
+        items: undefined,
+        itemCount,
+        getItem,
+        initialIsOpen: true,
+      })
+
+      keyDown(result, 'End')
+
+      expect(result.current.highlightedIndex).toBe(itemCount - 1)
+
+      keyDown(result, 'Enter')
+
+      expect(result.current.selectedItem).toBe(`Item ${itemCount - 1}`)
+      expect(result.current.inputValue).toBe(`Item ${itemCount - 1}`)
+    })
+
+    test('highlights the selected item when the menu opens', () => {
+      const getItemSpy = jest.fn(getItem)
+      const {result} = renderUseCombobox({
+        items: undefined,
+        itemCount,
+        getItem: getItemSpy,
+        getItemIndex: item => Number(item.replace('Item ', '')),
+        initialSelectedItem: 'Item 42',
+      })
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(result.current.highlightedIndex).toBe(42)
+      expect(getItemSpy.mock.calls.length).toBeLessThan(10)
+    })
+
+    test('does not search the selected item without getItemIndex', () => {
+      const getItemSpy = jest.fn(getItem)
+      const {result} = renderUseCombobox({
+        items: undefined,
+        itemCount,
+        getItem: getItemSpy,
+        initialSelectedItem: 'Item 42',
+      })
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(result.current.highlightedIndex).toBe(-1)
+      expect(getItemSpy.mock.calls.length).toBeLessThan(10)
+    })
+
+    test('does not require the items prop', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      renderUseCombobox({items: undefined, itemCount, getItem})
+
+      expect(console.error).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('scrollToIndex', () => {
+    test('is called instead of scrollIntoView on keyboard highlight', () => {
+      const scrollIntoView = jest.fn()
+      const scrollToIndex = jest.fn()
+      const {result} = renderUseCombobox({
+        items: undefined,
+        itemCount: 100000,
+        getItem: index => `Item ${index}`,
+        initialIsOpen: true,
+        scrollIntoView,
+        scrollToIndex,
+      })
+
+      act(() => {
+        result.current
+          .getInputProps()
+          .onKeyDown({key: 'End', preventDefault: jest.fn()})
+      })
+
+      expect(scrollToIndex).toHaveBeenCalledTimes(1)
+      expect(scrollToIndex).toHaveBeenCalledWith(99999)
+      expect(scrollIntoView).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('loadItems', () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => {
+      act(jest.runAllTimers)
+    })
+    afterAll(jest.useRealTimers)
+
+    function createLoadItems() {
+      const requests = []
+      const loadItems = jest.fn(
+        (inputValue, {signal}) =>
+          new Promise((resolve, reject) => {
+            requests.push({inputValue, signal, resolve, reject})
+          }),
+      )
+
+      return {loadItems, requests}
+    }
+
+    test('loads the items for the input value after the menu opens', async () => {
+      const {loadItems, requests} = createLoadItems()
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems,
+        initialInputValue: 'al',
+      })
+
+      expect(result.current.items).toEqual([])
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(loadItems).not.toHaveBeenCalled()
+
+      act(() => {
+        result.current.openMenu()
+      })
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(loadItems).toHaveBeenCalledTimes(1)
+      expect(loadItems).toHaveBeenCalledWith('al', {
+        signal: expect.any(AbortSignal),
+      })
+      expect(result.current.isLoading).toBe(true)
+
+      await act(async () => {
+        requests[0].resolve(['Aluminium'])
+      })
+
+      expect(result.current.items).toEqual(['Aluminium'])
+      expect(result.current.isLoading).toBe(false)
+      expect(result.current.error).toBeNull()
+    })
+
+    test('shows the loaded items if the items prop is also passed', async () => {
+      const {loadItems, requests} = createLoadItems()
+      const {result} = renderUseCombobox({
+        items: ['Adamantium'],
+        loadItems,
+        initialIsOpen: true,
+      })
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      await act(async () => {
+        requests[0].resolve(['Aluminium'])
+      })
+
+      expect(result.current.items).toEqual(['Aluminium'])
+    })
+
+    test('does not load the items after the menu closes', () => {
+      const {loadItems} = createLoadItems()
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems,
+        initialIsOpen: true,
+      })
+
+      act(() => {
+        result.current.closeMenu()
+      })
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(loadItems).not.toHaveBeenCalled()
+      expect(result.current.isLoading).toBe(false)
+    })
+
+    test('debounces the loading by loadItemsDelay', () => {
+      const {loadItems} = createLoadItems()
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems,
+        loadItemsDelay: 500,
+        initialIsOpen: true,
+      })
+
+      act(() => {
+        result.current.setInputValue('a')
+      })
+      act(() => {
+        jest.advanceTimersByTime(400)
+      })
+      act(() => {
+        result.current.setInputValue('ab')
+      })
+      act(() => {
+        jest.advanceTimersByTime(400)
+      })
+
+      expect(loadItems).not.toHaveBeenCalled()
+
+      act(() => {
+        jest.advanceTimersByTime(100)
+      })
+
+      expect(loadItems).toHaveBeenCalledTimes(1)
+      expect(loadItems).toHaveBeenCalledWith('ab', expect.any(Object))
+    })
+
+    test('cancels the request superseded by a new input value', async () => {
+      const {loadItems, requests} = createLoadItems()
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems,
+        initialIsOpen: true,
+        initialInputValue: 'a',
+      })
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      act(() => {
+        result.current.setInputValue('ab')
+      })
+
+      expect(requests[0].signal.aborted).toBe(true)
+
+      await act(async () => {
+        requests[0].resolve(['Actinium'])
+      })
+
+      expect(result.current.items).toEqual([])
+      expect(result.current.isLoading).toBe(true)
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      await act(async () => {
+        requests[1].resolve(['Abelium'])
+      })
+
+      expect(result.current.items).toEqual(['Abelium'])
+      expect(result.current.isLoading).toBe(false)
+    })
+
+    test('keeps the error if the loading fails', async () => {
+      const {loadItems, requests} = createLoadItems()
+      const error = new Error('Network error')
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems,
+        initialIsOpen: true,
+      })
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      await act(async () => {
+        requests[0].reject(error)
+      })
+
+      expect(result.current.error).toBe(error)
+      expect(result.current.isLoading).toBe(false)
+
+      act(() => {
+        result.current.setInputValue('b')
+      })
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(result.current.error).toBeNull()
+      expect(result.current.isLoading).toBe(true)
+    })
+
+    test('keeps the error if loadItems throws', async () => {
+      const error = new Error('Invalid input value')
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems: () => {
+          throw error
+        },
+        initialIsOpen: true,
+      })
+
+      await act(async () => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(result.current.error).toBe(error)
+      expect(result.current.isLoading).toBe(false)
+    })
+
+    test('loads the items returned without a promise', async () => {
+      const {result} = renderUseCombobox({
+        items: undefined,
+        loadItems: () => ['Aluminium'],
+        initialIsOpen: true,
+      })
+
+      await act(async () => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(result.current.items).toEqual(['Aluminium'])
+      expect(result.current.isLoading).toBe(false)
+    })
+
+    test('cancels the pending request on unmount', () => {
+      const {loadItems, requests} = createLoadItems()
+      const {unmount} = renderUseCombobox({
+        items: undefined,
+        loadItems,
+        initialIsOpen: true,
+      })
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      unmount()
+
+      expect(requests[0].signal.aborted).toBe(true)
+    })
+
+    test('changes the state with the load stateChangeTypes', async () => {
+      const {loadItems, requests} = createLoadItems()
+      const onStateChange = jest.fn()
+      renderUseCombobox({
+        items: undefined,
+        loadItems,
+        initialIsOpen: true,
+        onStateChange,
+      })
+
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(onStateChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.ItemsLoadStart,
+          isLoading: true,
+        }),
+      )
+
+      await act(async () => {
+        requests[0].resolve(items)
+      })
+
+      expect(onStateChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.ItemsLoadSuccess,
+          isLoading: false,
+          loadedItems: items,
+        }),
+      )
+
+      await act(async () => {
+        requests[0].reject(new Error())
+      })
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+
+      expect(onStateChange).toHaveBeenCalledTimes(2)
+    })
+
+    test('announces the loading and the loaded results', async () => {
+      const {loadItems, requests} = createLoadItems()
+      renderCombobox({items: undefined, loadItems})
+
+      await clickOnToggleButton()
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent('Loading results.')
+
+      await act(async () => {
+        requests[0].resolve([])
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        'No results are available.',
+      )
+    })
+  })
+
   describe('itemToString', () => {
     test('should provide string version to a11y status message', async () => {
       jest.useFakeTimers()
       renderCombobox({
-        itemToString: () => 'custom-item',
+        itemToString: () => 'custom-item',
+        initialIsOpen: true,
+      })
+
+      await clickOnItemAtIndex(0)
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        'custom-item has been selected.',
+      )
+    })
+  })
+
+  describe('selectedItemChanged', () => {
+    test('props update of selectedItem will update inputValue state with default selectedItemChanged referential equality check', () => {
+      const selectedItem = {id: 1, value: 'wow'}
+      const newSelectedItem = {id: 1, value: 'not wow'}
+      function itemToString(item) {
+        return item.value
+      }
+      const stateReducer = jest
+        .fn()
+        .mockImplementation((_state, {changes}) => changes)
+
+      const {rerender} = renderCombobox({
+        stateReducer,
+        itemToString,
+        selectedItem,
+      })
+
+      expect(stateReducer).toHaveBeenCalledTimes(1)
+      expect(stateReducer).toHaveBeenCalledWith(
+        {
+          inputValue: itemToString(selectedItem),
+          selectedItem,
+          highlightedIndex: -1,
+          isOpen: false,
+        },
+        expect.objectContaining({
+          type: useCombobox.stateChangeTypes.ControlledPropUpdatedSelectedItem,
+          changes: {
+            inputValue: itemToString(selectedItem),
+            selectedItem,
+            highlightedIndex: -1,
+            isOpen: false,
+          },
+        }),
+      )
+
+      stateReducer.mockClear()
+      rerender({
+        stateReducer,
+        selectedItem: newSelectedItem,
+        itemToString,
+      })
+
+      expect(stateReducer).toHaveBeenCalledTimes(1)
+      expect(stateReducer).toHaveBeenCalledWith(
+        {
+          inputValue: itemToString(selectedItem),
+          selectedItem: newSelectedItem,
+          highlightedIndex: -1,
+          isOpen: false,
+        },
+        expect.objectContaining({
+          changes: {
+            inputValue: itemToString(newSelectedItem),
+            selectedItem: newSelectedItem,
+            highlightedIndex: -1,
+            isOpen: false,
+          },
+          type: useCombobox.stateChangeTypes.ControlledPropUpdatedSelectedItem,
+        }),
+      )
+      expect(getInput()).toHaveValue(itemToString(newSelectedItem))
+    })
+
+    test('props update of selectedItem will not update inputValue state', () => {
+      const selectedItem = {id: 1, value: 'wow'}
+      const newSelectedItem = {id: 1, value: 'not wow'}
+      function itemToString(item) {
+        return item.value
+      }
+      const selectedItemChanged = jest
+        .fn()
+        .mockReturnValue((prev, next) => prev.id !== next.id)
+      const stateReducer = jest
+        .fn()
+        .mockImplementation((_state, {changes}) => changes)
+
+      const {rerender} = renderCombobox({
+        selectedItemChanged,
+        stateReducer,
+        selectedItem,
+        itemToString,
+      })
+
+      expect(getInput()).toHaveValue(itemToString(selectedItem))
+      expect(selectedItemChanged).toHaveBeenCalledTimes(1)
+      expect(selectedItemChanged).toHaveBeenCalledWith(undefined, selectedItem)
+
+      stateReducer.mockReset()
+      selectedItemChanged.mockReset()
+      rerender({
+        stateReducer,
+        itemToString,
+        selectedItem: newSelectedItem,
+        selectedItemChanged,
+      })
+
+      expect(selectedItemChanged).toHaveBeenCalledTimes(1)
+      expect(selectedItemChanged).toHaveBeenCalledWith(
+        selectedItem,
+        newSelectedItem,
+      )
+      expect(stateReducer).not.toHaveBeenCalled()
+      expect(getInput()).toHaveValue(itemToString(selectedItem))
+    })
+  })
+
+  describe('inlineAutocomplete', () => {
+    const vetoInlineCompletion = (state, {type, changes}) =>
+      type === stateChangeTypes.InputInlineComplete ? state : changes
+
+    test('sets aria-autocomplete to both', () => {
+      renderCombobox({inlineAutocomplete: true})
+
+      expect(getInput()).toHaveAttribute('aria-autocomplete', 'both')
+    })
+
+    test('completes the input value with the first matching item', async () => {
+      renderCombobox({inlineAutocomplete: true})
+
+      await changeInputValue('cu')
+
+      expect(getInput()).toHaveValue('curium')
+      expect(getInput()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(3),
+      )
+    })
+
+    // user-event moves the cursor to the end of the input value after the
+    // input event, which browsers do not, so the events are fired directly.
+    test('selects the completed part of the input value', () => {
+      renderCombobox({inlineAutocomplete: true})
+
+      fireEvent.change(getInput(), {target: {value: 'c'}})
+      fireEvent.change(getInput(), {target: {value: 'cal'}})
+
+      expect(getInput()).toHaveValue('californium')
+      expect(getInput().selectionStart).toBe(3)
+      expect(getInput().selectionEnd).toBe(11)
+    })
+
+    test('does not complete the input value again on Backspace', () => {
+      renderCombobox({inlineAutocomplete: true})
+
+      fireEvent.change(getInput(), {target: {value: 'cu'}})
+      fireEvent.input(getInput(), {target: {value: 'cu'}})
+
+      expect(getInput()).toHaveValue('cu')
+
+      fireEvent.input(getInput(), {target: {value: 'c'}})
+
+      expect(getInput()).toHaveValue('c')
+    })
+
+    test('does not complete the input value without a matching item', async () => {
+      renderCombobox({inlineAutocomplete: true})
+
+      await changeInputValue('xyz')
+
+      expect(getInput()).toHaveValue('xyz')
+    })
+
+    test('selects the completion item on Enter', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({inlineAutocomplete: true, onSelectedItemChange})
+
+      await changeInputValue('cu')
+      await keyDownOnInput('{Enter}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({selectedItem: 'Curium'}),
+      )
+      expect(getInput()).toHaveValue('Curium')
+    })
+
+    test('can have the completion vetoed by the stateReducer', async () => {
+      const stateReducer = jest.fn(vetoInlineCompletion)
+      renderCombobox({inlineAutocomplete: true, stateReducer})
+
+      await changeInputValue('cu')
+
+      expect(getInput()).toHaveValue('cu')
+      expect(getInput()).toHaveAttribute('aria-activedescendant', '')
+      expect(stateReducer).toHaveBeenCalledWith(
+        expect.objectContaining({inputValue: 'cu'}),
+        expect.objectContaining({
+          type: stateChangeTypes.InputInlineComplete,
+          inputValue: 'cu',
+          changes: expect.objectContaining({
+            inputValue: 'cu',
+            inlineCompletion: 'curium',
+          }),
+        }),
+      )
+    })
+
+    test('completes the input value in a state change after InputChange', async () => {
+      const stateReducer = jest.fn((_state, {changes}) => changes)
+      renderCombobox({inlineAutocomplete: true, stateReducer})
+
+      await changeInputValue('c')
+
+      expect(stateReducer).toHaveBeenCalledTimes(2)
+      expect(stateReducer).toHaveBeenNthCalledWith(
+        1,
+        expect.anything(),
+        expect.objectContaining({
+          type: stateChangeTypes.InputChange,
+          changes: expect.objectContaining({inputValue: 'c'}),
+        }),
+      )
+      expect(stateReducer).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({inputValue: 'c'}),
+        expect.objectContaining({
+          type: stateChangeTypes.InputInlineComplete,
+          changes: expect.objectContaining({
+            inputValue: 'c',
+            inlineCompletion: 'curium',
+            highlightedIndex: 3,
+          }),
+        }),
+      )
+    })
+
+    test('passes the typed value to onInputValueChange', async () => {
+      const onInputValueChange = jest.fn()
+      renderCombobox({inlineAutocomplete: true, onInputValueChange})
+
+      await changeInputValue('cu')
+
+      expect(getInput()).toHaveValue('curium')
+      expect(onInputValueChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          inputValue: 'cu',
+          type: stateChangeTypes.InputChange,
+        }),
+      )
+    })
+  })
+
+  describe('freeSolo', () => {
+    test('commits the input value on Enter if no item is highlighted', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({freeSolo: true, onSelectedItemChange})
+
+      await changeInputValue('Adamantium')
+      await keyDownOnInput('{Enter}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledTimes(1)
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: 'Adamantium',
+          type: stateChangeTypes.InputCommit,
+        }),
+      )
+      expect(getItems()).toHaveLength(0)
+    })
+
+    test('commits the input value on blur', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({freeSolo: true, onSelectedItemChange})
+
+      await changeInputValue('Adamantium')
+      await tab()
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: 'Adamantium',
+          type: stateChangeTypes.InputCommit,
+        }),
+      )
+      expect(getInput()).toHaveValue('Adamantium')
+    })
+
+    test('commits the input value as the item it matches', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({freeSolo: true, onSelectedItemChange})
+
+      await changeInputValue('curium')
+      await keyDownOnInput('{Enter}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({selectedItem: 'Curium'}),
+      )
+      expect(getInput()).toHaveValue('Curium')
+    })
+
+    test('commits the item returned by parseInputValue', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        freeSolo: true,
+        parseInputValue: inputValue => inputValue.trim(),
+        onSelectedItemChange,
+      })
+
+      await changeInputValue('Adamantium ')
+      await tab()
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({selectedItem: 'Adamantium'}),
+      )
+      expect(getInput()).toHaveValue('Adamantium')
+    })
+
+    test('commits an empty input value as null', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        freeSolo: true,
+        initialSelectedItem: items[1],
+        onSelectedItemChange,
+      })
+
+      await changeInputValue('{backspace}'.repeat(items[1].length))
+      await tab()
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: null,
+          type: stateChangeTypes.InputCommit,
+        }),
+      )
+    })
+
+    test('selects the highlighted item on Enter', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({freeSolo: true, onSelectedItemChange})
+
+      await changeInputValue('cu')
+      await keyDownOnInput('{ArrowDown}')
+      await keyDownOnInput('{Enter}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledTimes(1)
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: items[0],
+          type: stateChangeTypes.InputKeyDownEnter,
+        }),
+      )
+    })
+  })
+
+  describe('selectOnBlur', () => {
+    test('does not select any item if never', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
         initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        selectOnBlur: 'never',
       })
 
-      await clickOnItemAtIndex(0)
-      waitForDebouncedA11yStatusUpdate()
+      await tab()
 
-      expect(getA11yStatusContainer()).toHaveTextContent(
-        'custom-item has been selected.',
+      expect(getItems()).toHaveLength(0)
+      expect(onSelectedItemChange).not.toHaveBeenCalled()
+      expect(getInput()).toHaveValue('')
+    })
+
+    test('selects the item matching the input value if exactMatch', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({onSelectedItemChange, selectOnBlur: 'exactMatch'})
+
+      await changeInputValue('curium')
+      await tab()
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: 'Curium',
+          type: stateChangeTypes.InputBlur,
+        }),
       )
+      expect(getInput()).toHaveValue('Curium')
+    })
+
+    test('does not select the highlighted item without an exact match if exactMatch', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        defaultHighlightedIndex: 0,
+        onSelectedItemChange,
+        selectOnBlur: 'exactMatch',
+      })
+
+      await changeInputValue('cur')
+      await tab()
+
+      expect(onSelectedItemChange).not.toHaveBeenCalled()
+      expect(getInput()).toHaveValue('cur')
     })
   })
 
-  describe('selectedItemChanged', () => {
-    test('props update of selectedItem will update inputValue state with default selectedItemChanged referential equality check', () => {
-      const selectedItem = {id: 1, value: 'wow'}
-      const newSelectedItem = {id: 1, value: 'not wow'}
-      function itemToString(item) {
-        return item.value
-      }
-      const stateReducer = jest
-        .fn()
-        .mockImplementation((_state, {changes}) => changes)
+  describe('selectOnTab', () => {
+    test('selects the highlighted item on Tab if true', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        selectOnBlur: 'never',
+        selectOnTab: true,
+      })
 
-      const {rerender} = renderCombobox({
-        stateReducer,
-        itemToString,
-        selectedItem,
+      await tab()
+
+      expect(onSelectedItemChange).toHaveBeenCalledTimes(1)
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: items[2],
+          type: stateChangeTypes.InputKeyDownTab,
+        }),
+      )
+      expect(getInput()).toHaveValue(items[2])
+    })
+
+    test('closes the menu without selecting on Tab if false', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        selectOnTab: false,
       })
 
-      expect(stateReducer).toHaveBeenCalledTimes(1)
-      expect(stateReducer).toHaveBeenCalledWith(
-        {
-          inputValue: itemToString(selectedItem),
-          selectedItem,
-          highlightedIndex: -1,
-          isOpen: false,
+      await tab()
+
+      expect(getItems()).toHaveLength(0)
+      expect(onSelectedItemChange).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('keyBindings', () => {
+    test('runs the actions bound to the key combos', async () => {
+      renderCombobox({
+        keyBindings: {
+          'Ctrl+N': stateChangeTypes.InputKeyDownArrowDown,
+          'Ctrl+P': stateChangeTypes.InputKeyDownArrowUp,
         },
+      })
+
+      await keyDownOnInput('{Control>}n{/Control}')
+
+      expect(getItems()).toHaveLength(items.length)
+      expect(getInput()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(0),
+      )
+
+      await keyDownOnInput('{Control>}p{/Control}')
+
+      expect(getInput()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(items.length - 1),
+      )
+      expect(getInput()).toHaveValue('')
+    })
+
+    test('can bind Tab to select the highlighted item', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        keyBindings: {Tab: stateChangeTypes.InputKeyDownEnter},
+      })
+
+      await keyDownOnInput('{Tab}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
         expect.objectContaining({
-          type: useCombobox.stateChangeTypes.ControlledPropUpdatedSelectedItem,
-          changes: {
-            inputValue: itemToString(selectedItem),
-            selectedItem,
-            highlightedIndex: -1,
-            isOpen: false,
-          },
+          selectedItem: items[2],
+          type: stateChangeTypes.InputKeyDownEnter,
         }),
       )
+      expect(getInput()).toHaveValue(items[2])
+    })
 
-      stateReducer.mockClear()
-      rerender({
-        stateReducer,
-        selectedItem: newSelectedItem,
-        itemToString,
+    test('can bind a key combo to the Tab action', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderCombobox({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        selectOnTab: true,
+        onSelectedItemChange,
+        keyBindings: {'Ctrl+Enter': stateChangeTypes.InputKeyDownTab},
       })
 
-      expect(stateReducer).toHaveBeenCalledTimes(1)
-      expect(stateReducer).toHaveBeenCalledWith(
-        {
-          inputValue: itemToString(selectedItem),
-          selectedItem: newSelectedItem,
-          highlightedIndex: -1,
-          isOpen: false,
-        },
+      await keyDownOnInput('{Control>}{Enter}{/Control}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
         expect.objectContaining({
-          changes: {
-            inputValue: itemToString(newSelectedItem),
-            selectedItem: newSelectedItem,
-            highlightedIndex: -1,
-            isOpen: false,
-          },
-          type: useCombobox.stateChangeTypes.ControlledPropUpdatedSelectedItem,
+          selectedItem: items[2],
+          type: stateChangeTypes.InputKeyDownTab,
         }),
       )
-      expect(getInput()).toHaveValue(itemToString(newSelectedItem))
     })
 
-    test('props update of selectedItem will not update inputValue state', () => {
-      const selectedItem = {id: 1, value: 'wow'}
-      const newSelectedItem = {id: 1, value: 'not wow'}
-      function itemToString(item) {
-        return item.value
-      }
-      const selectedItemChanged = jest
-        .fn()
-        .mockReturnValue((prev, next) => prev.id !== next.id)
-      const stateReducer = jest
-        .fn()
-        .mockImplementation((_state, {changes}) => changes)
+    test('are validated in development', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      renderUseCombobox({
+        keyBindings: {'Hyper+N': stateChangeTypes.InputKeyDownArrowDown},
+      })
 
-      const {rerender} = renderCombobox({
-        selectedItemChanged,
-        stateReducer,
-        selectedItem,
-        itemToString,
+      expect(console.error.mock.calls[0][0]).toMatchInlineSnapshot(
+        `Warning: Failed prop type: Invalid key combo \`Hyper+N\` supplied to \`useCombobox\` in \`keyBindings\`.`,
+      )
+    })
+  })
+
+  describe('announce', () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => {
+      act(jest.runAllTimers)
+    })
+    afterAll(jest.useRealTimers)
+
+    test('receives the a11y messages instead of the status element', async () => {
+      const announce = jest.fn()
+      renderCombobox({
+        announce,
+        getA11yStatusMessage: () => 'custom message',
       })
 
-      expect(getInput()).toHaveValue(itemToString(selectedItem))
-      expect(selectedItemChanged).toHaveBeenCalledTimes(1)
-      expect(selectedItemChanged).toHaveBeenCalledWith(undefined, selectedItem)
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
 
-      stateReducer.mockReset()
-      selectedItemChanged.mockReset()
-      rerender({
-        stateReducer,
-        itemToString,
-        selectedItem: newSelectedItem,
-        selectedItemChanged,
+      expect(announce).toHaveBeenCalledTimes(1)
+      expect(announce).toHaveBeenCalledWith('custom message', {
+        politeness: 'polite',
       })
+    })
 
-      expect(selectedItemChanged).toHaveBeenCalledTimes(1)
-      expect(selectedItemChanged).toHaveBeenCalledWith(
-        selectedItem,
-        newSelectedItem,
-      )
-      expect(stateReducer).not.toHaveBeenCalled()
-      expect(getInput()).toHaveValue(itemToString(selectedItem))
+    test('is not called for empty messages', async () => {
+      const announce = jest.fn()
+      renderCombobox({
+        announce,
+        getA11yStatusMessage: () => '',
+      })
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).not.toHaveBeenCalled()
+    })
+
+    test('is called without a document', async () => {
+      const announce = jest.fn()
+      renderCombobox({
+        announce,
+        getA11yStatusMessage: () => 'custom message',
+        environment: undefined,
+      })
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).toHaveBeenCalledWith('custom message', {
+        politeness: 'polite',
+      })
     })
   })
 
@@ -318,6 +1179,27 @@ describe('props', () => {
       )
     })
 
+    test('reports the group of the highlighted item when it changes', () => {
+      const {result} = renderUseCombobox({groups, items: undefined})
+
+      act(() => {
+        result.current.openMenu()
+      })
+      act(() => {
+        result.current.setHighlightedIndex(0)
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent('Recent group.')
+
+      act(() => {
+        result.current.setHighlightedIndex(2)
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent('All group.')
+    })
+
     test('is empty on menu close', async () => {
       renderCombobox({
         items: ['bla', 'blabla'],
@@ -19,6 +19,10 @@ describe('returnProps', () => {
       expect(result.current.getLabelProps).toBeInstanceOf(Function)
       expect(result.current.getToggleButtonProps).toBeInstanceOf(Function)
       expect(result.current.getInputProps).toBeInstanceOf(Function)
+      expect(result.current.getA11yStatusProps).toBeInstanceOf(Function)
+      expect(result.current.getHiddenInputProps).toBeInstanceOf(Function)
+      expect(result.current.getErrorMessageProps).toBeInstanceOf(Function)
+      expect(result.current.getDescriptionProps).toBeInstanceOf(Function)
     })
   })
 
@@ -163,9 +167,111 @@ describe('returnProps', () => {
       expect(result.current.isOpen).toBe(props.defaultIsOpen)
       expect(result.current.inputValue).toBe(props.defaultInputValue)
     })
+
+    test('undo restores the selected item and input value before the last selection change', () => {
+      const onSelectedItemChange = jest.fn()
+      const {result} = renderUseCombobox({history: true, onSelectedItemChange})
+
+      act(() => {
+        result.current.selectItem(items[2])
+      })
+      act(() => {
+        result.current.setInputValue('Cu')
+      })
+      act(() => {
+        result.current.selectItem(items[4])
+      })
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.selectedItem).toBe(items[2])
+      expect(result.current.inputValue).toBe('Cu')
+      expect(onSelectedItemChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.FunctionUndo,
+          selectedItem: items[2],
+        }),
+      )
+    })
+
+    test('redo restores the selection change that was undone', () => {
+      const onSelectedItemChange = jest.fn()
+      const {result} = renderUseCombobox({history: true, onSelectedItemChange})
+
+      act(() => {
+        result.current.selectItem(items[2])
+      })
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.selectedItem).toBe(null)
+      expect(result.current.inputValue).toBe('')
+
+      act(() => {
+        result.current.redo()
+      })
+
+      expect(result.current.selectedItem).toBe(items[2])
+      expect(result.current.inputValue).toBe(items[2])
+      expect(onSelectedItemChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.FunctionRedo,
+          selectedItem: items[2],
+        }),
+      )
+    })
+
+    test('undo and redo do nothing without the history prop', () => {
+      const onStateChange = jest.fn()
+      const {result} = renderUseCombobox({onStateChange})
+
+      act(() => {
+        result.current.selectItem(items[2])
+      })
+      onStateChange.mockClear()
+      act(() => {
+        result.current.undo()
+        result.current.redo()
+      })
+
+      expect(result.current.selectedItem).toBe(items[2])
+      expect(result.current.canUndo).toBe(false)
+      expect(result.current.canRedo).toBe(false)
+      expect(onStateChange).not.toHaveBeenCalled()
+    })
   })
 
   describe('state and props', () => {
+    test('canUndo and canRedo are returned', () => {
+      const {result} = renderUseCombobox({history: true})
+
+      expect(result.current.canUndo).toBe(false)
+      expect(result.current.canRedo).toBe(false)
+
+      act(() => {
+        result.current.selectItem(items[2])
+      })
+
+      expect(result.current.canUndo).toBe(true)
+      expect(result.current.canRedo).toBe(false)
+
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.canUndo).toBe(false)
+      expect(result.current.canRedo).toBe(true)
+
+      act(() => {
+        result.current.selectItem(items[4])
+      })
+
+      expect(result.current.canUndo).toBe(true)
+      expect(result.current.canRedo).toBe(false)
+    })
+
     test('highlightedIndex is returned', () => {
       const {result} = renderUseCombobox({highlightedIndex: 4})
 
@@ -1,4 +1,11 @@
 import reducer from '../reducer'
+import {getItemsFromCount} from '../../utils'
+import {
+  defaultProps,
+  getPropsWithItems,
+  createItemToCreateGetter,
+} from '../utils'
+import * as stateChangeTypes from '../stateChangeTypes'
 
 describe('utils', () => {
   test('reducer throws error if called without proper action type', () => {
@@ -6,4 +13,97 @@ describe('utils', () => {
       reducer({}, {type: 'super-bogus'})
     }).toThrowError('Reducer called without proper action type.')
   })
+
+  test('adds the item to create to the items of a virtualized list', () => {
+    const getItem = index => `Item ${index}`
+    const props = {
+      ...defaultProps,
+      items: getItemsFromCount(100, getItem),
+      allowCreate: true,
+    }
+    const {items, newItemIndex} = getPropsWithItems(
+      props,
+      {inputValue: 'Adamantium'},
+      'Adamantium',
+    )
+
+    expect(newItemIndex).toEqual(100)
+    expect(items).toHaveLength(101)
+    expect(items.getItem(100)).toEqual('Adamantium')
+  })
+
+  test('does not read the items of a virtualized list for the item to create', () => {
+    const getItem = jest.fn(index => `Item ${index}`)
+    const props = {
+      ...defaultProps,
+      items: getItemsFromCount(100, getItem),
+      allowCreate: true,
+      getNewItem: jest
+        .fn(inputValue => inputValue)
+        .mockReturnValueOnce('Adamantium')
+        .mockReturnValueOnce(null),
+    }
+    const getItemToCreate = createItemToCreateGetter()
+
+    expect(getItemToCreate(props, props.items, 'Adamantium')).toEqual(
+      'Adamantium',
+    )
+    expect(getItemToCreate(props, props.items, 'Item 42')).toBeNull()
+    expect(getItem).not.toHaveBeenCalled()
+  })
+
+  test('calls getNewItem once per input value for each getter', () => {
+    const getNewItem = jest.fn(inputValue => ({name: inputValue}))
+    const props = {...defaultProps, allowCreate: true, getNewItem}
+    const getItemToCreate = createItemToCreateGetter()
+    const newItem = getItemToCreate(props, [], 'Adamantium')
+
+    expect(getItemToCreate(props, [], 'Adamantium')).toBe(newItem)
+    expect(createItemToCreateGetter()(props, [], 'Adamantium')).not.toBe(
+      newItem,
+    )
+    expect(getNewItem).toHaveBeenCalledTimes(2)
+  })
+
+  test('keeps the items with the item to create while it is the same', () => {
+    const props = {...defaultProps, items: ['Neptunium'], allowCreate: true}
+    const {items} = getPropsWithItems(
+      props,
+      {inputValue: 'Adamantium'},
+      'Adamantium',
+    )
+
+    expect(
+      getPropsWithItems(
+        props,
+        {inputValue: 'Adamantium', isOpen: true},
+        'Adamantium',
+      ).items,
+    ).toBe(items)
+    expect(
+      getPropsWithItems(props, {inputValue: 'Adamantiu'}, 'Adamantiu').items,
+    ).not.toBe(items)
+  })
+
+  test('reducer reads the item to create from the action', () => {
+    const getNewItem = jest.fn(inputValue => inputValue)
+    const props = {...defaultProps, items: [], allowCreate: true, getNewItem}
+    const state = {isOpen: false, highlightedIndex: -1, inputValue: ''}
+
+    expect(
+      reducer(state, {
+        type: stateChangeTypes.InputChange,
+        inputValue: 'Adamantium',
+        newItem: 'Adamantium',
+        props,
+      }),
+    ).toEqual(
+      expect.objectContaining({
+        isOpen: true,
+        highlightedIndex: 0,
+        inputValue: 'Adamantium',
+      }),
+    )
+    expect(getNewItem).not.toHaveBeenCalled()
+  })
 })
@@ -0,0 +1,336 @@
+import {generateId, getItemAtIndex, targetWithinDownshift} from '../../utils'
+import {getValidationAriaProps} from '../utils'
+import {
+  getPropsWithItems,
+  getComboboxEventHandlers,
+  createItemsLoader,
+  updateItemsLoader,
+} from './utils'
+import createComboboxMachine from './machine'
+import * as stateChangeTypes from './stateChangeTypes'
+
+/**
+ * Creates the element of an item, with its string as text.
+ *
+ * @param {Object} options The item, its index and the props of the combobox.
+ * @returns {HTMLElement} The item element.
+ */
+function renderItemElement({item, props}) {
+  const itemElement = props.environment.document.createElement('li')
+
+  itemElement.textContent = props.itemToString(item)
+
+  return itemElement
+}
+
+/**
+ * Sets the attributes on the element, and removes the ones that are undefined.
+ *
+ * @param {HTMLElement} element The element.
+ * @param {Object} attributes The attributes to set.
+ */
+function setAttributes(element, attributes) {
+  Object.keys(attributes).forEach(name => {
+    if (attributes[name] === undefined) {
+      element.removeAttribute(name)
+    } else {
+      element.setAttribute(name, String(attributes[name]))
+    }
+  })
+}
+
+/**
+ * Binds the behavior of `useCombobox` to an input and a menu element that are
+ * not rendered with React. It applies the same attributes and event handlers
+ * that `getInputProps`, `getMenuProps` and `getItemProps` return, and renders
+ * the items in the menu while it is open, using a combobox state machine. The
+ * items are loaded with `loadItems` like in the hook.
+ *
+ * @param {HTMLInputElement} inputElement The input element.
+ * @param {HTMLElement} menuElement The menu element.
+ * @param {Object} options The props of `useCombobox`, and `renderItem`, which
+ * creates the element of an item.
+ * @returns {Object} The machine of the combobox, whose `setProps` also renders
+ * the elements again, with `unbind`, which removes the event handlers.
+ */
+function bindCombobox(inputElement, menuElement, options = {}) {
+  const {renderItem = renderItemElement, ...userProps} = options
+  const machine = createComboboxMachine(userProps)
+  const id = userProps.id ?? `downshift-${generateId()}`
+  const elementIds = {
+    inputId: inputElement.id || userProps.inputId || `${id}-input`,
+    menuId: menuElement.id || userProps.menuId || `${id}-menu`,
+    getItemId: userProps.getItemId ?? (index => `${id}-item-${index}`),
+    errorMessageId: userProps.errorMessageId ?? `${id}-error-message`,
+  }
+  const mouseAndTouchTrackers = {isMouseDown: false, isTouchMove: false}
+  let itemElements = []
+  let renderedItems = null
+  // the highlighted item is not scrolled into view if the mouse moved on it.
+  const shouldScrollRef = {current: true}
+
+  function getLatest() {
+    const props = machine.getProps()
+    const state = machine.getState()
+    const newItem = machine.getItemToCreate()
+
+    return {
+      props,
+      state,
+      items: getPropsWithItems(props, state, newItem).items,
+      newItem,
+    }
+  }
+
+  const eventHandlers = getComboboxEventHandlers(
+    machine.send,
+    getLatest,
+    shouldScrollRef,
+  )
+  let loadItemsDelay = machine.getProps().loadItemsDelay
+  let itemsLoader = createItemsLoader(
+    machine.send,
+    machine.getProps,
+    loadItemsDelay,
+  )
+
+  function createItemElement(items, index) {
+    const props = machine.getProps()
+    const item = getItemAtIndex(items, index)
+    const itemElement = renderItem({item, index, props})
+    const disabled = props.isItemDisabled(item, index)
+
+    setAttributes(itemElement, {
+      id: elementIds.getItemId(index),
+      role: 'option',
+      'aria-disabled': disabled,
+    })
+    itemElement.addEventListener('mousemove', () => {
+      eventHandlers.itemMouseMove(index, disabled)
+    })
+    itemElement.addEventListener('mousedown', event => {
+      event.preventDefault()
+    })
+    itemElement.addEventListener('click', () => {
+      if (!disabled) {
+        eventHandlers.itemClick(index)
+      }
+    })
+
+    return itemElement
+  }
+
+  function renderItems(items) {
+    menuElement.textContent = ''
+    itemElements = []
+
+    for (let index = 0; index < items.length; index++) {
+      const itemElement = createItemElement(items, index)
+
+      menuElement.appendChild(itemElement)
+      itemElements.push(itemElement)
+    }
+  }
+
+  // Loads the items when the input value or isOpen change, like the hook.
+  function loadItemsOnChange(props, state, previousState) {
+    if (
+      !previousState ||
+      state.isOpen !== previousState.isOpen ||
+      state.inputValue !== previousState.inputValue
+    ) {
+      updateItemsLoader(itemsLoader, props, state)
+    }
+  }
+
+  function render(previousState) {
+    const {props, state, items} = getLatest()
+    const {
+      isOpen,
+      highlightedIndex,
+      inputValue,
+      inlineCompletion = null,
+    } = state
+    const menuItems = isOpen ? items : null
+
+    if (menuItems !== renderedItems) {
+      renderItems(menuItems ?? [])
+      renderedItems = menuItems
+    }
+
+    itemElements.forEach((itemElement, index) => {
+      itemElement.setAttribute(
+        'aria-selected',
+        String(index === highlightedIndex),
+      )
+    })
+    setAttributes(inputElement, {
+      id: elementIds.inputId,
+      role: 'combobox',
+      autocomplete: 'off',
+      'aria-activedescendant':
+        isOpen && highlightedIndex > -1
+          ? elementIds.getItemId(highlightedIndex)
+          : '',
+      'aria-autocomplete': props.inlineAutocomplete ? 'both' : 'list',
+      'aria-controls': elementIds.menuId,
+      'aria-expanded': isOpen,
+      'aria-labelledby': props.labelId,
+      'aria-required': undefined,
+      'aria-invalid': undefined,
+      'aria-errormessage': undefined,
+      ...getValidationAriaProps(props, state, elementIds.errorMessageId),
+    })
+    setAttributes(menuElement, {
+      id: elementIds.menuId,
+      role: 'listbox',
+      'aria-labelledby': props.labelId,
+    })
+
+    if (inputElement.value !== (inlineCompletion ?? inputValue)) {
+      inputElement.value = inlineCompletion ?? inputValue
+
+      // selects the completed part of the input value, so typing replaces it.
+      if (inlineCompletion) {
+        inputElement.setSelectionRange(
+          inputValue.length,
+          inlineCompletion.length,
+        )
+      }
+    }
+
+    loadItemsOnChange(props, state, previousState)
+
+    if (!previousState) {
+      return
+    }
+
+    if (
+      isOpen &&
+      !previousState.isOpen &&
+      props.environment.document.activeElement !== inputElement
+    ) {
+      inputElement.focus()
+    }
+
+    if (
+      isOpen &&
+      shouldScrollRef.current &&
+      highlightedIndex >= 0 &&
+      highlightedIndex !== previousState.highlightedIndex
+    ) {
+      props.scrollIntoView(itemElements[highlightedIndex], menuElement)
+    }
+
+    shouldScrollRef.current = true
+  }
+
+  const inputHandlers = {
+    keydown: eventHandlers.inputKeyDown,
+    input(event) {
+      eventHandlers.inputChange(event.target.value)
+    },
+    blur(event) {
+      eventHandlers.inputBlur(event, mouseAndTouchTrackers.isMouseDown)
+    },
+    click: eventHandlers.inputClick,
+  }
+  const menuHandlers = {
+    mouseleave: eventHandlers.menuMouseLeave,
+  }
+  // The same strategy for checking if a click occurred inside or outside
+  // downshift as in the hooks.
+  const environmentHandlers = {
+    mousedown() {
+      mouseAndTouchTrackers.isMouseDown = true
+    },
+    mouseup(event) {
+      mouseAndTouchTrackers.isMouseDown = false
+
+      if (
+        machine.getState().isOpen &&
+        !targetWithinDownshift(
+          event.target,
+          [inputElement, menuElement],
+          machine.getProps().environment,
+        )
+      ) {
+        eventHandlers.outsideClick()
+      }
+    },
+    touchstart() {
+      mouseAndTouchTrackers.isTouchMove = false
+    },
+    touchmove() {
+      mouseAndTouchTrackers.isTouchMove = true
+    },
+    touchend(event) {
+      if (
+        machine.getState().isOpen &&
+        !mouseAndTouchTrackers.isTouchMove &&
+        !targetWithinDownshift(
+          event.target,
+          [inputElement, menuElement],
+          machine.getProps().environment,
+          false,
+        )
+      ) {
+        eventHandlers.outsideClick()
+      }
+    },
+  }
+  const {environment} = machine.getProps()
+  const bindings = [
+    [inputElement, inputHandlers],
+    [menuElement, menuHandlers],
+    [environment, environmentHandlers],
+  ]
+
+  bindings.forEach(([target, handlers]) => {
+    Object.keys(handlers).forEach(type => {
+      target.addEventListener(type, handlers[type])
+    })
+  })
+
+  let previousState = machine.getState()
+  const unsubscribe = machine.subscribe(state => {
+    render(previousState)
+    previousState = state
+  })
+
+  render()
+
+  return {
+    ...machine,
+    setProps(newUserProps) {
+      previousState = machine.getState()
+      machine.setProps(newUserProps)
+
+      if (machine.getProps().loadItemsDelay !== loadItemsDelay) {
+        loadItemsDelay = machine.getProps().loadItemsDelay
+        itemsLoader.abort()
+        itemsLoader = createItemsLoader(
+          machine.send,
+          machine.getProps,
+          loadItemsDelay,
+        )
+      }
+
+      render(previousState)
+      previousState = machine.getState()
+    },
+    unbind() {
+      unsubscribe()
+      itemsLoader.abort()
+      bindings.forEach(([target, handlers]) => {
+        Object.keys(handlers).forEach(type => {
+          target.removeEventListener(type, handlers[type])
+        })
+      })
+    },
+  }
+}
+
+bindCombobox.stateChangeTypes = stateChangeTypes
+
+export default bindCombobox
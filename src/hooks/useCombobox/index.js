@@ -1,8 +1,12 @@
-import {useRef, useEffect, useCallback, useMemo} from 'react'
+import {useRef, useEffect, useCallback, useMemo, useState} from 'react'
 import {isPreact, isReactNative, isReactNativeWeb} from '../../is.macro'
-import {handleRefs, normalizeArrowKey, callAllEventHandlers} from '../../utils'
+import {handleRefs, callAllEventHandlers} from '../../utils'
 import {
   useA11yMessageSetter,
+  useA11yStatus,
+  useHiddenInput,
+  useDescription,
+  getValidationAriaProps,
   useMouseAndTouchTracker,
   useGetterPropsCalledChecker,
   useLatestRef,
@@ -10,10 +14,20 @@ import {
   useControlPropsValidator,
   useElementIds,
   getItemAndIndex,
+  getItemsFromGroups,
+  getItemsFromCount,
+  appendItem,
+  getGroupByItemIndex,
   getInitialValue,
 } from '../utils'
 import {
   getInitialState,
+  getPropsWithLoadedItems,
+  createItemToCreateGetter,
+  getActionWithNewItem,
+  getComboboxEventHandlers,
+  createItemsLoader,
+  updateItemsLoader,
   defaultProps,
   useControlledReducer,
   validatePropTypes,
@@ -25,27 +39,82 @@ useCombobox.stateChangeTypes = stateChangeTypes
 
 function useCombobox(userProps = {}) {
   validatePropTypes(userProps, useCombobox)
+  // Items of the groups, if any, flattened into the list that gets navigated.
+  const groupItems = useMemo(
+    () => userProps.groups && getItemsFromGroups(userProps.groups),
+    [userProps.groups],
+  )
+  // Items of a virtualized list, if any, read one by one through getItem.
+  const countItems = useMemo(
+    () =>
+      userProps.itemCount !== undefined &&
+      getItemsFromCount(
+        userProps.itemCount,
+        userProps.getItem,
+        userProps.getItemIndex,
+      ),
+    [userProps.itemCount, userProps.getItem, userProps.getItemIndex],
+  )
   // Props defaults and destructuring.
   const props = {
     ...defaultProps,
     ...userProps,
+    ...(groupItems && {items: groupItems}),
+    ...(countItems && {items: countItems}),
   }
   const {
-    items,
     scrollIntoView,
+    scrollToIndex,
     environment,
     getA11yStatusMessage,
     getA11ySelectionMessage,
     itemToString,
+    allowCreate,
+    getNewItem,
   } = props
+  // Calls getNewItem once per input value, for this combobox only.
+  const [getItemToCreate] = useState(createItemToCreateGetter)
   // Initial state depending on controlled props.
-  const initialState = getInitialState(props)
-  const [state, dispatch] = useControlledReducer(
-    downshiftUseComboboxReducer,
-    initialState,
-    props,
+  const [initialState] = useState(() => getInitialState(props, getItemToCreate))
+  const [
+    state,
+    dispatchWithProps,
+    {undo: undoHistory, redo: redoHistory, canUndo, canRedo},
+  ] = useControlledReducer(downshiftUseComboboxReducer, initialState, props)
+  const {
+    isOpen,
+    highlightedIndex,
+    selectedItem,
+    inputValue,
+    inlineCompletion = null,
+    isLoading = false,
+    error = null,
+    isInvalid = false,
+    validationMessage = null,
+  } = state
+  const {items: availableItems} = getPropsWithLoadedItems(props, state)
+  // The item to create from the input value, if any, follows the other items.
+  const newItem = useMemo(
+    () =>
+      getItemToCreate(
+        {allowCreate, getNewItem, itemToString},
+        availableItems,
+        inputValue,
+      ),
+    [
+      getItemToCreate,
+      allowCreate,
+      getNewItem,
+      itemToString,
+      availableItems,
+      inputValue,
+    ],
+  )
+  const items = useMemo(
+    () =>
+      newItem === null ? availableItems : appendItem(availableItems, newItem),
+    [availableItems, newItem],
   )
-  const {isOpen, highlightedIndex, selectedItem, inputValue} = state
 
   // Element refs.
   const menuRef = useRef(null)
@@ -57,24 +126,46 @@ function useCombobox(userProps = {}) {
   const elementIds = useElementIds(props)
   // used to keep track of how many items we had on previous cycle.
   const previousResultCountRef = useRef()
+  // used to announce the group of the highlighted item when it changes.
+  const previousHighlightedGroupRef = useRef()
+  // loader of the loadItems prop.
+  const itemsLoaderRef = useRef()
   // utility callback to get item element.
-  const latest = useLatestRef({state, props})
+  const latest = useLatestRef({state, props, items, newItem})
+  // the reducer gets the item to create with the action.
+  const dispatch = useCallback(
+    action => {
+      const {props: latestProps, state: latestState} = latest.current
+
+      dispatchWithProps(
+        getActionWithNewItem(action, latestProps, latestState, getItemToCreate),
+      )
+    },
+    [latest, dispatchWithProps, getItemToCreate],
+  )
 
   const getItemNodeFromIndex = useCallback(
     index => itemRefs.current[elementIds.getItemId(index)],
     [elementIds],
   )
 
+  const {updateA11yStatus, getA11yStatusProps} = useA11yStatus(props)
+  const {getDescriptionProps, getAriaDescribedBy} = useDescription(
+    elementIds.descriptionId,
+  )
+
   // Effects.
   // Sets a11y status message on changes in state.
   useA11yMessageSetter(
     getA11yStatusMessage,
-    [isOpen, highlightedIndex, inputValue, items],
+    [isOpen, highlightedIndex, inputValue, items, isLoading],
     {
       isInitialMount: isInitialMountRef.current,
       previousResultCount: previousResultCountRef.current,
+      highlightedGroup: getGroupByItemIndex(props.groups, highlightedIndex),
+      previousHighlightedGroup: previousHighlightedGroupRef.current,
       items,
-      environment,
+      updateA11yStatus,
       itemToString,
       ...state,
     },
@@ -84,7 +175,7 @@ function useCombobox(userProps = {}) {
     isInitialMount: isInitialMountRef.current,
     previousResultCount: previousResultCountRef.current,
     items,
-    environment,
+    updateA11yStatus,
     itemToString,
     ...state,
   })
@@ -95,6 +186,7 @@ function useCombobox(userProps = {}) {
     isOpen,
     itemRefs,
     scrollIntoView,
+    scrollToIndex,
     getItemNodeFromIndex,
   })
   useControlPropsValidator({
@@ -116,19 +208,57 @@ function useCombobox(userProps = {}) {
       return
     }
 
-    previousResultCountRef.current = items.length
+    // Results loaded by loadItems are announced even if their count is the
+    // same as before loading.
+    previousResultCountRef.current = isLoading ? undefined : items.length
+    previousHighlightedGroupRef.current = getGroupByItemIndex(
+      props.groups,
+      highlightedIndex,
+    )
   })
+  // Selects the completed part of the input value, so typing replaces it.
+  useEffect(() => {
+    if (inlineCompletion && inputRef.current?.setSelectionRange) {
+      inputRef.current.setSelectionRange(
+        inputValue.length,
+        inlineCompletion.length,
+      )
+    }
+  }, [inputValue, inlineCompletion])
+  // Sets up the loader for the loadItems prop.
+  useEffect(() => {
+    itemsLoaderRef.current = createItemsLoader(
+      dispatch,
+      () => latest.current.props,
+      props.loadItemsDelay,
+    )
+
+    // Cancel any pending load on unmount.
+    return () => {
+      itemsLoaderRef.current.abort()
+    }
+  }, [dispatch, latest, props.loadItemsDelay])
+  // Loads the items for the input value while the menu is open, cancelling
+  // the request for the previous input value, if still pending. The load that
+  // is still waiting for the delay is cancelled when the menu closes.
+  useEffect(() => {
+    updateItemsLoader(itemsLoaderRef.current, latest.current.props, {
+      isOpen,
+      inputValue,
+    })
+  }, [inputValue, isOpen, latest])
+  // Event handlers, shared with bindCombobox.
+  const comboboxEventHandlers = useMemo(
+    () =>
+      getComboboxEventHandlers(dispatch, () => latest.current, shouldScrollRef),
+    [dispatch, latest, shouldScrollRef],
+  )
   // Add mouse/touch events to document.
   const mouseAndTouchTrackersRef = useMouseAndTouchTracker(
     isOpen,
     [inputRef, menuRef, toggleButtonRef],
     environment,
-    () => {
-      dispatch({
-        type: stateChangeTypes.InputBlur,
-        selectItem: false,
-      })
-    },
+    comboboxEventHandlers.outsideClick,
   )
   const setGetterPropCallInfo = useGetterPropsCalledChecker(
     'getInputProps',
@@ -159,95 +289,6 @@ function useCombobox(userProps = {}) {
     }
   }, [isOpen, environment])
 
-  /* Event handler functions */
-  const inputKeyDownHandlers = useMemo(
-    () => ({
-      ArrowDown(event) {
-        event.preventDefault()
-        dispatch({
-          type: stateChangeTypes.InputKeyDownArrowDown,
-          altKey: event.altKey,
-        })
-      },
-      ArrowUp(event) {
-        event.preventDefault()
-        dispatch({
-          type: stateChangeTypes.InputKeyDownArrowUp,
-          altKey: event.altKey,
-        })
-      },
-      Home(event) {
-        if (!latest.current.state.isOpen) {
-          return
-        }
-
-        event.preventDefault()
-        dispatch({
-          type: stateChangeTypes.InputKeyDownHome,
-        })
-      },
-      End(event) {
-        if (!latest.current.state.isOpen) {
-          return
-        }
-
-        event.preventDefault()
-        dispatch({
-          type: stateChangeTypes.InputKeyDownEnd,
-        })
-      },
-      Escape(event) {
-        const latestState = latest.current.state
-        if (
-          latestState.isOpen ||
-          latestState.inputValue ||
-          latestState.selectedItem ||
-          latestState.highlightedIndex > -1
-        ) {
-          event.preventDefault()
-
-          dispatch({
-            type: stateChangeTypes.InputKeyDownEscape,
-          })
-        }
-      },
-      Enter(event) {
-        const latestState = latest.current.state
-        // if closed or no highlighted index, do nothing.
-        if (
-          !latestState.isOpen ||
-          event.which === 229 // if IME composing, wait for next Enter keydown event.
-        ) {
-          return
-        }
-
-        event.preventDefault()
-        dispatch({
-          type: stateChangeTypes.InputKeyDownEnter,
-        })
-      },
-      PageUp(event) {
-        if (latest.current.state.isOpen) {
-          event.preventDefault()
-
-          dispatch({
-            type: stateChangeTypes.InputKeyDownPageUp,
-          })
-        }
-      },
-      PageDown(event) {
-        if (latest.current.state.isOpen) {
-          event.preventDefault()
-
-          dispatch({
-            type: stateChangeTypes.InputKeyDownPageDown,
-          })
-        }
-      },
-    }),
-    [dispatch, latest],
-  )
-
   // Getter props.
   const getLabelProps = useCallback(
     labelProps => ({
@@ -257,6 +298,48 @@ function useCombobox(userProps = {}) {
     }),
     [elementIds],
   )
+  const getErrorMessageProps = useCallback(
+    errorMessageProps => ({
+      id: elementIds.errorMessageId,
+      'aria-live': 'polite',
+      ...errorMessageProps,
+    }),
+    [elementIds],
+  )
+  const getGroupProps = useCallback(
+    ({group: groupProp, index: indexProp, ...rest} = {}) => {
+      const [, index] = getItemAndIndex(
+        groupProp,
+        indexProp,
+        latest.current.props.groups ?? [],
+        'Pass either group or index to getGroupProps!',
+      )
+
+      return {
+        role: 'group',
+        'aria-labelledby': elementIds.getGroupLabelId(index),
+        ...rest,
+      }
+    },
+    [latest, elementIds],
+  )
+  const getGroupLabelProps = useCallback(
+    ({group: groupProp, index: indexProp, ...rest} = {}) => {
+      const [, index] = getItemAndIndex(
+        groupProp,
+        indexProp,
+        latest.current.props.groups ?? [],
+        'Pass either group or index to getGroupLabelProps!',
+      )
+
+      return {
+        id: elementIds.getGroupLabelId(index),
+        role: 'presentation',
+        ...rest,
+      }
+    },
+    [latest, elementIds],
+  )
   const getMenuProps = useCallback(
     (
       {onMouseLeave, refKey = 'ref', ref, ...rest} = {},
@@ -271,15 +354,14 @@ function useCombobox(userProps = {}) {
         role: 'listbox',
         'aria-labelledby':
           rest && rest['aria-label'] ? undefined : `${elementIds.labelId}`,
-        onMouseLeave: callAllEventHandlers(onMouseLeave, () => {
-          dispatch({
-            type: stateChangeTypes.MenuMouseLeave,
-          })
-        }),
+        onMouseLeave: callAllEventHandlers(
+          onMouseLeave,
+          comboboxEventHandlers.menuMouseLeave,
+        ),
         ...rest,
       }
     },
-    [dispatch, setGetterPropCallInfo, elementIds],
+    [comboboxEventHandlers, setGetterPropCallInfo, elementIds],
   )
 
   const getItemProps = useCallback(
@@ -305,7 +387,7 @@ function useCombobox(userProps = {}) {
       const [item, index] = getItemAndIndex(
         itemProp,
         indexProp,
-        latestProps.items,
+        latest.current.items,
         'Pass either item or index to getItemProps!',
       )
       const disabled = latestProps.isItemDisabled(item, index)
@@ -318,21 +400,10 @@ function useCombobox(userProps = {}) {
         : onClick
 
       const itemHandleMouseMove = () => {
-        if (index === latestState.highlightedIndex) {
-          return
-        }
-        shouldScrollRef.current = false
-        dispatch({
-          type: stateChangeTypes.ItemMouseMove,
-          index,
-          disabled,
-        })
+        comboboxEventHandlers.itemMouseMove(index, disabled)
       }
       const itemHandleClick = () => {
-        dispatch({
-          type: stateChangeTypes.ItemClick,
-          index,
-        })
+        comboboxEventHandlers.itemClick(index)
       }
       const itemHandleMouseDown = e => e.preventDefault()
 
@@ -357,7 +428,7 @@ function useCombobox(userProps = {}) {
         ...rest,
       }
     },
-    [dispatch, latest, shouldScrollRef, elementIds],
+    [comboboxEventHandlers, latest, elementIds],
   )
 
   const getToggleButtonProps = useCallback(
@@ -402,6 +473,7 @@ function useCombobox(userProps = {}) {
         onClick,
         refKey = 'ref',
         ref,
+        'aria-describedby': ariaDescribedBy,
         ...rest
       } = {},
       {suppressRefError = false} = {},
@@ -409,43 +481,18 @@ function useCombobox(userProps = {}) {
       setGetterPropCallInfo('getInputProps', suppressRefError, refKey, inputRef)
 
       const latestState = latest.current.state
-      const inputHandleKeyDown = event => {
-        const key = normalizeArrowKey(event)
-        if (key && inputKeyDownHandlers[key]) {
-          inputKeyDownHandlers[key](event)
-        }
-      }
       const inputHandleChange = event => {
-        dispatch({
-          type: stateChangeTypes.InputChange,
-          inputValue:
-            isReactNative || isReactNativeWeb
-              ? /* istanbul ignore next (react-native) */ event.nativeEvent.text
-              : event.target.value,
-        })
+        comboboxEventHandlers.inputChange(
+          isReactNative || isReactNativeWeb
+            ? /* istanbul ignore next (react-native) */ event.nativeEvent.text
+            : event.target.value,
+        )
       }
       const inputHandleBlur = event => {
-        /* istanbul ignore else */
-        if (
-          environment?.document &&
-          latestState.isOpen &&
-          !mouseAndTouchTrackersRef.current.isMouseDown
-        ) {
-          const isBlurByTabChange =
-            event.relatedTarget === null &&
-            environment.document.activeElement !== environment.document.body
-
-          dispatch({
-            type: stateChangeTypes.InputBlur,
-            selectItem: !isBlurByTabChange,
-          })
-        }
-      }
-
-      const inputHandleClick = () => {
-        dispatch({
-          type: stateChangeTypes.InputClick,
-        })
+        comboboxEventHandlers.inputBlur(
+          event,
+          mouseAndTouchTrackersRef.current.isMouseDown,
+        )
       }
 
       /* istanbul ignore next (preact) */
@@ -459,9 +506,15 @@ function useCombobox(userProps = {}) {
             onInput,
             inputHandleChange,
           ),
-          onKeyDown: callAllEventHandlers(onKeyDown, inputHandleKeyDown),
+          onKeyDown: callAllEventHandlers(
+            onKeyDown,
+            comboboxEventHandlers.inputKeyDown,
+          ),
           onBlur: callAllEventHandlers(onBlur, inputHandleBlur),
-          onClick: callAllEventHandlers(onClick, inputHandleClick),
+          onClick: callAllEventHandlers(
+            onClick,
+            comboboxEventHandlers.inputClick,
+          ),
         }
       }
 
@@ -489,17 +542,25 @@ function useCombobox(userProps = {}) {
           latestState.isOpen && latestState.highlightedIndex > -1
             ? elementIds.getItemId(latestState.highlightedIndex)
             : '',
-        'aria-autocomplete': 'list',
+        'aria-autocomplete': latest.current.props.inlineAutocomplete
+          ? 'both'
+          : 'list',
         'aria-controls': elementIds.menuId,
+        'aria-describedby': getAriaDescribedBy(ariaDescribedBy),
         'aria-expanded': latestState.isOpen,
         'aria-labelledby':
           rest && rest['aria-label'] ? undefined : elementIds.labelId,
+        ...getValidationAriaProps(
+          latest.current.props,
+          latestState,
+          elementIds.errorMessageId,
+        ),
         // https://developer.mozilla.org/en-US/docs/Web/Security/Securing_your_site/Turning_off_form_autocompletion
         // revert back since autocomplete="nope" is ignored on latest Chrome and Opera
         autoComplete: 'off',
         id: elementIds.inputId,
         role: 'combobox',
-        value: latestState.inputValue,
+        value: latestState.inlineCompletion ?? latestState.inputValue,
         ...eventHandlers,
         ...rest,
       }
@@ -508,10 +569,9 @@ function useCombobox(userProps = {}) {
       setGetterPropCallInfo,
       latest,
       elementIds,
-      inputKeyDownHandlers,
-      dispatch,
+      comboboxEventHandlers,
       mouseAndTouchTrackersRef,
-      environment,
+      getAriaDescribedBy,
     ],
   )
 
@@ -563,6 +623,13 @@ function useCombobox(userProps = {}) {
       type: stateChangeTypes.FunctionReset,
     })
   }, [dispatch])
+  const undo = useCallback(() => {
+    undoHistory(stateChangeTypes.FunctionUndo)
+  }, [undoHistory])
+  const redo = useCallback(() => {
+    redoHistory(stateChangeTypes.FunctionRedo)
+  }, [redoHistory])
+  const getHiddenInputProps = useHiddenInput(props, [selectedItem], reset)
 
   return {
     // prop getters.
@@ -571,6 +638,12 @@ function useCombobox(userProps = {}) {
     getMenuProps,
     getInputProps,
     getToggleButtonProps,
+    getGroupProps,
+    getGroupLabelProps,
+    getA11yStatusProps,
+    getHiddenInputProps,
+    getErrorMessageProps,
+    getDescriptionProps,
     // actions.
     toggleMenu,
     openMenu,
@@ -579,11 +652,21 @@ function useCombobox(userProps = {}) {
     setInputValue,
     selectItem,
     reset,
+    undo,
+    redo,
     // state.
     highlightedIndex,
     isOpen,
     selectedItem,
     inputValue,
+    items,
+    newItem,
+    isLoading,
+    error,
+    isInvalid,
+    validationMessage,
+    canUndo,
+    canRedo,
   }
 }
 
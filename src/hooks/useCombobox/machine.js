@@ -0,0 +1,91 @@
+import {isControlledProp} from '../../utils'
+import {getDropdownProps} from '../core'
+import createMachine from '../machine'
+import downshiftUseComboboxReducer from './reducer'
+import {
+  validatePropTypes,
+  defaultProps,
+  getInitialState,
+  getPropsWithLoadedItems,
+  createItemToCreateGetter,
+  getActionWithNewItem,
+  callOnActionProps,
+} from './utils'
+import * as stateChangeTypes from './stateChangeTypes'
+
+createComboboxMachine.stateChangeTypes = stateChangeTypes
+
+/**
+ * Creates the state machine of `useCombobox`, which runs the same reducer
+ * outside of React. Just like the hook, it updates the input value when the
+ * controlled `selectedItem` prop changes through `setProps`, and sends the
+ * item to create with the actions.
+ *
+ * @param {Object} userProps The props of `useCombobox`.
+ * @returns {Object} The machine, with `send`, `getState`, `getProps`,
+ * `setProps`, `subscribe` and `getItemToCreate`, which returns the item to
+ * create from the input value, or null.
+ */
+function createComboboxMachine(userProps = {}) {
+  validatePropTypes(userProps, createComboboxMachine)
+
+  const getItemToCreate = createItemToCreateGetter()
+  const machine = createMachine(
+    {
+      reducer: downshiftUseComboboxReducer,
+      getProps: props => getDropdownProps(props, defaultProps),
+      getInitialState: props => getInitialState(props, getItemToCreate),
+      callOnActionProps,
+    },
+    userProps,
+  )
+
+  function send(action) {
+    machine.send(
+      getActionWithNewItem(
+        action,
+        machine.getProps(),
+        machine.getState(),
+        getItemToCreate,
+      ),
+    )
+  }
+
+  function getMachineItemToCreate() {
+    const props = machine.getProps()
+    const state = machine.getState()
+
+    return getItemToCreate(
+      props,
+      getPropsWithLoadedItems(props, state).items,
+      state.inputValue,
+    )
+  }
+
+  function setProps(newUserProps) {
+    const {selectedItem: previousSelectedItem} = machine.getState()
+
+    machine.setProps(newUserProps)
+
+    const props = machine.getProps()
+
+    if (
+      isControlledProp(props, 'selectedItem') &&
+      props.selectedItemChanged(previousSelectedItem, props.selectedItem)
+    ) {
+      send({
+        type: stateChangeTypes.ControlledPropUpdatedSelectedItem,
+        inputValue: props.itemToString(props.selectedItem),
+      })
+    }
+  }
+
+  return {
+    ...machine,
+    send,
+    setProps,
+    getItemToCreate: getMachineItemToCreate,
+  }
+}
+
+export default createComboboxMachine
@@ -2,14 +2,27 @@ import {
   getHighlightedIndexOnOpen,
   getDefaultValue,
   getChangesOnSelection,
+  getItemIndexToSelectOnBlur,
+  getStateOnValidation,
 } from '../utils'
-import {getHighlightedIndex, getNonDisabledIndex} from '../../utils'
+import {
+  getHighlightedIndex,
+  getNonDisabledIndex,
+  getItemAtIndex,
+} from '../../utils'
 import commonReducer from '../reducer'
+import {
+  getPropsWithItems,
+  getInlineCompletionIndex,
+  getCommittedItem,
+  getStateWithNewItemHighlighted,
+} from './utils'
 import * as stateChangeTypes from './stateChangeTypes'
 
 /* eslint-disable complexity */
 export default function downshiftUseComboboxReducer(state, action) {
-  const {type, props, altKey} = action
+  const {type, altKey} = action
+  const props = getPropsWithItems(action.props, state, action.newItem)
   let changes
 
   switch (type) {
@@ -17,8 +30,10 @@ export default function downshiftUseComboboxReducer(state, action) {
       changes = {
         isOpen: getDefaultValue(props, 'isOpen'),
         highlightedIndex: getDefaultValue(props, 'highlightedIndex'),
-        selectedItem: props.items[action.index],
-        inputValue: props.itemToString(props.items[action.index]),
+        selectedItem: getItemAtIndex(props.items, action.index),
+        inputValue: props.itemToString(
+          getItemAtIndex(props.items, action.index),
+        ),
       }
       break
     case stateChangeTypes.InputKeyDownArrowDown:
@@ -121,15 +136,36 @@ export default function downshiftUseComboboxReducer(state, action) {
       }
       break
     case stateChangeTypes.InputBlur:
-      changes = {
-        isOpen: false,
-        highlightedIndex: -1,
-        ...(state.highlightedIndex >= 0 &&
-          props.items?.length &&
-          action.selectItem && {
-            selectedItem: props.items[state.highlightedIndex],
-            inputValue: props.itemToString(props.items[state.highlightedIndex]),
-          }),
+    case stateChangeTypes.InputKeyDownTab:
+      {
+        let selectedItemIndex = -1
+
+        if (type === stateChangeTypes.InputKeyDownTab) {
+          selectedItemIndex = getItemIndexToSelectOnBlur(
+            props,
+            state,
+            props.selectOnTab ? 'highlighted' : 'never',
+          )
+        } else if (action.selectItem) {
+          selectedItemIndex = getItemIndexToSelectOnBlur(
+            props,
+            state,
+            props.selectOnBlur,
+          )
+        }
+
+        changes = {
+          isOpen: false,
+          highlightedIndex: -1,
+          ...(selectedItemIndex >= 0 &&
+            // the item to create is only created on click or Enter.
+            selectedItemIndex !== props.newItemIndex && {
+              selectedItem: getItemAtIndex(props.items, selectedItemIndex),
+              inputValue: props.itemToString(
+                getItemAtIndex(props.items, selectedItemIndex),
+              ),
+            }),
+        }
       }
       break
     case stateChangeTypes.InputChange:
@@ -139,6 +175,38 @@ export default function downshiftUseComboboxReducer(state, action) {
         inputValue: action.inputValue,
       }
       break
+    case stateChangeTypes.InputInlineComplete:
+      {
+        // the typed text is not completed if its InputChange was changed.
+        const completionIndex =
+          state.inputValue === action.inputValue
+            ? getInlineCompletionIndex(props, action.inputValue)
+            : -1
+
+        if (completionIndex >= 0) {
+          changes = {
+            highlightedIndex: completionIndex,
+            inlineCompletion: `${action.inputValue}${props
+              .itemToString(getItemAtIndex(props.items, completionIndex))
+              .slice(action.inputValue.length)}`,
+          }
+        }
+      }
+      break
+    case stateChangeTypes.InputCommit:
+      changes = {
+        isOpen: false,
+        highlightedIndex: -1,
+      }
+
+      // the input value is already committed if it is the selected item.
+      if (state.inputValue !== props.itemToString(state.selectedItem)) {
+        const committedItem = getCommittedItem(props, state.inputValue)
+
+        changes.selectedItem = committedItem
+        changes.inputValue = props.itemToString(committedItem)
+      }
+      break
     case stateChangeTypes.InputClick:
       changes = {
         isOpen: !state.isOpen,
@@ -153,18 +221,70 @@ export default function downshiftUseComboboxReducer(state, action) {
         inputValue: props.itemToString(action.selectedItem),
       }
       break
+    case stateChangeTypes.FunctionUndo:
+    case stateChangeTypes.FunctionRedo:
+      changes = action.historyState
+      break
     case stateChangeTypes.ControlledPropUpdatedSelectedItem:
       changes = {
         inputValue: action.inputValue,
       }
       break
+    case stateChangeTypes.ItemCreate:
+      changes = {
+        isOpen: getDefaultValue(props, 'isOpen'),
+        highlightedIndex: getDefaultValue(props, 'highlightedIndex'),
+        selectedItem: action.newItem,
+        inputValue: props.itemToString(action.newItem),
+      }
+      break
+    case stateChangeTypes.ItemsLoadStart:
+      changes = {
+        isLoading: true,
+        error: null,
+      }
+      break
+    case stateChangeTypes.ItemsLoadSuccess:
+      changes = {
+        loadedItems: action.items,
+        isLoading: false,
+        highlightedIndex: state.isOpen
+          ? getDefaultValue(props, 'highlightedIndex')
+          : -1,
+      }
+      break
+    case stateChangeTypes.ItemsLoadError:
+      changes = {
+        isLoading: false,
+        error: action.error,
+      }
+      break
     default:
-      return commonReducer(state, action, stateChangeTypes)
+      changes = commonReducer(state, {...action, props}, stateChangeTypes)
   }
 
-  return {
-    ...state,
-    ...changes,
+  // the inline completion only lasts until the next state change.
+  if (type !== stateChangeTypes.InputInlineComplete && state.inlineCompletion) {
+    changes = {...changes, inlineCompletion: null}
   }
+
+  const newState = {...state, ...changes}
+
+  return getStateOnValidation(
+    props,
+    state,
+    getStateWithNewItemHighlighted(
+      action.props,
+      newState,
+      // the item to create is for the input value of the action.
+      newState.inputValue === (action.inputValue ?? state.inputValue)
+        ? action.newItem
+        : null,
+    ),
+    {
+      isBlur: type === stateChangeTypes.InputBlur,
+      isReset: type === stateChangeTypes.FunctionReset,
+    },
+  )
 }
 /* eslint-enable complexity */
@@ -12,7 +12,10 @@ export const InputKeyDownPageDown = productionEnum(
   '__input_keydown_page_down__',
 )
 export const InputKeyDownEnter = productionEnum('__input_keydown_enter__')
+export const InputKeyDownTab = productionEnum('__input_keydown_tab__')
 export const InputChange = productionEnum('__input_change__')
+export const InputInlineComplete = productionEnum('__input_inline_complete__')
+export const InputCommit = productionEnum('__input_commit__')
 export const InputBlur = productionEnum('__input_blur__')
 export const InputClick = productionEnum('__input_click__')
 
@@ -34,6 +37,12 @@ export const FunctionSetInputValue = productionEnum(
   '__function_set_input_value__',
 )
 export const FunctionReset = productionEnum('__function_reset__')
+export const FunctionUndo = productionEnum('__function_undo__')
+export const FunctionRedo = productionEnum('__function_redo__')
 export const ControlledPropUpdatedSelectedItem = productionEnum(
   '__controlled_prop_updated_selected_item__',
 )
+export const ItemsLoadStart = productionEnum('__items_load_start__')
+export const ItemsLoadSuccess = productionEnum('__items_load_success__')
+export const ItemsLoadError = productionEnum('__items_load_error__')
+export const ItemCreate = productionEnum('__item_create__')
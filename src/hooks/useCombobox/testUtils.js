@@ -75,6 +75,7 @@ function DropdownCombobox({renderSpy, renderItem, ...props}) {
     getMenuProps,
     getInputProps,
     getItemProps,
+    items: comboboxItems,
   } = useCombobox({items, ...props})
   const {itemToString} = props.itemToString ? props : defaultProps
 
@@ -94,7 +95,7 @@ function DropdownCombobox({renderSpy, renderItem, ...props}) {
       </div>
       <ul data-testid={dataTestIds.menu} {...getMenuProps()}>
         {isOpen
-          ? (props.items || items).map((item, index) => {
+          ? comboboxItems.map((item, index) => {
               const stringItem =
                 item instanceof Object ? itemToString(item) : item
               return renderItem ? (
@@ -4,18 +4,254 @@ import {
   getA11yStatusMessage,
   isControlledProp,
   getState,
+  getItemAtIndex,
+  getExactMatchIndex,
+  normalizeArrowKey,
+  debounce,
   noop,
 } from '../../utils'
 import {
   commonDropdownPropTypes,
   defaultProps as defaultPropsCommon,
   getInitialState as getInitialStateCommon,
+  getInitialValidationState,
+  itemsPropType,
+  getItemPropType,
+  groupsPropType,
+  appendItem,
   useEnhancedReducer,
 } from '../utils'
-import {ControlledPropUpdatedSelectedItem} from './stateChangeTypes'
+import {
+  createKeyBindingsPropType,
+  getKeyBindingHandlerKey,
+} from '../../key-bindings'
+import * as stateChangeTypes from './stateChangeTypes'
+
+/**
+ * Returns the props with the items that were loaded through `loadItems`, if
+ * the prop is used. Loaded items are kept in the state as `loadedItems`, which
+ * is not a prop, so an `items` prop does not control them. Both the reducer and
+ * the hook need to read them from there instead of the props.
+ *
+ * @param {Object} props The hook props.
+ * @param {Object} state The hook state.
+ * @returns {Object} The props with the items to use.
+ */
+export function getPropsWithLoadedItems(props, state) {
+  return props?.loadItems ? {...props, items: state.loadedItems} : props
+}
+
+/**
+ * Creates the function that returns the item that would be created from the
+ * input value, if creating items is allowed and none of the items matches the
+ * input value, or null. The items read through `getItem` are not searched for
+ * the input value. Each combobox creates its own, which calls `getNewItem` once
+ * per input value, so the item keeps its identity while the input value stays
+ * the same.
+ *
+ * @returns {Function} Returns the item to create, from the props, the items
+ * without the item to create and the input value.
+ */
+export function createItemToCreateGetter() {
+  let lastNewItem = null
+
+  return function getItemToCreate(props, items, inputValue) {
+    if (!props?.allowCreate || !inputValue) {
+      return null
+    }
+
+    const lowerCasedInputValue = inputValue.toLowerCase()
+
+    if (
+      !items.getItem &&
+      items.some(
+        item => props.itemToString(item).toLowerCase() === lowerCasedInputValue,
+      )
+    ) {
+      return null
+    }
+
+    if (lastNewItem?.inputValue !== inputValue) {
+      lastNewItem = {inputValue, newItem: props.getNewItem(inputValue)}
+    }
+
+    return lastNewItem.newItem
+  }
+}
+
+/**
+ * Returns the action with the item to create from its input value, or from the
+ * input value of the state if the action does not set one. The reducer reads
+ * the item from the action, so it never calls `getNewItem` itself.
+ *
+ * @param {Object} action The action to dispatch.
+ * @param {Object} props The hook props.
+ * @param {Object} state The hook state.
+ * @param {Function} getItemToCreate Returns the item to create, created with
+ * `createItemToCreateGetter`.
+ * @returns {Object} The action, with `newItem` if there is an item to create.
+ */
+export function getActionWithNewItem(action, props, state, getItemToCreate) {
+  const newItem = getItemToCreate(
+    props,
+    getPropsWithLoadedItems(props, state).items,
+    action.inputValue ?? state.inputValue,
+  )
+
+  return newItem === null ? action : {...action, newItem}
+}
+
+/**
+ * Returns the index of the first enabled item whose string starts with the
+ * typed value, ignoring case, which completes the input value inline. The item
+ * to create is never used as a completion, and the items read through
+ * `getItem` are not searched.
+ *
+ * @param {Object} props The hook props, with the items to use.
+ * @param {string} typedValue The value typed by the user.
+ * @returns {number} The index of the completion item, or -1 if there is none.
+ */
+export function getInlineCompletionIndex(props, typedValue) {
+  if (!typedValue || !props.items?.length || props.items.getItem) {
+    return -1
+  }
 
-export function getInitialState(props) {
-  const initialState = getInitialStateCommon(props)
+  const lowerCasedTypedValue = typedValue.toLowerCase()
+
+  for (let index = 0; index < props.items.length; index++) {
+    const item = getItemAtIndex(props.items, index)
+
+    if (
+      index !== props.newItemIndex &&
+      props.itemToString(item).toLowerCase().startsWith(lowerCasedTypedValue) &&
+      !props.isItemDisabled(item, index)
+    ) {
+      return index
+    }
+  }
+
+  return -1
+}
+
+/**
+ * Returns the item that the input value is committed as with `freeSolo`: the
+ * enabled item whose string is the input value, ignoring case, or the item
+ * returned by `parseInputValue`. An empty input value is committed as null.
+ *
+ * @param {Object} props The hook props, with the items to use.
+ * @param {string} inputValue The input value.
+ * @returns {any} The committed item.
+ */
+export function getCommittedItem(props, inputValue) {
+  if (!inputValue) {
+    return null
+  }
+
+  const matchIndex = getExactMatchIndex(
+    props.items,
+    inputValue,
+    props.itemToString,
+    props.isItemDisabled,
+  )
+
+  return matchIndex >= 0 && matchIndex !== props.newItemIndex
+    ? getItemAtIndex(props.items, matchIndex)
+    : props.parseInputValue(inputValue)
+}
+
+// The items followed by the item to create, for each list of items, so they
+// keep their identity while the state changes.
+const itemsWithNewItemCache = new WeakMap()
+
+function getItemsWithNewItem(items, newItem) {
+  const cachedItems = itemsWithNewItemCache.get(items)
+
+  if (cachedItems?.newItem === newItem) {
+    return cachedItems.items
+  }
+
+  const itemsWithNewItem = appendItem(items, newItem)
+
+  itemsWithNewItemCache.set(items, {newItem, items: itemsWithNewItem})
+
+  return itemsWithNewItem
+}
+
+/**
+ * Returns the props with all the items the hook navigates: the loaded ones, if
+ * `loadItems` is used, followed by the item to create, if any. In that case,
+ * `newItemIndex` is the index of the item to create.
+ *
+ * @param {Object} props The hook props.
+ * @param {Object} state The hook state.
+ * @param {any} newItem The item to create, or null.
+ * @returns {Object} The props with the items to use.
+ */
+export function getPropsWithItems(props, state, newItem = null) {
+  const loadedItemsProps = getPropsWithLoadedItems(props, state)
+
+  return newItem === null
+    ? loadedItemsProps
+    : {
+        ...loadedItemsProps,
+        items: getItemsWithNewItem(loadedItemsProps.items, newItem),
+        newItemIndex: loadedItemsProps.items.length,
+      }
+}
+
+/**
+ * Highlights the item to create if it is the only item of the open menu and no
+ * item is highlighted, so that Enter creates it.
+ *
+ * @param {Object} props The hook props.
+ * @param {Object} state The hook state.
+ * @param {any} newItem The item to create from the input value of the state,
+ * or null.
+ * @returns {Object} The state, with the item to create highlighted if needed.
+ */
+export function getStateWithNewItemHighlighted(props, state, newItem) {
+  if (!state.isOpen || state.highlightedIndex >= 0) {
+    return state
+  }
+
+  return getPropsWithItems(props, state, newItem).newItemIndex === 0
+    ? {...state, highlightedIndex: 0}
+    : state
+}
+
+/**
+ * Calls `onCreateItem` once an `ItemCreate` action is committed with the
+ * created item selected, so the item is not reported as created if the
+ * `stateReducer` prevents it.
+ *
+ * @param {Object} action The action, with the props.
+ * @param {Object} state The state before the action.
+ * @param {Object} newState The state after the action.
+ */
+export function callOnActionProps(action, state, newState) {
+  const {props, type, newItem} = action
+
+  if (
+    type === stateChangeTypes.ItemCreate &&
+    newState.selectedItem === newItem &&
+    props.onCreateItem
+  ) {
+    props.onCreateItem({newItem, inputValue: state.inputValue})
+  }
+}
+
+export function getInitialState(
+  props,
+  getItemToCreate = createItemToCreateGetter(),
+) {
+  const loadItemsState = props.loadItems && {
+    loadedItems: props.items ?? [],
+    isLoading: false,
+    error: null,
+  }
+  const initialState = getInitialStateCommon(
+    getPropsWithLoadedItems(props, loadItemsState),
+  )
   const {selectedItem} = initialState
   let {inputValue} = initialState
 
@@ -29,15 +265,379 @@ export function getInitialState(props) {
     inputValue = props.itemToString(selectedItem)
   }
 
-  return {
+  const state = {
     ...initialState,
     inputValue,
+    ...loadItemsState,
+    ...getInitialValidationState(props),
+  }
+
+  return getStateWithNewItemHighlighted(
+    props,
+    state,
+    getItemToCreate(
+      props,
+      getPropsWithLoadedItems(props, state).items,
+      inputValue,
+    ),
+  )
+}
+
+// The action types that can be bound to a key combo with the keyBindings prop,
+// mapped to the keys of the input keydown handlers that run them.
+export const keyBindingHandlerKeys = {
+  [stateChangeTypes.InputKeyDownArrowDown]: 'ArrowDown',
+  [stateChangeTypes.InputKeyDownArrowUp]: 'ArrowUp',
+  [stateChangeTypes.InputKeyDownHome]: 'Home',
+  [stateChangeTypes.InputKeyDownEnd]: 'End',
+  [stateChangeTypes.InputKeyDownPageUp]: 'PageUp',
+  [stateChangeTypes.InputKeyDownPageDown]: 'PageDown',
+  [stateChangeTypes.InputKeyDownEscape]: 'Escape',
+  [stateChangeTypes.InputKeyDownEnter]: 'Enter',
+  [stateChangeTypes.InputKeyDownTab]: 'Tab',
+}
+
+/**
+ * Returns the event handlers of the input, the menu and the items, which
+ * dispatch the actions of the combobox. The hook and `bindCombobox` share
+ * them, and only differ in how they read the latest values.
+ *
+ * @param {Function} dispatch Dispatches an action.
+ * @param {Function} getLatest Returns the latest `state`, `props`, `items` and
+ * `newItem`.
+ * @param {Object} shouldScrollRef Set to false when the mouse highlights an
+ * item, so it is not scrolled into view.
+ * @returns {Object} The event handlers.
+ */
+export function getComboboxEventHandlers(dispatch, getLatest, shouldScrollRef) {
+  function isNewItemIndex(index) {
+    const {items, newItem} = getLatest()
+
+    return newItem !== null && index === items.length - 1
+  }
+
+  // Selects the item to create and lets the user create it.
+  function createNewItem() {
+    dispatch({
+      type: stateChangeTypes.ItemCreate,
+    })
+  }
+
+  const inputKeyDownHandlers = {
+    ArrowDown(event) {
+      event.preventDefault()
+      dispatch({
+        type: stateChangeTypes.InputKeyDownArrowDown,
+        altKey: event.altKey,
+      })
+    },
+    ArrowUp(event) {
+      event.preventDefault()
+      dispatch({
+        type: stateChangeTypes.InputKeyDownArrowUp,
+        altKey: event.altKey,
+      })
+    },
+    Home(event) {
+      if (!getLatest().state.isOpen) {
+        return
+      }
+
+      event.preventDefault()
+      dispatch({
+        type: stateChangeTypes.InputKeyDownHome,
+      })
+    },
+    End(event) {
+      if (!getLatest().state.isOpen) {
+        return
+      }
+
+      event.preventDefault()
+      dispatch({
+        type: stateChangeTypes.InputKeyDownEnd,
+      })
+    },
+    Escape(event) {
+      const {state} = getLatest()
+
+      if (
+        state.isOpen ||
+        state.inputValue ||
+        state.selectedItem ||
+        state.highlightedIndex > -1
+      ) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.InputKeyDownEscape,
+        })
+      }
+    },
+    Enter(event) {
+      const {state, props} = getLatest()
+
+      // if IME composing, wait for next Enter keydown event.
+      if (event.which === 229) {
+        return
+      }
+
+      // with freeSolo, the input value is committed if no item is highlighted.
+      if (props.freeSolo && (!state.isOpen || state.highlightedIndex < 0)) {
+        if (state.isOpen) {
+          event.preventDefault()
+        }
+
+        dispatch({
+          type: stateChangeTypes.InputCommit,
+        })
+
+        return
+      }
+
+      // if closed, do nothing.
+      if (!state.isOpen) {
+        return
+      }
+
+      event.preventDefault()
+
+      if (isNewItemIndex(state.highlightedIndex)) {
+        createNewItem()
+
+        return
+      }
+
+      dispatch({
+        type: stateChangeTypes.InputKeyDownEnter,
+      })
+    },
+    Tab() {
+      const {state, props} = getLatest()
+
+      // the Tab key is handled by selectOnBlur, unless selectOnTab is passed.
+      if (props.selectOnTab !== undefined && state.isOpen) {
+        dispatch({
+          type: stateChangeTypes.InputKeyDownTab,
+        })
+      }
+    },
+    PageUp(event) {
+      if (getLatest().state.isOpen) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.InputKeyDownPageUp,
+        })
+      }
+    },
+    PageDown(event) {
+      if (getLatest().state.isOpen) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.InputKeyDownPageDown,
+        })
+      }
+    },
+  }
+
+  return {
+    inputKeyDown(event) {
+      const key =
+        getKeyBindingHandlerKey(
+          event,
+          getLatest().props.keyBindings,
+          keyBindingHandlerKeys,
+        ) ?? normalizeArrowKey(event)
+
+      if (key && inputKeyDownHandlers[key]) {
+        inputKeyDownHandlers[key](event)
+      }
+    },
+    inputChange(inputValue) {
+      const {state, props} = getLatest()
+
+      dispatch({
+        type: stateChangeTypes.InputChange,
+        inputValue,
+      })
+
+      // only typing completes the input value, so deleting the completed part
+      // with Backspace does not complete it again.
+      if (
+        props.inlineAutocomplete &&
+        inputValue.length > state.inputValue.length
+      ) {
+        dispatch({
+          type: stateChangeTypes.InputInlineComplete,
+          inputValue,
+        })
+      }
+    },
+    inputBlur(event, isMouseDown) {
+      const {state, props} = getLatest()
+      const {environment} = props
+
+      /* istanbul ignore else */
+      if (environment?.document && state.isOpen && !isMouseDown) {
+        const isBlurByTabChange =
+          event.relatedTarget === null &&
+          environment.document.activeElement !== environment.document.body
+
+        dispatch({
+          type: stateChangeTypes.InputBlur,
+          selectItem: !isBlurByTabChange,
+        })
+      }
+
+      // a click outside, while the menu is open, commits on mouse up.
+      if (props.freeSolo && (!state.isOpen || !isMouseDown)) {
+        dispatch({
+          type: stateChangeTypes.InputCommit,
+        })
+      }
+    },
+    inputClick() {
+      dispatch({
+        type: stateChangeTypes.InputClick,
+      })
+    },
+    // A click or a touch outside of the combobox, while the menu is open.
+    outsideClick() {
+      dispatch({
+        type: stateChangeTypes.InputBlur,
+        selectItem: false,
+      })
+
+      if (getLatest().props.freeSolo) {
+        dispatch({
+          type: stateChangeTypes.InputCommit,
+        })
+      }
+    },
+    menuMouseLeave() {
+      dispatch({
+        type: stateChangeTypes.MenuMouseLeave,
+      })
+    },
+    itemMouseMove(index, disabled) {
+      if (index === getLatest().state.highlightedIndex) {
+        return
+      }
+
+      shouldScrollRef.current = false
+      dispatch({
+        type: stateChangeTypes.ItemMouseMove,
+        index,
+        disabled,
+      })
+    },
+    itemClick(index) {
+      if (isNewItemIndex(index)) {
+        createNewItem()
+
+        return
+      }
+
+      dispatch({
+        type: stateChangeTypes.ItemClick,
+        index,
+      })
+    },
+  }
+}
+
+/**
+ * Creates the loader of the `loadItems` prop, which calls it once the input
+ * value stops changing for `loadItemsDelay` and dispatches the loaded items,
+ * unless a newer load aborted it.
+ *
+ * @param {Function} dispatch Dispatches an action.
+ * @param {Function} getProps Returns the latest props.
+ * @param {number} delay The `loadItemsDelay` prop.
+ * @returns {Object} The loader, with `load`, `cancel` and `abort`.
+ */
+export function createItemsLoader(dispatch, getProps, delay) {
+  let abortController
+  const debouncedLoad = debounce(inputValue => {
+    abortController = new AbortController()
+
+    const {signal} = abortController
+
+    dispatch({type: stateChangeTypes.ItemsLoadStart})
+    // loadItems may throw or return the items instead of a promise.
+    new Promise(resolve => {
+      resolve(getProps().loadItems(inputValue, {signal}))
+    }).then(
+      loadedItems => {
+        if (!signal.aborted) {
+          dispatch({
+            type: stateChangeTypes.ItemsLoadSuccess,
+            items: loadedItems,
+          })
+        }
+      },
+      loadError => {
+        if (!signal.aborted) {
+          dispatch({
+            type: stateChangeTypes.ItemsLoadError,
+            error: loadError,
+          })
+        }
+      },
+    )
+  }, delay)
+
+  return {
+    // Loads the items for the input value, aborting the pending request.
+    load(inputValue) {
+      abortController?.abort()
+      debouncedLoad(inputValue)
+    },
+    // Cancels the load that is still waiting for the delay.
+    cancel() {
+      debouncedLoad.cancel()
+    },
+    // Cancels the waiting load and aborts the pending request.
+    abort() {
+      debouncedLoad.cancel()
+      abortController?.abort()
+    },
   }
 }
 
+/**
+ * Loads the items for the input value while the menu is open, and cancels the
+ * load that is still waiting for the delay when the menu closes. It is called
+ * when the input value or `isOpen` change.
+ *
+ * @param {Object} itemsLoader The loader created by `createItemsLoader`.
+ * @param {Object} props The hook props.
+ * @param {Object} state The hook state.
+ */
+export function updateItemsLoader(itemsLoader, props, state) {
+  if (!props.loadItems) {
+    return
+  }
+
+  if (!state.isOpen) {
+    itemsLoader.cancel()
+    return
+  }
+
+  itemsLoader.load(state.inputValue)
+}
+
 const propTypes = {
   ...commonDropdownPropTypes,
-  items: PropTypes.array.isRequired,
+  items: itemsPropType,
+  groups: groupsPropType,
+  itemCount: PropTypes.number,
+  getItem: getItemPropType,
+  getItemIndex: PropTypes.func,
+  scrollToIndex: PropTypes.func,
+  getGroupLabelId: PropTypes.func,
   isItemDisabled: PropTypes.func,
   selectedItemChanged: PropTypes.func,
   getA11ySelectionMessage: PropTypes.func,
@@ -46,6 +646,33 @@ const propTypes = {
   initialInputValue: PropTypes.string,
   inputId: PropTypes.string,
   onInputValueChange: PropTypes.func,
+  loadItems: PropTypes.func,
+  loadItemsDelay: PropTypes.number,
+  onIsLoadingChange: PropTypes.func,
+  onErrorChange: PropTypes.func,
+  allowCreate: PropTypes.bool,
+  getNewItem: PropTypes.func,
+  onCreateItem: PropTypes.func,
+  keyBindings: createKeyBindingsPropType(keyBindingHandlerKeys),
+  selectOnBlur: PropTypes.oneOf(['never', 'highlighted', 'exactMatch']),
+  selectOnTab: PropTypes.bool,
+  inlineAutocomplete: PropTypes.bool,
+  freeSolo: PropTypes.bool,
+  parseInputValue: PropTypes.func,
+  itemToValue: PropTypes.func,
+  required: PropTypes.bool,
+  validate: PropTypes.func,
+  isInvalid: PropTypes.bool,
+  initialIsInvalid: PropTypes.bool,
+  defaultIsInvalid: PropTypes.bool,
+  onIsInvalidChange: PropTypes.func,
+  validationMessage: PropTypes.string,
+  initialValidationMessage: PropTypes.string,
+  defaultValidationMessage: PropTypes.string,
+  onValidationMessageChange: PropTypes.func,
+  errorMessageId: PropTypes.string,
+  descriptionId: PropTypes.string,
+  history: PropTypes.bool,
 }
 
 /**
@@ -58,11 +685,17 @@ const propTypes = {
  * @param {Function} reducer Reducer function from downshift.
  * @param {Object} initialState Initial state of the hook.
  * @param {Object} props The hook props.
- * @returns {Array} An array with the state and an action dispatcher.
+ * @returns {Array} An array with the state, an action dispatcher and the
+ * history of the selection changes.
  */
 export function useControlledReducer(reducer, initialState, props) {
   const previousSelectedItemRef = useRef()
-  const [state, dispatch] = useEnhancedReducer(reducer, initialState, props)
+  const [state, dispatch, history] = useEnhancedReducer(
+    reducer,
+    initialState,
+    props,
+    callOnActionProps,
+  )
 
   // ToDo: if needed, make same approach as selectedItemChanged from Downshift.
   useEffect(() => {
@@ -77,7 +710,7 @@ export function useControlledReducer(reducer, initialState, props) {
       )
     ) {
       dispatch({
-        type: ControlledPropUpdatedSelectedItem,
+        type: stateChangeTypes.ControlledPropUpdatedSelectedItem,
         inputValue: props.itemToString(props.selectedItem),
       })
     }
@@ -89,7 +722,7 @@ export function useControlledReducer(reducer, initialState, props) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [state.selectedItem, props.selectedItem])
 
-  return [getState(state, props), dispatch]
+  return [getState(state, props), dispatch, history]
 }
 
 // eslint-disable-next-line import/no-mutable-exports
@@ -105,7 +738,11 @@ export const defaultProps = {
   ...defaultPropsCommon,
   selectedItemChanged: (prevItem, item) => prevItem !== item,
   getA11yStatusMessage,
+  loadItemsDelay: 300,
+  getNewItem: inputValue => inputValue,
+  parseInputValue: inputValue => inputValue,
   isItemDisabled() {
     return false
   },
+  selectOnBlur: 'highlighted',
 }
@@ -0,0 +1,106 @@
+import * as React from 'react'
+import {act, fireEvent, render, screen} from '@testing-library/react'
+import {renderUseMultipleSelection, items} from '../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import useMultipleSelection from '..'
+
+function MultipleSelectionInForm(props) {
+  const {
+    getHiddenInputProps,
+    addSelectedItem,
+    setSelectedItems,
+    selectedItems,
+  } = useMultipleSelection(props)
+
+  return (
+    <form data-testid="form">
+      {selectedItems.map((selectedItem, index) => (
+        <input
+          key={selectedItem}
+          {...getHiddenInputProps({name: 'elements', index})}
+        />
+      ))}
+      <button type="button" onClick={() => addSelectedItem(items[2])}>
+        Add
+      </button>
+      <button type="button" onClick={() => setSelectedItems([])}>
+        Clear
+      </button>
+    </form>
+  )
+}
+
+describe('getHiddenInputProps', () => {
+  test('has the selected item at the index', () => {
+    const {result} = renderUseMultipleSelection({
+      initialSelectedItems: [items[0], items[3]],
+    })
+    const hiddenInputProps = result.current.getHiddenInputProps({
+      name: 'elements',
+      index: 1,
+    })
+
+    expect(hiddenInputProps.type).toEqual('hidden')
+    expect(hiddenInputProps.name).toEqual('elements')
+    expect(hiddenInputProps.value).toEqual(items[3])
+  })
+
+  test('serializes the selected items with itemToValue', () => {
+    const {result} = renderUseMultipleSelection({
+      initialSelectedItems: [items[0], items[3]],
+      itemToValue: item => item.toLowerCase(),
+    })
+
+    expect(result.current.getHiddenInputProps({index: 1}).value).toEqual(
+      items[3].toLowerCase(),
+    )
+  })
+
+  test('resets the state to the default values when the form is reset', () => {
+    const onSelectedItemsChange = jest.fn()
+    render(
+      <MultipleSelectionInForm
+        defaultSelectedItems={[items[1]]}
+        onSelectedItemsChange={onSelectedItemsChange}
+      />,
+    )
+
+    fireEvent.click(screen.getByRole('button', {name: 'Add'}))
+
+    expect(new FormData(screen.getByTestId('form')).getAll('elements')).toEqual(
+      [items[1], items[2]],
+    )
+
+    act(() => {
+      screen.getByTestId('form').reset()
+    })
+
+    expect(onSelectedItemsChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        selectedItems: [items[1]],
+        type: stateChangeTypes.FunctionReset,
+      }),
+    )
+    expect(new FormData(screen.getByTestId('form')).getAll('elements')).toEqual(
+      [items[1]],
+    )
+  })
+
+  test('resets the state after the hidden inputs are removed', () => {
+    render(<MultipleSelectionInForm defaultSelectedItems={[items[1]]} />)
+
+    fireEvent.click(screen.getByRole('button', {name: 'Clear'}))
+
+    expect(new FormData(screen.getByTestId('form')).getAll('elements')).toEqual(
+      [],
+    )
+
+    act(() => {
+      screen.getByTestId('form').reset()
+    })
+
+    expect(new FormData(screen.getByTestId('form')).getAll('elements')).toEqual(
+      [items[1]],
+    )
+  })
+})
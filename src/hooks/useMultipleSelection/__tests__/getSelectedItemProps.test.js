@@ -1,4 +1,5 @@
-import {act} from '@testing-library/react'
+import {act, fireEvent} from '@testing-library/react'
+import * as stateChangeTypes from '../stateChangeTypes'
 
 import {
   renderUseMultipleSelection,
@@ -451,6 +452,310 @@ describe('getSelectedItemProps', () => {
         expect(getSelectedItems()).toHaveLength(2)
         expect(getSelectedItemAtIndex(1)).toHaveFocus()
       })
+
+      test('shift and arrow left extends the active range', async () => {
+        const onStateChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2], items[3]],
+            initialActiveIndex: 3,
+            onStateChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(3, '{Shift>}{ArrowLeft}{/Shift}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownShiftNavigationPrevious,
+          activeIndex: 2,
+          activeRange: [2, 3],
+        })
+
+        await keyDownOnSelectedItemAtIndex(2, '{Shift>}{ArrowLeft}{/Shift}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownShiftNavigationPrevious,
+          activeIndex: 1,
+          activeRange: [1, 3],
+        })
+        expect(getSelectedItemAtIndex(1)).toHaveFocus()
+      })
+
+      test('shift and arrow right shrinks the active range back to the anchor', async () => {
+        const onStateChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            initialActiveIndex: 1,
+            initialActiveRange: [0, 1],
+            onStateChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(1, '{Shift>}{ArrowRight}{/Shift}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownShiftNavigationNext,
+          activeIndex: 2,
+          activeRange: [0, 2],
+        })
+
+        await keyDownOnSelectedItemAtIndex(2, '{Shift>}{ArrowLeft}{/Shift}')
+        await keyDownOnSelectedItemAtIndex(1, '{Shift>}{ArrowLeft}{/Shift}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownShiftNavigationPrevious,
+          activeIndex: 0,
+          activeRange: null,
+        })
+      })
+
+      test('arrow keys without shift clear the active range', async () => {
+        const onStateChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            initialActiveIndex: 2,
+            initialActiveRange: [1, 2],
+            onStateChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(2, '{ArrowLeft}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownNavigationPrevious,
+          activeIndex: 1,
+          activeRange: null,
+        })
+      })
+
+      test('control and A selects all the items', async () => {
+        const onActiveRangeChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            initialActiveIndex: 1,
+            onActiveRangeChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(1, '{Control>}a{/Control}')
+
+        expect(onActiveRangeChange).toHaveBeenCalledWith(
+          expect.objectContaining({
+            type: stateChangeTypes.SelectedItemKeyDownSelectAll,
+            activeIndex: 1,
+            activeRange: [0, 2],
+          }),
+        )
+      })
+
+      test('delete removes the items in the active range', async () => {
+        const onStateChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2], items[3]],
+            initialActiveIndex: 1,
+            initialActiveRange: [1, 2],
+            onStateChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(1, '{Delete}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownDeleteRange,
+          selectedItems: [items[0], items[3]],
+          activeRange: null,
+        })
+        expect(getSelectedItems()).toHaveLength(2)
+        expect(getSelectedItemAtIndex(1)).toHaveFocus()
+        expect(getSelectedItemAtIndex(1)).toHaveTextContent(items[3])
+      })
+
+      test('backspace removes all the items and moves focus to input if the range has them all', async () => {
+        const onStateChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1]],
+            initialActiveIndex: 0,
+            onStateChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(0, '{Control>}a{/Control}')
+        await keyDownOnSelectedItemAtIndex(0, '{Backspace}')
+
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemKeyDownBackspaceRange,
+          selectedItems: [],
+          activeIndex: -1,
+          activeRange: null,
+        })
+        expect(getSelectedItems()).toHaveLength(0)
+        expect(getInput()).toHaveFocus()
+      })
+    })
+
+    describe('on reorder', () => {
+      test('alt and arrow left moves the item before the previous one', async () => {
+        const onSelectedItemsReorder = jest.fn()
+        const onStateChange = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            initialActiveIndex: 1,
+            onSelectedItemsReorder,
+            onStateChange,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(1, '{Alt>}{ArrowLeft}{/Alt}')
+
+        expect(getSelectedItemAtIndex(0)).toHaveTextContent(items[1])
+        expect(getSelectedItemAtIndex(1)).toHaveTextContent(items[0])
+        expect(getSelectedItemAtIndex(0)).toHaveFocus()
+        expect(onStateChange).toHaveBeenLastCalledWith({
+          type: stateChangeTypes.SelectedItemMove,
+          selectedItems: [items[1], items[0], items[2]],
+          activeIndex: 0,
+        })
+        expect(onSelectedItemsReorder).toHaveBeenCalledWith({
+          selectedItems: [items[1], items[0], items[2]],
+          movedSelectedItem: items[1],
+          index: 1,
+          newIndex: 0,
+        })
+      })
+
+      test('alt and arrow right moves the item after the next one', async () => {
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            initialActiveIndex: 0,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(0, '{Alt>}{ArrowRight}{/Alt}')
+
+        expect(getSelectedItemAtIndex(1)).toHaveTextContent(items[0])
+        expect(getSelectedItemAtIndex(1)).toHaveFocus()
+      })
+
+      test('alt and arrow keys do not move the item past the ends', async () => {
+        const onSelectedItemsReorder = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1]],
+            initialActiveIndex: 1,
+            onSelectedItemsReorder,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(1, '{Alt>}{ArrowRight}{/Alt}')
+
+        expect(getSelectedItemAtIndex(1)).toHaveTextContent(items[1])
+        expect(getSelectedItemAtIndex(1)).toHaveFocus()
+        expect(onSelectedItemsReorder).not.toHaveBeenCalled()
+      })
+
+      test('alt and arrow keys prevent the default behavior of the event', () => {
+        const {result} = renderUseMultipleSelection({
+          initialSelectedItems: [items[0], items[1]],
+          initialActiveIndex: 0,
+        })
+        const preventDefault = jest.fn()
+
+        act(() => {
+          result.current
+            .getSelectedItemProps({index: 0})
+            .onKeyDown({key: 'ArrowRight', altKey: true, preventDefault})
+        })
+
+        expect(preventDefault).toHaveBeenCalledTimes(1)
+        expect(result.current.selectedItems).toEqual([items[1], items[0]])
+      })
+
+      test('does not call onSelectedItemsReorder if the stateReducer prevents the move', async () => {
+        const onSelectedItemsReorder = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            initialActiveIndex: 1,
+            onSelectedItemsReorder,
+            stateReducer: state => state,
+          },
+        })
+
+        await keyDownOnSelectedItemAtIndex(1, '{Alt>}{ArrowLeft}{/Alt}')
+
+        expect(getSelectedItemAtIndex(1)).toHaveTextContent(items[1])
+        expect(onSelectedItemsReorder).not.toHaveBeenCalled()
+      })
+
+      test('the items are not draggable without draggableSelectedItems', () => {
+        const onSelectedItemsReorder = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1]],
+            onSelectedItemsReorder,
+          },
+        })
+
+        expect(getSelectedItemAtIndex(0)).not.toHaveAttribute('draggable')
+
+        fireEvent.dragStart(getSelectedItemAtIndex(0))
+        fireEvent.drop(getSelectedItemAtIndex(1))
+
+        expect(onSelectedItemsReorder).not.toHaveBeenCalled()
+      })
+
+      test('dragging an item and dropping it on another one moves it there', () => {
+        const onSelectedItemsReorder = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1], items[2]],
+            draggableSelectedItems: true,
+            onSelectedItemsReorder,
+          },
+        })
+
+        expect(getSelectedItemAtIndex(0)).toHaveAttribute('draggable', 'true')
+
+        fireEvent.dragStart(getSelectedItemAtIndex(0))
+        fireEvent.dragOver(getSelectedItemAtIndex(2))
+        fireEvent.drop(getSelectedItemAtIndex(2))
+        fireEvent.dragEnd(getSelectedItemAtIndex(2))
+
+        expect(getSelectedItems().map(item => item.textContent)).toEqual([
+          items[1],
+          items[2],
+          items[0],
+        ])
+        expect(onSelectedItemsReorder).toHaveBeenCalledWith(
+          expect.objectContaining({index: 0, newIndex: 2}),
+        )
+      })
+
+      test('dropping something that was not dragged from the items does nothing', () => {
+        const onSelectedItemsReorder = jest.fn()
+        renderMultipleCombobox({
+          multipleSelectionProps: {
+            initialSelectedItems: [items[0], items[1]],
+            draggableSelectedItems: true,
+            onSelectedItemsReorder,
+          },
+        })
+
+        fireEvent.drop(getSelectedItemAtIndex(1))
+
+        expect(getSelectedItems().map(item => item.textContent)).toEqual([
+          items[0],
+          items[1],
+        ])
+        expect(onSelectedItemsReorder).not.toHaveBeenCalled()
+      })
     })
 
     describe('on focus', () => {
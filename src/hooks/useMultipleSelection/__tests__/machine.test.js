@@ -0,0 +1,74 @@
+import {items} from '../../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import createMultipleSelectionMachine from '../machine'
+
+describe('createMultipleSelectionMachine', () => {
+  test('has the state change types of useMultipleSelection', () => {
+    expect(createMultipleSelectionMachine.stateChangeTypes).toEqual(
+      stateChangeTypes,
+    )
+  })
+
+  test('computes the initial state from the props', () => {
+    const machine = createMultipleSelectionMachine({
+      initialSelectedItems: items.slice(0, 2),
+      initialActiveIndex: 1,
+    })
+
+    expect(machine.getState()).toEqual({
+      activeIndex: 1,
+      selectedItems: items.slice(0, 2),
+      activeRange: null,
+      rejectionReason: null,
+    })
+  })
+
+  test('rejects the items like the hook', () => {
+    const onSelectedItemsChange = jest.fn()
+    const machine = createMultipleSelectionMachine({
+      initialSelectedItems: [items[0]],
+      maxSelectedItems: 1,
+      onSelectedItemsChange,
+    })
+
+    machine.send({
+      type: stateChangeTypes.FunctionAddSelectedItem,
+      selectedItem: items[1],
+    })
+
+    expect(machine.getState()).toEqual(
+      expect.objectContaining({
+        selectedItems: [items[0]],
+        rejectionReason: 'maxSelectedItems',
+      }),
+    )
+    expect(onSelectedItemsChange).not.toHaveBeenCalled()
+  })
+
+  test('calls onSelectedItemsReorder when an item is moved', () => {
+    const onSelectedItemsReorder = jest.fn()
+    const listener = jest.fn()
+    const machine = createMultipleSelectionMachine({
+      initialSelectedItems: items.slice(0, 3),
+      onSelectedItemsReorder,
+    })
+
+    machine.subscribe(listener)
+    machine.send({
+      type: stateChangeTypes.SelectedItemMove,
+      index: 0,
+      newIndex: 2,
+    })
+
+    expect(onSelectedItemsReorder).toHaveBeenCalledWith({
+      selectedItems: [items[1], items[2], items[0]],
+      movedSelectedItem: items[0],
+      index: 0,
+      newIndex: 2,
+    })
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({activeIndex: 2}),
+      expect.objectContaining({type: stateChangeTypes.SelectedItemMove}),
+    )
+  })
+})
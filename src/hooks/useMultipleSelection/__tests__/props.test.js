@@ -68,11 +68,470 @@ describe('props', () => {
     })
   })
 
+  describe('getA11yMoveMessage', () => {
+    afterEach(() => {
+      act(() => jest.runAllTimers())
+    })
+
+    test('reports the new position of the moved item', async () => {
+      renderMultipleCombobox({
+        multipleSelectionProps: {
+          initialSelectedItems: [items[0], items[1], items[2]],
+          initialActiveIndex: 2,
+        },
+      })
+
+      await keyDownOnSelectedItemAtIndex(2, '{Alt>}{ArrowLeft}{/Alt}')
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        `${items[2]} has been moved to position 2 of 3.`,
+      )
+    })
+
+    test('is replaced with the user provided one', async () => {
+      const getA11yMoveMessage = jest.fn(() => 'custom message')
+      const itemToString = item => item.str
+      const initialSelectedItems = [{str: 'aaa'}, {str: 'bbb'}]
+      renderMultipleCombobox({
+        multipleSelectionProps: {
+          initialSelectedItems,
+          initialActiveIndex: 0,
+          itemToString,
+          getA11yMoveMessage,
+        },
+      })
+
+      await keyDownOnSelectedItemAtIndex(0, '{Alt>}{ArrowRight}{/Alt}')
+
+      expect(getA11yMoveMessage).toHaveBeenCalledWith({
+        itemToString,
+        resultCount: 2,
+        movedSelectedItem: initialSelectedItems[0],
+        newIndex: 1,
+      })
+      expect(getA11yStatusContainer()).toHaveTextContent('custom message')
+    })
+
+    test('is not called if the move is prevented by the state reducer', async () => {
+      const getA11yMoveMessage = jest.fn()
+      renderMultipleCombobox({
+        multipleSelectionProps: {
+          initialSelectedItems: [items[0], items[1]],
+          initialActiveIndex: 0,
+          getA11yMoveMessage,
+          stateReducer: state => state,
+        },
+      })
+
+      await keyDownOnSelectedItemAtIndex(0, '{Alt>}{ArrowRight}{/Alt}')
+
+      expect(getA11yMoveMessage).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('messages and locale', () => {
+    afterEach(() => {
+      act(() => jest.runAllTimers())
+    })
+
+    test('are used by the default removal message', () => {
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0], items[1], items[2]],
+        initialActiveRange: [0, 1],
+        initialActiveIndex: 1,
+        messages: {
+          itemsRemoved: {
+            one: '{count} élément a été supprimé.',
+            other: '{count} éléments ont été supprimés.',
+          },
+        },
+        locale: 'fr',
+      })
+
+      act(() => {
+        result.current
+          .getSelectedItemProps({index: 1})
+          .onKeyDown({key: 'Delete', preventDefault: jest.fn()})
+      })
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        '2 éléments ont été supprimés.',
+      )
+    })
+  })
+
+  describe('announce', () => {
+    test('receives the removal message', () => {
+      const announce = jest.fn()
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0], items[1]],
+        announce,
+      })
+
+      act(() => {
+        result.current.removeSelectedItem(items[0])
+      })
+
+      expect(announce).toHaveBeenCalledWith(`${items[0]} has been removed.`, {
+        politeness: 'polite',
+      })
+    })
+
+    test('receives the rejection message as an assertive one', () => {
+      const announce = jest.fn()
+      const {result} = renderUseMultipleSelection({
+        maxSelectedItems: 0,
+        announce,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+      })
+
+      expect(announce).toHaveBeenCalledWith(
+        `${items[0]} cannot be added, at most 0 items can be selected.`,
+        {politeness: 'assertive'},
+      )
+    })
+  })
+
+  describe('maxSelectedItems', () => {
+    afterEach(() => {
+      act(() => jest.runAllTimers())
+    })
+
+    test('rejects the items added once the limit is reached', () => {
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0]],
+        maxSelectedItems: 2,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0], items[1]])
+      expect(result.current.rejectionReason).toBeNull()
+
+      act(() => {
+        result.current.addSelectedItem(items[2])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0], items[1]])
+      expect(result.current.rejectionReason).toBe('maxSelectedItems')
+    })
+
+    test('clears the rejection reason when the selected items change', () => {
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0]],
+        maxSelectedItems: 1,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+      act(() => {
+        result.current.removeSelectedItem(items[0])
+      })
+
+      expect(result.current.rejectionReason).toBeNull()
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[1]])
+    })
+  })
+
+  describe('validateSelectedItem', () => {
+    const rejectDuplicates = (item, selectedItems) =>
+      selectedItems.includes(item) ? 'duplicate' : true
+    const preventRejection = (state, {type, changes}) =>
+      type === stateChangeTypes.SelectionRejected ? state : changes
+
+    afterEach(() => {
+      act(() => jest.runAllTimers())
+    })
+
+    test('is called with the item and the selected items', () => {
+      const validateSelectedItem = jest.fn(() => true)
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0]],
+        validateSelectedItem,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(validateSelectedItem).toHaveBeenCalledWith(items[1], [items[0]])
+      expect(result.current.selectedItems).toEqual([items[0], items[1]])
+    })
+
+    test('rejects the item as invalid if it returns false', () => {
+      const {result} = renderUseMultipleSelection({
+        validateSelectedItem: () => false,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+      })
+
+      expect(result.current.selectedItems).toEqual([])
+      expect(result.current.rejectionReason).toBe('invalid')
+    })
+
+    test('rejects the item with the reason it returns', () => {
+      const {result} = renderUseMultipleSelection({
+        validateSelectedItem: rejectDuplicates,
+        initialSelectedItems: [items[0]],
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0]])
+      expect(result.current.rejectionReason).toBe('duplicate')
+    })
+
+    test('dispatches the SelectionRejected state change', () => {
+      const stateReducer = jest.fn((state, {changes}) => changes)
+      const onStateChange = jest.fn()
+      const {result} = renderUseMultipleSelection({
+        validateSelectedItem: () => false,
+        stateReducer,
+        onStateChange,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+      })
+
+      expect(stateReducer).toHaveBeenCalledWith(
+        expect.objectContaining({rejectionReason: null}),
+        expect.objectContaining({
+          type: stateChangeTypes.SelectionRejected,
+          selectedItem: items[0],
+          rejectedSelectedItem: items[0],
+          rejectionReason: 'invalid',
+          changes: expect.objectContaining({
+            selectedItems: [],
+            rejectionReason: 'invalid',
+          }),
+        }),
+      )
+      expect(onStateChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.SelectionRejected,
+          rejectionReason: 'invalid',
+        }),
+      )
+    })
+
+    test('dispatches the SelectionRejected state change for setSelectedItems', () => {
+      const stateReducer = jest.fn((state, {changes}) => changes)
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0]],
+        maxSelectedItems: 2,
+        stateReducer,
+      })
+
+      act(() => {
+        result.current.setSelectedItems([items[0], items[1], items[2]])
+      })
+
+      expect(stateReducer).toHaveBeenLastCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          type: stateChangeTypes.SelectionRejected,
+          rejectedSelectedItem: items[2],
+          rejectionReason: 'maxSelectedItems',
+          changes: expect.objectContaining({
+            selectedItems: [items[0], items[1]],
+          }),
+        }),
+      )
+    })
+
+    test('does not dispatch SelectionRejected if the item is added', () => {
+      const stateReducer = jest.fn((state, {changes}) => changes)
+      const {result} = renderUseMultipleSelection({
+        maxSelectedItems: 1,
+        stateReducer,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+      })
+
+      expect(stateReducer).toHaveBeenLastCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          type: stateChangeTypes.FunctionAddSelectedItem,
+          changes: expect.objectContaining({
+            selectedItems: [items[0]],
+            rejectionReason: null,
+          }),
+        }),
+      )
+    })
+
+    test('lets the state reducer prevent the rejection', () => {
+      const {result} = renderUseMultipleSelection({
+        maxSelectedItems: 1,
+        initialSelectedItems: [items[0]],
+        stateReducer: preventRejection,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0]])
+      expect(result.current.rejectionReason).toBeNull()
+      expect(getA11yStatusContainer()).not.toHaveTextContent('cannot be added')
+    })
+
+    test('checks the items added in the same handler against each other', () => {
+      const {result} = renderUseMultipleSelection({maxSelectedItems: 1})
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0]])
+      expect(result.current.rejectionReason).toBe('maxSelectedItems')
+    })
+
+    test('checks the items added with setSelectedItems', () => {
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0], items[1]],
+        validateSelectedItem: item => item !== items[3],
+      })
+
+      act(() => {
+        result.current.setSelectedItems([items[1], items[2], items[3]])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[1], items[2]])
+      expect(result.current.rejectionReason).toBe('invalid')
+    })
+
+    test('lets the state reducer keep the rejected item', () => {
+      const {result} = renderUseMultipleSelection({
+        maxSelectedItems: 1,
+        stateReducer: (_state, {changes, selectedItem}) => ({
+          ...changes,
+          selectedItems: [...changes.selectedItems, selectedItem],
+        }),
+        initialSelectedItems: [items[0]],
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0], items[1]])
+      expect(getA11yStatusContainer()).not.toHaveTextContent('cannot be added')
+    })
+  })
+
+  describe('getA11yRejectionMessage', () => {
+    afterEach(() => {
+      act(() => jest.runAllTimers())
+    })
+
+    test('reports the limit of selected items', () => {
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0]],
+        maxSelectedItems: 1,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        `${items[1]} cannot be added, at most 1 item can be selected.`,
+      )
+    })
+
+    test('reports the invalid item', () => {
+      const {result} = renderUseMultipleSelection({
+        validateSelectedItem: () => 'duplicate',
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[1])
+      })
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        `${items[1]} cannot be added.`,
+      )
+    })
+
+    test('is replaced with the user provided one', () => {
+      const getA11yRejectionMessage = jest.fn(() => 'custom message')
+      const itemToString = item => item.str
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [{str: 'aaa'}],
+        maxSelectedItems: 1,
+        itemToString,
+        getA11yRejectionMessage,
+      })
+
+      act(() => {
+        result.current.addSelectedItem({str: 'bbb'})
+      })
+
+      expect(getA11yRejectionMessage).toHaveBeenCalledWith({
+        itemToString,
+        resultCount: 1,
+        rejectedSelectedItem: {str: 'bbb'},
+        rejectionReason: 'maxSelectedItems',
+        maxSelectedItems: 1,
+      })
+      expect(getA11yStatusContainer()).toHaveTextContent('custom message')
+    })
+
+    test('is not called if the document is undefined', () => {
+      const getA11yRejectionMessage = jest.fn()
+      const {result} = renderUseMultipleSelection({
+        maxSelectedItems: 0,
+        getA11yRejectionMessage,
+        environment: undefined,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(items[0])
+      })
+
+      expect(getA11yRejectionMessage).not.toHaveBeenCalled()
+    })
+  })
+
   describe('getA11yRemovalMessage', () => {
     afterEach(() => {
       act(() => jest.runAllTimers())
     })
 
+    test('is set on the status node rendered with getA11yStatusProps', () => {
+      const statusNode = document.createElement('div')
+      const {result} = renderUseMultipleSelection({
+        initialSelectedItems: [items[0], items[1]],
+      })
+
+      result.current.getA11yStatusProps().ref(statusNode)
+      act(() => {
+        result.current.removeSelectedItem(items[0])
+      })
+
+      expect(statusNode).toHaveTextContent(`${items[0]} has been removed.`)
+    })
+
     test('is not added if the document in undefined', async () => {
       renderMultipleCombobox({
         multipleSelectionProps: {
@@ -114,6 +573,46 @@ describe('props', () => {
       )
     })
 
+    test('is called with all the items removed at once', async () => {
+      const initialSelectedItems = [items[0], items[1], items[2]]
+      const getA11yRemovalMessage = jest.fn()
+
+      renderMultipleCombobox({
+        multipleSelectionProps: {
+          initialSelectedItems,
+          initialActiveIndex: 0,
+          initialActiveRange: [0, 1],
+          getA11yRemovalMessage,
+        },
+      })
+
+      await keyDownOnSelectedItemAtIndex(0, '{Delete}')
+
+      expect(getA11yRemovalMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          resultCount: 1,
+          removedSelectedItem: items[0],
+          removedSelectedItems: [items[0], items[1]],
+        }),
+      )
+    })
+
+    test('reports the number of items removed at once', async () => {
+      renderMultipleCombobox({
+        multipleSelectionProps: {
+          initialSelectedItems: [items[0], items[1], items[2]],
+          initialActiveIndex: 2,
+          initialActiveRange: [1, 2],
+        },
+      })
+
+      await keyDownOnSelectedItemAtIndex(2, '{Backspace}')
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        '2 items have been removed.',
+      )
+    })
+
     test('is replaced with the user provided one', async () => {
       const initialSelectedItems = [items[0], items[1]]
 
@@ -18,6 +18,8 @@ describe('returnProps', () => {
 
       expect(result.current.getDropdownProps).toBeInstanceOf(Function)
       expect(result.current.getSelectedItemProps).toBeInstanceOf(Function)
+      expect(result.current.getA11yStatusProps).toBeInstanceOf(Function)
+      expect(result.current.getHiddenInputProps).toBeInstanceOf(Function)
     })
   })
 
@@ -137,9 +139,152 @@ describe('returnProps', () => {
       expect(result.current.activeIndex).toBe(0)
       expect(result.current.selectedItems).toStrictEqual([3, 4])
     })
+
+    test('undo restores the selected items before the last change', () => {
+      const onSelectedItemsChange = jest.fn()
+      const {result} = renderUseMultipleSelection({
+        history: true,
+        initialSelectedItems: [1, 2, 3],
+        initialActiveIndex: 2,
+        onSelectedItemsChange,
+      })
+
+      act(() => {
+        result.current.removeSelectedItem(3)
+      })
+      act(() => {
+        result.current.removeSelectedItem(2)
+      })
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([1, 2])
+      expect(result.current.activeIndex).toBe(0)
+      expect(onSelectedItemsChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.FunctionUndo,
+          selectedItems: [1, 2],
+        }),
+      )
+
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([1, 2, 3])
+    })
+
+    test('undo keeps the active index within the restored selected items', () => {
+      const {result} = renderUseMultipleSelection({
+        history: true,
+        initialSelectedItems: [1],
+      })
+
+      act(() => {
+        result.current.setSelectedItems([1, 2, 3])
+      })
+      act(() => {
+        result.current.setActiveIndex(2)
+      })
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([1])
+      expect(result.current.activeIndex).toBe(0)
+    })
+
+    test('redo restores the change that was undone', () => {
+      const onSelectedItemsChange = jest.fn()
+      const {result} = renderUseMultipleSelection({
+        history: true,
+        onSelectedItemsChange,
+      })
+
+      act(() => {
+        result.current.addSelectedItem(1)
+      })
+      act(() => {
+        result.current.addSelectedItem(2)
+      })
+      act(() => {
+        result.current.undo()
+      })
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([])
+
+      act(() => {
+        result.current.redo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([1])
+      expect(onSelectedItemsChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.FunctionRedo,
+          selectedItems: [1],
+        }),
+      )
+
+      act(() => {
+        result.current.redo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([1, 2])
+    })
+
+    test('undo and redo do nothing without the history prop', () => {
+      const onStateChange = jest.fn()
+      const {result} = renderUseMultipleSelection({onStateChange})
+
+      act(() => {
+        result.current.addSelectedItem(1)
+      })
+      onStateChange.mockClear()
+      act(() => {
+        result.current.undo()
+        result.current.redo()
+      })
+
+      expect(result.current.selectedItems).toStrictEqual([1])
+      expect(result.current.canUndo).toBe(false)
+      expect(result.current.canRedo).toBe(false)
+      expect(onStateChange).not.toHaveBeenCalled()
+    })
   })
 
   describe('state and props', () => {
+    test('canUndo and canRedo are returned', () => {
+      const {result} = renderUseMultipleSelection({history: true})
+
+      expect(result.current.canUndo).toBe(false)
+      expect(result.current.canRedo).toBe(false)
+
+      act(() => {
+        result.current.addSelectedItem(1)
+      })
+
+      expect(result.current.canUndo).toBe(true)
+      expect(result.current.canRedo).toBe(false)
+
+      act(() => {
+        result.current.undo()
+      })
+
+      expect(result.current.canUndo).toBe(false)
+      expect(result.current.canRedo).toBe(true)
+
+      act(() => {
+        result.current.addSelectedItem(2)
+      })
+
+      expect(result.current.canUndo).toBe(true)
+      expect(result.current.canRedo).toBe(false)
+    })
+
     test('activeIndex is returned', () => {
       const {result} = renderUseMultipleSelection({activeIndex: 4})
 
@@ -1,18 +1,20 @@
 import {useRef, useEffect, useCallback, useMemo} from 'react'
-import {isReactNative} from '../../is.macro'
-import setStatus from '../../set-a11y-status'
 import {handleRefs, callAllEventHandlers, normalizeArrowKey} from '../../utils'
 import {
   useControlledReducer,
   useGetterPropsCalledChecker,
   useLatestRef,
   useControlPropsValidator,
+  useA11yStatus,
+  useHiddenInput,
   getItemAndIndex,
 } from '../utils'
 import {
   getInitialState,
   defaultProps,
   isKeyDownOperationPermitted,
+  getSelectedItemMove,
+  getRejectedSelectedItem,
   validatePropTypes,
 } from './utils'
 import downshiftMultipleSelectionReducer from './reducer'
@@ -29,24 +31,68 @@ function useMultipleSelection(userProps = {}) {
   }
   const {
     getA11yRemovalMessage,
+    getA11yMoveMessage,
     itemToString,
-    environment,
     keyNavigationNext,
     keyNavigationPrevious,
+    draggableSelectedItems,
   } = props
+  const {announceA11yStatus, getA11yStatusProps} = useA11yStatus(props)
+  // the item moved by the last committed move, to announce its new position.
+  const movedSelectedItemRef = useRef(null)
+  // Calls onSelectedItemsReorder once a move is committed, and announces the
+  // item that could not be added, if any.
+  const callOnActionProps = useCallback(
+    (action, prevState, newState) => {
+      const selectedItemMove = getSelectedItemMove(action, prevState, newState)
+      const rejectedSelectedItem = getRejectedSelectedItem(
+        action,
+        prevState,
+        newState,
+      )
+
+      if (selectedItemMove) {
+        movedSelectedItemRef.current = selectedItemMove.movedSelectedItem
+        action.props.onSelectedItemsReorder?.(selectedItemMove)
+      }
+
+      if (rejectedSelectedItem !== undefined) {
+        announceA11yStatus(
+          localization =>
+            action.props.getA11yRejectionMessage({
+              itemToString: action.props.itemToString,
+              resultCount: newState.selectedItems.length,
+              rejectedSelectedItem,
+              rejectionReason: newState.rejectionReason,
+              maxSelectedItems: action.props.maxSelectedItems,
+              ...localization,
+            }),
+          'assertive',
+        )
+      }
+    },
+    [announceA11yStatus],
+  )
 
   // Reducer init.
-  const [state, dispatch] = useControlledReducer(
+  const [
+    state,
+    dispatch,
+    {undo: undoHistory, redo: redoHistory, canUndo, canRedo},
+  ] = useControlledReducer(
     downshiftMultipleSelectionReducer,
     getInitialState(props),
     props,
+    callOnActionProps,
   )
-  const {activeIndex, selectedItems} = state
+  const {activeIndex, selectedItems, activeRange, rejectionReason} = state
 
   // Refs.
   const isInitialMountRef = useRef(true)
   const dropdownRef = useRef(null)
   const previousSelectedItemsRef = useRef(selectedItems)
+  // the index of the item that is dragged by the pointer.
+  const draggedIndexRef = useRef(-1)
   const selectedItemRefs = useRef()
   selectedItemRefs.current = []
   const latest = useLatestRef({state, props})
@@ -54,24 +100,25 @@ function useMultipleSelection(userProps = {}) {
   // Effects.
   /* Sets a11y status message on changes in selectedItem. */
   useEffect(() => {
-    if (isInitialMountRef.current || isReactNative || !environment?.document) {
+    if (isInitialMountRef.current) {
       return
     }
 
     if (selectedItems.length < previousSelectedItemsRef.current.length) {
-      const removedSelectedItem = previousSelectedItemsRef.current.find(
+      const removedSelectedItems = previousSelectedItemsRef.current.filter(
         item => selectedItems.indexOf(item) < 0,
       )
 
-      setStatus(
+      announceA11yStatus(localization =>
         getA11yRemovalMessage({
           itemToString,
           resultCount: selectedItems.length,
-          removedSelectedItem,
+          removedSelectedItem: removedSelectedItems[0],
+          removedSelectedItems,
           activeIndex,
           activeSelectedItem: selectedItems[activeIndex],
+          ...localization,
         }),
-        environment.document,
       )
     }
 
@@ -79,6 +126,28 @@ function useMultipleSelection(userProps = {}) {
 
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedItems.length])
+  /* Sets a11y status message on moves of a selected item. */
+  useEffect(() => {
+    const movedSelectedItem = movedSelectedItemRef.current
+
+    movedSelectedItemRef.current = null
+
+    if (movedSelectedItem === null || isInitialMountRef.current) {
+      return
+    }
+
+    announceA11yStatus(localization =>
+      getA11yMoveMessage({
+        itemToString,
+        resultCount: selectedItems.length,
+        movedSelectedItem,
+        newIndex: selectedItems.indexOf(movedSelectedItem),
+        ...localization,
+      }),
+    )
+
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedItems])
   // Sets focus on active item.
   useEffect(() => {
     if (isInitialMountRef.current) {
@@ -106,31 +175,87 @@ function useMultipleSelection(userProps = {}) {
     }
   }, [])
 
+  // Moves the selected item, if the new index is another valid one.
+  const moveSelectedItem = useCallback(
+    (index, newIndex) => {
+      const {state: latestState} = latest.current
+
+      if (
+        index === newIndex ||
+        newIndex < 0 ||
+        newIndex >= latestState.selectedItems.length
+      ) {
+        return
+      }
+
+      dispatch({
+        type: stateChangeTypes.SelectedItemMove,
+        index,
+        newIndex,
+      })
+    },
+    [dispatch, latest],
+  )
+
   // Event handler functions.
   const selectedItemKeyDownHandlers = useMemo(
     () => ({
-      [keyNavigationPrevious]() {
+      [keyNavigationPrevious](event) {
+        if (event.altKey) {
+          event.preventDefault()
+          moveSelectedItem(
+            latest.current.state.activeIndex,
+            latest.current.state.activeIndex - 1,
+          )
+
+          return
+        }
+
         dispatch({
-          type: stateChangeTypes.SelectedItemKeyDownNavigationPrevious,
+          type: event.shiftKey
+            ? stateChangeTypes.SelectedItemKeyDownShiftNavigationPrevious
+            : stateChangeTypes.SelectedItemKeyDownNavigationPrevious,
         })
       },
-      [keyNavigationNext]() {
+      [keyNavigationNext](event) {
+        if (event.altKey) {
+          event.preventDefault()
+          moveSelectedItem(
+            latest.current.state.activeIndex,
+            latest.current.state.activeIndex + 1,
+          )
+
+          return
+        }
+
         dispatch({
-          type: stateChangeTypes.SelectedItemKeyDownNavigationNext,
+          type: event.shiftKey
+            ? stateChangeTypes.SelectedItemKeyDownShiftNavigationNext
+            : stateChangeTypes.SelectedItemKeyDownNavigationNext,
         })
       },
       Delete() {
         dispatch({
-          type: stateChangeTypes.SelectedItemKeyDownDelete,
+          type: latest.current.state.activeRange
+            ? stateChangeTypes.SelectedItemKeyDownDeleteRange
+            : stateChangeTypes.SelectedItemKeyDownDelete,
         })
       },
       Backspace() {
         dispatch({
-          type: stateChangeTypes.SelectedItemKeyDownBackspace,
+          type: latest.current.state.activeRange
+            ? stateChangeTypes.SelectedItemKeyDownBackspaceRange
+            : stateChangeTypes.SelectedItemKeyDownBackspace,
         })
       },
     }),
-    [dispatch, keyNavigationNext, keyNavigationPrevious],
+    [
+      dispatch,
+      latest,
+      moveSelectedItem,
+      keyNavigationNext,
+      keyNavigationPrevious,
+    ],
   )
   const dropdownKeyDownHandlers = useMemo(
     () => ({
@@ -159,6 +284,10 @@ function useMultipleSelection(userProps = {}) {
       ref,
       onClick,
       onKeyDown,
+      onDragStart,
+      onDragOver,
+      onDrop,
+      onDragEnd,
       selectedItem: selectedItemProp,
       index: indexProp,
       ...rest
@@ -182,9 +311,43 @@ function useMultipleSelection(userProps = {}) {
         const key = normalizeArrowKey(event)
         if (key && selectedItemKeyDownHandlers[key]) {
           selectedItemKeyDownHandlers[key](event)
+        } else if (
+          (event.ctrlKey || event.metaKey) &&
+          key?.toLowerCase() === 'a'
+        ) {
+          event.preventDefault()
+
+          dispatch({
+            type: stateChangeTypes.SelectedItemKeyDownSelectAll,
+          })
         }
       }
 
+      const selectedItemHandleDragStart = event => {
+        draggedIndexRef.current = index
+
+        if (event.dataTransfer) {
+          event.dataTransfer.effectAllowed = 'move'
+        }
+      }
+      const selectedItemHandleDragOver = event => {
+        // allows the dragged item to be dropped on this one.
+        if (draggedIndexRef.current > -1) {
+          event.preventDefault()
+        }
+      }
+      const selectedItemHandleDrop = event => {
+        if (draggedIndexRef.current > -1) {
+          event.preventDefault()
+          moveSelectedItem(draggedIndexRef.current, index)
+        }
+
+        draggedIndexRef.current = -1
+      }
+      const selectedItemHandleDragEnd = () => {
+        draggedIndexRef.current = -1
+      }
+
       return {
         [refKey]: handleRefs(ref, selectedItemNode => {
           if (selectedItemNode) {
@@ -194,10 +357,34 @@ function useMultipleSelection(userProps = {}) {
         tabIndex: isFocusable ? 0 : -1,
         onClick: callAllEventHandlers(onClick, selectedItemHandleClick),
         onKeyDown: callAllEventHandlers(onKeyDown, selectedItemHandleKeyDown),
+        ...(draggableSelectedItems
+          ? {
+              draggable: true,
+              onDragStart: callAllEventHandlers(
+                onDragStart,
+                selectedItemHandleDragStart,
+              ),
+              onDragOver: callAllEventHandlers(
+                onDragOver,
+                selectedItemHandleDragOver,
+              ),
+              onDrop: callAllEventHandlers(onDrop, selectedItemHandleDrop),
+              onDragEnd: callAllEventHandlers(
+                onDragEnd,
+                selectedItemHandleDragEnd,
+              ),
+            }
+          : {onDragStart, onDragOver, onDrop, onDragEnd}),
         ...rest,
       }
     },
-    [dispatch, latest, selectedItemKeyDownHandlers],
+    [
+      dispatch,
+      latest,
+      moveSelectedItem,
+      selectedItemKeyDownHandlers,
+      draggableSelectedItems,
+    ],
   )
   const getDropdownProps = useCallback(
     (
@@ -256,6 +443,7 @@ function useMultipleSelection(userProps = {}) {
     },
     [dispatch],
   )
+
   const removeSelectedItem = useCallback(
     selectedItem => {
       dispatch({
@@ -288,17 +476,32 @@ function useMultipleSelection(userProps = {}) {
       type: stateChangeTypes.FunctionReset,
     })
   }, [dispatch])
+  const undo = useCallback(() => {
+    undoHistory(stateChangeTypes.FunctionUndo)
+  }, [undoHistory])
+  const redo = useCallback(() => {
+    redoHistory(stateChangeTypes.FunctionRedo)
+  }, [redoHistory])
+  const getHiddenInputProps = useHiddenInput(props, selectedItems, reset)
 
   return {
     getSelectedItemProps,
     getDropdownProps,
+    getA11yStatusProps,
+    getHiddenInputProps,
     addSelectedItem,
     removeSelectedItem,
     setSelectedItems,
     setActiveIndex,
     reset,
+    undo,
+    redo,
     selectedItems,
     activeIndex,
+    activeRange,
+    rejectionReason,
+    canUndo,
+    canRedo,
   }
 }
 
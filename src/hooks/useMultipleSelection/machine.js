@@ -0,0 +1,46 @@
+import createMachine from '../machine'
+import downshiftMultipleSelectionReducer from './reducer'
+import {
+  validatePropTypes,
+  defaultProps,
+  getInitialState,
+  getSelectedItemMove,
+} from './utils'
+import * as stateChangeTypes from './stateChangeTypes'
+
+createMultipleSelectionMachine.stateChangeTypes = stateChangeTypes
+
+/**
+ * Creates the state machine of `useMultipleSelection`, which the hook also
+ * runs. `onSelectedItemsReorder` is called once a move is committed, like in
+ * the hook, but the a11y status messages are left to the code that uses it.
+ *
+ * @param {Object} userProps The props of `useMultipleSelection`.
+ * @returns {Object} The machine, with `send`, `getState`, `getProps`,
+ * `setProps` and `subscribe`.
+ */
+function createMultipleSelectionMachine(userProps = {}) {
+  validatePropTypes(userProps, createMultipleSelectionMachine)
+
+  return createMachine(
+    {
+      reducer: downshiftMultipleSelectionReducer,
+      getProps: props => ({...defaultProps, ...props}),
+      getInitialState,
+      callOnActionProps(action, prevState, newState) {
+        const selectedItemMove = getSelectedItemMove(
+          action,
+          prevState,
+          newState,
+        )
+
+        if (selectedItemMove) {
+          action.props.onSelectedItemsReorder?.(selectedItemMove)
+        }
+      },
+    },
+    userProps,
+  )
+}
+
+export default createMultipleSelectionMachine
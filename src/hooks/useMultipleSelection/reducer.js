@@ -1,6 +1,15 @@
-import {getDefaultValue} from './utils'
+import {
+  getDefaultValue,
+  getChangesOnRangeNavigation,
+  getChangesOnRangeRemoval,
+  getSelectedItemsOnMove,
+  getSelectionAction,
+} from './utils'
 import * as stateChangeTypes from './stateChangeTypes'
 
+// the actions that reject an added item become SelectionRejected actions.
+downshiftMultipleSelectionReducer.getAction = getSelectionAction
+
 /* eslint-disable complexity */
 export default function downshiftMultipleSelectionReducer(state, action) {
   const {type, index, props, selectedItem} = action
@@ -11,12 +20,14 @@ export default function downshiftMultipleSelectionReducer(state, action) {
     case stateChangeTypes.SelectedItemClick:
       changes = {
         activeIndex: index,
+        activeRange: null,
       }
 
       break
     case stateChangeTypes.SelectedItemKeyDownNavigationPrevious:
       changes = {
         activeIndex: activeIndex - 1 < 0 ? 0 : activeIndex - 1,
+        activeRange: null,
       }
 
       break
@@ -24,6 +35,40 @@ export default function downshiftMultipleSelectionReducer(state, action) {
       changes = {
         activeIndex:
           activeIndex + 1 >= selectedItems.length ? -1 : activeIndex + 1,
+        activeRange: null,
+      }
+
+      break
+    case stateChangeTypes.SelectedItemKeyDownShiftNavigationPrevious:
+      changes = getChangesOnRangeNavigation(state, -1)
+
+      break
+    case stateChangeTypes.SelectedItemKeyDownShiftNavigationNext:
+      changes = getChangesOnRangeNavigation(state, 1)
+
+      break
+    case stateChangeTypes.SelectedItemKeyDownSelectAll:
+      changes = {
+        activeRange:
+          selectedItems.length > 1 ? [0, selectedItems.length - 1] : null,
+      }
+
+      break
+    // only triggered when there is an active range.
+    case stateChangeTypes.SelectedItemKeyDownBackspaceRange:
+    case stateChangeTypes.SelectedItemKeyDownDeleteRange:
+      changes = getChangesOnRangeRemoval(state)
+
+      break
+    case stateChangeTypes.SelectedItemMove:
+      changes = {
+        selectedItems: getSelectedItemsOnMove(
+          selectedItems,
+          index,
+          action.newIndex,
+        ),
+        activeIndex: action.newIndex,
+        activeRange: null,
       }
 
       break
@@ -47,6 +92,7 @@ export default function downshiftMultipleSelectionReducer(state, action) {
           ...selectedItems.slice(activeIndex + 1),
         ],
         ...{activeIndex: newActiveIndex},
+        rejectionReason: null,
       }
 
       break
@@ -55,21 +101,33 @@ export default function downshiftMultipleSelectionReducer(state, action) {
     case stateChangeTypes.DropdownKeyDownNavigationPrevious:
       changes = {
         activeIndex: selectedItems.length - 1,
+        activeRange: null,
       }
       break
     case stateChangeTypes.DropdownKeyDownBackspace:
       changes = {
         selectedItems: selectedItems.slice(0, selectedItems.length - 1),
+        activeRange: null,
+        rejectionReason: null,
       }
       break
     case stateChangeTypes.FunctionAddSelectedItem:
       changes = {
         selectedItems: [...selectedItems, selectedItem],
+        rejectionReason: null,
+      }
+      break
+    case stateChangeTypes.SelectionRejected:
+      changes = {
+        selectedItems: action.selectedItems,
+        ...(action.selectedItems !== selectedItems && {activeRange: null}),
+        rejectionReason: action.rejectionReason,
       }
       break
     case stateChangeTypes.DropdownClick:
       changes = {
         activeIndex: -1,
+        activeRange: null,
       }
       break
     case stateChangeTypes.FunctionRemoveSelectedItem: {
@@ -92,21 +150,24 @@ export default function downshiftMultipleSelectionReducer(state, action) {
           ...selectedItems.slice(selectedItemIndex + 1),
         ],
         activeIndex: newActiveIndex,
+        activeRange: null,
+        rejectionReason: null,
       }
 
       break
     }
-    case stateChangeTypes.FunctionSetSelectedItems: {
-      const {selectedItems: newSelectedItems} = action
+    case stateChangeTypes.FunctionSetSelectedItems:
       changes = {
-        selectedItems: newSelectedItems,
+        selectedItems: action.selectedItems,
+        activeRange: null,
+        rejectionReason: null,
       }
       break
-    }
     case stateChangeTypes.FunctionSetActiveIndex: {
       const {activeIndex: newActiveIndex} = action
       changes = {
         activeIndex: newActiveIndex,
+        activeRange: null,
       }
       break
     }
@@ -114,8 +175,24 @@ export default function downshiftMultipleSelectionReducer(state, action) {
       changes = {
         activeIndex: getDefaultValue(props, 'activeIndex'),
         selectedItems: getDefaultValue(props, 'selectedItems'),
+        activeRange: getDefaultValue(props, 'activeRange'),
+        rejectionReason: getDefaultValue(props, 'rejectionReason'),
       }
       break
+    case stateChangeTypes.FunctionUndo:
+    case stateChangeTypes.FunctionRedo: {
+      const {historyState} = action
+      changes = {
+        ...historyState,
+        activeIndex: Math.min(
+          activeIndex,
+          historyState.selectedItems.length - 1,
+        ),
+        activeRange: null,
+        rejectionReason: null,
+      }
+      break
+    }
     default:
       throw new Error('Reducer called without proper action type.')
   }
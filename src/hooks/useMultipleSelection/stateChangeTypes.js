@@ -13,6 +13,22 @@ export const SelectedItemKeyDownNavigationNext = productionEnum(
 export const SelectedItemKeyDownNavigationPrevious = productionEnum(
   '__selected_item_keydown_navigation_previous__',
 )
+export const SelectedItemKeyDownShiftNavigationNext = productionEnum(
+  '__selected_item_keydown_shift_navigation_next__',
+)
+export const SelectedItemKeyDownShiftNavigationPrevious = productionEnum(
+  '__selected_item_keydown_shift_navigation_previous__',
+)
+export const SelectedItemKeyDownSelectAll = productionEnum(
+  '__selected_item_keydown_select_all__',
+)
+export const SelectedItemKeyDownDeleteRange = productionEnum(
+  '__selected_item_keydown_delete_range__',
+)
+export const SelectedItemKeyDownBackspaceRange = productionEnum(
+  '__selected_item_keydown_backspace_range__',
+)
+export const SelectedItemMove = productionEnum('__selected_item_move__')
 
 export const DropdownKeyDownNavigationPrevious = productionEnum(
   '__dropdown_keydown_navigation_previous__',
@@ -35,3 +51,6 @@ export const FunctionSetActiveIndex = productionEnum(
   '__function_set_active_index__',
 )
 export const FunctionReset = productionEnum('__function_reset__')
+export const FunctionUndo = productionEnum('__function_undo__')
+export const FunctionRedo = productionEnum('__function_redo__')
+export const SelectionRejected = productionEnum('__selection_rejected__')
@@ -6,10 +6,14 @@ import {
   commonPropTypes,
 } from '../utils'
 import {noop} from '../../utils'
+import {formatMessage} from '../../messages'
+import * as stateChangeTypes from './stateChangeTypes'
 
 const defaultStateValues = {
   activeIndex: -1,
   selectedItems: [],
+  activeRange: null,
+  rejectionReason: null,
 }
 
 /**
@@ -47,13 +51,259 @@ function getDefaultValue(props, propKey) {
 function getInitialState(props) {
   const activeIndex = getInitialValue(props, 'activeIndex')
   const selectedItems = getInitialValue(props, 'selectedItems')
+  const activeRange = getInitialValue(props, 'activeRange')
+  const rejectionReason = getInitialValue(props, 'rejectionReason')
 
   return {
     activeIndex,
     selectedItems,
+    activeRange,
+    rejectionReason,
   }
 }
 
+/**
+ * Moves the active index by the offset and extends the active range from the
+ * index where it started, the anchor, to the new active index. The range is
+ * cleared if the active index moves back to the anchor.
+ *
+ * @param {Object} state The state of the hook.
+ * @param {number} offset The offset of the new active index, 1 or -1.
+ * @returns {Object} The changes for the state.
+ */
+function getChangesOnRangeNavigation(state, offset) {
+  const {activeIndex, activeRange, selectedItems} = state
+  let anchorIndex = activeIndex
+
+  if (activeRange) {
+    anchorIndex =
+      activeRange[0] === activeIndex ? activeRange[1] : activeRange[0]
+  }
+
+  const newActiveIndex = Math.min(
+    Math.max(activeIndex + offset, 0),
+    selectedItems.length - 1,
+  )
+
+  return {
+    activeIndex: newActiveIndex,
+    activeRange:
+      newActiveIndex === anchorIndex
+        ? null
+        : [
+            Math.min(anchorIndex, newActiveIndex),
+            Math.max(anchorIndex, newActiveIndex),
+          ],
+  }
+}
+
+/**
+ * Removes the selected items in the active range. The item after the range
+ * becomes active, or the last one if the range ended with the last item.
+ *
+ * @param {Object} state The state of the hook.
+ * @returns {Object} The changes for the state.
+ */
+function getChangesOnRangeRemoval(state) {
+  const {
+    activeRange: [start, end],
+    selectedItems,
+  } = state
+  const newSelectedItems = [
+    ...selectedItems.slice(0, start),
+    ...selectedItems.slice(end + 1),
+  ]
+
+  return {
+    selectedItems: newSelectedItems,
+    activeIndex: Math.min(start, newSelectedItems.length - 1),
+    activeRange: null,
+    rejectionReason: null,
+  }
+}
+
+/**
+ * Moves the selected item at the index to the new index.
+ *
+ * @param {Array} selectedItems The selected items.
+ * @param {number} index The index of the item to move.
+ * @param {number} newIndex The index to move the item to.
+ * @returns {Array} The reordered selected items.
+ */
+function getSelectedItemsOnMove(selectedItems, index, newIndex) {
+  const newSelectedItems = [...selectedItems]
+  const [movedSelectedItem] = newSelectedItems.splice(index, 1)
+
+  newSelectedItems.splice(newIndex, 0, movedSelectedItem)
+
+  return newSelectedItems
+}
+
+/**
+ * Returns the move of a selected item committed by a `SelectedItemMove` action,
+ * or null if the action is another one or if the `stateReducer` prevented the
+ * move.
+ *
+ * @param {Object} action The action, with the index of the moved item.
+ * @param {Object} state The state before the action.
+ * @param {Object} newState The state after the action.
+ * @returns {Object|null} The reordered `selectedItems`, the `movedSelectedItem`,
+ * its previous `index` and its `newIndex`.
+ */
+function getSelectedItemMove({type, index}, state, newState) {
+  if (
+    type !== stateChangeTypes.SelectedItemMove ||
+    newState.selectedItems === state.selectedItems
+  ) {
+    return null
+  }
+
+  const movedSelectedItem = state.selectedItems[index]
+
+  return {
+    selectedItems: newState.selectedItems,
+    movedSelectedItem,
+    index,
+    newIndex: newState.selectedItems.indexOf(movedSelectedItem),
+  }
+}
+
+/**
+ * Returns the reason why the item cannot be added to the selected items, or
+ * null if it can. The item is rejected with 'maxSelectedItems' if there are
+ * already `maxSelectedItems` selected items, otherwise with the reason
+ * returned by `validateSelectedItem`, or 'invalid' if it returns false.
+ *
+ * @param {Object} props The props of the hook.
+ * @param {Array} selectedItems The selected items.
+ * @param {any} selectedItem The item to add.
+ * @returns {string | null} The rejection reason.
+ */
+function getSelectionRejectionReason(props, selectedItems, selectedItem) {
+  const {maxSelectedItems, validateSelectedItem} = props
+
+  if (
+    maxSelectedItems !== undefined &&
+    selectedItems.length >= maxSelectedItems
+  ) {
+    return 'maxSelectedItems'
+  }
+
+  const validation = validateSelectedItem
+    ? validateSelectedItem(selectedItem, selectedItems)
+    : true
+
+  if (validation === true) {
+    return null
+  }
+
+  return typeof validation === 'string' ? validation : 'invalid'
+}
+
+/**
+ * Adds the items to the selected items one after the other, leaving out the
+ * ones rejected by `maxSelectedItems` or `validateSelectedItem`. Each item is
+ * checked against the selected items that include the ones added before it.
+ *
+ * @param {Object} props The props of the hook.
+ * @param {Array} selectedItems The selected items.
+ * @param {Array} addedItems The items to add.
+ * @returns {Object} The new `selectedItems`, and the first rejected item as
+ * `rejectedSelectedItem`, with its `rejectionReason`, which is null if all of
+ * them are added.
+ */
+function getSelectedItemsOnAdd(props, selectedItems, addedItems) {
+  let rejectedSelectedItem
+  let rejectionReason = null
+  const newSelectedItems = addedItems.reduce((currentItems, addedItem) => {
+    const itemRejectionReason = getSelectionRejectionReason(
+      props,
+      currentItems,
+      addedItem,
+    )
+
+    if (itemRejectionReason) {
+      if (!rejectionReason) {
+        rejectedSelectedItem = addedItem
+        rejectionReason = itemRejectionReason
+      }
+
+      return currentItems
+    }
+
+    return [...currentItems, addedItem]
+  }, selectedItems)
+
+  return {
+    selectedItems: newSelectedItems,
+    rejectedSelectedItem,
+    rejectionReason,
+  }
+}
+
+/**
+ * Returns the action that the reducer computes the state for. If an action that
+ * adds or sets the selected items rejects one of the added items, it becomes a
+ * `SelectionRejected` action, with the `selectedItems` without the rejected
+ * items, the first `rejectedSelectedItem` and its `rejectionReason`, so the
+ * `stateReducer` can tell the rejection apart and prevent it.
+ *
+ * @param {Object} state The state before the action.
+ * @param {Object} action The action dispatched, with the props.
+ * @returns {Object} The action to compute the state for.
+ */
+function getSelectionAction(state, action) {
+  const {type, props, selectedItem} = action
+  let addition
+
+  if (type === stateChangeTypes.FunctionAddSelectedItem) {
+    addition = getSelectedItemsOnAdd(props, state.selectedItems, [selectedItem])
+  } else if (type === stateChangeTypes.FunctionSetSelectedItems) {
+    const newSelectedItems = action.selectedItems
+    // the items that are added are checked, the ones already selected kept.
+    const {rejectionReason, selectedItems, rejectedSelectedItem} =
+      getSelectedItemsOnAdd(
+        props,
+        newSelectedItems.filter(item => state.selectedItems.includes(item)),
+        newSelectedItems.filter(item => !state.selectedItems.includes(item)),
+      )
+
+    addition = {
+      selectedItems: newSelectedItems.filter(item =>
+        selectedItems.includes(item),
+      ),
+      rejectedSelectedItem,
+      rejectionReason,
+    }
+  }
+
+  return addition?.rejectionReason
+    ? {...action, type: stateChangeTypes.SelectionRejected, ...addition}
+    : action
+}
+
+/**
+ * Returns the item that a `SelectionRejected` action could not add to the
+ * selected items, or undefined if the action did not reject any, or the state
+ * reducer added it anyway.
+ *
+ * @param {Object} action The action that was committed.
+ * @param {Object} state The state before the action.
+ * @param {Object} newState The state after the action.
+ * @returns {any} The rejected item.
+ */
+function getRejectedSelectedItem(
+  {type, rejectedSelectedItem},
+  state,
+  newState,
+) {
+  return type === stateChangeTypes.SelectionRejected &&
+    newState.rejectionReason &&
+    !newState.selectedItems.includes(rejectedSelectedItem)
+    ? rejectedSelectedItem
+    : undefined
+}
+
 /**
  * Returns true if dropdown keydown operation is permitted. Should not be
  * allowed on keydown with modifier keys (ctrl, alt, shift, meta), on
@@ -89,10 +339,82 @@ function isKeyDownOperationPermitted(event) {
  * @returns {string} The a11y message.
  */
 function getA11yRemovalMessage(selectionParameters) {
-  const {removedSelectedItem, itemToString: itemToStringLocal} =
-    selectionParameters
+  const {
+    removedSelectedItem,
+    removedSelectedItems = [removedSelectedItem],
+    itemToString: itemToStringLocal,
+    messages,
+    locale,
+  } = selectionParameters
+
+  if (removedSelectedItems.length > 1) {
+    return formatMessage(
+      'itemsRemoved',
+      {count: removedSelectedItems.length},
+      {messages, locale},
+    )
+  }
+
+  return formatMessage(
+    'itemRemoved',
+    {item: itemToStringLocal(removedSelectedItem)},
+    {messages, locale},
+  )
+}
+
+/**
+ * Returns a message to be added to aria-live region when item is moved.
+ *
+ * @param {Object} moveParameters Parameters required to build the message.
+ * @returns {string} The a11y message.
+ */
+function getA11yMoveMessage(moveParameters) {
+  const {
+    movedSelectedItem,
+    newIndex,
+    resultCount,
+    itemToString: itemToStringLocal,
+    messages,
+    locale,
+  } = moveParameters
+
+  return formatMessage(
+    'itemMoved',
+    {
+      item: itemToStringLocal(movedSelectedItem),
+      position: newIndex + 1,
+      count: resultCount,
+    },
+    {messages, locale},
+  )
+}
+
+/**
+ * Returns a message to be added to aria-live region when item is rejected.
+ *
+ * @param {Object} rejectionParameters Parameters required to build the message.
+ * @returns {string} The a11y message.
+ */
+function getA11yRejectionMessage(rejectionParameters) {
+  const {
+    rejectedSelectedItem,
+    rejectionReason,
+    maxSelectedItems,
+    itemToString: itemToStringLocal,
+    messages,
+    locale,
+  } = rejectionParameters
+  const item = itemToStringLocal(rejectedSelectedItem)
+
+  if (rejectionReason === 'maxSelectedItems') {
+    return formatMessage(
+      'itemRejectedMax',
+      {item, count: maxSelectedItems},
+      {messages, locale},
+    )
+  }
 
-  return `${itemToStringLocal(removedSelectedItem)} has been removed.`
+  return formatMessage('itemRejected', {item}, {messages, locale})
 }
 
 const propTypes = {
@@ -101,13 +423,29 @@ const propTypes = {
   initialSelectedItems: PropTypes.array,
   defaultSelectedItems: PropTypes.array,
   getA11yRemovalMessage: PropTypes.func,
+  getA11yMoveMessage: PropTypes.func,
+  onSelectedItemsReorder: PropTypes.func,
+  draggableSelectedItems: PropTypes.bool,
+  maxSelectedItems: PropTypes.number,
+  validateSelectedItem: PropTypes.func,
+  getA11yRejectionMessage: PropTypes.func,
+  rejectionReason: PropTypes.string,
+  initialRejectionReason: PropTypes.string,
+  defaultRejectionReason: PropTypes.string,
+  onRejectionReasonChange: PropTypes.func,
   activeIndex: PropTypes.number,
   initialActiveIndex: PropTypes.number,
   defaultActiveIndex: PropTypes.number,
   onActiveIndexChange: PropTypes.func,
   onSelectedItemsChange: PropTypes.func,
+  activeRange: PropTypes.arrayOf(PropTypes.number),
+  initialActiveRange: PropTypes.arrayOf(PropTypes.number),
+  defaultActiveRange: PropTypes.arrayOf(PropTypes.number),
+  onActiveRangeChange: PropTypes.func,
   keyNavigationNext: PropTypes.string,
   keyNavigationPrevious: PropTypes.string,
+  itemToValue: PropTypes.func,
+  history: PropTypes.bool,
 }
 
 export const defaultProps = {
@@ -115,6 +453,8 @@ export const defaultProps = {
   stateReducer: defaultPropsCommon.stateReducer,
   environment: defaultPropsCommon.environment,
   getA11yRemovalMessage,
+  getA11yMoveMessage,
+  getA11yRejectionMessage,
   keyNavigationNext: 'ArrowRight',
   keyNavigationPrevious: 'ArrowLeft',
 }
@@ -132,5 +472,13 @@ export {
   validatePropTypes,
   getDefaultValue,
   getInitialState,
+  getChangesOnRangeNavigation,
+  getChangesOnRangeRemoval,
+  getSelectedItemsOnMove,
+  getSelectedItemMove,
+  getSelectionRejectionReason,
+  getSelectedItemsOnAdd,
+  getSelectionAction,
+  getRejectedSelectedItem,
   isKeyDownOperationPermitted,
 }
@@ -0,0 +1,99 @@
+import * as React from 'react'
+import {act, render, screen} from '@testing-library/react'
+import {clickOnToggleButton, renderUseSelect} from '../testUtils'
+import {
+  items,
+  dataTestIds,
+  waitForDebouncedA11yStatusUpdate,
+} from '../../testUtils'
+import useSelect from '..'
+
+jest.useFakeTimers()
+
+function SelectWithStatus({statusTestId}) {
+  const {
+    isOpen,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+    getA11yStatusProps,
+  } = useSelect({items})
+
+  return (
+    <div>
+      <div data-testid={dataTestIds.toggleButton} {...getToggleButtonProps()}>
+        Elements
+      </div>
+      <ul {...getMenuProps()}>
+        {isOpen
+          ? items.map((item, index) => (
+              <li key={item} {...getItemProps({item, index})}>
+                {item}
+              </li>
+            ))
+          : null}
+      </ul>
+      <div data-testid={statusTestId} {...getA11yStatusProps()} />
+    </div>
+  )
+}
+
+describe('getA11yStatusProps', () => {
+  afterEach(() => {
+    act(() => jest.runAllTimers())
+  })
+
+  test('assigns the status role and the live region attributes', () => {
+    const {result} = renderUseSelect()
+    const a11yStatusProps = result.current.getA11yStatusProps()
+
+    expect(a11yStatusProps.role).toEqual('status')
+    expect(a11yStatusProps['aria-live']).toEqual('polite')
+    expect(a11yStatusProps['aria-relevant']).toEqual('additions text')
+  })
+
+  test('hides the status visually and merges the style passed by the user', () => {
+    const {result} = renderUseSelect()
+    const a11yStatusProps = result.current.getA11yStatusProps({
+      style: {color: 'red'},
+    })
+
+    expect(a11yStatusProps.style).toEqual(
+      expect.objectContaining({
+        position: 'absolute',
+        width: '1px',
+        color: 'red',
+      }),
+    )
+  })
+
+  test('passes props downwards', () => {
+    const {result} = renderUseSelect()
+
+    expect(result.current.getA11yStatusProps({foo: 'bar'})).toEqual(
+      expect.objectContaining({foo: 'bar'}),
+    )
+  })
+
+  test('sets the status messages of the instance on its own status node', async () => {
+    render(<SelectWithStatus statusTestId="status" />)
+
+    await clickOnToggleButton()
+    waitForDebouncedA11yStatusUpdate()
+
+    expect(screen.getByTestId('status')).toHaveTextContent(
+      `${items.length} results are available`,
+    )
+    expect(document.getElementById('a11y-status-message')).toBeNull()
+  })
+
+  test('does not set the status after the instance unmounts', async () => {
+    const {unmount} = render(<SelectWithStatus statusTestId="status" />)
+
+    await clickOnToggleButton()
+    unmount()
+    waitForDebouncedA11yStatusUpdate()
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+  })
+})
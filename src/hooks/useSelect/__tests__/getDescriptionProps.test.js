@@ -0,0 +1,119 @@
+import * as React from 'react'
+import {render, screen} from '@testing-library/react'
+import {renderUseSelect} from '../testUtils'
+import {items, defaultIds} from '../../testUtils'
+import useSelect from '..'
+
+function SelectWithDescription({
+  hasDescription = true,
+  isDescriptionFirst = false,
+  toggleButtonProps,
+  ...props
+}) {
+  const {getToggleButtonProps, getDescriptionProps} = useSelect({
+    items,
+    ...props,
+  })
+  const description = hasDescription ? (
+    <p {...getDescriptionProps()}>Pick your favourite element.</p>
+  ) : null
+
+  return (
+    <div>
+      {isDescriptionFirst ? description : null}
+      <div
+        data-testid="toggle-button"
+        {...getToggleButtonProps(toggleButtonProps)}
+      >
+        Elements
+      </div>
+      {isDescriptionFirst ? null : description}
+    </div>
+  )
+}
+
+describe('getDescriptionProps', () => {
+  test('returns the description id', () => {
+    const {result} = renderUseSelect()
+
+    expect(result.current.getDescriptionProps()).toEqual({
+      ref: expect.any(Function),
+      id: defaultIds.descriptionId,
+    })
+  })
+
+  test('uses the descriptionId prop', () => {
+    const {result} = renderUseSelect({descriptionId: 'my-description'})
+
+    expect(result.current.getDescriptionProps().id).toEqual('my-description')
+  })
+
+  test('passes the props through', () => {
+    const {result} = renderUseSelect()
+
+    expect(
+      result.current.getDescriptionProps({className: 'hint'}),
+    ).toMatchObject({className: 'hint'})
+  })
+
+  test('describes the toggle button if rendered before it', () => {
+    render(<SelectWithDescription isDescriptionFirst />)
+
+    expect(screen.getByTestId('toggle-button')).toHaveAttribute(
+      'aria-describedby',
+      defaultIds.descriptionId,
+    )
+    expect(screen.getByTestId('toggle-button')).toHaveAccessibleDescription(
+      'Pick your favourite element.',
+    )
+  })
+
+  test('describes the toggle button if rendered after it', () => {
+    render(<SelectWithDescription />)
+
+    expect(screen.getByTestId('toggle-button')).toHaveAttribute(
+      'aria-describedby',
+      defaultIds.descriptionId,
+    )
+  })
+
+  test('stops describing the toggle button once it is removed', () => {
+    const {rerender} = render(<SelectWithDescription />)
+
+    rerender(<SelectWithDescription hasDescription={false} />)
+
+    expect(screen.getByTestId('toggle-button')).not.toHaveAttribute(
+      'aria-describedby',
+    )
+  })
+
+  test('is merged with the aria-describedby passed to the toggle button', () => {
+    render(
+      <SelectWithDescription
+        toggleButtonProps={{'aria-describedby': 'my-hint'}}
+      />,
+    )
+
+    expect(screen.getByTestId('toggle-button')).toHaveAttribute(
+      'aria-describedby',
+      `${defaultIds.descriptionId} my-hint`,
+    )
+  })
+
+  test('forwards the ref of the description', () => {
+    const ref = React.createRef()
+    const {result} = renderUseSelect()
+
+    render(<p {...result.current.getDescriptionProps({ref})} />)
+
+    expect(ref.current).toBeInstanceOf(HTMLParagraphElement)
+  })
+
+  test('does not describe the toggle button without a description', () => {
+    render(<SelectWithDescription hasDescription={false} />)
+
+    expect(screen.getByTestId('toggle-button')).not.toHaveAttribute(
+      'aria-describedby',
+    )
+  })
+})
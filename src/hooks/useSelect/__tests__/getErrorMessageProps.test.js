@@ -0,0 +1,175 @@
+import {act} from '@testing-library/react'
+import {
+  clickOnItemAtIndex,
+  clickOnToggleButton,
+  getToggleButton,
+  renderSelect,
+  renderUseSelect,
+  tab,
+} from '../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import {items, defaultIds} from '../../testUtils'
+
+describe('getErrorMessageProps', () => {
+  test('returns the error message id and a polite live region', () => {
+    const {result} = renderUseSelect()
+
+    expect(result.current.getErrorMessageProps()).toEqual({
+      id: defaultIds.errorMessageId,
+      'aria-live': 'polite',
+    })
+  })
+
+  test('uses the errorMessageId prop', () => {
+    const {result} = renderUseSelect({errorMessageId: 'my-error-message'})
+
+    expect(result.current.getErrorMessageProps().id).toEqual('my-error-message')
+  })
+})
+
+describe('required', () => {
+  test('sets aria-required on the toggle button', () => {
+    renderSelect({required: true})
+
+    expect(getToggleButton()).toHaveAttribute('aria-required', 'true')
+    expect(getToggleButton()).not.toHaveAttribute('aria-invalid')
+  })
+
+  test('is invalid without a selected item once the toggle button is blurred', async () => {
+    const onValidationMessageChange = jest.fn()
+    renderSelect({required: true, onValidationMessageChange})
+
+    await clickOnToggleButton()
+
+    expect(getToggleButton()).not.toHaveAttribute('aria-invalid')
+
+    await tab()
+
+    expect(getToggleButton()).toHaveAttribute('aria-invalid', 'true')
+    expect(onValidationMessageChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        validationMessage: 'Please select an item.',
+        type: stateChangeTypes.ToggleButtonBlur,
+      }),
+    )
+  })
+
+  test('is valid once an item is selected', () => {
+    const onIsInvalidChange = jest.fn()
+    const {result} = renderUseSelect({
+      required: true,
+      initialIsInvalid: true,
+      onIsInvalidChange,
+    })
+
+    act(() => {
+      result.current.selectItem(items[1])
+    })
+
+    expect(result.current.isInvalid).toBe(false)
+    expect(result.current.validationMessage).toBeNull()
+    expect(onIsInvalidChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        isInvalid: false,
+        type: stateChangeTypes.FunctionSelectItem,
+      }),
+    )
+  })
+
+  test('is invalid without selected items if multiple', async () => {
+    renderSelect({
+      multiple: true,
+      required: true,
+      initialSelectedItems: [items[0]],
+    })
+
+    await clickOnToggleButton()
+    await clickOnItemAtIndex(0)
+
+    expect(getToggleButton()).toHaveAttribute('aria-invalid', 'true')
+  })
+})
+
+describe('validate', () => {
+  test('is called with the selected item when it changes', () => {
+    const validate = jest.fn(() => true)
+    const {result} = renderUseSelect({validate})
+
+    act(() => {
+      result.current.selectItem(items[2])
+    })
+
+    expect(validate).toHaveBeenCalledWith(items[2])
+    expect(result.current.isInvalid).toBe(false)
+  })
+
+  test('sets the message it returns as the validation message', () => {
+    const {result} = renderUseSelect({
+      validate: item => `${item} is not available.`,
+    })
+
+    act(() => {
+      result.current.selectItem(items[0])
+    })
+
+    expect(result.current.isInvalid).toBe(true)
+    expect(result.current.validationMessage).toEqual(
+      `${items[0]} is not available.`,
+    )
+  })
+
+  test('sets aria-invalid and aria-errormessage on the toggle button if invalid', async () => {
+    renderSelect({validate: () => false})
+
+    await clickOnToggleButton()
+    await clickOnItemAtIndex(0)
+
+    expect(getToggleButton()).toHaveAttribute('aria-invalid', 'true')
+    expect(getToggleButton()).toHaveAttribute(
+      'aria-errormessage',
+      defaultIds.errorMessageId,
+    )
+  })
+
+  test('uses the default message if it returns false', () => {
+    const {result} = renderUseSelect({validate: () => false})
+
+    act(() => {
+      result.current.selectItem(items[2])
+    })
+
+    expect(result.current.isInvalid).toBe(true)
+    expect(result.current.validationMessage).toEqual(
+      'The selected item is not valid.',
+    )
+  })
+
+  test('is cleared by reset', () => {
+    const {result} = renderUseSelect({validate: () => 'Invalid.'})
+
+    act(() => {
+      result.current.selectItem(items[2])
+    })
+    act(() => {
+      result.current.reset()
+    })
+
+    expect(result.current.isInvalid).toBe(false)
+    expect(result.current.validationMessage).toBeNull()
+  })
+
+  test('can be controlled with isInvalid', () => {
+    const {result} = renderUseSelect({
+      validate: () => true,
+      isInvalid: true,
+      validationMessage: 'Not in stock.',
+    })
+
+    act(() => {
+      result.current.selectItem(items[2])
+    })
+
+    expect(result.current.isInvalid).toBe(true)
+    expect(result.current.validationMessage).toEqual('Not in stock.')
+  })
+})
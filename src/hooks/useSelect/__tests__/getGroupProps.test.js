@@ -0,0 +1,99 @@
+import {act} from '@testing-library/react'
+import {renderUseSelect} from '../testUtils'
+import {defaultIds, groups} from '../../testUtils'
+
+describe('getGroupProps', () => {
+  test('throws error if no index or group has been passed', () => {
+    const {result} = renderUseSelect({groups})
+
+    expect(result.current.getGroupProps).toThrowError(
+      'Pass either group or index to getGroupProps!',
+    )
+  })
+
+  test("assign 'group' to role", () => {
+    const {result} = renderUseSelect({groups})
+
+    expect(result.current.getGroupProps({index: 0}).role).toEqual('group')
+  })
+
+  test('assign the group label id to aria-labelledby', () => {
+    const {result} = renderUseSelect({groups})
+
+    expect(
+      result.current.getGroupProps({group: groups[1]})['aria-labelledby'],
+    ).toEqual(defaultIds.getGroupLabelId(1))
+  })
+
+  test('assign custom value passed by user to aria-labelledby', () => {
+    const getGroupLabelId = index => `my-custom-group-label-id-${index}`
+    const {result} = renderUseSelect({groups, getGroupLabelId})
+
+    expect(result.current.getGroupProps({index: 0})['aria-labelledby']).toEqual(
+      getGroupLabelId(0),
+    )
+  })
+
+  test('passes props downwards', () => {
+    const {result} = renderUseSelect({groups})
+
+    expect(result.current.getGroupProps({index: 0, foo: 'bar'})).toEqual(
+      expect.objectContaining({foo: 'bar'}),
+    )
+  })
+})
+
+describe('getGroupLabelProps', () => {
+  test('throws error if no index or group has been passed', () => {
+    const {result} = renderUseSelect({groups})
+
+    expect(result.current.getGroupLabelProps).toThrowError(
+      'Pass either group or index to getGroupLabelProps!',
+    )
+  })
+
+  test('assign the group label id and presentation role', () => {
+    const {result} = renderUseSelect({groups})
+    const groupLabelProps = result.current.getGroupLabelProps({
+      group: groups[1],
+    })
+
+    expect(groupLabelProps.id).toEqual(defaultIds.getGroupLabelId(1))
+    expect(groupLabelProps.role).toEqual('presentation')
+  })
+
+  test('passes props downwards', () => {
+    const {result} = renderUseSelect({groups})
+
+    expect(result.current.getGroupLabelProps({index: 0, foo: 'bar'})).toEqual(
+      expect.objectContaining({foo: 'bar'}),
+    )
+  })
+})
+
+describe('groups', () => {
+  test('provide the items that get navigated', () => {
+    const {result} = renderUseSelect({groups, items: undefined})
+
+    act(() => {
+      result.current.openMenu()
+    })
+    act(() => {
+      result.current.setHighlightedIndex(2)
+    })
+
+    expect(result.current.getItemProps({index: 2}).id).toEqual(
+      defaultIds.getItemId(2),
+    )
+    expect(result.current.getItemProps({item: groups[1].items[0]}).id).toEqual(
+      defaultIds.getItemId(2),
+    )
+  })
+
+  test('do not require the items prop', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    renderUseSelect({groups, items: undefined})
+
+    expect(console.error).not.toHaveBeenCalled()
+  })
+})
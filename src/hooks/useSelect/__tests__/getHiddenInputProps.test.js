@@ -0,0 +1,98 @@
+import * as React from 'react'
+import {act, fireEvent, render, screen} from '@testing-library/react'
+import {renderUseSelect} from '../testUtils'
+import {items} from '../../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import useSelect from '..'
+
+function SelectInForm(props) {
+  const {getHiddenInputProps, selectItem} = useSelect({items, ...props})
+
+  return (
+    <form data-testid="form">
+      <input {...getHiddenInputProps({name: 'element'})} />
+      <button type="button" onClick={() => selectItem(items[2])}>
+        Select
+      </button>
+    </form>
+  )
+}
+
+describe('getHiddenInputProps', () => {
+  test('assigns the hidden type, the name and the value', () => {
+    const {result} = renderUseSelect({initialSelectedItem: items[1]})
+    const hiddenInputProps = result.current.getHiddenInputProps({
+      name: 'element',
+    })
+
+    expect(hiddenInputProps.type).toEqual('hidden')
+    expect(hiddenInputProps.name).toEqual('element')
+    expect(hiddenInputProps.value).toEqual(items[1])
+  })
+
+  test('has an empty value without a selected item', () => {
+    const {result} = renderUseSelect()
+
+    expect(result.current.getHiddenInputProps().value).toEqual('')
+  })
+
+  test('serializes the selected item with itemToValue', () => {
+    const {result} = renderUseSelect({
+      initialSelectedItem: items[1],
+      itemToValue: item => item.toLowerCase(),
+    })
+
+    expect(result.current.getHiddenInputProps().value).toEqual(
+      items[1].toLowerCase(),
+    )
+  })
+
+  test('has the selected item at the index if multiple', () => {
+    const {result} = renderUseSelect({
+      multiple: true,
+      initialSelectedItems: [items[0], items[3]],
+    })
+
+    expect(result.current.getHiddenInputProps({index: 0}).value).toEqual(
+      items[0],
+    )
+    expect(result.current.getHiddenInputProps({index: 1}).value).toEqual(
+      items[3],
+    )
+  })
+
+  test('submits the selected item with the form', () => {
+    render(<SelectInForm />)
+
+    fireEvent.click(screen.getByRole('button'))
+
+    expect(new FormData(screen.getByTestId('form')).get('element')).toEqual(
+      items[2],
+    )
+  })
+
+  test('resets the state to the default values when the form is reset', () => {
+    const onSelectedItemChange = jest.fn()
+    render(
+      <SelectInForm
+        defaultSelectedItem={items[1]}
+        onSelectedItemChange={onSelectedItemChange}
+      />,
+    )
+
+    fireEvent.click(screen.getByRole('button'))
+    act(() => {
+      screen.getByTestId('form').reset()
+    })
+
+    expect(onSelectedItemChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        selectedItem: items[1],
+        type: stateChangeTypes.FunctionReset,
+      }),
+    )
+    expect(new FormData(screen.getByTestId('form')).get('element')).toEqual(
+      items[1],
+    )
+  })
+})
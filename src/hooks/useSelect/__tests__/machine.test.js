@@ -0,0 +1,134 @@
+import {items} from '../../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import createSelectMachine from '../machine'
+
+describe('createSelectMachine', () => {
+  test('has the state change types of useSelect', () => {
+    expect(createSelectMachine.stateChangeTypes).toEqual(stateChangeTypes)
+  })
+
+  test('computes the initial state from the props', () => {
+    const machine = createSelectMachine({
+      items,
+      initialSelectedItem: items[2],
+      initialIsOpen: true,
+    })
+
+    expect(machine.getState()).toEqual({
+      highlightedIndex: 2,
+      isOpen: true,
+      selectedItem: items[2],
+      inputValue: '',
+    })
+  })
+
+  test('changes the state with the actions sent', () => {
+    const machine = createSelectMachine({items})
+
+    machine.send({type: stateChangeTypes.ToggleButtonClick})
+    machine.send({type: stateChangeTypes.ToggleButtonKeyDownArrowDown})
+    machine.send({type: stateChangeTypes.ToggleButtonKeyDownEnter})
+
+    expect(machine.getState()).toEqual({
+      highlightedIndex: -1,
+      isOpen: false,
+      selectedItem: items[0],
+      inputValue: '',
+    })
+  })
+
+  test('uses the flattened items of the groups', () => {
+    const machine = createSelectMachine({
+      groups: [
+        {label: 'First', items: items.slice(0, 2)},
+        {label: 'Second', items: items.slice(2, 4)},
+      ],
+    })
+
+    machine.send({type: stateChangeTypes.ToggleButtonKeyDownEnd})
+
+    expect(machine.getState().highlightedIndex).toEqual(3)
+  })
+
+  test('calls the change handlers and the stateReducer', () => {
+    const onIsOpenChange = jest.fn()
+    const onStateChange = jest.fn()
+    const stateReducer = jest.fn((state, {changes}) => ({
+      ...changes,
+      highlightedIndex: 4,
+    }))
+    const machine = createSelectMachine({
+      items,
+      onIsOpenChange,
+      onStateChange,
+      stateReducer,
+    })
+
+    machine.send({type: stateChangeTypes.ToggleButtonClick})
+
+    expect(stateReducer).toHaveBeenCalledWith(
+      expect.objectContaining({isOpen: false}),
+      expect.objectContaining({
+        type: stateChangeTypes.ToggleButtonClick,
+        changes: expect.objectContaining({isOpen: true}),
+      }),
+    )
+    expect(onIsOpenChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: stateChangeTypes.ToggleButtonClick,
+        isOpen: true,
+      }),
+    )
+    expect(onStateChange).toHaveBeenCalledWith({
+      type: stateChangeTypes.ToggleButtonClick,
+      isOpen: true,
+      highlightedIndex: 4,
+    })
+  })
+
+  test('notifies the subscribers until they unsubscribe', () => {
+    const listener = jest.fn()
+    const machine = createSelectMachine({items})
+    const unsubscribe = machine.subscribe(listener)
+
+    machine.send({
+      type: stateChangeTypes.FunctionSelectItem,
+      selectedItem: items[3],
+    })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({selectedItem: items[3]}),
+      expect.objectContaining({type: stateChangeTypes.FunctionSelectItem}),
+    )
+
+    unsubscribe()
+    machine.send({type: stateChangeTypes.FunctionReset})
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  test('applies the controlled props set with setProps', () => {
+    const onSelectedItemChange = jest.fn()
+    const machine = createSelectMachine({
+      items,
+      selectedItem: items[0],
+      onSelectedItemChange,
+    })
+
+    machine.send({
+      type: stateChangeTypes.FunctionSelectItem,
+      selectedItem: items[1],
+    })
+
+    expect(machine.getState().selectedItem).toEqual(items[0])
+    expect(onSelectedItemChange).toHaveBeenCalledWith(
+      expect.objectContaining({selectedItem: items[1]}),
+    )
+
+    machine.setProps({items, selectedItem: items[1], onSelectedItemChange})
+
+    expect(machine.getState().selectedItem).toEqual(items[1])
+    expect(machine.getProps().selectedItem).toEqual(items[1])
+  })
+})
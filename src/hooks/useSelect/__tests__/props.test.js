@@ -16,6 +16,7 @@ import {
 import * as stateChangeTypes from '../stateChangeTypes'
 import {
   items,
+  groups,
   defaultIds,
   waitForDebouncedA11yStatusUpdate,
 } from '../../testUtils'
@@ -69,6 +70,139 @@ describe('props', () => {
     })
   })
 
+  describe('itemCount', () => {
+    const itemCount = 100000
+    const getItem = index => `Item ${index}`
+
+    function keyDown(result, key) {
+      act(() => {
+        result.current
+          .getToggleButtonProps()
+          .onKeyDown({key, preventDefault: jest.fn()})
+      })
+    }
+
+    test('reads the items through getItem', () => {
+      const {result} = renderUseSelect({
+        items: undefined,
+        itemCount,
+        getItem,
+        initialIsOpen: true,
+      })
+
+      keyDown(result, 'End')
+
+      expect(result.current.highlightedIndex).toBe(itemCount - 1)
+
+      keyDown(result, 'Enter')
+
+      expect(result.current.selectedItem).toBe(`Item ${itemCount - 1}`)
+    })
+
+    test('highlights the selected item when the menu opens', () => {
+      const getItemSpy = jest.fn(getItem)
+      const {result} = renderUseSelect({
+        items: undefined,
+        itemCount,
+        getItem: getItemSpy,
+        getItemIndex: item => Number(item.replace('Item ', '')),
+        initialSelectedItem: 'Item 42',
+      })
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(result.current.highlightedIndex).toBe(42)
+      expect(getItemSpy.mock.calls.length).toBeLessThan(10)
+    })
+
+    test('does not search the selected item without getItemIndex', () => {
+      const getItemSpy = jest.fn(getItem)
+      const {result} = renderUseSelect({
+        items: undefined,
+        itemCount,
+        getItem: getItemSpy,
+        initialSelectedItem: 'Item 42',
+      })
+
+      act(() => {
+        result.current.openMenu()
+      })
+
+      expect(result.current.highlightedIndex).toBe(-1)
+      expect(getItemSpy.mock.calls.length).toBeLessThan(10)
+    })
+
+    test('passes the items from getItem to isItemDisabled', () => {
+      const {result} = renderUseSelect({
+        items: undefined,
+        itemCount,
+        getItem,
+        initialIsOpen: true,
+        initialHighlightedIndex: 0,
+        isItemDisabled: item => item === 'Item 1',
+      })
+
+      keyDown(result, 'ArrowDown')
+
+      expect(result.current.highlightedIndex).toBe(2)
+    })
+
+    test('does not require the items prop', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      renderUseSelect({items: undefined, itemCount, getItem})
+
+      expect(console.error).not.toHaveBeenCalled()
+    })
+
+    test('requires getItem', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      renderUseSelect({items: undefined, itemCount})
+
+      expect(console.error.mock.calls[0][0]).toEqual(
+        'Warning: Failed prop type: The prop `getItem` is marked as required in `useSelect`, but its value is `undefined`.',
+      )
+    })
+  })
+
+  describe('scrollToIndex', () => {
+    test('is called instead of scrollIntoView on keyboard highlight', () => {
+      const scrollIntoView = jest.fn()
+      const scrollToIndex = jest.fn()
+      const {result} = renderUseSelect({
+        items: undefined,
+        itemCount: 100000,
+        getItem: index => `Item ${index}`,
+        initialIsOpen: true,
+        scrollIntoView,
+        scrollToIndex,
+      })
+
+      act(() => {
+        result.current
+          .getToggleButtonProps()
+          .onKeyDown({key: 'End', preventDefault: jest.fn()})
+      })
+
+      expect(scrollToIndex).toHaveBeenCalledTimes(1)
+      expect(scrollToIndex).toHaveBeenCalledWith(99999)
+      expect(scrollIntoView).not.toHaveBeenCalled()
+    })
+
+    test('is not called on mouse highlight', () => {
+      const scrollToIndex = jest.fn()
+      const {result} = renderUseSelect({initialIsOpen: true, scrollToIndex})
+
+      act(() => {
+        result.current.getItemProps({index: 2}).onMouseMove({})
+      })
+
+      expect(result.current.highlightedIndex).toBe(2)
+      expect(scrollToIndex).not.toHaveBeenCalled()
+    })
+  })
+
   test('itemToString should provide string version to a11y status message', async () => {
     jest.useFakeTimers()
     renderSelect({
@@ -85,6 +219,543 @@ describe('props', () => {
     jest.useRealTimers()
   })
 
+  describe('multiple', () => {
+    function keyDown(result, key, options) {
+      act(() => {
+        result.current
+          .getToggleButtonProps()
+          .onKeyDown({key, preventDefault: jest.fn(), ...options})
+      })
+    }
+
+    test('toggles the clicked items and keeps the menu open', () => {
+      const onSelectedItemsChange = jest.fn()
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        onSelectedItemsChange,
+      })
+
+      act(() => {
+        result.current.getItemProps({index: 2}).onClick({})
+      })
+      act(() => {
+        result.current.getItemProps({index: 4}).onClick({})
+      })
+
+      expect(result.current.selectedItems).toEqual([items[2], items[4]])
+      expect(result.current.isOpen).toBe(true)
+      expect(result.current.highlightedIndex).toBe(4)
+      expect(result.current.selectedItem).toBeNull()
+      expect(onSelectedItemsChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.ItemClick,
+          selectedItems: [items[2], items[4]],
+        }),
+      )
+
+      act(() => {
+        result.current.getItemProps({index: 2}).onClick({})
+      })
+
+      expect(result.current.selectedItems).toEqual([items[4]])
+    })
+
+    test('toggles the highlighted item on Enter and Space', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        initialHighlightedIndex: 1,
+      })
+
+      keyDown(result, 'Enter')
+
+      expect(result.current.selectedItems).toEqual([items[1]])
+      expect(result.current.isOpen).toBe(true)
+
+      keyDown(result, ' ')
+
+      expect(result.current.selectedItems).toEqual([])
+      expect(result.current.isOpen).toBe(true)
+      expect(result.current.highlightedIndex).toBe(1)
+    })
+
+    test('sets aria-multiselectable on the menu and aria-selected on the items', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialSelectedItems: [items[0], items[3]],
+      })
+
+      expect(
+        result.current.getMenuProps({}, {suppressRefError: true}),
+      ).toHaveProperty('aria-multiselectable', true)
+      expect(
+        items.map(
+          (item, index) =>
+            result.current.getItemProps({index})['aria-selected'],
+        ),
+      ).toEqual(items.map(item => `${[items[0], items[3]].includes(item)}`))
+    })
+
+    test('does not set aria-multiselectable if not multiple', () => {
+      const {result} = renderUseSelect()
+
+      expect(
+        result.current.getMenuProps({}, {suppressRefError: true}),
+      ).not.toHaveProperty('aria-multiselectable')
+    })
+
+    test('selects a range of items with Shift and the arrow keys', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        isItemDisabled: item => item === items[4],
+      })
+
+      keyDown(result, 'ArrowDown', {shiftKey: true})
+      keyDown(result, 'ArrowDown', {shiftKey: true})
+
+      expect(result.current.highlightedIndex).toBe(5)
+      expect(result.current.selectedItems).toEqual([
+        items[2],
+        items[3],
+        items[5],
+      ])
+
+      keyDown(result, 'ArrowUp', {shiftKey: true})
+      keyDown(result, 'ArrowUp', {shiftKey: true})
+      keyDown(result, 'ArrowUp', {shiftKey: true})
+
+      expect(result.current.highlightedIndex).toBe(1)
+      expect(result.current.selectedItems).toEqual([
+        items[2],
+        items[3],
+        items[5],
+        items[1],
+      ])
+    })
+
+    test('does not read an item when no item was highlighted before Shift and an arrow key', () => {
+      const getItem = jest.fn(index => items[index])
+      const {result} = renderUseSelect({
+        items: undefined,
+        itemCount: items.length,
+        getItem,
+        multiple: true,
+        initialIsOpen: true,
+      })
+
+      keyDown(result, 'ArrowDown', {shiftKey: true})
+
+      expect(result.current.selectedItems).toEqual([items[0]])
+      expect(getItem).not.toHaveBeenCalledWith(-1)
+    })
+
+    test('announces the items added to and removed from the selected items', () => {
+      jest.useFakeTimers()
+      const announce = jest.fn()
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        announce,
+        getA11yStatusMessage: () => '',
+      })
+
+      act(() => {
+        result.current.getItemProps({index: 2}).onClick({})
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).toHaveBeenLastCalledWith(
+        `${items[2]} has been selected.`,
+        {politeness: 'polite'},
+      )
+
+      keyDown(result, 'a', {ctrlKey: true})
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).toHaveBeenLastCalledWith(
+        `${items.length - 1} items have been selected.`,
+        {politeness: 'polite'},
+      )
+
+      act(() => {
+        result.current.getItemProps({index: 2}).onClick({})
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).toHaveBeenLastCalledWith(
+        `${items[2]} has been removed.`,
+        {politeness: 'polite'},
+      )
+      jest.useRealTimers()
+    })
+
+    test('does not select items with the arrow keys alone', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+      })
+
+      keyDown(result, 'ArrowDown')
+
+      expect(result.current.highlightedIndex).toBe(3)
+      expect(result.current.selectedItems).toEqual([])
+    })
+
+    test('selects all the items with Ctrl+A and unselects them if they are all selected', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        initialSelectedItems: [items[1]],
+        isItemDisabled: item => item === items[0],
+      })
+
+      keyDown(result, 'a', {ctrlKey: true})
+
+      expect(result.current.selectedItems).toEqual(items.slice(1))
+      expect(result.current.inputValue).toBe('')
+
+      keyDown(result, 'A', {metaKey: true})
+
+      expect(result.current.selectedItems).toEqual([])
+    })
+
+    test('uses the controlled selected items', () => {
+      const onSelectedItemsChange = jest.fn()
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        selectedItems: [items[0]],
+        onSelectedItemsChange,
+      })
+
+      act(() => {
+        result.current.getItemProps({index: 1}).onClick({})
+      })
+
+      expect(result.current.selectedItems).toEqual([items[0]])
+      expect(onSelectedItemsChange).toHaveBeenCalledWith(
+        expect.objectContaining({selectedItems: [items[0], items[1]]}),
+      )
+    })
+
+    test('closes the menu without selecting on blur and Alt+ArrowUp', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialIsOpen: true,
+        initialHighlightedIndex: 1,
+      })
+
+      keyDown(result, 'ArrowUp', {altKey: true})
+
+      expect(result.current.isOpen).toBe(false)
+      expect(result.current.selectedItems).toEqual([])
+
+      act(() => {
+        result.current.openMenu()
+        result.current.setHighlightedIndex(1)
+      })
+      act(() => {
+        result.current.getToggleButtonProps().onBlur({})
+      })
+
+      expect(result.current.isOpen).toBe(false)
+      expect(result.current.selectedItems).toEqual([])
+    })
+
+    test('resets the selected items to the default ones', () => {
+      const {result} = renderUseSelect({
+        multiple: true,
+        initialSelectedItems: [items[0], items[1]],
+        defaultSelectedItems: [items[2]],
+      })
+
+      act(() => {
+        result.current.reset()
+      })
+
+      expect(result.current.selectedItems).toEqual([items[2]])
+    })
+  })
+
+  describe('messages and locale', () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => {
+      act(jest.runAllTimers)
+    })
+    afterAll(jest.useRealTimers)
+
+    const messages = {
+      selectResults: {
+        one: '{count} résultat est disponible.',
+        other: '{count} résultats sont disponibles.',
+      },
+      itemSelected: '{item} a été sélectionné.',
+    }
+
+    test('are used by the default status message', async () => {
+      renderSelect({messages, locale: 'fr', items: ['aaa', 'bbb']})
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        '2 résultats sont disponibles.',
+      )
+    })
+
+    test('are used by the default selection message', async () => {
+      renderSelect({messages, locale: 'fr', initialIsOpen: true})
+
+      await clickOnItemAtIndex(1)
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent(
+        `${items[1]} a été sélectionné.`,
+      )
+    })
+
+    test('are passed to the custom message functions', async () => {
+      const getA11yStatusMessage = jest.fn()
+      renderSelect({messages, locale: 'fr', getA11yStatusMessage})
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusMessage).toHaveBeenCalledWith(
+        expect.objectContaining({messages, locale: 'fr'}),
+      )
+    })
+  })
+
+  describe('selectOnBlur', () => {
+    test('selects the highlighted item by default', async () => {
+      renderSelect({initialIsOpen: true, initialHighlightedIndex: 2})
+
+      await tab()
+
+      expect(getToggleButton()).toHaveTextContent(items[2])
+    })
+
+    test('does not select any item if never', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        selectOnBlur: 'never',
+      })
+
+      await tab()
+
+      expect(getItems()).toHaveLength(0)
+      expect(onSelectedItemChange).not.toHaveBeenCalled()
+    })
+
+    test('does not accept exactMatch', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      renderUseSelect({selectOnBlur: 'exactMatch'})
+
+      expect(console.error.mock.calls[0][0]).toMatchInlineSnapshot(
+        `Warning: Failed prop type: Invalid prop \`selectOnBlur\` of value \`exactMatch\` supplied to \`useSelect\`, expected one of ["never","highlighted"].`,
+      )
+    })
+
+    test('does not select any item on blur if exactMatch', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      const onSelectedItemChange = jest.fn()
+      renderSelect({onSelectedItemChange, selectOnBlur: 'exactMatch'})
+
+      await keyDownOnToggleButton('curium')
+      await tab()
+
+      expect(onSelectedItemChange).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('selectOnTab', () => {
+    test('selects the highlighted item on Tab if true', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        selectOnBlur: 'never',
+        selectOnTab: true,
+      })
+
+      await tab()
+
+      expect(onSelectedItemChange).toHaveBeenCalledTimes(1)
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: items[2],
+          type: stateChangeTypes.ToggleButtonKeyDownTab,
+        }),
+      )
+      expect(getItems()).toHaveLength(0)
+    })
+
+    test('closes the menu without selecting on Tab if false', async () => {
+      const onSelectedItemChange = jest.fn()
+      const onIsOpenChange = jest.fn()
+      renderSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        onIsOpenChange,
+        selectOnTab: false,
+      })
+
+      await tab()
+
+      expect(onSelectedItemChange).not.toHaveBeenCalled()
+      expect(onIsOpenChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          isOpen: false,
+          type: stateChangeTypes.ToggleButtonKeyDownTab,
+        }),
+      )
+    })
+  })
+
+  describe('keyBindings', () => {
+    const emacsKeyBindings = {
+      'Ctrl+N': stateChangeTypes.ToggleButtonKeyDownArrowDown,
+      'Ctrl+P': stateChangeTypes.ToggleButtonKeyDownArrowUp,
+    }
+
+    test('runs the actions bound to the key combos', async () => {
+      renderSelect({keyBindings: emacsKeyBindings})
+
+      await keyDownOnToggleButton('{Control>}n{/Control}')
+
+      expect(getItems()).toHaveLength(items.length)
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(0),
+      )
+
+      await keyDownOnToggleButton('{Control>}n{/Control}')
+      await keyDownOnToggleButton('{Control>}p{/Control}')
+
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(0),
+      )
+    })
+
+    test('matches the modifiers of the key combos exactly', async () => {
+      renderSelect({keyBindings: emacsKeyBindings})
+
+      await keyDownOnToggleButton('{Control>}{Shift>}p{/Shift}{/Control}')
+
+      // 'p' is a character key, which highlights the first item starting with it.
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(1),
+      )
+    })
+
+    test('keeps the default keys working', async () => {
+      renderSelect({keyBindings: emacsKeyBindings})
+
+      await keyDownOnToggleButton('{ArrowDown}')
+
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(0),
+      )
+    })
+
+    test('can bind Tab to select the highlighted item', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+        onSelectedItemChange,
+        keyBindings: {Tab: stateChangeTypes.ToggleButtonKeyDownEnter},
+      })
+
+      await keyDownOnToggleButton('{Tab}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          selectedItem: items[2],
+          type: stateChangeTypes.ToggleButtonKeyDownEnter,
+        }),
+      )
+      expect(getToggleButton()).toHaveFocus()
+    })
+
+    test('are validated in development', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      renderUseSelect({
+        keyBindings: {'Ctrl+N': stateChangeTypes.ItemClick},
+      })
+
+      expect(console.error.mock.calls[0][0]).toMatchInlineSnapshot(
+        `Warning: Failed prop type: Invalid action type \`__item_click__\` bound to \`Ctrl+N\` in \`keyBindings\` of \`useSelect\`, expected one of: __togglebutton_keydown_arrow_down__, __togglebutton_keydown_arrow_up__, __togglebutton_keydown_home__, __togglebutton_keydown_end__, __togglebutton_keydown_page_up__, __togglebutton_keydown_page_down__, __togglebutton_keydown_escape__, __togglebutton_keydown_enter__, __togglebutton_keydown_space_button__, __togglebutton_keydown_tab__.`,
+      )
+    })
+  })
+
+  describe('announce', () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => {
+      act(jest.runAllTimers)
+    })
+    afterAll(jest.useRealTimers)
+
+    test('receives the a11y messages instead of the status element', async () => {
+      const announce = jest.fn()
+      renderSelect({
+        announce,
+        getA11yStatusMessage: () => 'custom message',
+      })
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).toHaveBeenCalledTimes(1)
+      expect(announce).toHaveBeenCalledWith('custom message', {
+        politeness: 'polite',
+      })
+    })
+
+    test('is not called for empty messages', async () => {
+      const announce = jest.fn()
+      renderSelect({
+        announce,
+        getA11yStatusMessage: () => '',
+      })
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).not.toHaveBeenCalled()
+    })
+
+    test('is called without a document', async () => {
+      const announce = jest.fn()
+      renderSelect({
+        announce,
+        getA11yStatusMessage: () => 'custom message',
+        environment: undefined,
+      })
+
+      await clickOnToggleButton()
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(announce).toHaveBeenCalledWith('custom message', {
+        politeness: 'polite',
+      })
+    })
+  })
+
   describe('getA11ySelectionMessage', () => {
     beforeEach(() => jest.useFakeTimers())
     beforeEach(jest.clearAllTimers)
@@ -194,6 +865,27 @@ describe('props', () => {
       )
     })
 
+    test('reports the group of the highlighted item when it changes', () => {
+      const {result} = renderUseSelect({groups, items: undefined})
+
+      act(() => {
+        result.current.openMenu()
+      })
+      act(() => {
+        result.current.setHighlightedIndex(0)
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent('Recent group.')
+
+      act(() => {
+        result.current.setHighlightedIndex(2)
+      })
+      waitForDebouncedA11yStatusUpdate()
+
+      expect(getA11yStatusContainer()).toHaveTextContent('All group.')
+    })
+
     test('is empty on menu close', async () => {
       renderSelect({
         items: ['item1', 'item2'],
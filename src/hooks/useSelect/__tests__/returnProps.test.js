@@ -18,6 +18,10 @@ describe('returnProps', () => {
       expect(result.current.getItemProps).toBeInstanceOf(Function)
       expect(result.current.getLabelProps).toBeInstanceOf(Function)
       expect(result.current.getToggleButtonProps).toBeInstanceOf(Function)
+      expect(result.current.getA11yStatusProps).toBeInstanceOf(Function)
+      expect(result.current.getHiddenInputProps).toBeInstanceOf(Function)
+      expect(result.current.getErrorMessageProps).toBeInstanceOf(Function)
+      expect(result.current.getDescriptionProps).toBeInstanceOf(Function)
     })
   })
 
@@ -2,15 +2,21 @@ import {useRef, useEffect, useCallback, useMemo} from 'react'
 import {
   isAcceptedCharacterKey,
   useControlledReducer,
-  getInitialState,
   useGetterPropsCalledChecker,
   useLatestRef,
   useA11yMessageSetter,
+  useA11yStatus,
+  useHiddenInput,
+  useDescription,
+  getValidationAriaProps,
   useScrollIntoView,
   useControlPropsValidator,
   useElementIds,
   useMouseAndTouchTracker,
   getItemAndIndex,
+  getItemsFromGroups,
+  getItemsFromCount,
+  getGroupByItemIndex,
   getInitialValue,
 } from '../utils'
 import {
@@ -19,23 +25,48 @@ import {
   debounce,
   normalizeArrowKey,
 } from '../../utils'
+import {getKeyBindingHandlerKey} from '../../key-bindings'
 import {isReactNative, isReactNativeWeb} from '../../is.macro'
 import downshiftSelectReducer from './reducer'
-import {validatePropTypes, defaultProps} from './utils'
+import {
+  validatePropTypes,
+  defaultProps,
+  getInitialState,
+  keyBindingHandlerKeys,
+} from './utils'
 import * as stateChangeTypes from './stateChangeTypes'
 
 useSelect.stateChangeTypes = stateChangeTypes
 
 function useSelect(userProps = {}) {
   validatePropTypes(userProps, useSelect)
+  // Items of the groups, if any, flattened into the list that gets navigated.
+  const groupItems = useMemo(
+    () => userProps.groups && getItemsFromGroups(userProps.groups),
+    [userProps.groups],
+  )
+  // Items of a virtualized list, if any, read one by one through getItem.
+  const countItems = useMemo(
+    () =>
+      userProps.itemCount !== undefined &&
+      getItemsFromCount(
+        userProps.itemCount,
+        userProps.getItem,
+        userProps.getItemIndex,
+      ),
+    [userProps.itemCount, userProps.getItem, userProps.getItemIndex],
+  )
   // Props defaults and destructuring.
   const props = {
     ...defaultProps,
     ...userProps,
+    ...(groupItems && {items: groupItems}),
+    ...(countItems && {items: countItems}),
   }
   const {
     items,
     scrollIntoView,
+    scrollToIndex,
     environment,
     itemToString,
     getA11ySelectionMessage,
@@ -48,7 +79,15 @@ function useSelect(userProps = {}) {
     initialState,
     props,
   )
-  const {isOpen, highlightedIndex, selectedItem, inputValue} = state
+  const {
+    isOpen,
+    highlightedIndex,
+    selectedItem,
+    inputValue,
+    selectedItems,
+    isInvalid = false,
+    validationMessage = null,
+  } = state
 
   // Element efs.
   const toggleButtonRef = useRef(null)
@@ -60,6 +99,10 @@ function useSelect(userProps = {}) {
   const elementIds = useElementIds(props)
   // used to keep track of how many items we had on previous cycle.
   const previousResultCountRef = useRef()
+  // used to announce the group of the highlighted item when it changes.
+  const previousHighlightedGroupRef = useRef()
+  // used to announce the items added to or removed from the selected items.
+  const previousSelectedItemsRef = useRef(selectedItems)
   const isInitialMountRef = useRef(true)
   // utility callback to get item element.
   const latest = useLatestRef({
@@ -73,6 +116,11 @@ function useSelect(userProps = {}) {
     [elementIds],
   )
 
+  const {updateA11yStatus, getA11yStatusProps} = useA11yStatus(props)
+  const {getDescriptionProps, getAriaDescribedBy} = useDescription(
+    elementIds.descriptionId,
+  )
+
   // Effects.
   // Sets a11y status message on changes in state.
   useA11yMessageSetter(
@@ -81,18 +129,21 @@ function useSelect(userProps = {}) {
     {
       isInitialMount: isInitialMountRef.current,
       previousResultCount: previousResultCountRef.current,
+      highlightedGroup: getGroupByItemIndex(props.groups, highlightedIndex),
+      previousHighlightedGroup: previousHighlightedGroupRef.current,
       items,
-      environment,
+      updateA11yStatus,
       itemToString,
       ...state,
     },
   )
-  // Sets a11y status message on changes in selectedItem.
-  useA11yMessageSetter(getA11ySelectionMessage, [selectedItem], {
+  // Sets a11y status message on changes in selectedItem or selectedItems.
+  useA11yMessageSetter(getA11ySelectionMessage, [selectedItem, selectedItems], {
     isInitialMount: isInitialMountRef.current,
     previousResultCount: previousResultCountRef.current,
+    previousSelectedItems: previousSelectedItemsRef.current,
     items,
-    environment,
+    updateA11yStatus,
     itemToString,
     ...state,
   })
@@ -103,6 +154,7 @@ function useSelect(userProps = {}) {
     isOpen,
     itemRefs,
     scrollIntoView,
+    scrollToIndex,
     getItemNodeFromIndex,
   })
 
@@ -142,6 +194,11 @@ function useSelect(userProps = {}) {
     }
 
     previousResultCountRef.current = items.length
+    previousHighlightedGroupRef.current = getGroupByItemIndex(
+      props.groups,
+      highlightedIndex,
+    )
+    previousSelectedItemsRef.current = selectedItems
   })
   // Focus the toggle button on first render if required.
   useEffect(() => {
@@ -191,6 +248,7 @@ function useSelect(userProps = {}) {
         dispatch({
           type: stateChangeTypes.ToggleButtonKeyDownArrowDown,
           altKey: event.altKey,
+          shiftKey: event.shiftKey,
         })
       },
       ArrowUp(event) {
@@ -199,6 +257,7 @@ function useSelect(userProps = {}) {
         dispatch({
           type: stateChangeTypes.ToggleButtonKeyDownArrowUp,
           altKey: event.altKey,
+          shiftKey: event.shiftKey,
         })
       },
       Home(event) {
@@ -231,6 +290,17 @@ function useSelect(userProps = {}) {
             : stateChangeTypes.ToggleButtonClick,
         })
       },
+      Tab() {
+        // the Tab key is handled by selectOnBlur, unless selectOnTab is passed.
+        if (
+          latest.current.props.selectOnTab !== undefined &&
+          latest.current.state.isOpen
+        ) {
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownTab,
+          })
+        }
+      },
       PageUp(event) {
         if (latest.current.state.isOpen) {
           event.preventDefault()
@@ -311,6 +381,11 @@ function useSelect(userProps = {}) {
       type: stateChangeTypes.FunctionReset,
     })
   }, [dispatch])
+  const getHiddenInputProps = useHiddenInput(
+    props,
+    props.multiple ? selectedItems : [selectedItem],
+    reset,
+  )
   const setInputValue = useCallback(
     newInputValue => {
       dispatch({
@@ -329,6 +404,48 @@ function useSelect(userProps = {}) {
     }),
     [elementIds],
   )
+  const getErrorMessageProps = useCallback(
+    errorMessageProps => ({
+      id: elementIds.errorMessageId,
+      'aria-live': 'polite',
+      ...errorMessageProps,
+    }),
+    [elementIds],
+  )
+  const getGroupProps = useCallback(
+    ({group: groupProp, index: indexProp, ...rest} = {}) => {
+      const [, index] = getItemAndIndex(
+        groupProp,
+        indexProp,
+        latest.current.props.groups ?? [],
+        'Pass either group or index to getGroupProps!',
+      )
+
+      return {
+        role: 'group',
+        'aria-labelledby': elementIds.getGroupLabelId(index),
+        ...rest,
+      }
+    },
+    [latest, elementIds],
+  )
+  const getGroupLabelProps = useCallback(
+    ({group: groupProp, index: indexProp, ...rest} = {}) => {
+      const [, index] = getItemAndIndex(
+        groupProp,
+        indexProp,
+        latest.current.props.groups ?? [],
+        'Pass either group or index to getGroupLabelProps!',
+      )
+
+      return {
+        id: elementIds.getGroupLabelId(index),
+        role: 'presentation',
+        ...rest,
+      }
+    },
+    [latest, elementIds],
+  )
   const getMenuProps = useCallback(
     (
       {onMouseLeave, refKey = 'ref', ref, ...rest} = {},
@@ -348,17 +465,27 @@ function useSelect(userProps = {}) {
         }),
         id: elementIds.menuId,
         role: 'listbox',
+        ...(latest.current.props.multiple && {'aria-multiselectable': true}),
         'aria-labelledby':
           rest && rest['aria-label'] ? undefined : `${elementIds.labelId}`,
         onMouseLeave: callAllEventHandlers(onMouseLeave, menuHandleMouseLeave),
         ...rest,
       }
     },
-    [dispatch, setGetterPropCallInfo, elementIds],
+    [dispatch, latest, setGetterPropCallInfo, elementIds],
   )
   const getToggleButtonProps = useCallback(
     (
-      {onBlur, onClick, onPress, onKeyDown, refKey = 'ref', ref, ...rest} = {},
+      {
+        onBlur,
+        onClick,
+        onPress,
+        onKeyDown,
+        refKey = 'ref',
+        ref,
+        'aria-describedby': ariaDescribedBy,
+        ...rest
+      } = {},
       {suppressRefError = false} = {},
     ) => {
       const latestState = latest.current.state
@@ -378,9 +505,25 @@ function useSelect(userProps = {}) {
         }
       }
       const toggleButtonHandleKeyDown = event => {
-        const key = normalizeArrowKey(event)
+        const key =
+          getKeyBindingHandlerKey(
+            event,
+            latest.current.props.keyBindings,
+            keyBindingHandlerKeys,
+          ) ?? normalizeArrowKey(event)
         if (key && toggleButtonKeyDownHandlers[key]) {
           toggleButtonKeyDownHandlers[key](event)
+        } else if (
+          latest.current.props.multiple &&
+          latestState.isOpen &&
+          (event.ctrlKey || event.metaKey) &&
+          key?.toLowerCase() === 'a'
+        ) {
+          event.preventDefault()
+
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownSelectAll,
+          })
         } else if (isAcceptedCharacterKey(key)) {
           dispatch({
             type: stateChangeTypes.ToggleButtonKeyDownCharacter,
@@ -397,10 +540,16 @@ function useSelect(userProps = {}) {
             ? elementIds.getItemId(latestState.highlightedIndex)
             : '',
         'aria-controls': elementIds.menuId,
+        'aria-describedby': getAriaDescribedBy(ariaDescribedBy),
         'aria-expanded': latest.current.state.isOpen,
         'aria-haspopup': 'listbox',
         'aria-labelledby':
           rest && rest['aria-label'] ? undefined : `${elementIds.labelId}`,
+        ...getValidationAriaProps(
+          latest.current.props,
+          latestState,
+          elementIds.errorMessageId,
+        ),
         id: elementIds.toggleButtonId,
         role: 'combobox',
         tabIndex: 0,
@@ -443,6 +592,7 @@ function useSelect(userProps = {}) {
       dispatch,
       mouseAndTouchTrackersRef,
       toggleButtonKeyDownHandlers,
+      getAriaDescribedBy,
     ],
   )
   const getItemProps = useCallback(
@@ -497,7 +647,11 @@ function useSelect(userProps = {}) {
           }
         }),
         'aria-disabled': disabled,
-        'aria-selected': `${item === latestState.selectedItem}`,
+        'aria-selected': `${
+          latestProps.multiple
+            ? latestState.selectedItems.includes(item)
+            : item === latestState.selectedItem
+        }`,
         id: elementIds.getItemId(index),
         role: 'option',
         ...rest,
@@ -528,6 +682,12 @@ function useSelect(userProps = {}) {
     getLabelProps,
     getMenuProps,
     getItemProps,
+    getGroupProps,
+    getGroupLabelProps,
+    getA11yStatusProps,
+    getHiddenInputProps,
+    getErrorMessageProps,
+    getDescriptionProps,
     // actions.
     toggleMenu,
     openMenu,
@@ -541,6 +701,9 @@ function useSelect(userProps = {}) {
     isOpen,
     selectedItem,
     inputValue,
+    selectedItems,
+    isInvalid,
+    validationMessage,
   }
 }
 
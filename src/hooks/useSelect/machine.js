@@ -0,0 +1,31 @@
+import {getDropdownProps} from '../core'
+import createMachine from '../machine'
+import downshiftSelectReducer from './reducer'
+import {validatePropTypes, defaultProps, getInitialState} from './utils'
+import * as stateChangeTypes from './stateChangeTypes'
+
+createSelectMachine.stateChangeTypes = stateChangeTypes
+
+/**
+ * Creates the state machine of `useSelect`, which the hook also runs. The hook
+ * adds its element refs, effects and prop getters, while the machine only
+ * holds the state and the actions that change it.
+ *
+ * @param {Object} userProps The props of `useSelect`.
+ * @returns {Object} The machine, with `send`, `getState`, `getProps`,
+ * `setProps` and `subscribe`.
+ */
+function createSelectMachine(userProps = {}) {
+  validatePropTypes(userProps, createSelectMachine)
+
+  return createMachine(
+    {
+      reducer: downshiftSelectReducer,
+      getProps: props => getDropdownProps(props, defaultProps),
+      getInitialState,
+    },
+    userProps,
+  )
+}
+
+export default createSelectMachine
@@ -1,25 +1,46 @@
-import {getNonDisabledIndex, getHighlightedIndex} from '../../utils'
+import {
+  getNonDisabledIndex,
+  getHighlightedIndex,
+  getItemAtIndex,
+  getItemIndex,
+} from '../../utils'
 import {
   getHighlightedIndexOnOpen,
   getDefaultValue,
   getChangesOnSelection,
+  getItemIndexToSelectOnBlur,
+  getStateOnValidation,
 } from '../utils'
 import commonReducer from '../reducer'
-import {getItemIndexByCharacterKey} from './utils'
+import {
+  getItemIndexByCharacterKey,
+  getDefaultSelectedItems,
+  getSelectedItemsOnToggle,
+  getSelectedItemsOnAdd,
+  getSelectedItemsOnSelectAll,
+} from './utils'
 import * as stateChangeTypes from './stateChangeTypes'
 
 /* eslint-disable complexity */
 export default function downshiftSelectReducer(state, action) {
-  const {type, props, altKey} = action
+  const {type, props, altKey, shiftKey} = action
   let changes
 
   switch (type) {
     case stateChangeTypes.ItemClick:
-      changes = {
-        isOpen: getDefaultValue(props, 'isOpen'),
-        highlightedIndex: getDefaultValue(props, 'highlightedIndex'),
-        selectedItem: props.items[action.index],
-      }
+      changes = props.multiple
+        ? {
+            highlightedIndex: action.index,
+            selectedItems: getSelectedItemsOnToggle(
+              state.selectedItems,
+              getItemAtIndex(props.items, action.index),
+            ),
+          }
+        : {
+            isOpen: getDefaultValue(props, 'isOpen'),
+            highlightedIndex: getDefaultValue(props, 'highlightedIndex'),
+            selectedItem: getItemAtIndex(props.items, action.index),
+          }
 
       break
     case stateChangeTypes.ToggleButtonKeyDownCharacter:
@@ -28,7 +49,7 @@ export default function downshiftSelectReducer(state, action) {
         const inputValue = `${state.inputValue}${lowercasedKey}`
         const prevHighlightedIndex =
           !state.isOpen && state.selectedItem
-            ? props.items.indexOf(state.selectedItem)
+            ? getItemIndex(props.items, state.selectedItem)
             : state.highlightedIndex
         const highlightedIndex = getItemIndexByCharacterKey({
           keysSoFar: inputValue,
@@ -61,13 +82,23 @@ export default function downshiftSelectReducer(state, action) {
         changes = {
           highlightedIndex,
           isOpen: true,
+          ...(props.multiple &&
+            state.isOpen &&
+            shiftKey && {
+              selectedItems: getSelectedItemsOnAdd(
+                {...props, selectedItems: state.selectedItems},
+                [state.highlightedIndex, highlightedIndex],
+              ),
+            }),
         }
       }
 
       break
     case stateChangeTypes.ToggleButtonKeyDownArrowUp:
       if (state.isOpen && altKey) {
-        changes = getChangesOnSelection(props, state.highlightedIndex, false)
+        changes = props.multiple
+          ? {isOpen: false, highlightedIndex: -1}
+          : getChangesOnSelection(props, state.highlightedIndex, false)
       } else {
         const highlightedIndex = state.isOpen
           ? getHighlightedIndex(
@@ -80,6 +111,14 @@ export default function downshiftSelectReducer(state, action) {
         changes = {
           highlightedIndex,
           isOpen: true,
+          ...(props.multiple &&
+            state.isOpen &&
+            shiftKey && {
+              selectedItems: getSelectedItemsOnAdd(
+                {...props, selectedItems: state.selectedItems},
+                [state.highlightedIndex, highlightedIndex],
+              ),
+            }),
         }
       }
 
@@ -87,7 +126,27 @@ export default function downshiftSelectReducer(state, action) {
     // only triggered when menu is open.
     case stateChangeTypes.ToggleButtonKeyDownEnter:
     case stateChangeTypes.ToggleButtonKeyDownSpaceButton:
-      changes = getChangesOnSelection(props, state.highlightedIndex, false)
+      if (!props.multiple) {
+        changes = getChangesOnSelection(props, state.highlightedIndex, false)
+      } else if (state.highlightedIndex >= 0 && props.items?.length) {
+        // the menu stays open, so more items can be selected.
+        changes = {
+          selectedItems: getSelectedItemsOnToggle(
+            state.selectedItems,
+            getItemAtIndex(props.items, state.highlightedIndex),
+          ),
+        }
+      }
+
+      break
+    // only triggered in the multiple mode, when menu is open.
+    case stateChangeTypes.ToggleButtonKeyDownSelectAll:
+      changes = {
+        selectedItems: getSelectedItemsOnSelectAll({
+          ...props,
+          selectedItems: state.selectedItems,
+        }),
+      }
 
       break
     case stateChangeTypes.ToggleButtonKeyDownHome:
@@ -142,13 +201,29 @@ export default function downshiftSelectReducer(state, action) {
 
       break
     case stateChangeTypes.ToggleButtonBlur:
-      changes = {
-        isOpen: false,
-        highlightedIndex: -1,
-        ...(state.highlightedIndex >= 0 &&
-          props.items?.length && {
-            selectedItem: props.items[state.highlightedIndex],
+    case stateChangeTypes.ToggleButtonKeyDownTab:
+      {
+        const selectOnTab = props.selectOnTab ? 'highlighted' : 'never'
+        // there is no input value to match, so 'exactMatch' is not supported.
+        const selectOnBlur =
+          props.selectOnBlur === 'highlighted' ? 'highlighted' : 'never'
+        const selectedItemIndex = props.multiple
+          ? -1
+          : getItemIndexToSelectOnBlur(
+              props,
+              state,
+              type === stateChangeTypes.ToggleButtonBlur
+                ? selectOnBlur
+                : selectOnTab,
+            )
+
+        changes = {
+          isOpen: false,
+          highlightedIndex: -1,
+          ...(selectedItemIndex >= 0 && {
+            selectedItem: getItemAtIndex(props.items, selectedItemIndex),
           }),
+        }
       }
 
       break
@@ -157,14 +232,31 @@ export default function downshiftSelectReducer(state, action) {
         selectedItem: action.selectedItem,
       }
 
+      break
+    case stateChangeTypes.FunctionReset:
+      changes = {
+        ...commonReducer(state, action, stateChangeTypes),
+        ...(props.multiple && {
+          selectedItems: getDefaultSelectedItems(props),
+        }),
+      }
+
       break
     default:
-      return commonReducer(state, action, stateChangeTypes)
+      changes = commonReducer(state, action, stateChangeTypes)
   }
 
-  return {
-    ...state,
-    ...changes,
-  }
+  return getStateOnValidation(
+    props,
+    state,
+    {
+      ...state,
+      ...changes,
+    },
+    {
+      isBlur: type === stateChangeTypes.ToggleButtonBlur,
+      isReset: type === stateChangeTypes.FunctionReset,
+    },
+  )
 }
 /* eslint-enable complexity */
@@ -31,6 +31,12 @@ export const ToggleButtonKeyDownPageUp = productionEnum(
 export const ToggleButtonKeyDownPageDown = productionEnum(
   '__togglebutton_keydown_page_down__',
 )
+export const ToggleButtonKeyDownSelectAll = productionEnum(
+  '__togglebutton_keydown_select_all__',
+)
+export const ToggleButtonKeyDownTab = productionEnum(
+  '__togglebutton_keydown_tab__',
+)
 export const ToggleButtonBlur = productionEnum('__togglebutton_blur__')
 
 export const MenuMouseLeave = productionEnum('__menu_mouse_leave__')
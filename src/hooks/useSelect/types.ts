@@ -3,7 +3,13 @@
 export interface GetItemIndexByCharacterKeyOptions<Item> {
   keysSoFar: string
   highlightedIndex: number
-  items: Item[]
+  items: ArrayLike<Item> & {getItem?: (index: number) => Item}
   itemToString(item: Item | null): string
   isItemDisabled(item: Item, index: number): boolean
 }
+
+export interface MultipleSelectionOptions<Item> {
+  items: ArrayLike<Item> & {getItem?: (index: number) => Item}
+  isItemDisabled: (item: Item, index: number) => boolean
+  selectedItems: Item[]
+}
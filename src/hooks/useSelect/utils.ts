@@ -2,10 +2,28 @@ import PropTypes from 'prop-types'
 import {
   commonDropdownPropTypes,
   defaultProps as commonDefaultProps,
+  itemsPropType,
+  getItemPropType,
+  groupsPropType,
+  getInitialState as getCommonInitialState,
+  getInitialValidationState,
+  getInitialValue,
+  getDefaultValue,
 } from '../utils'
-import {noop} from '../../utils'
+import {noop, getA11yGroupMessage, getItemAtIndex} from '../../utils'
+import {formatMessage} from '../../messages'
+import {createKeyBindingsPropType} from '../../key-bindings'
 import {A11yStatusMessageOptions} from '../../types'
-import {GetItemIndexByCharacterKeyOptions} from './types'
+import {
+  GetItemIndexByCharacterKeyOptions,
+  MultipleSelectionOptions,
+} from './types'
+import * as stateChangeTypes from './stateChangeTypes'
+
+// The default values of the state that only exists in the multiple mode.
+const multipleDefaultStateValues = {
+  selectedItems: [],
+}
 
 export function getItemIndexByCharacterKey<Item>({
   keysSoFar,
@@ -21,7 +39,7 @@ export function getItemIndexByCharacterKey<Item>({
     const offsetIndex =
       (index + highlightedIndex + (keysSoFar.length < 2 ? 1 : 0)) % items.length
 
-    const item = items[offsetIndex]
+    const item = getItemAtIndex(items, offsetIndex) as Item
 
     if (
       item !== undefined &&
@@ -35,11 +53,170 @@ export function getItemIndexByCharacterKey<Item>({
   return highlightedIndex
 }
 
+/**
+ * Returns the initial state, with the selected items if the `multiple` prop is
+ * passed, and the validation state if the selection is validated.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @returns {Object} The initial state.
+ */
+export function getInitialState(props: {multiple?: boolean}) {
+  const initialState = {
+    ...getCommonInitialState(props),
+    ...getInitialValidationState(props),
+  }
+
+  return props.multiple
+    ? {
+        ...initialState,
+        selectedItems: getInitialValue(
+          props,
+          'selectedItems',
+          multipleDefaultStateValues,
+        ) as unknown[],
+      }
+    : initialState
+}
+
+/**
+ * Returns the default selected items, used when the state is reset.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @returns {Array} The default selected items.
+ */
+export function getDefaultSelectedItems(props: {multiple?: boolean}) {
+  return getDefaultValue(props, 'selectedItems', multipleDefaultStateValues)
+}
+
+/**
+ * Adds the item to the selected items, or removes it if it is already
+ * selected.
+ *
+ * @param {Array} selectedItems The selected items.
+ * @param {any} item The item to toggle.
+ * @returns {Array} The new selected items.
+ */
+export function getSelectedItemsOnToggle<Item>(
+  selectedItems: Item[],
+  item: Item,
+): Item[] {
+  return selectedItems.includes(item)
+    ? selectedItems.filter(selectedItem => selectedItem !== item)
+    : [...selectedItems, item]
+}
+
+/**
+ * Adds the items at the indexes to the selected items, unless they are
+ * disabled or already selected.
+ *
+ * @param {Object} options The items, isItemDisabled and the selected items.
+ * @param {number[]} indexes The indexes of the items to add.
+ * @returns {Array} The new selected items.
+ */
+export function getSelectedItemsOnAdd<Item>(
+  {items, isItemDisabled, selectedItems}: MultipleSelectionOptions<Item>,
+  indexes: number[],
+): Item[] {
+  const newSelectedItems = [...selectedItems]
+
+  indexes.forEach(index => {
+    if (index < 0) {
+      return
+    }
+
+    const item = getItemAtIndex(items, index) as Item
+
+    if (
+      item !== undefined &&
+      !isItemDisabled(item, index) &&
+      !newSelectedItems.includes(item)
+    ) {
+      newSelectedItems.push(item)
+    }
+  })
+
+  return newSelectedItems
+}
+
+/**
+ * Selects all the items that are not disabled or, if they are all selected
+ * already, unselects them.
+ *
+ * @param {Object} options The items, isItemDisabled and the selected items.
+ * @returns {Array} The new selected items.
+ */
+export function getSelectedItemsOnSelectAll<Item>(
+  options: MultipleSelectionOptions<Item>,
+): Item[] {
+  const {items, isItemDisabled, selectedItems} = options
+  const enabledIndexes: number[] = []
+
+  for (let index = 0; index < items.length; index++) {
+    if (!isItemDisabled(getItemAtIndex(items, index) as Item, index)) {
+      enabledIndexes.push(index)
+    }
+  }
+
+  const newSelectedItems = getSelectedItemsOnAdd(options, enabledIndexes)
+
+  if (newSelectedItems.length > selectedItems.length) {
+    return newSelectedItems
+  }
+
+  const enabledItems = enabledIndexes.map(
+    index => getItemAtIndex(items, index) as Item,
+  )
+
+  return selectedItems.filter(item => !enabledItems.includes(item))
+}
+
+// The action types that can be bound to a key combo with the keyBindings prop,
+// mapped to the keys of the toggle button keydown handlers that run them.
+export const keyBindingHandlerKeys = {
+  [stateChangeTypes.ToggleButtonKeyDownArrowDown]: 'ArrowDown',
+  [stateChangeTypes.ToggleButtonKeyDownArrowUp]: 'ArrowUp',
+  [stateChangeTypes.ToggleButtonKeyDownHome]: 'Home',
+  [stateChangeTypes.ToggleButtonKeyDownEnd]: 'End',
+  [stateChangeTypes.ToggleButtonKeyDownPageUp]: 'PageUp',
+  [stateChangeTypes.ToggleButtonKeyDownPageDown]: 'PageDown',
+  [stateChangeTypes.ToggleButtonKeyDownEscape]: 'Escape',
+  [stateChangeTypes.ToggleButtonKeyDownEnter]: 'Enter',
+  [stateChangeTypes.ToggleButtonKeyDownSpaceButton]: ' ',
+  [stateChangeTypes.ToggleButtonKeyDownTab]: 'Tab',
+}
+
 const propTypes = {
   ...commonDropdownPropTypes,
-  items: PropTypes.array.isRequired,
+  items: itemsPropType,
+  groups: groupsPropType,
+  itemCount: PropTypes.number,
+  getItem: getItemPropType,
+  getItemIndex: PropTypes.func,
+  scrollToIndex: PropTypes.func,
+  getGroupLabelId: PropTypes.func,
   isItemDisabled: PropTypes.func,
   getA11ySelectionMessage: PropTypes.func,
+  multiple: PropTypes.bool,
+  selectedItems: PropTypes.array,
+  initialSelectedItems: PropTypes.array,
+  defaultSelectedItems: PropTypes.array,
+  onSelectedItemsChange: PropTypes.func,
+  keyBindings: createKeyBindingsPropType(keyBindingHandlerKeys),
+  selectOnBlur: PropTypes.oneOf(['never', 'highlighted']),
+  selectOnTab: PropTypes.bool,
+  itemToValue: PropTypes.func,
+  required: PropTypes.bool,
+  validate: PropTypes.func,
+  isInvalid: PropTypes.bool,
+  initialIsInvalid: PropTypes.bool,
+  defaultIsInvalid: PropTypes.bool,
+  onIsInvalidChange: PropTypes.func,
+  validationMessage: PropTypes.string,
+  initialValidationMessage: PropTypes.string,
+  defaultValidationMessage: PropTypes.string,
+  onValidationMessageChange: PropTypes.func,
+  errorMessageId: PropTypes.string,
+  descriptionId: PropTypes.string,
 }
 
 /**
@@ -54,22 +231,35 @@ function getA11yStatusMessage<Item>({
   isOpen,
   resultCount,
   previousResultCount,
+  highlightedGroup,
+  previousHighlightedGroup,
+  messages,
+  locale,
 }: A11yStatusMessageOptions<Item>): string {
   if (!isOpen) {
     return ''
   }
 
   if (!resultCount) {
-    return 'No results are available.'
+    return formatMessage('noResults', {}, {messages, locale})
   }
 
+  const groupMessage = getA11yGroupMessage({
+    highlightedGroup,
+    previousHighlightedGroup,
+    messages,
+    locale,
+  })
+
   if (resultCount !== previousResultCount) {
-    return `${resultCount} result${
-      resultCount === 1 ? ' is' : 's are'
-    } available, use up and down arrow keys to navigate. Press Enter or Space Bar keys to select.`
+    return `${formatMessage(
+      'selectResults',
+      {count: resultCount},
+      {messages, locale},
+    )}${groupMessage ? ` ${groupMessage}` : ''}`
   }
 
-  return ''
+  return groupMessage
 }
 
 export const defaultProps = {
@@ -78,6 +268,7 @@ export const defaultProps = {
   isItemDisabled() {
     return false
   },
+  selectOnBlur: 'highlighted',
 }
 
 // eslint-disable-next-line import/no-mutable-exports
@@ -0,0 +1,134 @@
+import {
+  renderUseTreeSelect,
+  renderTreeSelect,
+  treeItems,
+  getItemAtIndex,
+  getItems,
+  clickOnItemAtIndex,
+  clickOnToggleButton,
+  getToggleButton,
+  defaultIds,
+} from '../testUtils'
+
+describe('getItemProps', () => {
+  test('throws error if no index or item has been passed', () => {
+    const {result} = renderUseTreeSelect()
+
+    expect(result.current.getItemProps).toThrowError(
+      'Pass either item or index to getItemProps!',
+    )
+  })
+
+  test('throws error if the item or the index is not of a visible node', () => {
+    const {result} = renderUseTreeSelect()
+
+    expect(() => result.current.getItemProps({index: 3})).toThrowError(
+      'Pass the item or the index of a visible node to getItemProps!',
+    )
+    expect(() =>
+      result.current.getItemProps({item: treeItems[0].children[0]}),
+    ).toThrowError(
+      'Pass the item or the index of a visible node to getItemProps!',
+    )
+  })
+
+  describe('hook props', () => {
+    test("assign 'treeitem' to role", () => {
+      const {result} = renderUseTreeSelect()
+
+      expect(result.current.getItemProps({index: 0}).role).toEqual('treeitem')
+    })
+
+    test('assign default value to id', () => {
+      const {result} = renderUseTreeSelect()
+
+      expect(result.current.getItemProps({index: 0}).id).toEqual(
+        `${defaultIds.getItemId(0)}`,
+      )
+    })
+
+    test('assign level, set size and position in set', () => {
+      const {result} = renderUseTreeSelect({expandedIds: ['metals']})
+      const itemProps = result.current.getItemProps({index: 2})
+
+      expect(itemProps['aria-level']).toEqual(2)
+      expect(itemProps['aria-setsize']).toEqual(2)
+      expect(itemProps['aria-posinset']).toEqual(2)
+    })
+
+    test('assign aria-expanded only to items with children', () => {
+      const {result} = renderUseTreeSelect({expandedIds: ['metals']})
+
+      expect(result.current.getItemProps({index: 0})['aria-expanded']).toBe(
+        true,
+      )
+      expect(result.current.getItemProps({index: 2})['aria-expanded']).toBe(
+        false,
+      )
+      expect(
+        result.current.getItemProps({index: 1})['aria-expanded'],
+      ).toBeUndefined()
+    })
+
+    test('find the index of a visible item passed by the user', () => {
+      const {result} = renderUseTreeSelect({expandedIds: ['nonmetals']})
+
+      expect(
+        result.current.getItemProps({item: treeItems[1].children[1]}).id,
+      ).toEqual(defaultIds.getItemId(3))
+    })
+
+    test("assign 'true' to aria-selected if item is selected", () => {
+      const {result} = renderUseTreeSelect({
+        expandedIds: ['metals'],
+        selectedItem: treeItems[0].children[0],
+      })
+
+      expect(result.current.getItemProps({index: 1})['aria-selected']).toEqual(
+        'true',
+      )
+      expect(result.current.getItemProps({index: 0})['aria-selected']).toEqual(
+        'false',
+      )
+    })
+
+    test('assign aria-disabled based on isItemDisabled', () => {
+      const {result} = renderUseTreeSelect({
+        isItemDisabled: item => item.id === 'unknown',
+      })
+
+      expect(result.current.getItemProps({index: 2})['aria-disabled']).toBe(
+        true,
+      )
+    })
+  })
+
+  describe('event handlers', () => {
+    test('click selects the item, including nested ones', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderTreeSelect({
+        initialExpandedIds: ['metals'],
+        onSelectedItemChange,
+      })
+
+      await clickOnToggleButton()
+      await clickOnItemAtIndex(1)
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({selectedItem: treeItems[0].children[0]}),
+      )
+      expect(getToggleButton()).toHaveTextContent('Alkali metals')
+      expect(getItems()).toHaveLength(0)
+    })
+
+    test('renders only the visible items', async () => {
+      renderTreeSelect({initialExpandedIds: ['metals', 'transition']})
+
+      await clickOnToggleButton()
+
+      expect(getItems()).toHaveLength(7)
+      expect(getItemAtIndex(3)).toHaveTextContent('Iron')
+      expect(getItemAtIndex(3)).toHaveAttribute('aria-level', '3')
+    })
+  })
+})
@@ -0,0 +1,168 @@
+import {
+  renderUseTreeSelect,
+  renderTreeSelect,
+  treeItems,
+  getToggleButton,
+  getItems,
+  getMenu,
+  keyDownOnToggleButton,
+  clickOnToggleButton,
+  defaultIds,
+} from '../testUtils'
+
+describe('getToggleButtonProps', () => {
+  describe('hook props', () => {
+    test("assign 'tree' to aria-haspopup", () => {
+      const {result} = renderUseTreeSelect()
+
+      expect(result.current.getToggleButtonProps()['aria-haspopup']).toEqual(
+        'tree',
+      )
+    })
+
+    test("assign 'combobox' to role and the menu id to aria-controls", () => {
+      const {result} = renderUseTreeSelect()
+      const toggleButtonProps = result.current.getToggleButtonProps()
+
+      expect(toggleButtonProps.role).toEqual('combobox')
+      expect(toggleButtonProps['aria-controls']).toEqual(defaultIds.menuId)
+    })
+
+    test('assign the id of the highlighted item to aria-activedescendant', () => {
+      const {result} = renderUseTreeSelect({
+        isOpen: true,
+        highlightedIndex: 1,
+        expandedIds: ['metals'],
+      })
+
+      expect(
+        result.current.getToggleButtonProps()['aria-activedescendant'],
+      ).toEqual(defaultIds.getItemId(1))
+    })
+  })
+
+  describe('event handlers', () => {
+    test('arrow right expands the highlighted item', async () => {
+      const onExpandedIdsChange = jest.fn()
+      renderTreeSelect({onExpandedIdsChange})
+
+      await clickOnToggleButton()
+      await keyDownOnToggleButton('{ArrowDown}{ArrowRight}')
+
+      expect(onExpandedIdsChange).toHaveBeenCalledWith(
+        expect.objectContaining({expandedIds: ['metals']}),
+      )
+      expect(getItems()).toHaveLength(5)
+      expect(getItems()[0]).toHaveAttribute('aria-expanded', 'true')
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(0),
+      )
+    })
+
+    test('arrow right on an expanded item highlights its first child', async () => {
+      renderTreeSelect({initialExpandedIds: ['metals']})
+
+      await clickOnToggleButton()
+      await keyDownOnToggleButton('{ArrowDown}{ArrowRight}')
+
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(1),
+      )
+    })
+
+    test('arrow right on a leaf item does nothing', async () => {
+      renderTreeSelect({initialIsOpen: true, initialHighlightedIndex: 2})
+
+      await keyDownOnToggleButton('{ArrowRight}')
+
+      expect(getItems()).toHaveLength(3)
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(2),
+      )
+    })
+
+    test('arrow left on an expanded item collapses it', async () => {
+      renderTreeSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 0,
+        initialExpandedIds: ['metals'],
+      })
+
+      await keyDownOnToggleButton('{ArrowLeft}')
+
+      expect(getItems()).toHaveLength(3)
+      expect(getItems()[0]).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    test('arrow left on a child item highlights its parent', async () => {
+      renderTreeSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 3,
+        initialExpandedIds: ['metals', 'transition'],
+      })
+
+      await keyDownOnToggleButton('{ArrowLeft}')
+
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(2),
+      )
+      expect(getItems()).toHaveLength(7)
+    })
+
+    test('arrow right and left do nothing when the menu is closed', async () => {
+      const onStateChange = jest.fn()
+      renderTreeSelect({onStateChange})
+
+      await keyDownOnToggleButton('{ArrowRight}{ArrowLeft}')
+
+      expect(onStateChange).not.toHaveBeenCalled()
+      expect(getMenu()).toBeInTheDocument()
+      expect(getItems()).toHaveLength(0)
+    })
+
+    test('arrow down navigates through the visible items only', async () => {
+      renderTreeSelect({initialExpandedIds: ['nonmetals']})
+
+      await clickOnToggleButton()
+      await keyDownOnToggleButton('{ArrowDown}{ArrowDown}{ArrowDown}')
+
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(2),
+      )
+      expect(getItems()[2]).toHaveTextContent(treeItems[1].children[0].name)
+    })
+
+    test('enter selects the highlighted nested item', async () => {
+      const onSelectedItemChange = jest.fn()
+      renderTreeSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 3,
+        initialExpandedIds: ['nonmetals'],
+        onSelectedItemChange,
+      })
+
+      await keyDownOnToggleButton('{Enter}')
+
+      expect(onSelectedItemChange).toHaveBeenCalledWith(
+        expect.objectContaining({selectedItem: treeItems[1].children[1]}),
+      )
+      expect(getItems()).toHaveLength(0)
+    })
+
+    test('character keys search through the visible items', async () => {
+      renderTreeSelect({initialExpandedIds: ['nonmetals']})
+
+      await keyDownOnToggleButton('c')
+
+      expect(getToggleButton()).toHaveAttribute(
+        'aria-activedescendant',
+        defaultIds.getItemId(3),
+      )
+    })
+  })
+})
@@ -0,0 +1,119 @@
+import {act} from '@testing-library/react'
+import {
+  renderUseTreeSelect,
+  renderTreeSelect,
+  treeItems,
+  getItems,
+  getToggleButton,
+  keyDownOnToggleButton,
+  defaultIds,
+  clickOnToggleButton,
+} from '../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+
+describe('props', () => {
+  test('if invalid then prop types error is thrown', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    renderUseTreeSelect({expandedIds: 'metals'})
+
+    expect(global.console.error.mock.calls[0][0]).toMatchInlineSnapshot(
+      `Warning: Failed prop type: Invalid prop \`expandedIds\` of type \`string\` supplied to \`useTreeSelect\`, expected \`array\`.`,
+    )
+  })
+
+  describe('expandedIds', () => {
+    test('controls the expanded items', () => {
+      const {result} = renderUseTreeSelect({expandedIds: []})
+
+      act(() => {
+        result.current.expandItem(treeItems[0])
+      })
+
+      expect(result.current.expandedIds).toEqual([])
+      expect(result.current.visibleNodes).toHaveLength(3)
+    })
+
+    test('passes the changes to onExpandedIdsChange', () => {
+      const onExpandedIdsChange = jest.fn()
+      const {result} = renderUseTreeSelect({
+        expandedIds: ['metals'],
+        onExpandedIdsChange,
+      })
+
+      act(() => {
+        result.current.expandItem(treeItems[1])
+      })
+
+      expect(onExpandedIdsChange).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: stateChangeTypes.FunctionExpandItem,
+          expandedIds: ['metals', 'nonmetals'],
+        }),
+      )
+    })
+  })
+
+  test('initialExpandedIds and defaultExpandedIds set the expanded items', () => {
+    expect(
+      renderUseTreeSelect({initialExpandedIds: ['metals']}).result.current
+        .visibleNodes,
+    ).toHaveLength(5)
+    expect(
+      renderUseTreeSelect({defaultExpandedIds: ['nonmetals']}).result.current
+        .visibleNodes,
+    ).toHaveLength(5)
+  })
+
+  test('getItemChildren and itemToId are used to build the tree', async () => {
+    const items = [
+      {key: 'fruits', name: 'Fruits', nested: [{key: 'apple', name: 'Apple'}]},
+    ]
+    renderTreeSelect({
+      items,
+      getItemChildren: item => item.nested,
+      itemToId: item => item.key,
+      initialExpandedIds: ['fruits'],
+    })
+
+    await clickOnToggleButton()
+
+    expect(getItems()).toHaveLength(2)
+    expect(getItems()[1]).toHaveTextContent('Apple')
+  })
+
+  test('isItemDisabled skips disabled items in navigation', async () => {
+    renderTreeSelect({
+      initialExpandedIds: ['metals'],
+      isItemDisabled: item => item.id === 'alkali',
+    })
+
+    await clickOnToggleButton()
+    await keyDownOnToggleButton('{ArrowDown}{ArrowDown}')
+
+    expect(getItems()[1]).toHaveAttribute('aria-disabled', 'true')
+    expect(getToggleButton()).toHaveAttribute(
+      'aria-activedescendant',
+      defaultIds.getItemId(2),
+    )
+  })
+
+  test('stateReducer can prevent expanding', async () => {
+    const stateReducer = jest.fn((state, {changes}) => ({
+      ...changes,
+      expandedIds: state.expandedIds,
+    }))
+    renderTreeSelect({stateReducer})
+
+    await clickOnToggleButton()
+    await keyDownOnToggleButton('{ArrowDown}{ArrowRight}')
+
+    expect(stateReducer).toHaveBeenLastCalledWith(
+      expect.objectContaining({expandedIds: []}),
+      expect.objectContaining({
+        type: stateChangeTypes.ToggleButtonKeyDownArrowRight,
+        changes: expect.objectContaining({expandedIds: ['metals']}),
+      }),
+    )
+    expect(getItems()).toHaveLength(3)
+  })
+})
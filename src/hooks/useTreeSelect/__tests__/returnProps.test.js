@@ -0,0 +1,119 @@
+import {act} from '@testing-library/react'
+import {renderUseTreeSelect, treeItems} from '../testUtils'
+import * as stateChangeTypes from '../stateChangeTypes'
+import useTreeSelect from '..'
+
+describe('returnProps', () => {
+  test('should have stateChangeTypes attached to hook', () => {
+    expect(useTreeSelect).toHaveProperty('stateChangeTypes', stateChangeTypes)
+  })
+
+  describe('prop getters', () => {
+    test('are returned as functions', () => {
+      const {result} = renderUseTreeSelect()
+
+      expect(result.current.getMenuProps).toBeInstanceOf(Function)
+      expect(result.current.getItemProps).toBeInstanceOf(Function)
+      expect(result.current.getLabelProps).toBeInstanceOf(Function)
+      expect(result.current.getToggleButtonProps).toBeInstanceOf(Function)
+    })
+  })
+
+  describe('actions', () => {
+    test('expandItem expands the item', () => {
+      const {result} = renderUseTreeSelect()
+
+      act(() => {
+        result.current.expandItem(treeItems[1])
+      })
+
+      expect(result.current.expandedIds).toEqual(['nonmetals'])
+      expect(result.current.visibleNodes).toHaveLength(5)
+    })
+
+    test('expandItem keeps the highlighted item highlighted', () => {
+      const {result} = renderUseTreeSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 2,
+      })
+
+      act(() => {
+        result.current.expandItem(treeItems[0])
+      })
+
+      expect(result.current.highlightedIndex).toEqual(4)
+    })
+
+    test('collapseItem collapses the item', () => {
+      const {result} = renderUseTreeSelect({
+        initialExpandedIds: ['metals', 'nonmetals'],
+      })
+
+      act(() => {
+        result.current.collapseItem(treeItems[0])
+      })
+
+      expect(result.current.expandedIds).toEqual(['nonmetals'])
+    })
+
+    test('collapseItem removes the highlight from a hidden item', () => {
+      const {result} = renderUseTreeSelect({
+        initialIsOpen: true,
+        initialHighlightedIndex: 1,
+        initialExpandedIds: ['metals'],
+      })
+
+      act(() => {
+        result.current.collapseItem(treeItems[0])
+      })
+
+      expect(result.current.highlightedIndex).toEqual(-1)
+    })
+
+    test('setExpandedIds sets the expanded ids', () => {
+      const {result} = renderUseTreeSelect()
+
+      act(() => {
+        result.current.setExpandedIds(['metals', 'transition'])
+      })
+
+      expect(result.current.visibleNodes.map(node => node.item.id)).toEqual([
+        'metals',
+        'alkali',
+        'transition',
+        'iron',
+        'copper',
+        'nonmetals',
+        'unknown',
+      ])
+    })
+
+    test('reset sets the expanded ids to default', () => {
+      const {result} = renderUseTreeSelect({defaultExpandedIds: ['metals']})
+
+      act(() => {
+        result.current.setExpandedIds(['nonmetals'])
+      })
+      act(() => {
+        result.current.reset()
+      })
+
+      expect(result.current.expandedIds).toEqual(['metals'])
+    })
+  })
+
+  describe('state and items', () => {
+    test('is returned', () => {
+      const {result} = renderUseTreeSelect()
+
+      expect(result.current.isOpen).toBe(false)
+      expect(result.current.highlightedIndex).toBe(-1)
+      expect(result.current.selectedItem).toBeNull()
+      expect(result.current.inputValue).toBe('')
+      expect(result.current.expandedIds).toEqual([])
+      expect(result.current.visibleNodes.map(node => node.item)).toEqual(
+        treeItems,
+      )
+    })
+  })
+})
@@ -0,0 +1,64 @@
+import {getVisibleNodes, defaultProps} from '../utils'
+import {treeItems} from '../testUtils'
+
+describe('utils', () => {
+  describe('getVisibleNodes', () => {
+    const props = {...defaultProps, items: treeItems}
+
+    test('returns only the root items when nothing is expanded', () => {
+      const nodes = getVisibleNodes(props, [])
+
+      expect(nodes.map(node => node.item)).toEqual(treeItems)
+      expect(nodes[0]).toEqual({
+        item: treeItems[0],
+        level: 1,
+        setSize: 3,
+        posInSet: 1,
+        parentIndex: -1,
+        hasChildren: true,
+        isExpanded: false,
+      })
+      expect(nodes[2]).toMatchObject({hasChildren: false, isExpanded: false})
+    })
+
+    test('returns the children of expanded items after their parent', () => {
+      const nodes = getVisibleNodes(props, ['metals', 'transition'])
+
+      expect(nodes.map(node => node.item.id)).toEqual([
+        'metals',
+        'alkali',
+        'transition',
+        'iron',
+        'copper',
+        'nonmetals',
+        'unknown',
+      ])
+      expect(nodes[3]).toMatchObject({
+        level: 3,
+        setSize: 2,
+        posInSet: 1,
+        parentIndex: 2,
+      })
+      expect(nodes[5]).toMatchObject({level: 1, posInSet: 2, parentIndex: -1})
+    })
+
+    test('ignores expanded ids of items hidden inside collapsed parents', () => {
+      const nodes = getVisibleNodes(props, ['transition'])
+
+      expect(nodes).toHaveLength(3)
+    })
+
+    test('uses getItemChildren and itemToId', () => {
+      const nodes = getVisibleNodes(
+        {
+          items: [{key: 'a', nested: [{key: 'b'}]}],
+          getItemChildren: item => item.nested,
+          itemToId: item => item.key,
+        },
+        ['a'],
+      )
+
+      expect(nodes.map(node => node.item.key)).toEqual(['a', 'b'])
+    })
+  })
+})
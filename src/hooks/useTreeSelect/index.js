@@ -0,0 +1,638 @@
+import {useRef, useEffect, useCallback, useMemo} from 'react'
+import {
+  isAcceptedCharacterKey,
+  useControlledReducer,
+  useGetterPropsCalledChecker,
+  useLatestRef,
+  useA11yMessageSetter,
+  useA11yStatus,
+  useScrollIntoView,
+  useControlPropsValidator,
+  useElementIds,
+  useMouseAndTouchTracker,
+  getItemAndIndex,
+  getInitialValue,
+} from '../utils'
+import {
+  callAllEventHandlers,
+  handleRefs,
+  debounce,
+  normalizeArrowKey,
+} from '../../utils'
+import {isReactNative, isReactNativeWeb} from '../../is.macro'
+import downshiftTreeSelectReducer from './reducer'
+import {
+  validatePropTypes,
+  defaultProps,
+  getInitialState,
+  getVisibleNodes,
+} from './utils'
+import * as stateChangeTypes from './stateChangeTypes'
+
+useTreeSelect.stateChangeTypes = stateChangeTypes
+
+function useTreeSelect(userProps = {}) {
+  validatePropTypes(userProps, useTreeSelect)
+  // Props defaults and destructuring.
+  const props = {
+    ...defaultProps,
+    ...userProps,
+  }
+  const {
+    items: rootItems,
+    getItemChildren,
+    itemToId,
+    scrollIntoView,
+    environment,
+    itemToString,
+    getA11ySelectionMessage,
+    getA11yStatusMessage,
+  } = props
+  // Initial state depending on controlled props.
+  const initialState = getInitialState(props)
+  const [state, dispatch] = useControlledReducer(
+    downshiftTreeSelectReducer,
+    initialState,
+    props,
+  )
+  const {isOpen, highlightedIndex, selectedItem, inputValue, expandedIds} =
+    state
+  // The tree flattened to the items that can be navigated and rendered.
+  const visibleNodes = useMemo(
+    () =>
+      getVisibleNodes(
+        {items: rootItems, getItemChildren, itemToId},
+        expandedIds,
+      ),
+    [rootItems, getItemChildren, itemToId, expandedIds],
+  )
+  const items = useMemo(
+    () => visibleNodes.map(node => node.item),
+    [visibleNodes],
+  )
+
+  // Element efs.
+  const toggleButtonRef = useRef(null)
+  const menuRef = useRef(null)
+  const itemRefs = useRef({})
+  // used to keep the inputValue clearTimeout object between renders.
+  const clearTimeoutRef = useRef(null)
+  // prevent id re-generation between renders.
+  const elementIds = useElementIds(props)
+  // used to keep track of how many items we had on previous cycle.
+  const previousResultCountRef = useRef()
+  const isInitialMountRef = useRef(true)
+  // utility callback to get item element.
+  const latest = useLatestRef({
+    state,
+    props,
+    visibleNodes,
+  })
+
+  // Some utils.
+  const getItemNodeFromIndex = useCallback(
+    index => itemRefs.current[elementIds.getItemId(index)],
+    [elementIds],
+  )
+
+  const {updateA11yStatus, getA11yStatusProps} = useA11yStatus(props)
+
+  // Effects.
+  // Sets a11y status message on changes in state.
+  useA11yMessageSetter(
+    getA11yStatusMessage,
+    [isOpen, highlightedIndex, inputValue, items],
+    {
+      isInitialMount: isInitialMountRef.current,
+      previousResultCount: previousResultCountRef.current,
+      items,
+      updateA11yStatus,
+      itemToString,
+      ...state,
+    },
+  )
+  // Sets a11y status message on changes in selectedItem.
+  useA11yMessageSetter(getA11ySelectionMessage, [selectedItem], {
+    isInitialMount: isInitialMountRef.current,
+    previousResultCount: previousResultCountRef.current,
+    items,
+    updateA11yStatus,
+    itemToString,
+    ...state,
+  })
+  // Scroll on highlighted item if change comes from keyboard.
+  const shouldScrollRef = useScrollIntoView({
+    menuElement: menuRef.current,
+    highlightedIndex,
+    isOpen,
+    itemRefs,
+    scrollIntoView,
+    getItemNodeFromIndex,
+  })
+
+  // Sets cleanup for the keysSoFar callback, debounded after 500ms.
+  useEffect(() => {
+    // init the clean function here as we need access to dispatch.
+    clearTimeoutRef.current = debounce(outerDispatch => {
+      outerDispatch({
+        type: stateChangeTypes.FunctionSetInputValue,
+        inputValue: '',
+      })
+    }, 500)
+
+    // Cancel any pending debounced calls on mount
+    return () => {
+      clearTimeoutRef.current.cancel()
+    }
+  }, [])
+
+  // Invokes the keysSoFar callback set up above.
+  useEffect(() => {
+    if (!inputValue) {
+      return
+    }
+
+    clearTimeoutRef.current(dispatch)
+  }, [dispatch, inputValue])
+
+  useControlPropsValidator({
+    isInitialMount: isInitialMountRef.current,
+    props,
+    state,
+  })
+  useEffect(() => {
+    if (isInitialMountRef.current) {
+      return
+    }
+
+    previousResultCountRef.current = items.length
+  })
+  // Focus the toggle button on first render if required.
+  useEffect(() => {
+    const focusOnOpen = getInitialValue(props, 'isOpen')
+
+    if (focusOnOpen && toggleButtonRef.current) {
+      toggleButtonRef.current.focus()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+  // Add mouse/touch events to document.
+  const mouseAndTouchTrackersRef = useMouseAndTouchTracker(
+    isOpen,
+    [menuRef, toggleButtonRef],
+    environment,
+    () => {
+      dispatch({
+        type: stateChangeTypes.ToggleButtonBlur,
+      })
+    },
+  )
+  const setGetterPropCallInfo = useGetterPropsCalledChecker(
+    'getMenuProps',
+    'getToggleButtonProps',
+  )
+  // Make initial ref false.
+  useEffect(() => {
+    isInitialMountRef.current = false
+
+    return () => {
+      isInitialMountRef.current = true
+    }
+  }, [])
+  // Reset itemRefs on close.
+  useEffect(() => {
+    if (!isOpen) {
+      itemRefs.current = {}
+    }
+  }, [isOpen])
+
+  // Event handler functions.
+  const toggleButtonKeyDownHandlers = useMemo(
+    () => ({
+      ArrowDown(event) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.ToggleButtonKeyDownArrowDown,
+          altKey: event.altKey,
+        })
+      },
+      ArrowUp(event) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.ToggleButtonKeyDownArrowUp,
+          altKey: event.altKey,
+        })
+      },
+      ArrowRight(event) {
+        if (latest.current.state.isOpen) {
+          event.preventDefault()
+
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownArrowRight,
+          })
+        }
+      },
+      ArrowLeft(event) {
+        if (latest.current.state.isOpen) {
+          event.preventDefault()
+
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownArrowLeft,
+          })
+        }
+      },
+      Home(event) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.ToggleButtonKeyDownHome,
+        })
+      },
+      End(event) {
+        event.preventDefault()
+
+        dispatch({
+          type: stateChangeTypes.ToggleButtonKeyDownEnd,
+        })
+      },
+      Escape() {
+        if (latest.current.state.isOpen) {
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownEscape,
+          })
+        }
+      },
+      Enter(event) {
+        event.preventDefault()
+
+        dispatch({
+          type: latest.current.state.isOpen
+            ? stateChangeTypes.ToggleButtonKeyDownEnter
+            : stateChangeTypes.ToggleButtonClick,
+        })
+      },
+      PageUp(event) {
+        if (latest.current.state.isOpen) {
+          event.preventDefault()
+
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownPageUp,
+          })
+        }
+      },
+      PageDown(event) {
+        if (latest.current.state.isOpen) {
+          event.preventDefault()
+
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownPageDown,
+          })
+        }
+      },
+      ' '(event) {
+        event.preventDefault()
+
+        const currentState = latest.current.state
+
+        if (!currentState.isOpen) {
+          dispatch({type: stateChangeTypes.ToggleButtonClick})
+          return
+        }
+
+        if (currentState.inputValue) {
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownCharacter,
+            key: ' ',
+          })
+        } else {
+          dispatch({type: stateChangeTypes.ToggleButtonKeyDownSpaceButton})
+        }
+      },
+    }),
+    [dispatch, latest],
+  )
+
+  // Action functions.
+  const toggleMenu = useCallback(() => {
+    dispatch({
+      type: stateChangeTypes.FunctionToggleMenu,
+    })
+  }, [dispatch])
+  const closeMenu = useCallback(() => {
+    dispatch({
+      type: stateChangeTypes.FunctionCloseMenu,
+    })
+  }, [dispatch])
+  const openMenu = useCallback(() => {
+    dispatch({
+      type: stateChangeTypes.FunctionOpenMenu,
+    })
+  }, [dispatch])
+  const setHighlightedIndex = useCallback(
+    newHighlightedIndex => {
+      dispatch({
+        type: stateChangeTypes.FunctionSetHighlightedIndex,
+        highlightedIndex: newHighlightedIndex,
+      })
+    },
+    [dispatch],
+  )
+  const selectItem = useCallback(
+    newSelectedItem => {
+      dispatch({
+        type: stateChangeTypes.FunctionSelectItem,
+        selectedItem: newSelectedItem,
+      })
+    },
+    [dispatch],
+  )
+  const expandItem = useCallback(
+    item => {
+      dispatch({
+        type: stateChangeTypes.FunctionExpandItem,
+        item,
+      })
+    },
+    [dispatch],
+  )
+  const collapseItem = useCallback(
+    item => {
+      dispatch({
+        type: stateChangeTypes.FunctionCollapseItem,
+        item,
+      })
+    },
+    [dispatch],
+  )
+  const setExpandedIds = useCallback(
+    newExpandedIds => {
+      dispatch({
+        type: stateChangeTypes.FunctionSetExpandedIds,
+        expandedIds: newExpandedIds,
+      })
+    },
+    [dispatch],
+  )
+  const reset = useCallback(() => {
+    dispatch({
+      type: stateChangeTypes.FunctionReset,
+    })
+  }, [dispatch])
+  const setInputValue = useCallback(
+    newInputValue => {
+      dispatch({
+        type: stateChangeTypes.FunctionSetInputValue,
+        inputValue: newInputValue,
+      })
+    },
+    [dispatch],
+  )
+  // Getter functions.
+  const getLabelProps = useCallback(
+    labelProps => ({
+      id: elementIds.labelId,
+      htmlFor: elementIds.toggleButtonId,
+      ...labelProps,
+    }),
+    [elementIds],
+  )
+  const getMenuProps = useCallback(
+    (
+      {onMouseLeave, refKey = 'ref', ref, ...rest} = {},
+      {suppressRefError = false} = {},
+    ) => {
+      const menuHandleMouseLeave = () => {
+        dispatch({
+          type: stateChangeTypes.MenuMouseLeave,
+        })
+      }
+
+      setGetterPropCallInfo('getMenuProps', suppressRefError, refKey, menuRef)
+
+      return {
+        [refKey]: handleRefs(ref, menuNode => {
+          menuRef.current = menuNode
+        }),
+        id: elementIds.menuId,
+        role: 'tree',
+        'aria-labelledby':
+          rest && rest['aria-label'] ? undefined : `${elementIds.labelId}`,
+        onMouseLeave: callAllEventHandlers(onMouseLeave, menuHandleMouseLeave),
+        ...rest,
+      }
+    },
+    [dispatch, setGetterPropCallInfo, elementIds],
+  )
+  const getToggleButtonProps = useCallback(
+    (
+      {onBlur, onClick, onPress, onKeyDown, refKey = 'ref', ref, ...rest} = {},
+      {suppressRefError = false} = {},
+    ) => {
+      const latestState = latest.current.state
+      const toggleButtonHandleClick = () => {
+        dispatch({
+          type: stateChangeTypes.ToggleButtonClick,
+        })
+      }
+      const toggleButtonHandleBlur = () => {
+        if (
+          latestState.isOpen &&
+          !mouseAndTouchTrackersRef.current.isMouseDown
+        ) {
+          dispatch({
+            type: stateChangeTypes.ToggleButtonBlur,
+          })
+        }
+      }
+      const toggleButtonHandleKeyDown = event => {
+        const key = normalizeArrowKey(event)
+        if (key && toggleButtonKeyDownHandlers[key]) {
+          toggleButtonKeyDownHandlers[key](event)
+        } else if (isAcceptedCharacterKey(key)) {
+          dispatch({
+            type: stateChangeTypes.ToggleButtonKeyDownCharacter,
+            key,
+          })
+        }
+      }
+      const toggleProps = {
+        [refKey]: handleRefs(ref, toggleButtonNode => {
+          toggleButtonRef.current = toggleButtonNode
+        }),
+        'aria-activedescendant':
+          latestState.isOpen && latestState.highlightedIndex > -1
+            ? elementIds.getItemId(latestState.highlightedIndex)
+            : '',
+        'aria-controls': elementIds.menuId,
+        'aria-expanded': latest.current.state.isOpen,
+        'aria-haspopup': 'tree',
+        'aria-labelledby':
+          rest && rest['aria-label'] ? undefined : `${elementIds.labelId}`,
+        id: elementIds.toggleButtonId,
+        role: 'combobox',
+        tabIndex: 0,
+        onBlur: callAllEventHandlers(onBlur, toggleButtonHandleBlur),
+        ...rest,
+      }
+
+      if (!rest.disabled) {
+        /* istanbul ignore if (react-native) */
+        if (isReactNative || isReactNativeWeb) {
+          toggleProps.onPress = callAllEventHandlers(
+            onPress,
+            toggleButtonHandleClick,
+          )
+        } else {
+          toggleProps.onClick = callAllEventHandlers(
+            onClick,
+            toggleButtonHandleClick,
+          )
+          toggleProps.onKeyDown = callAllEventHandlers(
+            onKeyDown,
+            toggleButtonHandleKeyDown,
+          )
+        }
+      }
+
+      setGetterPropCallInfo(
+        'getToggleButtonProps',
+        suppressRefError,
+        refKey,
+        toggleButtonRef,
+      )
+
+      return toggleProps
+    },
+    [
+      latest,
+      elementIds,
+      setGetterPropCallInfo,
+      dispatch,
+      mouseAndTouchTrackersRef,
+      toggleButtonKeyDownHandlers,
+    ],
+  )
+  const getItemProps = useCallback(
+    ({
+      item: itemProp,
+      index: indexProp,
+      onMouseMove,
+      onClick,
+      onPress,
+      refKey = 'ref',
+      disabled: disabledProp,
+      ref,
+      ...rest
+    } = {}) => {
+      if (disabledProp !== undefined) {
+        console.warn(
+          'Passing "disabled" as an argument to getItemProps is not supported anymore. Please use the isItemDisabled prop from useTreeSelect.',
+        )
+      }
+
+      const {
+        state: latestState,
+        props: latestProps,
+        visibleNodes: latestVisibleNodes,
+      } = latest.current
+      const [item, index] = getItemAndIndex(
+        itemProp,
+        indexProp,
+        latestVisibleNodes.map(node => node.item),
+        'Pass either item or index to getItemProps!',
+      )
+      const node = latestVisibleNodes[index]
+
+      if (!node) {
+        throw new Error(
+          'Pass the item or the index of a visible node to getItemProps!',
+        )
+      }
+
+      const disabled = latestProps.isItemDisabled(item, index)
+
+      const itemHandleMouseMove = () => {
+        if (index === latestState.highlightedIndex) {
+          return
+        }
+        shouldScrollRef.current = false
+        dispatch({
+          type: stateChangeTypes.ItemMouseMove,
+          index,
+          disabled,
+        })
+      }
+      const itemHandleClick = () => {
+        dispatch({
+          type: stateChangeTypes.ItemClick,
+          index,
+        })
+      }
+
+      const itemProps = {
+        [refKey]: handleRefs(ref, itemNode => {
+          if (itemNode) {
+            itemRefs.current[elementIds.getItemId(index)] = itemNode
+          }
+        }),
+        'aria-disabled': disabled,
+        'aria-selected': `${item === latestState.selectedItem}`,
+        'aria-expanded': node.hasChildren ? node.isExpanded : undefined,
+        'aria-level': node.level,
+        'aria-setsize': node.setSize,
+        'aria-posinset': node.posInSet,
+        id: elementIds.getItemId(index),
+        role: 'treeitem',
+        ...rest,
+      }
+
+      if (!disabled) {
+        /* istanbul ignore next (react-native) */
+        if (isReactNative || isReactNativeWeb) {
+          itemProps.onPress = callAllEventHandlers(onPress, itemHandleClick)
+        } else {
+          itemProps.onClick = callAllEventHandlers(onClick, itemHandleClick)
+        }
+      }
+
+      itemProps.onMouseMove = callAllEventHandlers(
+        onMouseMove,
+        itemHandleMouseMove,
+      )
+
+      return itemProps
+    },
+    [latest, elementIds, shouldScrollRef, dispatch],
+  )
+
+  return {
+    // prop getters.
+    getToggleButtonProps,
+    getLabelProps,
+    getMenuProps,
+    getItemProps,
+    getA11yStatusProps,
+    // actions.
+    toggleMenu,
+    openMenu,
+    closeMenu,
+    setHighlightedIndex,
+    selectItem,
+    expandItem,
+    collapseItem,
+    setExpandedIds,
+    reset,
+    setInputValue,
+    // state.
+    highlightedIndex,
+    isOpen,
+    selectedItem,
+    inputValue,
+    expandedIds,
+    visibleNodes,
+  }
+}
+
+export default useTreeSelect
@@ -0,0 +1,293 @@
+import {getNonDisabledIndex, getHighlightedIndex} from '../../utils'
+import {getHighlightedIndexOnOpen, getChangesOnSelection} from '../utils'
+import commonReducer from '../reducer'
+import {getItemIndexByCharacterKey} from '../useSelect/utils'
+import {
+  getDefaultValue,
+  getVisibleNodes,
+  getPropsWithVisibleItems,
+} from './utils'
+import * as stateChangeTypes from './stateChangeTypes'
+
+/**
+ * Returns the index of the highlighted item after the expanded ids change, as
+ * items before it may have been shown or hidden. If the highlighted item gets
+ * hidden inside a collapsed parent, the highlight is removed.
+ *
+ * @param {Object} props Props passed to the hook, with the root items.
+ * @param {Array} nodes The nodes visible before the change.
+ * @param {Object} state The current state.
+ * @param {Array} expandedIds The new expanded ids.
+ * @returns {Object} The state changes.
+ */
+function getChangesOnExpandedIds(props, nodes, state, expandedIds) {
+  if (state.highlightedIndex < 0 || !nodes[state.highlightedIndex]) {
+    return {expandedIds}
+  }
+
+  const highlightedItem = nodes[state.highlightedIndex].item
+
+  return {
+    expandedIds,
+    highlightedIndex: getVisibleNodes(props, expandedIds).findIndex(
+      node => node.item === highlightedItem,
+    ),
+  }
+}
+
+/* eslint-disable complexity */
+export default function downshiftTreeSelectReducer(state, action) {
+  const {type, altKey} = action
+  const nodes = getVisibleNodes(action.props, state.expandedIds)
+  const props = getPropsWithVisibleItems(action.props, nodes)
+  let changes
+
+  switch (type) {
+    case stateChangeTypes.ItemClick:
+      changes = {
+        isOpen: getDefaultValue(props, 'isOpen'),
+        highlightedIndex: getDefaultValue(props, 'highlightedIndex'),
+        selectedItem: props.items[action.index],
+      }
+
+      break
+    case stateChangeTypes.ToggleButtonKeyDownCharacter:
+      {
+        const lowercasedKey = action.key
+        const inputValue = `${state.inputValue}${lowercasedKey}`
+        const prevHighlightedIndex =
+          !state.isOpen && state.selectedItem
+            ? props.items.indexOf(state.selectedItem)
+            : state.highlightedIndex
+        const highlightedIndex = getItemIndexByCharacterKey({
+          keysSoFar: inputValue,
+          highlightedIndex: prevHighlightedIndex,
+          items: props.items,
+          itemToString: props.itemToString,
+          isItemDisabled: props.isItemDisabled,
+        })
+
+        changes = {
+          inputValue,
+          highlightedIndex,
+          isOpen: true,
+        }
+      }
+
+      break
+    case stateChangeTypes.ToggleButtonKeyDownArrowDown:
+      {
+        const highlightedIndex = state.isOpen
+          ? getHighlightedIndex(
+              state.highlightedIndex,
+              1,
+              props.items,
+              props.isItemDisabled,
+            )
+          : altKey && state.selectedItem == null
+          ? -1
+          : getHighlightedIndexOnOpen(props, state, 1)
+        changes = {
+          highlightedIndex,
+          isOpen: true,
+        }
+      }
+
+      break
+    case stateChangeTypes.ToggleButtonKeyDownArrowUp:
+      if (state.isOpen && altKey) {
+        changes = getChangesOnSelection(props, state.highlightedIndex, false)
+      } else {
+        const highlightedIndex = state.isOpen
+          ? getHighlightedIndex(
+              state.highlightedIndex,
+              -1,
+              props.items,
+              props.isItemDisabled,
+            )
+          : getHighlightedIndexOnOpen(props, state, -1)
+        changes = {
+          highlightedIndex,
+          isOpen: true,
+        }
+      }
+
+      break
+    // only triggered when menu is open.
+    case stateChangeTypes.ToggleButtonKeyDownArrowRight:
+      {
+        const node = nodes[state.highlightedIndex]
+
+        if (!node || !node.hasChildren) {
+          changes = {}
+        } else if (node.isExpanded) {
+          const firstChildIndex = state.highlightedIndex + 1
+
+          changes = props.isItemDisabled(
+            props.items[firstChildIndex],
+            firstChildIndex,
+          )
+            ? {}
+            : {highlightedIndex: firstChildIndex}
+        } else {
+          changes = {
+            expandedIds: [...state.expandedIds, props.itemToId(node.item)],
+          }
+        }
+      }
+
+      break
+    // only triggered when menu is open.
+    case stateChangeTypes.ToggleButtonKeyDownArrowLeft:
+      {
+        const node = nodes[state.highlightedIndex]
+
+        if (!node) {
+          changes = {}
+        } else if (node.isExpanded) {
+          const id = props.itemToId(node.item)
+
+          changes = {
+            expandedIds: state.expandedIds.filter(
+              expandedId => expandedId !== id,
+            ),
+          }
+        } else if (
+          node.parentIndex >= 0 &&
+          !props.isItemDisabled(props.items[node.parentIndex], node.parentIndex)
+        ) {
+          changes = {highlightedIndex: node.parentIndex}
+        } else {
+          changes = {}
+        }
+      }
+
+      break
+    // only triggered when menu is open.
+    case stateChangeTypes.ToggleButtonKeyDownEnter:
+    case stateChangeTypes.ToggleButtonKeyDownSpaceButton:
+      changes = getChangesOnSelection(props, state.highlightedIndex, false)
+
+      break
+    case stateChangeTypes.ToggleButtonKeyDownHome:
+      changes = {
+        highlightedIndex: getNonDisabledIndex(
+          0,
+          false,
+          props.items,
+          props.isItemDisabled,
+        ),
+        isOpen: true,
+      }
+
+      break
+    case stateChangeTypes.ToggleButtonKeyDownEnd:
+      changes = {
+        highlightedIndex: getNonDisabledIndex(
+          props.items.length - 1,
+          true,
+          props.items,
+          props.isItemDisabled,
+        ),
+        isOpen: true,
+      }
+
+      break
+    case stateChangeTypes.ToggleButtonKeyDownPageUp:
+      changes = {
+        highlightedIndex: getHighlightedIndex(
+          state.highlightedIndex,
+          -10,
+          props.items,
+          props.isItemDisabled,
+        ),
+      }
+      break
+    case stateChangeTypes.ToggleButtonKeyDownPageDown:
+      changes = {
+        highlightedIndex: getHighlightedIndex(
+          state.highlightedIndex,
+          10,
+          props.items,
+          props.isItemDisabled,
+        ),
+      }
+      break
+    case stateChangeTypes.ToggleButtonKeyDownEscape:
+      changes = {
+        isOpen: false,
+        highlightedIndex: -1,
+      }
+
+      break
+    case stateChangeTypes.ToggleButtonBlur:
+      changes = {
+        isOpen: false,
+        highlightedIndex: -1,
+        ...(state.highlightedIndex >= 0 &&
+          props.items?.length && {
+            selectedItem: props.items[state.highlightedIndex],
+          }),
+      }
+
+      break
+    case stateChangeTypes.FunctionSelectItem:
+      changes = {
+        selectedItem: action.selectedItem,
+      }
+
+      break
+    case stateChangeTypes.FunctionExpandItem:
+      {
+        const id = props.itemToId(action.item)
+
+        changes = state.expandedIds.includes(id)
+          ? {}
+          : getChangesOnExpandedIds(action.props, nodes, state, [
+              ...state.expandedIds,
+              id,
+            ])
+      }
+
+      break
+    case stateChangeTypes.FunctionCollapseItem:
+      {
+        const id = props.itemToId(action.item)
+
+        changes = state.expandedIds.includes(id)
+          ? getChangesOnExpandedIds(
+              action.props,
+              nodes,
+              state,
+              state.expandedIds.filter(expandedId => expandedId !== id),
+            )
+          : {}
+      }
+
+      break
+    case stateChangeTypes.FunctionSetExpandedIds:
+      changes = getChangesOnExpandedIds(
+        action.props,
+        nodes,
+        state,
+        action.expandedIds,
+      )
+
+      break
+    case stateChangeTypes.FunctionReset:
+      changes = {
+        ...commonReducer(state, {...action, props}, stateChangeTypes),
+        expandedIds: getDefaultValue(props, 'expandedIds'),
+      }
+
+      break
+    default:
+      return commonReducer(state, {...action, props}, stateChangeTypes)
+  }
+
+  return {
+    ...state,
+    ...changes,
+  }
+}
+/* eslint-enable complexity */
@@ -0,0 +1,134 @@
+import * as React from 'react'
+import {render, renderHook, screen} from '@testing-library/react'
+import {dataTestIds, user} from '../testUtils'
+import useTreeSelect from '.'
+
+export {
+  dataTestIds,
+  defaultIds,
+  getToggleButton,
+  keyDownOnToggleButton,
+  clickOnToggleButton,
+} from '../testUtils'
+
+jest.mock('../utils', () => {
+  const utils = jest.requireActual('../utils')
+  const hooksUtils = jest.requireActual('../../utils')
+
+  return {
+    ...utils,
+    useGetterPropsCalledChecker: () => hooksUtils.noop,
+  }
+})
+
+// We are using React 18.
+jest.mock('react', () => {
+  return {
+    ...jest.requireActual('react'),
+    useId() {
+      return 'test-id'
+    },
+  }
+})
+
+beforeEach(jest.resetAllMocks)
+afterAll(jest.restoreAllMocks)
+
+export const treeItems = [
+  {
+    id: 'metals',
+    name: 'Metals',
+    children: [
+      {id: 'alkali', name: 'Alkali metals'},
+      {
+        id: 'transition',
+        name: 'Transition metals',
+        children: [
+          {id: 'iron', name: 'Iron'},
+          {id: 'copper', name: 'Copper'},
+        ],
+      },
+    ],
+  },
+  {
+    id: 'nonmetals',
+    name: 'Nonmetals',
+    children: [
+      {id: 'hydrogen', name: 'Hydrogen'},
+      {id: 'carbon', name: 'Carbon'},
+    ],
+  },
+  {id: 'unknown', name: 'Unknown'},
+]
+
+export function getMenu() {
+  return screen.getByRole('tree')
+}
+export function getItems() {
+  return screen.queryAllByRole('treeitem')
+}
+export function getItemAtIndex(index) {
+  return getItems()[index]
+}
+export async function clickOnItemAtIndex(index) {
+  await user.click(getItemAtIndex(index))
+}
+
+export function itemToString(item) {
+  return item ? item.name : ''
+}
+
+export function renderUseTreeSelect(props) {
+  return renderHook(() =>
+    useTreeSelect({items: treeItems, itemToString, ...props}),
+  )
+}
+
+export function renderTreeSelect(props) {
+  const renderSpy = jest.fn()
+  const utils = render(<DropdownTreeSelect renderSpy={renderSpy} {...props} />)
+  const rerender = p =>
+    utils.rerender(<DropdownTreeSelect renderSpy={renderSpy} {...p} />)
+
+  return {
+    ...utils,
+    renderSpy,
+    rerender,
+  }
+}
+
+function DropdownTreeSelect({renderSpy, ...props}) {
+  const {
+    isOpen,
+    selectedItem,
+    visibleNodes,
+    getToggleButtonProps,
+    getLabelProps,
+    getMenuProps,
+    getItemProps,
+  } = useTreeSelect({items: treeItems, itemToString, ...props})
+
+  renderSpy()
+
+  return (
+    <div>
+      <label {...getLabelProps()}>Choose an element group:</label>
+      <div data-testid={dataTestIds.toggleButton} {...getToggleButtonProps()}>
+        {selectedItem ? itemToString(selectedItem) : 'Elements'}
+      </div>
+      <ul data-testid={dataTestIds.menu} {...getMenuProps()}>
+        {isOpen
+          ? visibleNodes.map(({item}, index) => (
+              <li
+                data-testid={dataTestIds.item(index)}
+                key={item.id}
+                {...getItemProps({item, index})}
+              >
+                {itemToString(item)}
+              </li>
+            ))
+          : null}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,192 @@
+import PropTypes from 'prop-types'
+import {
+  getInitialState as getInitialStateCommon,
+  getInitialValue as getInitialValueCommon,
+  getDefaultValue as getDefaultValueCommon,
+  defaultProps as defaultPropsCommon,
+  commonDropdownPropTypes,
+} from '../utils'
+import {noop} from '../../utils'
+import {formatMessage} from '../../messages'
+
+const defaultStateValues = {
+  expandedIds: [],
+}
+
+/**
+ * Returns the initial value for a tree specific state key in the following
+ * order: 1. controlled prop, 2. initial prop, 3. default prop, 4. default
+ * value from Downshift.
+ *
+ * @param {Object} props Props passed to the hook.
+ * @param {string} propKey Props key to generate the value for.
+ * @returns {any} The initial value for that prop.
+ */
+function getInitialValue(props, propKey) {
+  return getInitialValueCommon(props, propKey, defaultStateValues)
+}
+
+/**
+ * Returns the default value for a tree specific state key in the following
+ * order: 1. default prop, 2. default value from Downshift.
+ *
+ * @param {Object} props Props passed to the hook.
+ * @param {string} propKey Props key to generate the value for.
+ * @returns {any} The default value for that prop.
+ */
+function getDefaultValue(props, propKey) {
+  return getDefaultValueCommon(props, propKey, defaultStateValues)
+}
+
+/**
+ * Flattens the item tree into the list of nodes that are currently visible,
+ * meaning the root items and the children of every expanded item, in render
+ * order. Each node keeps the information needed for the treeitem aria
+ * attributes and for keyboard navigation between parents and children.
+ *
+ * @param {Object} props Props passed to the hook.
+ * @param {Array} expandedIds The ids of the expanded items.
+ * @returns {Array} The visible nodes.
+ */
+function getVisibleNodes(props, expandedIds) {
+  const {items, getItemChildren, itemToId} = props
+  const nodes = []
+
+  function addNodes(levelItems, level, parentIndex) {
+    levelItems.forEach((item, index) => {
+      const children = getItemChildren(item)
+      const hasChildren = Array.isArray(children) && children.length > 0
+      const isExpanded = hasChildren && expandedIds.includes(itemToId(item))
+      const nodeIndex = nodes.length
+
+      nodes.push({
+        item,
+        level,
+        setSize: levelItems.length,
+        posInSet: index + 1,
+        parentIndex,
+        hasChildren,
+        isExpanded,
+      })
+
+      if (isExpanded) {
+        addNodes(children, level + 1, nodeIndex)
+      }
+    })
+  }
+
+  addNodes(items, 1, -1)
+
+  return nodes
+}
+
+/**
+ * Returns the props with the items replaced by the visible items, so the
+ * common dropdown utils can navigate the tree as a flat list.
+ *
+ * @param {Object} props Props passed to the hook.
+ * @param {Array} nodes The visible nodes.
+ * @returns {Object} The props with the visible items.
+ */
+function getPropsWithVisibleItems(props, nodes) {
+  return {
+    ...props,
+    items: nodes.map(node => node.item),
+  }
+}
+
+/**
+ * Gets the initial state based on the provided props. It uses initial, default
+ * and controlled props related to state in order to compute the initial value.
+ *
+ * @param {Object} props Props passed to the hook.
+ * @returns {Object} The initial state.
+ */
+function getInitialState(props) {
+  const expandedIds = getInitialValue(props, 'expandedIds')
+
+  return {
+    ...getInitialStateCommon(
+      getPropsWithVisibleItems(props, getVisibleNodes(props, expandedIds)),
+    ),
+    expandedIds,
+  }
+}
+
+/**
+ * Default implementation for status message. Only added when menu is open.
+ * Will specify if there are results in the list, and if so, how many,
+ * and what keys are relevant.
+ *
+ * @param {Object} param the downshift state and other relevant properties
+ * @return {String} the a11y status message
+ */
+function getA11yStatusMessage({
+  isOpen,
+  resultCount,
+  previousResultCount,
+  messages,
+  locale,
+}) {
+  if (!isOpen) {
+    return ''
+  }
+
+  if (!resultCount) {
+    return formatMessage('noResults', {}, {messages, locale})
+  }
+
+  if (resultCount !== previousResultCount) {
+    return formatMessage(
+      'treeResults',
+      {count: resultCount},
+      {messages, locale},
+    )
+  }
+
+  return ''
+}
+
+const propTypes = {
+  ...commonDropdownPropTypes,
+  items: PropTypes.array.isRequired,
+  getItemChildren: PropTypes.func,
+  itemToId: PropTypes.func,
+  isItemDisabled: PropTypes.func,
+  getA11ySelectionMessage: PropTypes.func,
+  expandedIds: PropTypes.array,
+  initialExpandedIds: PropTypes.array,
+  defaultExpandedIds: PropTypes.array,
+  onExpandedIdsChange: PropTypes.func,
+}
+
+export const defaultProps = {
+  ...defaultPropsCommon,
+  getA11yStatusMessage,
+  getItemChildren(item) {
+    return item.children
+  },
+  itemToId(item) {
+    return item.id
+  },
+  isItemDisabled() {
+    return false
+  },
+}
+
+// eslint-disable-next-line import/no-mutable-exports
+let validatePropTypes = noop
+/* istanbul ignore next */
+if (process.env.NODE_ENV !== 'production') {
+  validatePropTypes = (options, caller) => {
+    PropTypes.checkPropTypes(propTypes, options, 'prop', caller.name)
+  }
+}
+
+export {
+  validatePropTypes,
+  getDefaultValue,
+  getInitialState,
+  getVisibleNodes,
+  getPropsWithVisibleItems,
+}
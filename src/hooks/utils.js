@@ -1,6 +1,8 @@
 import React, {
   useRef,
+  useState,
   useCallback,
+  useMemo,
   useReducer,
   useEffect,
   useLayoutEffect,
@@ -15,8 +17,28 @@ import {
   validateControlledUnchanged,
   noop,
   targetWithinDownshift,
+  getItemAtIndex,
+  getItemIndex,
+  getExactMatchIndex,
+  handleRefs,
 } from '../utils'
-import setStatus from '../set-a11y-status'
+import setStatus, {statusDivStyle} from '../set-a11y-status'
+import {formatMessage} from '../messages'
+import {
+  registerDebugInstance,
+  updateDebugInstance,
+  unregisterDebugInstance,
+} from './debug'
+import {
+  callOnChangeProps,
+  capitalizeString,
+  getItemsFromGroups,
+  getItemsFromCount,
+  getDropdownProps,
+  getReducerAction,
+  getStateOnAction,
+} from './core'
+import createMachine from './machine'
 
 const dropdownDefaultStateValues = {
   highlightedIndex: -1,
@@ -25,34 +47,17 @@ const dropdownDefaultStateValues = {
   inputValue: '',
 }
 
-function callOnChangeProps(action, state, newState) {
-  const {props, type} = action
-  const changes = {}
-
-  Object.keys(state).forEach(key => {
-    invokeOnChangeHandler(key, action, state, newState)
-
-    if (newState[key] !== state[key]) {
-      changes[key] = newState[key]
-    }
-  })
-
-  if (props.onStateChange && Object.keys(changes).length) {
-    props.onStateChange({type, ...changes})
-  }
+// The default values of the state that only exists with validation.
+const validationDefaultStateValues = {
+  isInvalid: false,
+  validationMessage: null,
 }
 
-function invokeOnChangeHandler(key, action, state, newState) {
-  const {props, type} = action
-  const handler = `on${capitalizeString(key)}Change`
-  if (
-    props[handler] &&
-    newState[key] !== undefined &&
-    newState[key] !== state[key]
-  ) {
-    props[handler]({type, ...newState})
-  }
-}
+// The state values that undo and redo restore, if the hook has them.
+const historyStateKeys = ['selectedItem', 'selectedItems', 'inputValue']
+// The most selection changes that are kept in the history.
+const historyLimit = 100
+const emptyHistory = {past: [], future: []}
 
 /**
  * Default state reducer that returns the changes.
@@ -72,19 +77,64 @@ function stateReducer(s, a) {
  * @returns {string} The a11y message.
  */
 function getA11ySelectionMessage(selectionParameters) {
-  const {selectedItem, itemToString: itemToStringLocal} = selectionParameters
+  const {
+    selectedItem,
+    selectedItems,
+    previousSelectedItems,
+    itemToString: itemToStringLocal,
+    messages,
+    locale,
+  } = selectionParameters
+
+  if (selectedItems && previousSelectedItems) {
+    return getA11ySelectedItemsMessage(selectionParameters)
+  }
 
   return selectedItem
-    ? `${itemToStringLocal(selectedItem)} has been selected.`
+    ? formatMessage(
+        'itemSelected',
+        {item: itemToStringLocal(selectedItem)},
+        {messages, locale},
+      )
     : ''
 }
 
 /**
- * Debounced call for updating the a11y message.
+ * Returns the message for the items added to or removed from the selected
+ * items, in the multiple selection mode.
+ *
+ * @param {Object} selectionParameters Parameters required to build the message.
+ * @returns {string} The a11y message.
  */
-const updateA11yStatus = debounce((getA11yMessage, document) => {
-  setStatus(getA11yMessage(), document)
-}, 200)
+function getA11ySelectedItemsMessage({
+  selectedItems,
+  previousSelectedItems,
+  itemToString: itemToStringLocal,
+  messages,
+  locale,
+}) {
+  const addedItems = selectedItems.filter(
+    item => !previousSelectedItems.includes(item),
+  )
+  const removedItems = previousSelectedItems.filter(
+    item => !selectedItems.includes(item),
+  )
+  const [changedItems, itemKey, itemsKey] = addedItems.length
+    ? [addedItems, 'itemSelected', 'itemsSelected']
+    : [removedItems, 'itemRemoved', 'itemsRemoved']
+
+  if (!changedItems.length) {
+    return ''
+  }
+
+  return changedItems.length > 1
+    ? formatMessage(itemsKey, {count: changedItems.length}, {messages, locale})
+    : formatMessage(
+        itemKey,
+        {item: itemToStringLocal(changedItems[0])},
+        {messages, locale},
+      )
+}
 
 // istanbul ignore next
 const useIsomorphicLayoutEffect =
@@ -104,6 +154,9 @@ const useElementIds =
         getItemId,
         toggleButtonId,
         inputId,
+        getGroupLabelId,
+        errorMessageId,
+        descriptionId,
       }) {
         // Avoid conditional useId call
         const reactId = `downshift-${React.useId()}`
@@ -117,6 +170,10 @@ const useElementIds =
           getItemId: getItemId || (index => `${id}-item-${index}`),
           toggleButtonId: toggleButtonId || `${id}-toggle-button`,
           inputId: inputId || `${id}-input`,
+          getGroupLabelId:
+            getGroupLabelId || (index => `${id}-group-label-${index}`),
+          errorMessageId: errorMessageId || `${id}-error-message`,
+          descriptionId: descriptionId || `${id}-description`,
         })
 
         return elementIdsRef.current
@@ -128,6 +185,9 @@ const useElementIds =
         getItemId,
         toggleButtonId,
         inputId,
+        getGroupLabelId,
+        errorMessageId,
+        descriptionId,
       }) {
         const elementIdsRef = useRef({
           labelId: labelId || `${id}-label`,
@@ -135,6 +195,10 @@ const useElementIds =
           getItemId: getItemId || (index => `${id}-item-${index}`),
           toggleButtonId: toggleButtonId || `${id}-toggle-button`,
           inputId: inputId || `${id}-input`,
+          getGroupLabelId:
+            getGroupLabelId || (index => `${id}-group-label-${index}`),
+          errorMessageId: errorMessageId || `${id}-error-message`,
+          descriptionId: descriptionId || `${id}-description`,
         })
 
         return elementIdsRef.current
@@ -148,16 +212,59 @@ function getItemAndIndex(itemProp, indexProp, items, errorMessage) {
       throw new Error(errorMessage)
     }
 
-    item = items[indexProp]
+    item = getItemAtIndex(items, indexProp)
     index = indexProp
   } else {
-    index = indexProp === undefined ? items.indexOf(itemProp) : indexProp
+    index = indexProp === undefined ? getItemIndex(items, itemProp) : indexProp
     item = itemProp
   }
 
   return [item, index]
 }
 
+/**
+ * Returns the items followed by one more item. Works with both arrays and the
+ * items of a virtualized list, which are not copied into an array.
+ *
+ * @param {Array|Object} items The items, an array or created by
+ * `getItemsFromCount`.
+ * @param {any} item The item to add at the end.
+ * @returns {Array|Object} The items with the added item.
+ */
+function appendItem(items, item) {
+  if (!items.getItem) {
+    return [...items, item]
+  }
+
+  return getItemsFromCount(
+    items.length + 1,
+    index => (index === items.length ? item : items.getItem(index)),
+    otherItem =>
+      otherItem === item ? items.length : getItemIndex(items, otherItem),
+  )
+}
+
+/**
+ * Returns the group that contains the item at the given index, if any.
+ *
+ * @param {Array} groups The groups passed to the hook.
+ * @param {number} index The index of the item in the flattened items.
+ * @returns {Object|undefined} The group of the item.
+ */
+function getGroupByItemIndex(groups, index) {
+  if (!groups || index < 0) {
+    return undefined
+  }
+
+  let groupEnd = 0
+
+  return groups.find(group => {
+    groupEnd += group.items.length
+
+    return index < groupEnd
+  })
+}
+
 function itemToString(item) {
   return item ? String(item) : ''
 }
@@ -166,10 +273,6 @@ function isAcceptedCharacterKey(key) {
   return /^\S{1}$/.test(key)
 }
 
-function capitalizeString(string) {
-  return `${string.slice(0, 1).toUpperCase()}${string.slice(1)}`
-}
-
 function useLatestRef(val) {
   const ref = useRef(val)
   // technically this is not "concurrent mode safe" because we're manipulating
@@ -182,51 +285,242 @@ function useLatestRef(val) {
 }
 
 /**
- * Computes the controlled state using a the previous state, props,
- * two reducers, one from downshift and an optional one from the user.
- * Also calls the onChange handlers for state values that have changed.
+ * Returns the state values that undo and redo restore.
  *
- * @param {Function} reducer Reducer function from downshift.
- * @param {Object} initialState Initial state of the hook.
+ * @param {Object} state The state of the hook.
+ * @returns {Object} The selection and the input value, if the hook has them.
+ */
+function getHistoryState(state) {
+  return historyStateKeys.reduce((historyState, key) => {
+    if (key in state) {
+      historyState[key] = state[key]
+    }
+
+    return historyState
+  }, {})
+}
+
+/**
+ * Returns the history after an action, which records the previous state if the
+ * action changed the selection. The actions of undo and redo, which restore a
+ * recorded state, are not recorded.
+ *
+ * @param {Object} history The past and the future states.
+ * @param {Object} action The action.
+ * @param {Object} state The state before the action.
+ * @param {Object} newState The state after the action.
+ * @returns {Object} The new history.
+ */
+function getHistoryOnAction(history, action, state, newState) {
+  const isSelectionChange =
+    state.selectedItem !== newState.selectedItem ||
+    state.selectedItems !== newState.selectedItems
+
+  if (action.historyState || !isSelectionChange) {
+    return history
+  }
+
+  return {
+    past: [...history.past, getHistoryState(state)].slice(-historyLimit),
+    future: [],
+  }
+}
+
+/**
+ * Keeps the history of the selection changes, if the `history` prop is
+ * passed, and returns the functions that undo and redo them. They dispatch an
+ * action of the type they receive, with the recorded state as `historyState`.
+ *
+ * @param {Object} state The state of the hook.
+ * @param {Function} dispatch The action dispatcher.
  * @param {Object} props The hook props.
- * @returns {Array} An array with the state and an action dispatcher.
+ * @returns {Object} The functions that record, undo and redo the changes, and
+ * whether there are changes to undo or redo.
  */
-function useEnhancedReducer(reducer, initialState, props) {
-  const prevStateRef = useRef()
-  const actionRef = useRef()
-  const enhancedReducer = useCallback(
-    (state, action) => {
-      actionRef.current = action
-      state = getState(state, action.props)
+function useHistory(state, dispatch, props) {
+  const historyRef = useRef(emptyHistory)
+  const [history, setHistory] = useState(emptyHistory)
+  const latest = useLatestRef({state, props})
+
+  const updateHistory = useCallback(newHistory => {
+    if (newHistory !== historyRef.current) {
+      historyRef.current = newHistory
+      setHistory(newHistory)
+    }
+  }, [])
+  const recordHistory = useCallback(
+    (action, prevState, newState) => {
+      if (action.props.history) {
+        updateHistory(
+          getHistoryOnAction(historyRef.current, action, prevState, newState),
+        )
+      }
+    },
+    [updateHistory],
+  )
+  const undo = useCallback(
+    type => {
+      const {past, future} = historyRef.current
 
-      const changes = reducer(state, action)
-      const newState = action.props.stateReducer(state, {...action, changes})
+      if (!past.length) {
+        return
+      }
 
-      return newState
+      updateHistory({
+        past: past.slice(0, -1),
+        future: [
+          ...future,
+          getHistoryState(getState(latest.current.state, latest.current.props)),
+        ],
+      })
+      dispatch({type, historyState: past[past.length - 1]})
     },
-    [reducer],
+    [dispatch, latest, updateHistory],
   )
-  const [state, dispatch] = useReducer(enhancedReducer, initialState)
-  const propsRef = useLatestRef(props)
-  const dispatchWithProps = useCallback(
-    action => dispatch({props: propsRef.current, ...action}),
-    [propsRef],
+  const redo = useCallback(
+    type => {
+      const {past, future} = historyRef.current
+
+      if (!future.length) {
+        return
+      }
+
+      updateHistory({
+        past: [
+          ...past,
+          getHistoryState(getState(latest.current.state, latest.current.props)),
+        ],
+        future: future.slice(0, -1),
+      })
+      dispatch({type, historyState: future[future.length - 1]})
+    },
+    [dispatch, latest, updateHistory],
   )
-  const action = actionRef.current
+
+  return {
+    recordHistory,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  }
+}
+
+/**
+ * Keeps the hook instance in the debug registry while it has the `debug` prop,
+ * with its latest state, props and action. The instance is updated after each
+ * action, not on every render. It does nothing in production.
+ *
+ * @param {Object} state The state of the hook.
+ * @param {Object} action The last action handled by the hook.
+ * @param {Object} props The hook props.
+ */
+function useDebugInstance(state, action, props) {
+  const instanceKeyRef = useRef()
+  const propsRef = useLatestRef(props)
+  const isDebug = process.env.NODE_ENV !== 'production' && !!props.debug
 
   useEffect(() => {
-    if (action && prevStateRef.current && prevStateRef.current !== state) {
-      callOnChangeProps(
-        action,
-        getState(prevStateRef.current, action.props),
-        state,
-      )
+    if (!isDebug) {
+      return
+    }
+
+    if (instanceKeyRef.current === undefined) {
+      instanceKeyRef.current = registerDebugInstance()
+    }
+
+    updateDebugInstance(instanceKeyRef.current, {
+      id: propsRef.current.id,
+      state: getState(state, propsRef.current),
+      props: propsRef.current,
+      action,
+    })
+  }, [isDebug, state, action, propsRef])
+  useEffect(() => {
+    if (!isDebug) {
+      return undefined
     }
 
-    prevStateRef.current = state
-  }, [state, props, action])
+    return () => {
+      unregisterDebugInstance(instanceKeyRef.current)
+      instanceKeyRef.current = undefined
+    }
+  }, [isDebug])
+}
+
+// istanbul ignore next
+const useSyncExternalStore =
+  'useSyncExternalStore' in React // Avoid conditional useSyncExternalStore call
+    ? React.useSyncExternalStore
+    : function useSyncExternalStore(subscribe, getSnapshot) {
+        const [, forceUpdate] = useReducer(count => count + 1, 0)
+
+        useIsomorphicLayoutEffect(() => subscribe(forceUpdate), [subscribe])
+
+        return getSnapshot()
+      }
+
+/**
+ * Runs the hook on a state machine, created with `createMachine`, and renders
+ * its state, to which it subscribes with `useSyncExternalStore`. The machine
+ * computes the controlled state using the previous state, props, two reducers,
+ * one from downshift and an optional one from the user, calls the onChange
+ * handlers for state values that have changed and passes the dispatched
+ * actions to the `actionRecorder` prop. The hook also records the selection
+ * changes if the `history` prop is passed.
+ *
+ * @param {Function} reducer Reducer function from downshift.
+ * @param {Object} initialState Initial state of the hook.
+ * @param {Object} props The hook props.
+ * @param {Function} [callOnActionProps] Calls the props that depend on the
+ * action rather than on a state value, once its state is computed.
+ * @returns {Array} An array with the state, an action dispatcher and the
+ * history of the selection changes.
+ */
+function useEnhancedReducer(
+  reducer,
+  initialState,
+  props,
+  callOnActionProps = noop,
+) {
+  const actionRef = useRef()
+  const stateRef = useRef(initialState)
+  const callOnActionPropsRef = useLatestRef(callOnActionProps)
+  const recordHistoryRef = useRef(noop)
+  const [machine] = useState(() =>
+    createMachine(
+      {
+        reducer,
+        getProps: hookProps => hookProps,
+        getInitialState: () => initialState,
+        callOnActionProps(action, prevState, newState) {
+          actionRef.current = action
+          stateRef.current = newState
+          callOnActionPropsRef.current(action, prevState, newState)
+          recordHistoryRef.current(action, prevState, newState)
+        },
+      },
+      props,
+    ),
+  )
+
+  // the actions are computed with the props of the last render.
+  machine.setProps(props)
+
+  // the snapshot is the state before the controlled props are applied, so the
+  // hook re-renders only when the reducers return a new state.
+  const getSnapshot = useCallback(() => stateRef.current, [])
+  const state = useSyncExternalStore(
+    machine.subscribe,
+    getSnapshot,
+    getSnapshot,
+  )
+  const {recordHistory, ...history} = useHistory(state, machine.send, props)
+
+  recordHistoryRef.current = recordHistory
+  useDebugInstance(state, actionRef.current, props)
 
-  return [state, dispatchWithProps]
+  return [state, machine.send, history]
 }
 
 /**
@@ -236,12 +530,19 @@ function useEnhancedReducer(reducer, initialState, props) {
  * @param {Function} reducer Reducer function from downshift.
  * @param {Object} initialState Initial state of the hook.
  * @param {Object} props The hook props.
- * @returns {Array} An array with the state and an action dispatcher.
+ * @param {Function} [callOnActionProps] Passed to `useEnhancedReducer`.
+ * @returns {Array} An array with the state, an action dispatcher and the
+ * history of the selection changes.
  */
-function useControlledReducer(reducer, initialState, props) {
-  const [state, dispatch] = useEnhancedReducer(reducer, initialState, props)
+function useControlledReducer(reducer, initialState, props, callOnActionProps) {
+  const [state, dispatch, history] = useEnhancedReducer(
+    reducer,
+    initialState,
+    props,
+    callOnActionProps,
+  )
 
-  return [getState(state, props), dispatch]
+  return [getState(state, props), dispatch, history]
 }
 
 const defaultProps = {
@@ -254,6 +555,15 @@ const defaultProps = {
     typeof window === 'undefined' ? undefined : window,
 }
 
+/**
+ * Returns the default value of the state value, from the `default` prop or
+ * from the default state values.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {string} propKey The key of the state value.
+ * @param {Object} defaultStateValues The default state values of the hook.
+ * @returns {any} The default value.
+ */
 function getDefaultValue(
   props,
   propKey,
@@ -268,6 +578,15 @@ function getDefaultValue(
   return defaultStateValues[propKey]
 }
 
+/**
+ * Returns the initial value of the state value, from the controlled prop, the
+ * `initial` prop or the default value, in this order.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {string} propKey The key of the state value.
+ * @param {Object} defaultStateValues The default state values of the hook.
+ * @returns {any} The initial value.
+ */
 function getInitialValue(
   props,
   propKey,
@@ -297,7 +616,7 @@ function getInitialState(props) {
   return {
     highlightedIndex:
       highlightedIndex < 0 && selectedItem && isOpen
-        ? props.items.indexOf(selectedItem)
+        ? getItemIndex(props.items, selectedItem)
         : highlightedIndex,
     isOpen,
     selectedItem,
@@ -324,7 +643,7 @@ function getHighlightedIndexOnOpen(props, state, offset) {
     return defaultHighlightedIndex
   }
   if (selectedItem) {
-    return items.indexOf(selectedItem)
+    return getItemIndex(items, selectedItem)
   }
   if (offset === 0) {
     return -1
@@ -477,26 +796,143 @@ if (process.env.NODE_ENV !== 'production') {
   }
 }
 
+/**
+ * Keeps the a11y status of the instance. Its messages, which are built with the
+ * `messages` and `locale` props, are passed to the
+ * `announce` prop if there is one. Otherwise they are set on the node rendered
+ * with `getA11yStatusProps`, if there is one, or on the status node shared by
+ * the document. The status updates are debounced for each instance and
+ * cancelled when it unmounts.
+ *
+ * @param {Object} props The props of the hook.
+ * @returns {Object} The status announcement, its debounced version and the
+ * `getA11yStatusProps` prop getter.
+ */
+function useA11yStatus({announce, environment, messages, locale}) {
+  const statusRef = useRef(null)
+  const latest = useLatestRef({announce, environment, messages, locale})
+  const announceA11yStatus = useCallback(
+    (getA11yMessage, politeness = 'polite') => {
+      const {
+        announce: announceProp,
+        environment: latestEnvironment,
+        ...localization
+      } = latest.current
+
+      if (!announceProp && (isReactNative || !latestEnvironment?.document)) {
+        return
+      }
+
+      const message = getA11yMessage(localization)
+
+      if (!announceProp) {
+        setStatus(message, latestEnvironment.document, statusRef.current)
+      } else if (message) {
+        announceProp(message, {politeness})
+      }
+    },
+    [latest],
+  )
+  const updateA11yStatus = useMemo(
+    () => debounce(announceA11yStatus, 200),
+    [announceA11yStatus],
+  )
+
+  useEffect(() => updateA11yStatus.cancel, [updateA11yStatus])
+
+  const getA11yStatusProps = useCallback(
+    ({refKey = 'ref', ref, style, ...rest} = {}) => ({
+      [refKey]: handleRefs(ref, statusNode => {
+        statusRef.current = statusNode
+      }),
+      role: 'status',
+      'aria-live': 'polite',
+      'aria-relevant': 'additions text',
+      style: {...statusDivStyle, ...style},
+      ...rest,
+    }),
+    [],
+  )
+
+  return {announceA11yStatus, updateA11yStatus, getA11yStatusProps}
+}
+
+/**
+ * Keeps the hidden inputs that submit the selected items of the instance with
+ * their form, one input for each selected item, under the same name. Their
+ * values are the selected items serialized with `itemToValue`, or
+ * `itemToString` if it is not passed. The instance is reset when the form is
+ * reset.
+ *
+ * @param {Object} props The props of the hook.
+ * @param {Array} selectedItems The selected items, or an array with the
+ * selected item, which can be null.
+ * @param {Function} reset Resets the state of the instance.
+ * @returns {Function} The `getHiddenInputProps` prop getter.
+ */
+function useHiddenInput(props, selectedItems, reset) {
+  const [form, setForm] = useState(null)
+  const latest = useLatestRef({
+    values: selectedItems
+      .filter(item => item != null)
+      .map(props.itemToValue ?? props.itemToString),
+    reset,
+  })
+
+  useEffect(() => {
+    if (!form) {
+      return
+    }
+
+    const handleReset = () => {
+      latest.current.reset()
+    }
+
+    form.addEventListener('reset', handleReset)
+
+    // eslint-disable-next-line consistent-return
+    return () => {
+      form.removeEventListener('reset', handleReset)
+    }
+  }, [form, latest])
+
+  return useCallback(
+    ({name, index = 0, refKey = 'ref', ref, ...rest} = {}) => ({
+      [refKey]: handleRefs(ref, hiddenInputNode => {
+        // the form is kept once the inputs are removed, such as when the
+        // selection is cleared, so it can still reset the instance.
+        if (hiddenInputNode?.form) {
+          setForm(hiddenInputNode.form)
+        }
+      }),
+      type: 'hidden',
+      name,
+      value: latest.current.values[index] ?? '',
+      ...rest,
+    }),
+    [latest],
+  )
+}
+
 function useA11yMessageSetter(
   getA11yMessage,
   dependencyArray,
-  {isInitialMount, highlightedIndex, items, environment, ...rest},
+  {isInitialMount, highlightedIndex, items, updateA11yStatus, ...rest},
 ) {
   // Sets a11y status message on changes in state.
   useEffect(() => {
-    if (isInitialMount || isReactNative || !environment?.document) {
+    if (isInitialMount) {
       return
     }
 
-    updateA11yStatus(
-      () =>
-        getA11yMessage({
-          highlightedIndex,
-          highlightedItem: items[highlightedIndex],
-          resultCount: items.length,
-          ...rest,
-        }),
-      environment.document,
+    updateA11yStatus(localization =>
+      getA11yMessage({
+        highlightedIndex,
+        highlightedItem: getItemAtIndex(items, highlightedIndex),
+        resultCount: items.length,
+        ...rest,
+        ...localization,
+      }),
     )
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, dependencyArray)
@@ -509,21 +945,25 @@ function useScrollIntoView({
   getItemNodeFromIndex,
   menuElement,
   scrollIntoView: scrollIntoViewProp,
+  scrollToIndex,
 }) {
   // used not to scroll on highlight by mouse.
   const shouldScrollRef = useRef(true)
   // Scroll on highlighted item if change comes from keyboard.
   useIsomorphicLayoutEffect(() => {
+    // with scrollToIndex, the item does not need to be rendered yet.
     if (
       highlightedIndex < 0 ||
       !isOpen ||
-      !Object.keys(itemRefs.current).length
+      (!scrollToIndex && !Object.keys(itemRefs.current).length)
     ) {
       return
     }
 
     if (shouldScrollRef.current === false) {
       shouldScrollRef.current = true
+    } else if (scrollToIndex) {
+      scrollToIndex(highlightedIndex)
     } else {
       scrollIntoViewProp(getItemNodeFromIndex(highlightedIndex), menuElement)
     }
@@ -567,16 +1007,247 @@ function getChangesOnSelection(props, highlightedIndex, inputValue = true) {
     isOpen: false,
     highlightedIndex: -1,
     ...(shouldSelect && {
-      selectedItem: props.items[highlightedIndex],
+      selectedItem: getItemAtIndex(props.items, highlightedIndex),
       isOpen: getDefaultValue(props, 'isOpen'),
       highlightedIndex: getDefaultValue(props, 'highlightedIndex'),
       ...(inputValue && {
-        inputValue: props.itemToString(props.items[highlightedIndex]),
+        inputValue: props.itemToString(
+          getItemAtIndex(props.items, highlightedIndex),
+        ),
       }),
     }),
   }
 }
 
+/**
+ * Returns the index of the item to select when the menu is left by blur or by
+ * Tab, following the policy: the highlighted item for 'highlighted', the item
+ * whose string is the input value for 'exactMatch' and none for 'never'.
+ *
+ * @param {Object} props The props of the hook.
+ * @param {Object} state The state of the hook.
+ * @param {string} selectOnBlur The policy, 'never', 'highlighted' or 'exactMatch'.
+ * @returns {number} The index of the item to select, or -1 if there is none.
+ */
+function getItemIndexToSelectOnBlur(props, state, selectOnBlur) {
+  if (!props.items?.length) {
+    return -1
+  }
+
+  switch (selectOnBlur) {
+    case 'highlighted':
+      return state.highlightedIndex
+    case 'exactMatch':
+      return getExactMatchIndex(
+        props.items,
+        state.inputValue,
+        props.itemToString,
+        props.isItemDisabled,
+      )
+    default:
+      return -1
+  }
+}
+
+/**
+ * Keeps track of the description rendered with `getDescriptionProps`, so its id
+ * is added to the `aria-describedby` attribute of the element that has the
+ * `combobox` role only while it is rendered. The description element is known
+ * from its ref, so the hook renders again when it is added or removed.
+ *
+ * @param {string} descriptionId The id of the description element.
+ * @returns {Object} The `getDescriptionProps` prop getter and a function that
+ * merges the description id with the `aria-describedby` passed by the user.
+ */
+function useDescription(descriptionId) {
+  const [isDescriptionRendered, setIsDescriptionRendered] = useState(false)
+  // stable, so it is only called when the description is added or removed.
+  const descriptionRef = useCallback(descriptionNode => {
+    setIsDescriptionRendered(descriptionNode !== null)
+  }, [])
+  const getDescriptionProps = useCallback(
+    ({refKey = 'ref', ref, ...rest} = {}) => ({
+      [refKey]: ref ? handleRefs(ref, descriptionRef) : descriptionRef,
+      id: descriptionId,
+      ...rest,
+    }),
+    [descriptionId, descriptionRef],
+  )
+  const getAriaDescribedBy = useCallback(
+    ariaDescribedBy => {
+      const ids = [
+        isDescriptionRendered && descriptionId,
+        ariaDescribedBy,
+      ].filter(Boolean)
+
+      return ids.length ? ids.join(' ') : undefined
+    },
+    [descriptionId, isDescriptionRendered],
+  )
+
+  return {getDescriptionProps, getAriaDescribedBy}
+}
+
+/**
+ * Returns the initial validation state, if the hook validates its selection
+ * with the `required` or `validate` props, or an empty object.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @returns {Object} The initial `isInvalid` and `validationMessage`.
+ */
+function getInitialValidationState(props) {
+  if (!props.required && !props.validate) {
+    return {}
+  }
+
+  return {
+    isInvalid: getInitialValue(
+      props,
+      'isInvalid',
+      validationDefaultStateValues,
+    ),
+    validationMessage: getInitialValue(
+      props,
+      'validationMessage',
+      validationDefaultStateValues,
+    ),
+  }
+}
+
+/**
+ * Validates the selection, the selected item or the selected items with
+ * `multiple`. It is invalid if it is empty and `required` is passed, or if
+ * `validate` does not return true for it. The message is the string returned
+ * by `validate`, or the `valueMissing` and `valueInvalid` messages.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {any} selection The selected item or the selected items.
+ * @returns {Object} The `isInvalid` and `validationMessage` state values.
+ */
+function getValidationState(props, selection) {
+  const {required, validate, multiple, messages, locale} = props
+  const isEmpty = multiple ? !selection.length : selection == null
+
+  if (required && isEmpty) {
+    return {
+      isInvalid: true,
+      validationMessage: formatMessage('valueMissing', {}, {messages, locale}),
+    }
+  }
+
+  const validation = validate ? validate(selection) : true
+
+  if (validation === true) {
+    return {isInvalid: false, validationMessage: null}
+  }
+
+  return {
+    isInvalid: true,
+    validationMessage:
+      typeof validation === 'string'
+        ? validation
+        : formatMessage('valueInvalid', {}, {messages, locale}),
+  }
+}
+
+/**
+ * Returns the new state with its validation state updated. The selection is
+ * validated when it changes and when the hook loses focus, so a required hook
+ * is not invalid before the user interacts with it. Resetting the state also
+ * resets the validation state.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {Object} state The state before the action.
+ * @param {Object} newState The state after the action.
+ * @param {Object} options Whether the action is a blur or a reset.
+ * @returns {Object} The new state.
+ */
+function getStateOnValidation(props, state, newState, {isBlur, isReset}) {
+  if (!props.required && !props.validate) {
+    return newState
+  }
+
+  if (isReset) {
+    return {
+      ...newState,
+      isInvalid: getDefaultValue(
+        props,
+        'isInvalid',
+        validationDefaultStateValues,
+      ),
+      validationMessage: getDefaultValue(
+        props,
+        'validationMessage',
+        validationDefaultStateValues,
+      ),
+    }
+  }
+
+  const selectionKey = props.multiple ? 'selectedItems' : 'selectedItem'
+
+  if (!isBlur && newState[selectionKey] === state[selectionKey]) {
+    return newState
+  }
+
+  return {...newState, ...getValidationState(props, newState[selectionKey])}
+}
+
+/**
+ * Returns the aria attributes for the validation state of the element that
+ * has the `combobox` role.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {Object} state The state of the hook.
+ * @param {string} errorMessageId The id of the error message element.
+ * @returns {Object} The aria attributes.
+ */
+function getValidationAriaProps(props, state, errorMessageId) {
+  return {
+    ...(props.required && {'aria-required': true}),
+    ...(state.isInvalid && {
+      'aria-invalid': true,
+      'aria-errormessage': errorMessageId,
+    }),
+  }
+}
+
+/**
+ * The items are required, unless they are passed through the groups, loaded
+ * through `loadItems` or read one by one with `itemCount` and `getItem`.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {...any} args The rest of the prop types checker arguments.
+ * @returns {Error|null} The validation error, if any.
+ */
+function itemsPropType(props, ...args) {
+  return (
+    props.groups || props.loadItems || props.itemCount !== undefined
+      ? PropTypes.array
+      : PropTypes.array.isRequired
+  )(props, ...args)
+}
+
+/**
+ * The `getItem` function is required if the items are read one by one with
+ * `itemCount`.
+ *
+ * @param {Object} props The props passed to the hook.
+ * @param {...any} args The rest of the prop types checker arguments.
+ * @returns {Error|null} The validation error, if any.
+ */
+function getItemPropType(props, ...args) {
+  return (
+    props.itemCount === undefined ? PropTypes.func : PropTypes.func.isRequired
+  )(props, ...args)
+}
+
+const groupsPropType = PropTypes.arrayOf(
+  PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    items: PropTypes.array.isRequired,
+  }),
+)
+
 // Shared between all exports.
 const commonPropTypes = {
   environment: PropTypes.shape({
@@ -592,6 +1263,11 @@ const commonPropTypes = {
   }),
   itemToString: PropTypes.func,
   stateReducer: PropTypes.func,
+  announce: PropTypes.func,
+  messages: PropTypes.object,
+  locale: PropTypes.string,
+  debug: PropTypes.bool,
+  actionRecorder: PropTypes.shape({record: PropTypes.func.isRequired}),
 }
 
 // Shared between useSelect, useCombobox, Downshift.
@@ -620,9 +1296,15 @@ const commonDropdownPropTypes = {
 }
 
 export {
+  callOnChangeProps,
+  getReducerAction,
+  getStateOnAction,
   useControlPropsValidator,
   useScrollIntoView,
   useA11yMessageSetter,
+  useA11yStatus,
+  useHiddenInput,
+  useDescription,
   useGetterPropsCalledChecker,
   useMouseAndTouchTracker,
   getHighlightedIndexOnOpen,
@@ -638,6 +1320,18 @@ export {
   getItemAndIndex,
   useElementIds,
   getChangesOnSelection,
+  getItemIndexToSelectOnBlur,
+  getInitialValidationState,
+  getStateOnValidation,
+  getValidationAriaProps,
   commonDropdownPropTypes,
   commonPropTypes,
+  itemsPropType,
+  getItemPropType,
+  groupsPropType,
+  getItemsFromGroups,
+  getItemsFromCount,
+  appendItem,
+  getDropdownProps,
+  getGroupByItemIndex,
 }
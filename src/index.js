@@ -1,3 +1,18 @@
 export {default} from './downshift'
 export {resetIdCounter} from './utils'
-export {useSelect, useCombobox, useMultipleSelection} from './hooks'
+export {createFilter, highlightMatches} from './filter'
+export {defaultMessages, formatMessage} from './messages'
+export {
+  useSelect,
+  useCombobox,
+  useMultipleSelection,
+  useTreeSelect,
+  createSelectMachine,
+  createComboboxMachine,
+  createMultipleSelectionMachine,
+  bindCombobox,
+  withDownshiftLogger,
+  debugRegistry,
+  recordActions,
+  replayActions,
+} from './hooks'
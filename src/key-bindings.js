@@ -0,0 +1,154 @@
+import {normalizeArrowKey} from './utils'
+
+// the event property of each modifier that can be used in a key combo.
+const modifierKeys = {
+  ctrl: 'ctrlKey',
+  control: 'ctrlKey',
+  alt: 'altKey',
+  option: 'altKey',
+  shift: 'shiftKey',
+  meta: 'metaKey',
+  cmd: 'metaKey',
+  command: 'metaKey',
+}
+
+// the keys that can be written with a name in a key combo.
+const keyAliases = {
+  space: ' ',
+  esc: 'Escape',
+}
+
+/**
+ * Parses a key combo such as 'Ctrl+N' or 'Shift+Tab' into the key and the
+ * modifiers that have to be pressed with it. Modifiers and key names are case
+ * insensitive.
+ *
+ * @param {string} combo The key combo.
+ * @returns {Object | null} The key and the modifiers of the combo, or null if
+ * the combo is not valid.
+ */
+function parseKeyCombo(combo) {
+  // the last '+' is the key itself in a combo such as 'Ctrl++'.
+  const parts = combo.split(/\+(?=.)/)
+  const key = parts.pop()
+
+  // a key name never has a '+', so 'Ctrl+' is missing its key.
+  if (!key || (key.length > 1 && key.includes('+'))) {
+    return null
+  }
+
+  const keyCombo = {
+    key: keyAliases[key.toLowerCase()] ?? key,
+    ctrlKey: false,
+    altKey: false,
+    shiftKey: false,
+    metaKey: false,
+  }
+
+  for (const modifier of parts) {
+    const modifierKey = modifierKeys[modifier.toLowerCase()]
+
+    if (!modifierKey) {
+      return null
+    }
+
+    keyCombo[modifierKey] = true
+  }
+
+  return keyCombo
+}
+
+/**
+ * Checks if the keydown event matches the key combo. The modifiers pressed
+ * have to be exactly the ones of the combo, so 'Ctrl+N' does not match
+ * 'Ctrl+Shift+N'.
+ *
+ * @param {KeyboardEvent} event The keydown event.
+ * @param {string} combo The key combo.
+ * @returns {boolean} Whether the event matches the combo.
+ */
+function isKeyComboMatch(event, combo) {
+  const keyCombo = parseKeyCombo(combo)
+  const key = normalizeArrowKey(event)
+
+  return (
+    !!keyCombo &&
+    !!key &&
+    key.toLowerCase() === keyCombo.key.toLowerCase() &&
+    !!event.ctrlKey === keyCombo.ctrlKey &&
+    !!event.altKey === keyCombo.altKey &&
+    !!event.shiftKey === keyCombo.shiftKey &&
+    !!event.metaKey === keyCombo.metaKey
+  )
+}
+
+/**
+ * Returns the key of the keydown handler that runs the action bound to the
+ * event in `keyBindings`, if there is one.
+ *
+ * @param {KeyboardEvent} event The keydown event.
+ * @param {Object} keyBindings The key combos mapped to action types.
+ * @param {Object} handlerKeys The action types mapped to the keys of their handlers.
+ * @returns {string | undefined} The key of the handler.
+ */
+function getKeyBindingHandlerKey(event, keyBindings, handlerKeys) {
+  if (!keyBindings) {
+    return undefined
+  }
+
+  const combo = Object.keys(keyBindings).find(keyCombo =>
+    isKeyComboMatch(event, keyCombo),
+  )
+
+  return combo === undefined ? undefined : handlerKeys[keyBindings[combo]]
+}
+
+/**
+ * Creates the prop type of `keyBindings`, which checks that every key combo is
+ * valid and is bound to one of the action types that can be run by a key.
+ *
+ * @param {Object} handlerKeys The action types mapped to the keys of their handlers.
+ * @returns {Function} The prop type.
+ */
+function createKeyBindingsPropType(handlerKeys) {
+  return function keyBindingsPropType(props, propName, componentName) {
+    const keyBindings = props[propName]
+
+    if (keyBindings == null) {
+      return null
+    }
+
+    if (typeof keyBindings !== 'object') {
+      return new Error(
+        `Invalid prop \`${propName}\` supplied to \`${componentName}\`, expected an object.`,
+      )
+    }
+
+    for (const combo of Object.keys(keyBindings)) {
+      if (!parseKeyCombo(combo)) {
+        return new Error(
+          `Invalid key combo \`${combo}\` supplied to \`${componentName}\` in \`${propName}\`.`,
+        )
+      }
+
+      if (!(keyBindings[combo] in handlerKeys)) {
+        return new Error(
+          `Invalid action type \`${String(
+            keyBindings[combo],
+          )}\` bound to \`${combo}\` in \`${propName}\` of \`${componentName}\`, expected one of: ${Object.keys(
+            handlerKeys,
+          ).join(', ')}.`,
+        )
+      }
+    }
+
+    return null
+  }
+}
+
+export {
+  parseKeyCombo,
+  isKeyComboMatch,
+  getKeyBindingHandlerKey,
+  createKeyBindingsPropType,
+}
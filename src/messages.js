@@ -0,0 +1,112 @@
+/**
+ * The default a11y messages, in English. A message is either a string or, if it
+ * depends on a `count`, an object with a string for each plural category of
+ * `Intl.PluralRules` that the language uses, 'one' and 'other' in English. The
+ * {placeholders} are replaced with the values of the message.
+ */
+const defaultMessages = {
+  loadingResults: 'Loading results.',
+  noResults: 'No results are available.',
+  results: {
+    one: '{count} result is available, use up and down arrow keys to navigate. Press Enter key to select.',
+    other:
+      '{count} results are available, use up and down arrow keys to navigate. Press Enter key to select.',
+  },
+  selectResults: {
+    one: '{count} result is available, use up and down arrow keys to navigate. Press Enter or Space Bar keys to select.',
+    other:
+      '{count} results are available, use up and down arrow keys to navigate. Press Enter or Space Bar keys to select.',
+  },
+  treeResults: {
+    one: '{count} result is available, use up and down arrow keys to navigate and right and left arrow keys to expand and collapse. Press Enter or Space Bar keys to select.',
+    other:
+      '{count} results are available, use up and down arrow keys to navigate and right and left arrow keys to expand and collapse. Press Enter or Space Bar keys to select.',
+  },
+  group: '{group} group.',
+  itemSelected: '{item} has been selected.',
+  itemsSelected: {
+    one: '{count} item has been selected.',
+    other: '{count} items have been selected.',
+  },
+  itemRemoved: '{item} has been removed.',
+  itemsRemoved: {
+    one: '{count} item has been removed.',
+    other: '{count} items have been removed.',
+  },
+  itemMoved: '{item} has been moved to position {position} of {count}.',
+  itemRejected: '{item} cannot be added.',
+  itemRejectedMax: {
+    one: '{item} cannot be added, at most {count} item can be selected.',
+    other: '{item} cannot be added, at most {count} items can be selected.',
+  },
+  valueMissing: 'Please select an item.',
+  valueInvalid: 'The selected item is not valid.',
+}
+
+const DEFAULT_LOCALE = 'en'
+
+// the plural rules of each locale, since creating them is not cheap.
+const pluralRulesCache = new Map()
+
+/**
+ * Returns the plural category of the count in the locale, falling back to the
+ * English rules if `Intl.PluralRules` is not available.
+ *
+ * @param {number} count The count.
+ * @param {string} locale The locale.
+ * @returns {string} The plural category, such as 'one' or 'other'.
+ */
+function getPluralCategory(count, locale) {
+  if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+    return count === 1 ? 'one' : 'other'
+  }
+
+  if (!pluralRulesCache.has(locale)) {
+    pluralRulesCache.set(locale, new Intl.PluralRules(locale))
+  }
+
+  return pluralRulesCache.get(locale).select(count)
+}
+
+/**
+ * Returns the form of the message for the count: the message itself if it is a
+ * string, or the form of the plural category of the count, or its 'other' form
+ * if it does not have that one.
+ *
+ * @param {string|Object} [message] The message.
+ * @param {number} count The count of the message.
+ * @param {string} locale The locale of the message.
+ * @returns {string|undefined} The form of the message, if there is one.
+ */
+function getMessageForm(message, count, locale) {
+  if (message === null || typeof message !== 'object') {
+    return message
+  }
+
+  return message[getPluralCategory(count, locale)] ?? message.other
+}
+
+/**
+ * Formats the message of the catalog for the key. Messages missing from the
+ * catalog passed by the user, or plural messages that have neither the form of
+ * the count nor an 'other' form, are taken from the default one.
+ *
+ * @param {string} key The key of the message in the catalog.
+ * @param {Object} [values] The values of the placeholders of the message.
+ * @param {Object} [localization] The catalog and locale passed by the user.
+ * @param {Object} [localization.messages] The messages that replace the default ones.
+ * @param {string} [localization.locale] The locale of the messages, 'en' by default.
+ * @returns {string} The formatted message.
+ */
+function formatMessage(key, values = {}, {messages, locale} = {}) {
+  const messageLocale = locale ?? DEFAULT_LOCALE
+  const message =
+    getMessageForm(messages?.[key], values.count, messageLocale) ??
+    getMessageForm(defaultMessages[key], values.count, messageLocale)
+
+  return message.replace(/{(\w+)}/g, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder,
+  )
+}
+
+export {defaultMessages, formatMessage}
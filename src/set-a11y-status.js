@@ -4,6 +4,39 @@ const cleanupStatus = debounce(documentProp => {
   getStatusDiv(documentProp).textContent = ''
 }, 500)
 
+// the cleanups of the status nodes rendered by each instance, which need their
+// own timeout so an instance does not cancel the cleanup of another one.
+const scopedCleanups = new WeakMap()
+
+/**
+ * Clears the status node of an instance after a timeout.
+ * @param {HTMLElement} statusDiv the status node of the instance.
+ */
+function cleanupScopedStatus(statusDiv) {
+  if (!scopedCleanups.has(statusDiv)) {
+    scopedCleanups.set(
+      statusDiv,
+      debounce(() => {
+        statusDiv.textContent = ''
+      }, 500),
+    )
+  }
+
+  scopedCleanups.get(statusDiv)()
+}
+
+// visually hides the status node, while keeping it readable by screen readers.
+export const statusDivStyle = {
+  border: '0',
+  clip: 'rect(0 0 0 0)',
+  height: '1px',
+  margin: '-1px',
+  overflow: 'hidden',
+  padding: '0',
+  position: 'absolute',
+  width: '1px',
+}
+
 /**
  * Get the status node or create it if it does not already exist.
  * @param {Object} documentProp document passed by the user.
@@ -20,16 +53,7 @@ function getStatusDiv(documentProp) {
   statusDiv.setAttribute('role', 'status')
   statusDiv.setAttribute('aria-live', 'polite')
   statusDiv.setAttribute('aria-relevant', 'additions text')
-  Object.assign(statusDiv.style, {
-    border: '0',
-    clip: 'rect(0 0 0 0)',
-    height: '1px',
-    margin: '-1px',
-    overflow: 'hidden',
-    padding: '0',
-    position: 'absolute',
-    width: '1px',
-  })
+  Object.assign(statusDiv.style, statusDivStyle)
   documentProp.body.appendChild(statusDiv)
   return statusDiv
 }
@@ -37,12 +61,21 @@ function getStatusDiv(documentProp) {
 /**
  * @param {String} status the status message
  * @param {Object} documentProp document passed by the user.
+ * @param {HTMLElement} [scopedStatusDiv] the status node rendered by the
+ * instance, used instead of the one shared by the document.
  */
-export default function setStatus(status, documentProp) {
+export default function setStatus(status, documentProp, scopedStatusDiv) {
   if (!status || !documentProp) {
     return
   }
 
+  if (scopedStatusDiv) {
+    scopedStatusDiv.textContent = status
+    cleanupScopedStatus(scopedStatusDiv)
+
+    return
+  }
+
   const div = getStatusDiv(documentProp)
 
   div.textContent = status
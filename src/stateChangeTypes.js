@@ -13,6 +13,7 @@ export const keyDownEscape = productionEnum('__autocomplete_keydown_escape__')
 export const keyDownEnter = productionEnum('__autocomplete_keydown_enter__')
 export const keyDownHome = productionEnum('__autocomplete_keydown_home__')
 export const keyDownEnd = productionEnum('__autocomplete_keydown_end__')
+export const keyDownTab = productionEnum('__autocomplete_keydown_tab__')
 export const clickItem = productionEnum('__autocomplete_click_item__')
 export const blurInput = productionEnum('__autocomplete_blur_input__')
 export const changeInput = productionEnum('__autocomplete_change_input__')
@@ -9,4 +9,16 @@ export interface A11yStatusMessageOptions<Item> {
   resultCount: number
   highlightedItem: Item
   selectedItem: Item | null
+  selectedItems?: Item[]
+  previousSelectedItems?: Item[]
+  highlightedGroup?: ItemGroup<Item>
+  previousHighlightedGroup?: ItemGroup<Item>
+  isLoading?: boolean
+  messages?: Partial<Record<string, string | Record<string, string>>>
+  locale?: string
+}
+
+export interface ItemGroup<Item> {
+  label: string
+  items: Item[]
 }
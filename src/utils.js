@@ -1,6 +1,7 @@
 import { compute } from 'compute-scroll-into-view'
 import React from 'react'
 import {isPreact} from './is.macro'
+import {formatMessage} from './messages'
 
 let idCounter = 0
 
@@ -157,22 +158,72 @@ function resetIdCounter() {
  * @param {Object} param the downshift state and other relevant properties
  * @return {String} the a11y status message
  */
-function getA11yStatusMessage({isOpen, resultCount, previousResultCount}) {
+function getA11yStatusMessage({
+  isOpen,
+  resultCount,
+  previousResultCount,
+  highlightedGroup,
+  previousHighlightedGroup,
+  isLoading,
+  messages,
+  locale,
+}) {
   if (!isOpen) {
     return ''
   }
 
+  if (isLoading) {
+    return formatMessage('loadingResults', {}, {messages, locale})
+  }
+
   if (!resultCount) {
-    return 'No results are available.'
+    return formatMessage('noResults', {}, {messages, locale})
   }
 
+  const groupMessage = getA11yGroupMessage({
+    highlightedGroup,
+    previousHighlightedGroup,
+    messages,
+    locale,
+  })
+
   if (resultCount !== previousResultCount) {
-    return `${resultCount} result${
-      resultCount === 1 ? ' is' : 's are'
-    } available, use up and down arrow keys to navigate. Press Enter key to select.`
+    return `${formatMessage(
+      'results',
+      {count: resultCount},
+      {messages, locale},
+    )}${groupMessage ? ` ${groupMessage}` : ''}`
+  }
+
+  return groupMessage
+}
+
+/**
+ * Returns the message announcing the group of the highlighted item, when the
+ * highlight has moved into a different group than before.
+ *
+ * @param {Object} param the highlighted group, the previous one and the
+ * messages and locale passed by the user
+ * @return {String} the a11y group message
+ */
+function getA11yGroupMessage({
+  highlightedGroup,
+  previousHighlightedGroup,
+  messages,
+  locale,
+}) {
+  if (
+    !highlightedGroup ||
+    highlightedGroup.label === previousHighlightedGroup?.label
+  ) {
+    return ''
   }
 
-  return ''
+  return formatMessage(
+    'group',
+    {group: highlightedGroup.label},
+    {messages, locale},
+  )
 }
 
 /**
@@ -310,6 +361,69 @@ function isPlainObject(obj) {
   return Object.prototype.toString.call(obj) === '[object Object]'
 }
 
+/**
+ * Returns the item at the given index. Besides arrays, the items can be an
+ * array-like object with a `length` and a `getItem` function, used for
+ * virtualized lists that don't have all their items in memory.
+ *
+ * @param {ArrayLike<unknown> & {getItem?: (index: number) => unknown}} items The items.
+ * @param {number} index The index of the item.
+ * @returns {unknown} The item at the index.
+ */
+function getItemAtIndex(items, index) {
+  return items.getItem ? items.getItem(index) : items[index]
+}
+
+/**
+ * Returns the index of the item, or -1 if it is not one of the items. Works
+ * with the same items as `getItemAtIndex`. The items read through `getItem`
+ * are not searched: their index is returned by their `getItemIndex` function,
+ * or is -1 without it.
+ *
+ * @param {ArrayLike<unknown> & {getItem?: (index: number) => unknown, getItemIndex?: (item: unknown) => number}} items The items.
+ * @param {unknown} item The item to look for.
+ * @returns {number} The index of the item.
+ */
+function getItemIndex(items, item) {
+  if (!items.getItem) {
+    return items.indexOf(item)
+  }
+
+  return items.getItemIndex ? items.getItemIndex(item) : -1
+}
+
+/**
+ * Returns the index of the first enabled item whose string is the input value,
+ * ignoring case, or -1 if there is none. The items read through `getItem` are
+ * not searched, so it is always -1 for them.
+ *
+ * @param {ArrayLike<unknown> & {getItem?: (index: number) => unknown}} items The items.
+ * @param {string} inputValue The input value.
+ * @param {Function} itemToString Converts an item to a string.
+ * @param {Function} isItemDisabled Checks if the item at an index is disabled.
+ * @returns {number} The index of the matching item.
+ */
+function getExactMatchIndex(items, inputValue, itemToString, isItemDisabled) {
+  if (!inputValue || items.getItem) {
+    return -1
+  }
+
+  const lowercasedInputValue = inputValue.toLowerCase()
+
+  for (let index = 0; index < items.length; index++) {
+    const item = getItemAtIndex(items, index)
+
+    if (
+      itemToString(item).toLowerCase() === lowercasedInputValue &&
+      !isItemDisabled(item, index)
+    ) {
+      return index
+    }
+  }
+
+  return -1
+}
+
 /**
  * Returns the next non-disabled highlightedIndex value.
  *
@@ -382,13 +496,13 @@ function getNonDisabledIndex(
 
   if (backwards) {
     for (let index = start; index >= 0; index--) {
-      if (!isItemDisabled(items[index], index)) {
+      if (!isItemDisabled(getItemAtIndex(items, index), index)) {
         return index
       }
     }
   } else {
     for (let index = start; index < count; index++) {
-      if (!isItemDisabled(items[index], index)) {
+      if (!isItemDisabled(getItemAtIndex(items, index), index)) {
         return index
       }
     }
@@ -472,6 +586,7 @@ export {
   scrollIntoView,
   generateId,
   getA11yStatusMessage,
+  getA11yGroupMessage,
   unwrapArray,
   isDOMElement,
   getElementProps,
@@ -488,4 +603,7 @@ export {
   validateControlledUnchanged,
   getHighlightedIndex,
   getNonDisabledIndex,
+  getItemAtIndex,
+  getItemIndex,
+  getExactMatchIndex,
 }
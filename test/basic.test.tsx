@@ -34,6 +34,7 @@ export default class App extends React.Component<Props, State> {
           getLabelProps,
           getRootProps,
           getMenuProps,
+          getA11yStatusProps,
           isOpen,
           inputValue,
           selectedItem,
@@ -77,6 +78,7 @@ export default class App extends React.Component<Props, State> {
                     ))}
                 </div>
               ) : null}
+              <div {...getA11yStatusProps({className: 'status'})} />
             </div>
           )
         }}
@@ -1,6 +1,16 @@
 import * as React from 'react'
 
-import {useCombobox} from '..'
+import {
+  useCombobox,
+  createComboboxMachine,
+  bindCombobox,
+  createFilter,
+  highlightMatches,
+  withDownshiftLogger,
+  debugRegistry,
+  recordActions,
+  replayActions,
+} from '..'
 
 export const colors = [
   'Black',
@@ -78,3 +88,407 @@ export default function DropdownCombobox() {
     </div>
   )
 }
+
+export function AsyncDropdownCombobox() {
+  const {
+    isOpen,
+    items,
+    isLoading,
+    error,
+    getLabelProps,
+    getMenuProps,
+    getInputProps,
+    getItemProps,
+  } = useCombobox<string>({
+    async loadItems(inputValue, {signal}) {
+      const response = await fetch(`/colors?q=${inputValue}`, {signal})
+
+      return (await response.json()) as string[]
+    },
+  })
+
+  return (
+    <div>
+      <label {...getLabelProps()}>Choose a color:</label>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen && isLoading ? <li>Loading...</li> : null}
+        {isOpen && error ? <li>Could not load the colors.</li> : null}
+        {isOpen &&
+          items.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+const filterColors = createFilter<string>({threshold: 0.5})
+
+export function FilteredDropdownCombobox() {
+  const [inputValue, setInputValue] = React.useState('')
+  const results = filterColors(colors, inputValue)
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: results.map(result => result.item),
+    inputValue,
+    onInputValueChange: changes => setInputValue(changes.inputValue ?? ''),
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          results.map(({item, text, matches}, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {highlightMatches(text, matches).map((segment, segmentIndex) =>
+                segment.isMatch ? (
+                  <b key={segmentIndex}>{segment.text}</b>
+                ) : (
+                  segment.text
+                ),
+              )}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function CreatableDropdownCombobox() {
+  const [tags, setTags] = React.useState(colors)
+  const {isOpen, items, newItem, getInputProps, getMenuProps, getItemProps} =
+    useCombobox({
+      items: tags,
+      allowCreate: true,
+      getNewItem: inputValue => inputValue.trim(),
+      onCreateItem: ({newItem: tag}) => setTags([...tags, tag]),
+    })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          items.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {newItem !== null && index === items.length - 1
+                ? `Add "${item}"`
+                : item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+const announcements: string[] = []
+
+export function AnnouncedDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: colors,
+    announce: (message, {politeness}) => {
+      announcements.push(`${politeness}: ${message}`)
+    },
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function EmacsDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: colors,
+    keyBindings: {
+      'Ctrl+N': useCombobox.stateChangeTypes.InputKeyDownArrowDown,
+      'Ctrl+P': useCombobox.stateChangeTypes.InputKeyDownArrowUp,
+      Tab: useCombobox.stateChangeTypes.InputKeyDownEnter,
+    },
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function StrictDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: colors,
+    selectOnBlur: 'exactMatch',
+    selectOnTab: true,
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function InlineDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: colors,
+    inlineAutocomplete: true,
+    stateReducer(state, {type, changes}) {
+      if (
+        type === useCombobox.stateChangeTypes.InputInlineComplete &&
+        state.inputValue.length < 2
+      ) {
+        return state
+      }
+
+      return changes
+    },
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+interface City {
+  id: number | null
+  name: string
+}
+
+const cities: City[] = [
+  {id: 1, name: 'Bucharest'},
+  {id: 2, name: 'Cluj-Napoca'},
+]
+
+export function FreeSoloDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox<City>(
+    {
+      items: cities,
+      itemToString: city => city?.name ?? '',
+      freeSolo: true,
+      parseInputValue: inputValue => ({id: null, name: inputValue}),
+      onSelectedItemChange({type, selectedItem}) {
+        if (type === useCombobox.stateChangeTypes.InputCommit) {
+          console.log(selectedItem?.id)
+        }
+      },
+    },
+  )
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          cities.map((item, index) => (
+            <li key={item.name} {...getItemProps({item, index})}>
+              {item.name}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function DescribedDropdownCombobox() {
+  const {
+    isOpen,
+    getInputProps,
+    getMenuProps,
+    getItemProps,
+    getDescriptionProps,
+  } = useCombobox({items: cities, itemToString: city => city?.name ?? ''})
+  const inputProps = getInputProps({'aria-describedby': 'cities-hint'})
+  const describedBy: string | undefined = inputProps['aria-describedby']
+
+  return (
+    <div>
+      <input {...inputProps} />
+      <p {...getDescriptionProps()}>Only cities in Romania are listed.</p>
+      <p id="cities-hint">{describedBy}</p>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          cities.map((item, index) => (
+            <li key={item.name} {...getItemProps({item, index})}>
+              {item.name}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function UndoableDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps, undo, redo} =
+    useCombobox({
+      items: cities,
+      itemToString: city => city?.name ?? '',
+      history: true,
+    })
+
+  return (
+    <div>
+      <input
+        {...getInputProps({
+          onKeyDown(event) {
+            if (event.ctrlKey && event.key === 'z') {
+              if (event.shiftKey) {
+                redo()
+              } else {
+                undo()
+              }
+            }
+          },
+        })}
+      />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          cities.map((item, index) => (
+            <li key={item.name} {...getItemProps({item, index})}>
+              {item.name}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function LoggedDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: cities,
+    itemToString: city => city?.name ?? '',
+    stateReducer: withDownshiftLogger((_state, {type, changes}) =>
+      type === useCombobox.stateChangeTypes.InputBlur
+        ? {...changes, inputValue: ''}
+        : changes,
+    ),
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          cities.map((item, index) => (
+            <li key={item.name} {...getItemProps({item, index})}>
+              {item.name}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function getDebuggedComboboxIds() {
+  return Array.from(debugRegistry.instances.values(), ({id}) => id)
+}
+
+const actionRecorder = recordActions()
+
+export function RecordedDropdownCombobox() {
+  const {isOpen, getInputProps, getMenuProps, getItemProps} = useCombobox({
+    items: cities,
+    itemToString: city => city?.name ?? '',
+    actionRecorder,
+  })
+
+  return (
+    <div>
+      <input {...getInputProps()} />
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          cities.map((item, index) => (
+            <li key={item.name} {...getItemProps({item, index})}>
+              {item.name}
+            </li>
+          ))}
+      </ul>
+      <button
+        onClick={() => console.log(JSON.stringify(actionRecorder.getActions()))}
+      >
+        Log session
+      </button>
+    </div>
+  )
+}
+
+export function getRecordedSelectedCity(): City | null {
+  return replayActions(
+    'useCombobox',
+    {items: cities},
+    actionRecorder.getActions(),
+  ).selectedItem
+}
+
+export function getComboboxMachineInputValue(inputValue: string) {
+  const machine = createComboboxMachine<City>({
+    items: cities,
+    itemToString: city => city?.name ?? '',
+  })
+
+  machine.send({
+    type: createComboboxMachine.stateChangeTypes.InputChange,
+    inputValue,
+  })
+  machine.setProps({...machine.getProps(), selectedItem: cities[0]})
+
+  return machine.getState().inputValue
+}
+
+export function bindCitiesCombobox(
+  input: HTMLInputElement,
+  menu: HTMLUListElement,
+) {
+  const combobox = bindCombobox<City>(input, menu, {
+    items: cities,
+    itemToString: city => city?.name ?? '',
+    renderItem({item}) {
+      const itemElement = document.createElement('li')
+
+      itemElement.textContent = `${item.name} (${item.id ?? 'new'})`
+
+      return itemElement
+    },
+  })
+
+  return () => {
+    combobox.unbind()
+  }
+}
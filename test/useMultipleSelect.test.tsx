@@ -1,6 +1,10 @@
 import * as React from 'react'
 
-import {useMultipleSelection, useSelect} from '..'
+import {
+  useMultipleSelection,
+  useSelect,
+  createMultipleSelectionMachine,
+} from '..'
 
 export const colors = [
   'Black',
@@ -125,3 +129,140 @@ export default function DropdownMultipleSelect() {
     </div>
   )
 }
+
+export function BulkEditSelectedItems() {
+  const {getSelectedItemProps, getDropdownProps, selectedItems, activeRange} =
+    useMultipleSelection({
+      initialSelectedItems,
+      stateReducer(state, {changes, type}) {
+        // ask before removing many items at once.
+        if (
+          type ===
+            useMultipleSelection.stateChangeTypes
+              .SelectedItemKeyDownDeleteRange &&
+          !window.confirm('Remove the items?')
+        ) {
+          return {...changes, selectedItems: state.selectedItems}
+        }
+
+        return changes
+      },
+    })
+
+  return (
+    <div>
+      {selectedItems.map((selectedItem, index) => (
+        <span
+          key={selectedItem}
+          style={{
+            fontWeight:
+              activeRange && index >= activeRange[0] && index <= activeRange[1]
+                ? 'bold'
+                : 'normal',
+          }}
+          {...getSelectedItemProps({selectedItem, index})}
+        >
+          {selectedItem}
+        </span>
+      ))}
+      <input {...getDropdownProps()} />
+    </div>
+  )
+}
+
+export function ReorderableSelectedItems() {
+  const [tags, setTags] = React.useState(initialSelectedItems)
+  const {getSelectedItemProps, getDropdownProps} = useMultipleSelection({
+    selectedItems: tags,
+    onSelectedItemsChange: ({selectedItems}) => setTags(selectedItems ?? []),
+    onSelectedItemsReorder: ({selectedItems}) => setTags(selectedItems),
+    draggableSelectedItems: true,
+    getA11yMoveMessage: ({movedSelectedItem, newIndex}) =>
+      `${movedSelectedItem} is now number ${newIndex + 1}.`,
+  })
+
+  return (
+    <div>
+      {tags.map((tag, index) => (
+        <span key={tag} {...getSelectedItemProps({selectedItem: tag, index})}>
+          {tag}
+        </span>
+      ))}
+      <input {...getDropdownProps()} />
+    </div>
+  )
+}
+
+export function LimitedSelectedItems() {
+  const {selectedItems, rejectionReason, addSelectedItem, getDropdownProps} =
+    useMultipleSelection<string>({
+      maxSelectedItems: 3,
+      validateSelectedItem: (item, items) =>
+        items.includes(item) ? 'duplicate' : true,
+      getA11yRejectionMessage: ({rejectedSelectedItem, rejectionReason}) =>
+        `${rejectedSelectedItem} was rejected: ${rejectionReason}.`,
+    })
+
+  return (
+    <div>
+      {selectedItems.join(', ')}
+      {rejectionReason === 'maxSelectedItems' && <p>Pick at most 3 colors.</p>}
+      <button {...getDropdownProps()} onClick={() => addSelectedItem('Red')}>
+        Add red
+      </button>
+    </div>
+  )
+}
+
+export function UndoableSelectedItems() {
+  const {selectedItems, removeSelectedItem, undo, redo, canUndo, canRedo} =
+    useMultipleSelection<string>({
+      history: true,
+      initialSelectedItems,
+      stateReducer(_state, {type, changes}) {
+        return type === useMultipleSelection.stateChangeTypes.FunctionUndo
+          ? {...changes, activeIndex: -1}
+          : changes
+      },
+    })
+
+  return (
+    <div>
+      {selectedItems.map(selectedItem => (
+        <button
+          key={selectedItem}
+          onClick={() => removeSelectedItem(selectedItem)}
+        >
+          {selectedItem}
+        </button>
+      ))}
+      <button disabled={!canUndo} onClick={undo}>
+        Undo
+      </button>
+      <button disabled={!canRedo} onClick={redo}>
+        Redo
+      </button>
+    </div>
+  )
+}
+
+export function bindMultipleSelectionMachine(list: HTMLUListElement) {
+  const machine = createMultipleSelectionMachine({
+    initialSelectedItems: colors.slice(0, 2),
+    onSelectedItemsReorder: ({movedSelectedItem, newIndex}) => {
+      list.dataset.moved = `${movedSelectedItem} ${newIndex}`
+    },
+  })
+
+  list.addEventListener('dblclick', () => {
+    machine.send({
+      type: createMultipleSelectionMachine.stateChangeTypes.SelectedItemMove,
+      index: 0,
+      newIndex: 1,
+    })
+  })
+
+  return machine.subscribe(({selectedItems}) => {
+    list.textContent = selectedItems.join(', ')
+  })
+}
@@ -1,6 +1,6 @@
 import * as React from 'react'
 
-import {useSelect} from '..'
+import {useSelect, createSelectMachine, formatMessage, A11yMessages} from '..'
 
 export const colors = [
   'Black',
@@ -53,3 +53,245 @@ export default function DropdownSelect() {
     </div>
   )
 }
+
+const groups = [
+  {label: 'Warm', items: ['Red', 'Orange', 'Pink']},
+  {label: 'Cold', items: ['Blue', 'Aqua', 'Teal']},
+]
+
+export function DropdownGroupedSelect() {
+  const {
+    isOpen,
+    selectedItem,
+    getToggleButtonProps,
+    getLabelProps,
+    getMenuProps,
+    getGroupProps,
+    getGroupLabelProps,
+    getItemProps,
+  } = useSelect({groups})
+  let index = 0
+
+  return (
+    <div>
+      <label {...getLabelProps()}>Choose a color:</label>
+      <div {...getToggleButtonProps()}>{selectedItem ?? 'Colors'}</div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          groups.map((group, groupIndex) => (
+            <ul key={group.label} {...getGroupProps({index: groupIndex})}>
+              <li {...getGroupLabelProps({index: groupIndex})}>
+                {group.label}
+              </li>
+              {group.items.map(item => (
+                <li key={item} {...getItemProps({item, index: index++})}>
+                  {item}
+                </li>
+              ))}
+            </ul>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+const getNumber = (index: number) => index + 1
+
+export function VirtualizedDropdownSelect() {
+  const listRef = React.useRef<HTMLUListElement>(null)
+  const {
+    isOpen,
+    selectedItem,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+  } = useSelect<number>({
+    itemCount: 100000,
+    getItem: getNumber,
+    scrollToIndex: index => {
+      listRef.current?.scrollTo({top: index * 20})
+    },
+  })
+
+  return (
+    <div>
+      <div {...getToggleButtonProps()}>{selectedItem ?? 'Numbers'}</div>
+      <ul {...getMenuProps({ref: listRef})}>
+        {isOpen &&
+          [0, 1, 2].map(index => (
+            <li key={index} {...getItemProps({item: getNumber(index), index})}>
+              {getNumber(index)}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function MultipleDropdownSelect() {
+  const {
+    isOpen,
+    selectedItems,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+  } = useSelect({items: colors, multiple: true})
+
+  return (
+    <div>
+      <div {...getToggleButtonProps()}>
+        {selectedItems?.length ? selectedItems.join(', ') : 'Colors'}
+      </div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {selectedItems?.includes(item) ? '✓ ' : ''}
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function DialogDropdownSelect() {
+  const {
+    isOpen,
+    selectedItem,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+    getA11yStatusProps,
+  } = useSelect({items: colors})
+
+  return (
+    <div role="dialog" aria-modal="true">
+      <div {...getToggleButtonProps()}>{selectedItem ?? 'Colors'}</div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+      <div {...getA11yStatusProps({className: 'status'})} />
+    </div>
+  )
+}
+
+const frenchMessages: Partial<A11yMessages> = {
+  noResults: 'Aucun résultat.',
+  itemSelected: '{item} a été sélectionné.',
+  selectResults: {
+    one: '{count} résultat disponible.',
+    other: '{count} résultats disponibles.',
+  },
+}
+
+export function LocalizedDropdownSelect() {
+  const {
+    isOpen,
+    selectedItem,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+  } = useSelect({
+    items: colors,
+    messages: frenchMessages,
+    locale: 'fr',
+    getA11ySelectionMessage: ({selectedItem: item, messages, locale}) =>
+      item ? formatMessage('itemSelected', {item}, {messages, locale}) : '',
+  })
+
+  return (
+    <div>
+      <div {...getToggleButtonProps()}>{selectedItem ?? 'Couleurs'}</div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
+
+export function FormDropdownSelect() {
+  const {
+    isOpen,
+    selectedItem,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+    getHiddenInputProps,
+  } = useSelect({
+    items: colors,
+    defaultSelectedItem: colors[0],
+    itemToValue: item => item.toLowerCase(),
+  })
+
+  return (
+    <form action="/colors" method="post">
+      <div {...getToggleButtonProps()}>{selectedItem ?? 'Colors'}</div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+      <input {...getHiddenInputProps({name: 'color'})} />
+      <button type="reset">Reset</button>
+    </form>
+  )
+}
+
+export function RequiredDropdownSelect() {
+  const {
+    isOpen,
+    selectedItem,
+    isInvalid,
+    validationMessage,
+    getToggleButtonProps,
+    getMenuProps,
+    getItemProps,
+    getErrorMessageProps,
+  } = useSelect({
+    items: colors,
+    required: true,
+    validate: selection => selection !== 'Black' || 'Black is sold out.',
+  })
+
+  return (
+    <div>
+      <div {...getToggleButtonProps()}>{selectedItem ?? 'Colors'}</div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          colors.map((item, index) => (
+            <li key={item} {...getItemProps({item, index})}>
+              {item}
+            </li>
+          ))}
+      </ul>
+      <div {...getErrorMessageProps()}>{isInvalid && validationMessage}</div>
+    </div>
+  )
+}
+
+export function bindSelectMachine(button: HTMLButtonElement) {
+  const machine = createSelectMachine({items: colors})
+
+  button.addEventListener('click', () => {
+    machine.send({type: createSelectMachine.stateChangeTypes.ToggleButtonClick})
+  })
+
+  return machine.subscribe(({isOpen, selectedItem}) => {
+    button.textContent = selectedItem ?? 'Colors'
+    button.setAttribute('aria-expanded', String(isOpen))
+  })
+}
@@ -0,0 +1,69 @@
+import * as React from 'react'
+
+import {useTreeSelect} from '..'
+
+interface Element {
+  id: string
+  name: string
+  children?: Element[]
+}
+
+export const elements: Element[] = [
+  {
+    id: 'metals',
+    name: 'Metals',
+    children: [
+      {id: 'alkali', name: 'Alkali metals'},
+      {id: 'transition', name: 'Transition metals'},
+    ],
+  },
+  {
+    id: 'nonmetals',
+    name: 'Nonmetals',
+    children: [
+      {id: 'hydrogen', name: 'Hydrogen'},
+      {id: 'carbon', name: 'Carbon'},
+    ],
+  },
+]
+
+export default function DropdownTreeSelect() {
+  const {
+    isOpen,
+    selectedItem,
+    visibleNodes,
+    getToggleButtonProps,
+    getLabelProps,
+    getMenuProps,
+    getItemProps,
+  } = useTreeSelect({
+    items: elements,
+    itemToString: item => (item ? item.name : ''),
+    initialExpandedIds: ['metals'],
+  })
+
+  return (
+    <div>
+      <label {...getLabelProps()}>Choose an element group:</label>
+      <div {...getToggleButtonProps()}>
+        {selectedItem ? selectedItem.name : 'Elements'}
+        {isOpen ? <>&#8593;</> : <>&#8595;</>}
+      </div>
+      <ul {...getMenuProps()}>
+        {isOpen &&
+          visibleNodes.map(({item, level}, index) => (
+            <li
+              style={{paddingLeft: `${level}em`}}
+              key={item.id}
+              {...getItemProps({
+                item,
+                index,
+              })}
+            >
+              {item.name}
+            </li>
+          ))}
+      </ul>
+    </div>
+  )
+}
@@ -19,6 +19,9 @@ export enum StateChangeTypes {
   keyDownArrowDown = '__autocomplete_keydown_arrow_down__',
   keyDownEscape = '__autocomplete_keydown_escape__',
   keyDownEnter = '__autocomplete_keydown_enter__',
+  keyDownHome = '__autocomplete_keydown_home__',
+  keyDownEnd = '__autocomplete_keydown_end__',
+  keyDownTab = '__autocomplete_keydown_tab__',
   clickItem = '__autocomplete_click_item__',
   blurInput = '__autocomplete_blur_input__',
   changeInput = '__autocomplete_change_input__',
@@ -29,6 +32,19 @@ export enum StateChangeTypes {
   touchEnd = '__autocomplete_touchend__',
 }
 
+export type KeyBindings<ActionType> = Record<string, ActionType>
+
+export type SelectOnBlur = 'never' | 'highlighted' | 'exactMatch'
+
+export type DownshiftKeyBindingAction =
+  | StateChangeTypes.keyDownArrowDown
+  | StateChangeTypes.keyDownArrowUp
+  | StateChangeTypes.keyDownHome
+  | StateChangeTypes.keyDownEnd
+  | StateChangeTypes.keyDownEscape
+  | StateChangeTypes.keyDownEnter
+  | StateChangeTypes.keyDownSpaceButton
+
 export interface DownshiftProps<Item> {
   initialSelectedItem?: Item
   initialInputValue?: string
@@ -39,6 +55,9 @@ export interface DownshiftProps<Item> {
   itemToString?: (item: Item | null) => string
   selectedItemChanged?: (prevItem: Item, item: Item) => boolean
   getA11yStatusMessage?: (options: A11yStatusMessageOptions<Item>) => string
+  announce?: (message: string, options: A11yAnnounceOptions) => void
+  messages?: Partial<A11yMessages>
+  locale?: string
   onChange?: (
     selectedItem: Item | null,
     stateAndHelpers: ControllerStateAndHelpers<Item>,
@@ -73,6 +92,9 @@ export interface DownshiftProps<Item> {
   environment?: Environment
   onOuterClick?: (stateAndHelpers: ControllerStateAndHelpers<Item>) => void
   scrollIntoView?: (node: HTMLElement, menuNode: HTMLElement) => void
+  keyBindings?: KeyBindings<DownshiftKeyBindingAction>
+  selectOnBlur?: SelectOnBlur
+  selectOnTab?: boolean
   onUserAction?: (
     options: StateChangeOptions<Item>,
     stateAndHelpers: ControllerStateAndHelpers<Item>,
@@ -87,6 +109,10 @@ export interface Environment {
   Node: typeof window.Node
 }
 
+export interface A11yAnnounceOptions {
+  politeness: 'polite' | 'assertive'
+}
+
 export interface A11yStatusMessageOptions<Item> {
   highlightedIndex: number | null
   inputValue: string
@@ -96,6 +122,34 @@ export interface A11yStatusMessageOptions<Item> {
   resultCount: number
   highlightedItem: Item
   selectedItem: Item | null
+  selectedItems?: Item[]
+  previousSelectedItems?: Item[]
+  highlightedGroup?: ItemGroup<Item>
+  previousHighlightedGroup?: ItemGroup<Item>
+  isLoading?: boolean
+  messages?: Partial<A11yMessages>
+  locale?: string
+}
+
+export interface ItemGroup<Item> {
+  label: string
+  items: Item[]
+}
+
+export interface GetGroupPropsOptions<Item>
+  extends React.HTMLProps<HTMLElement> {
+  index?: number
+  group?: ItemGroup<Item>
+}
+
+export interface GetGroupPropsReturnValue {
+  'aria-labelledby': string
+  role: 'group'
+}
+
+export interface GetGroupLabelPropsReturnValue {
+  id: string
+  role: 'presentation'
 }
 
 export interface StateChangeOptions<Item>
@@ -187,6 +241,46 @@ export interface GetPropsWithRefKey {
   refKey?: string
 }
 
+export interface GetA11yStatusPropsOptions
+  extends React.HTMLProps<HTMLElement>,
+    GetPropsWithRefKey {}
+
+export interface GetA11yStatusPropsReturnValue {
+  ref?: React.RefObject<any>
+  role: 'status'
+  'aria-live': 'polite'
+  'aria-relevant': 'additions text'
+  style: React.CSSProperties
+}
+
+export interface GetErrorMessagePropsOptions
+  extends React.HTMLProps<HTMLElement> {}
+
+export interface GetErrorMessagePropsReturnValue {
+  id: string
+  'aria-live': 'polite'
+}
+
+export interface GetDescriptionPropsOptions
+  extends React.HTMLProps<HTMLElement> {}
+
+export interface GetDescriptionPropsReturnValue {
+  id: string
+}
+
+export interface GetHiddenInputPropsOptions
+  extends React.HTMLProps<HTMLInputElement>,
+    GetPropsWithRefKey {
+  index?: number
+}
+
+export interface GetHiddenInputPropsReturnValue {
+  ref?: React.RefObject<any>
+  type: 'hidden'
+  name?: string
+  value: string
+}
+
 export interface GetItemPropsOptions<Item>
   extends React.HTMLProps<HTMLElement> {
   index?: number
@@ -226,6 +320,9 @@ export interface PropGetters<Item> {
   getItemProps: <Options>(
     options: GetItemPropsOptions<Item> & Options,
   ) => Omit<Overwrite<GetItemPropsReturnValue, Options>, 'index' | 'item'>
+  getA11yStatusProps: <Options>(
+    options?: GetA11yStatusPropsOptions & Options,
+  ) => Overwrite<GetA11yStatusPropsReturnValue, Options>
 }
 
 export interface Actions<Item> {
@@ -289,6 +386,7 @@ export default class Downshift<Item = any> extends React.Component<
     keyDownArrowDown: StateChangeTypes.keyDownArrowDown
     keyDownEscape: StateChangeTypes.keyDownEscape
     keyDownEnter: StateChangeTypes.keyDownEnter
+    keyDownTab: StateChangeTypes.keyDownTab
     clickItem: StateChangeTypes.clickItem
     blurInput: StateChangeTypes.blurInput
     changeInput: StateChangeTypes.changeInput
@@ -302,6 +400,81 @@ export default class Downshift<Item = any> extends React.Component<
 
 export function resetIdCounter(): void
 
+/* Filter Types */
+
+export type FilterMatch = [start: number, end: number]
+
+export interface FilterOptions<Item> {
+  itemToString?: (item: Item | null) => string
+  keys?: (string | ((item: Item) => string))[]
+  threshold?: number
+  diacritics?: boolean
+}
+
+export interface FilterResult<Item> {
+  item: Item
+  index: number
+  score: number
+  text: string
+  matches: FilterMatch[]
+}
+
+export type Filter<Item> = (
+  items: Item[],
+  inputValue?: string,
+) => FilterResult<Item>[]
+
+export interface MatchSegment {
+  text: string
+  isMatch: boolean
+}
+
+export function createFilter<Item>(options?: FilterOptions<Item>): Filter<Item>
+
+export function highlightMatches(
+  text: string,
+  matches?: FilterMatch[],
+): MatchSegment[]
+
+/* Localization Types */
+
+export type PluralCategory = 'zero' | 'one' | 'two' | 'few' | 'many' | 'other'
+
+export type A11yMessage =
+  | string
+  | (Partial<Record<PluralCategory, string>> & {other: string})
+
+export interface A11yMessages {
+  loadingResults: A11yMessage
+  noResults: A11yMessage
+  results: A11yMessage
+  selectResults: A11yMessage
+  treeResults: A11yMessage
+  group: A11yMessage
+  itemSelected: A11yMessage
+  itemsSelected: A11yMessage
+  itemRemoved: A11yMessage
+  itemsRemoved: A11yMessage
+  itemMoved: A11yMessage
+  itemRejected: A11yMessage
+  itemRejectedMax: A11yMessage
+  valueMissing: A11yMessage
+  valueInvalid: A11yMessage
+}
+
+export interface A11yLocalization {
+  messages?: Partial<A11yMessages>
+  locale?: string
+}
+
+export const defaultMessages: A11yMessages
+
+export function formatMessage(
+  key: keyof A11yMessages,
+  values?: Record<string, string | number>,
+  localization?: A11yLocalization,
+): string
+
 /* useSelect Types */
 
 export interface UseSelectState<Item> {
@@ -309,6 +482,9 @@ export interface UseSelectState<Item> {
   selectedItem: Item | null
   isOpen: boolean
   inputValue: string
+  selectedItems?: Item[]
+  isInvalid?: boolean
+  validationMessage?: string | null
 }
 
 export enum UseSelectStateChangeTypes {
@@ -323,6 +499,8 @@ export enum UseSelectStateChangeTypes {
   ToggleButtonKeyDownSpaceButton = '__togglebutton_keydown_space_button__',
   ToggleButtonKeyDownPageUp = '__togglebutton_keydown_page_up__',
   ToggleButtonKeyDownPageDown = '__togglebutton_keydown_page_down__',
+  ToggleButtonKeyDownSelectAll = '__togglebutton_keydown_select_all__',
+  ToggleButtonKeyDownTab = '__togglebutton_keydown_tab__',
   ToggleButtonBlur = '__togglebutton_blur__',
   MenuMouseLeave = '__menu_mouse_leave__',
   ItemMouseMove = '__item_mouse_move__',
@@ -336,11 +514,29 @@ export enum UseSelectStateChangeTypes {
   FunctionReset = '__function_reset__',
 }
 
+export type UseSelectKeyBindingAction =
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownArrowDown
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownArrowUp
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownHome
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownEnd
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownPageUp
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownPageDown
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownEscape
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownEnter
+  | UseSelectStateChangeTypes.ToggleButtonKeyDownSpaceButton
+
 export interface UseSelectProps<Item> {
-  items: Item[]
+  items?: Item[]
+  groups?: ItemGroup<Item>[]
+  itemCount?: number
+  getItem?: (index: number) => Item
+  getItemIndex?: (item: Item) => number
   isItemDisabled?(item: Item, index: number): boolean
   itemToString?: (item: Item | null) => string
   getA11yStatusMessage?: (options: A11yStatusMessageOptions<Item>) => string
+  announce?: (message: string, options: A11yAnnounceOptions) => void
+  messages?: Partial<A11yMessages>
+  locale?: string
   getA11ySelectionMessage?: (options: A11yStatusMessageOptions<Item>) => string
   highlightedIndex?: number
   initialHighlightedIndex?: number
@@ -356,7 +552,25 @@ export interface UseSelectProps<Item> {
   menuId?: string
   toggleButtonId?: string
   getItemId?: (index: number) => string
+  getGroupLabelId?: (index: number) => string
   scrollIntoView?: (node: HTMLElement, menuNode: HTMLElement) => void
+  keyBindings?: KeyBindings<UseSelectKeyBindingAction>
+  selectOnBlur?: Exclude<SelectOnBlur, 'exactMatch'>
+  selectOnTab?: boolean
+  itemToValue?: (item: Item) => string
+  required?: boolean
+  validate?: (selection: Item | Item[] | null) => boolean | string
+  isInvalid?: boolean
+  initialIsInvalid?: boolean
+  defaultIsInvalid?: boolean
+  onIsInvalidChange?: (changes: UseSelectStateChange<Item>) => void
+  validationMessage?: string | null
+  initialValidationMessage?: string | null
+  defaultValidationMessage?: string | null
+  onValidationMessageChange?: (changes: UseSelectStateChange<Item>) => void
+  errorMessageId?: string
+  descriptionId?: string
+  scrollToIndex?: (index: number) => void
   stateReducer?: (
     state: UseSelectState<Item>,
     actionAndChanges: UseSelectStateChangeOptions<Item>,
@@ -365,6 +579,13 @@ export interface UseSelectProps<Item> {
   onIsOpenChange?: (changes: UseSelectStateChange<Item>) => void
   onHighlightedIndexChange?: (changes: UseSelectStateChange<Item>) => void
   onStateChange?: (changes: UseSelectStateChange<Item>) => void
+  multiple?: boolean
+  selectedItems?: Item[]
+  initialSelectedItems?: Item[]
+  defaultSelectedItems?: Item[]
+  onSelectedItemsChange?: (changes: UseSelectStateChange<Item>) => void
+  debug?: boolean
+  actionRecorder?: ActionRecorder
   environment?: Environment
 }
 
@@ -376,6 +597,7 @@ export interface UseSelectStateChangeOptions<Item>
 export interface UseSelectDispatchAction<Item> {
   type: UseSelectStateChangeTypes
   altKey?: boolean
+  shiftKey?: boolean
   key?: string
   index?: number
   highlightedIndex?: number
@@ -393,6 +615,7 @@ export interface UseSelectGetMenuPropsOptions
     GetMenuPropsOptions {}
 
 export interface UseSelectGetMenuReturnValue extends GetMenuPropsReturnValue {
+  'aria-multiselectable'?: boolean
   onMouseLeave: React.MouseEventHandler
 }
 
@@ -407,9 +630,13 @@ export interface UseSelectGetToggleButtonReturnValue
   > {
   'aria-activedescendant': string
   'aria-controls': string
+  'aria-describedby'?: string
   'aria-expanded': boolean
   'aria-haspopup': 'listbox'
   'aria-labelledby': string | undefined
+  'aria-required'?: true
+  'aria-invalid'?: true
+  'aria-errormessage'?: string
   id: string
   ref?: React.RefObject<any>
   role: 'combobox'
@@ -448,6 +675,27 @@ export interface UseSelectPropGetters<Item> {
     Overwrite<UseSelectGetItemPropsReturnValue, Options>,
     'index' | 'item'
   >
+  getGroupProps: <Options>(
+    options: GetGroupPropsOptions<Item> & Options,
+  ) => Omit<Overwrite<GetGroupPropsReturnValue, Options>, 'index' | 'group'>
+  getGroupLabelProps: <Options>(
+    options: GetGroupPropsOptions<Item> & Options,
+  ) => Omit<
+    Overwrite<GetGroupLabelPropsReturnValue, Options>,
+    'index' | 'group'
+  >
+  getA11yStatusProps: <Options>(
+    options?: GetA11yStatusPropsOptions & Options,
+  ) => Overwrite<GetA11yStatusPropsReturnValue, Options>
+  getHiddenInputProps: <Options>(
+    options?: GetHiddenInputPropsOptions & Options,
+  ) => Overwrite<GetHiddenInputPropsReturnValue, Options>
+  getErrorMessageProps: <Options>(
+    options?: GetErrorMessagePropsOptions & Options,
+  ) => Overwrite<GetErrorMessagePropsReturnValue, Options>
+  getDescriptionProps: <Options>(
+    options?: GetDescriptionPropsOptions & Options,
+  ) => Overwrite<GetDescriptionPropsReturnValue, Options>
 }
 
 export interface UseSelectActions<Item> {
@@ -460,6 +708,7 @@ export interface UseSelectActions<Item> {
 }
 
 export type UseSelectReturnValue<Item> = UseSelectState<Item> &
+  Required<Pick<UseSelectState<Item>, 'isInvalid' | 'validationMessage'>> &
   UseSelectPropGetters<Item> &
   UseSelectActions<Item>
 
@@ -474,9 +723,11 @@ export interface UseSelectInterface {
     ToggleButtonKeyDownHome: UseSelectStateChangeTypes.ToggleButtonKeyDownHome
     ToggleButtonKeyDownEnd: UseSelectStateChangeTypes.ToggleButtonKeyDownEnd
     ToggleButtonKeyDownEnter: UseSelectStateChangeTypes.ToggleButtonKeyDownEnter
+    ToggleButtonKeyDownTab: UseSelectStateChangeTypes.ToggleButtonKeyDownTab
     ToggleButtonKeyDownSpaceButton: UseSelectStateChangeTypes.ToggleButtonKeyDownSpaceButton
     ToggleButtonKeyDownPageUp: UseSelectStateChangeTypes.ToggleButtonKeyDownPageUp
     ToggleButtonKeyDownPageDown: UseSelectStateChangeTypes.ToggleButtonKeyDownPageDown
+    ToggleButtonKeyDownSelectAll: UseSelectStateChangeTypes.ToggleButtonKeyDownSelectAll
     ToggleButtonBlur: UseSelectStateChangeTypes.ToggleButtonBlur
     MenuMouseLeave: UseSelectStateChangeTypes.MenuMouseLeave
     ItemMouseMove: UseSelectStateChangeTypes.ItemMouseMove
@@ -493,6 +744,29 @@ export interface UseSelectInterface {
 
 export const useSelect: UseSelectInterface
 
+/* State machine Types */
+
+export interface DownshiftMachine<State, Props, Action> {
+  send: (action: Action) => void
+  getState: () => State
+  getProps: () => Props
+  setProps: (props: Props) => void
+  subscribe: (
+    listener: (state: State, action: Action & {props: Props}) => void,
+  ) => () => void
+}
+
+export interface CreateSelectMachineInterface {
+  <Item>(props: UseSelectProps<Item>): DownshiftMachine<
+    UseSelectState<Item>,
+    UseSelectProps<Item>,
+    UseSelectDispatchAction<Item>
+  >
+  stateChangeTypes: UseSelectInterface['stateChangeTypes']
+}
+
+export const createSelectMachine: CreateSelectMachineInterface
+
 /* useCombobox Types */
 
 export interface UseComboboxState<Item> {
@@ -500,6 +774,12 @@ export interface UseComboboxState<Item> {
   selectedItem: Item | null
   isOpen: boolean
   inputValue: string
+  loadedItems?: Item[]
+  inlineCompletion?: string | null
+  isLoading?: boolean
+  error?: unknown
+  isInvalid?: boolean
+  validationMessage?: string | null
 }
 
 export enum UseComboboxStateChangeTypes {
@@ -511,7 +791,10 @@ export enum UseComboboxStateChangeTypes {
   InputKeyDownPageUp = '__input_keydown_page_up__',
   InputKeyDownPageDown = '__input_keydown_page_down__',
   InputKeyDownEnter = '__input_keydown_enter__',
+  InputKeyDownTab = '__input_keydown_tab__',
   InputChange = '__input_change__',
+  InputInlineComplete = '__input_inline_complete__',
+  InputCommit = '__input_commit__',
   InputBlur = '__input_blur__',
   InputClick = '__input_click__',
   MenuMouseLeave = '__menu_mouse_leave__',
@@ -525,15 +808,47 @@ export enum UseComboboxStateChangeTypes {
   FunctionSelectItem = '__function_select_item__',
   FunctionSetInputValue = '__function_set_input_value__',
   FunctionReset = '__function_reset__',
+  FunctionUndo = '__function_undo__',
+  FunctionRedo = '__function_redo__',
   ControlledPropUpdatedSelectedItem = '__controlled_prop_updated_selected_item__',
+  ItemsLoadStart = '__items_load_start__',
+  ItemsLoadSuccess = '__items_load_success__',
+  ItemsLoadError = '__items_load_error__',
+  ItemCreate = '__item_create__',
+}
+
+export interface UseComboboxLoadItemsOptions {
+  signal: AbortSignal
+}
+
+export interface UseComboboxCreateItemOptions<Item> {
+  newItem: Item
+  inputValue: string
 }
 
+export type UseComboboxKeyBindingAction =
+  | UseComboboxStateChangeTypes.InputKeyDownArrowDown
+  | UseComboboxStateChangeTypes.InputKeyDownArrowUp
+  | UseComboboxStateChangeTypes.InputKeyDownHome
+  | UseComboboxStateChangeTypes.InputKeyDownEnd
+  | UseComboboxStateChangeTypes.InputKeyDownPageUp
+  | UseComboboxStateChangeTypes.InputKeyDownPageDown
+  | UseComboboxStateChangeTypes.InputKeyDownEscape
+  | UseComboboxStateChangeTypes.InputKeyDownEnter
+
 export interface UseComboboxProps<Item> {
-  items: Item[]
+  items?: Item[]
+  groups?: ItemGroup<Item>[]
+  itemCount?: number
+  getItem?: (index: number) => Item
+  getItemIndex?: (item: Item) => number
   isItemDisabled?(item: Item, index: number): boolean
   itemToString?: (item: Item | null) => string
   selectedItemChanged?: (prevItem: Item, item: Item) => boolean
   getA11yStatusMessage?: (options: A11yStatusMessageOptions<Item>) => string
+  announce?: (message: string, options: A11yAnnounceOptions) => void
+  messages?: Partial<A11yMessages>
+  locale?: string
   getA11ySelectionMessage?: (options: A11yStatusMessageOptions<Item>) => string
   highlightedIndex?: number
   initialHighlightedIndex?: number
@@ -553,7 +868,27 @@ export interface UseComboboxProps<Item> {
   toggleButtonId?: string
   inputId?: string
   getItemId?: (index: number) => string
+  getGroupLabelId?: (index: number) => string
   scrollIntoView?: (node: HTMLElement, menuNode: HTMLElement) => void
+  keyBindings?: KeyBindings<UseComboboxKeyBindingAction>
+  selectOnBlur?: SelectOnBlur
+  selectOnTab?: boolean
+  itemToValue?: (item: Item) => string
+  required?: boolean
+  validate?: (selection: Item | null) => boolean | string
+  isInvalid?: boolean
+  initialIsInvalid?: boolean
+  defaultIsInvalid?: boolean
+  onIsInvalidChange?: (changes: UseComboboxStateChange<Item>) => void
+  validationMessage?: string | null
+  initialValidationMessage?: string | null
+  defaultValidationMessage?: string | null
+  onValidationMessageChange?: (changes: UseComboboxStateChange<Item>) => void
+  errorMessageId?: string
+  descriptionId?: string
+  history?: boolean
+  inlineAutocomplete?: boolean
+  scrollToIndex?: (index: number) => void
   stateReducer?: (
     state: UseComboboxState<Item>,
     actionAndChanges: UseComboboxStateChangeOptions<Item>,
@@ -563,6 +898,20 @@ export interface UseComboboxProps<Item> {
   onHighlightedIndexChange?: (changes: UseComboboxStateChange<Item>) => void
   onStateChange?: (changes: UseComboboxStateChange<Item>) => void
   onInputValueChange?: (changes: UseComboboxStateChange<Item>) => void
+  loadItems?: (
+    inputValue: string,
+    options: UseComboboxLoadItemsOptions,
+  ) => Item[] | Promise<Item[]>
+  loadItemsDelay?: number
+  onIsLoadingChange?: (changes: UseComboboxStateChange<Item>) => void
+  onErrorChange?: (changes: UseComboboxStateChange<Item>) => void
+  allowCreate?: boolean
+  getNewItem?: (inputValue: string) => Item
+  freeSolo?: boolean
+  parseInputValue?: (inputValue: string) => Item
+  onCreateItem?: (options: UseComboboxCreateItemOptions<Item>) => void
+  debug?: boolean
+  actionRecorder?: ActionRecorder
   environment?: Environment
 }
 
@@ -579,6 +928,10 @@ export interface UseComboboxDispatchAction<Item> {
   highlightedIndex?: number
   selectedItem?: Item | null
   selectItem?: boolean
+  items?: Item[]
+  error?: unknown
+  newItem?: Item
+  historyState?: Partial<UseComboboxState<Item>>
 }
 
 export interface UseComboboxStateChange<Item>
@@ -630,7 +983,11 @@ export interface UseComboboxGetInputPropsReturnValue
   extends GetInputPropsReturnValue {
   'aria-activedescendant': string
   'aria-controls': string
+  'aria-describedby'?: string
   'aria-expanded': boolean
+  'aria-required'?: true
+  'aria-invalid'?: true
+  'aria-errormessage'?: string
   role: 'combobox'
   onClick: React.MouseEventHandler
 }
@@ -655,6 +1012,27 @@ export interface UseComboboxPropGetters<Item> {
     options?: UseComboboxGetInputPropsOptions & Options,
     otherOptions?: GetPropsCommonOptions,
   ) => Overwrite<UseComboboxGetInputPropsReturnValue, Options>
+  getGroupProps: <Options>(
+    options: GetGroupPropsOptions<Item> & Options,
+  ) => Omit<Overwrite<GetGroupPropsReturnValue, Options>, 'index' | 'group'>
+  getGroupLabelProps: <Options>(
+    options: GetGroupPropsOptions<Item> & Options,
+  ) => Omit<
+    Overwrite<GetGroupLabelPropsReturnValue, Options>,
+    'index' | 'group'
+  >
+  getA11yStatusProps: <Options>(
+    options?: GetA11yStatusPropsOptions & Options,
+  ) => Overwrite<GetA11yStatusPropsReturnValue, Options>
+  getHiddenInputProps: <Options>(
+    options?: GetHiddenInputPropsOptions & Options,
+  ) => Overwrite<GetHiddenInputPropsReturnValue, Options>
+  getErrorMessageProps: <Options>(
+    options?: GetErrorMessagePropsOptions & Options,
+  ) => Overwrite<GetErrorMessagePropsReturnValue, Options>
+  getDescriptionProps: <Options>(
+    options?: GetDescriptionPropsOptions & Options,
+  ) => Overwrite<GetDescriptionPropsReturnValue, Options>
 }
 
 export interface UseComboboxActions<Item> {
@@ -665,10 +1043,22 @@ export interface UseComboboxActions<Item> {
   selectItem: (item: Item | null) => void
   setHighlightedIndex: (index: number) => void
   setInputValue: (inputValue: string) => void
+  undo: () => void
+  redo: () => void
 }
 
 export type UseComboboxReturnValue<Item> = UseComboboxState<Item> &
-  UseComboboxPropGetters<Item> &
+  Required<
+    Pick<
+      UseComboboxState<Item>,
+      'isLoading' | 'isInvalid' | 'validationMessage'
+    >
+  > & {
+    items: Item[]
+    newItem: Item | null
+    canUndo: boolean
+    canRedo: boolean
+  } & UseComboboxPropGetters<Item> &
   UseComboboxActions<Item>
 
 export interface UseComboboxInterface {
@@ -682,7 +1072,10 @@ export interface UseComboboxInterface {
     InputKeyDownPageDown: UseComboboxStateChangeTypes.InputKeyDownPageDown
     InputKeyDownPageUp: UseComboboxStateChangeTypes.InputKeyDownPageUp
     InputKeyDownEnter: UseComboboxStateChangeTypes.InputKeyDownEnter
+    InputKeyDownTab: UseComboboxStateChangeTypes.InputKeyDownTab
     InputChange: UseComboboxStateChangeTypes.InputChange
+    InputInlineComplete: UseComboboxStateChangeTypes.InputInlineComplete
+    InputCommit: UseComboboxStateChangeTypes.InputCommit
     InputBlur: UseComboboxStateChangeTypes.InputBlur
     InputClick: UseComboboxStateChangeTypes.InputClick
     MenuMouseLeave: UseComboboxStateChangeTypes.MenuMouseLeave
@@ -696,17 +1089,66 @@ export interface UseComboboxInterface {
     FunctionSelectItem: UseComboboxStateChangeTypes.FunctionSelectItem
     FunctionSetInputValue: UseComboboxStateChangeTypes.FunctionSetInputValue
     FunctionReset: UseComboboxStateChangeTypes.FunctionReset
+    FunctionUndo: UseComboboxStateChangeTypes.FunctionUndo
+    FunctionRedo: UseComboboxStateChangeTypes.FunctionRedo
     ControlledPropUpdatedSelectedItem: UseComboboxStateChangeTypes.ControlledPropUpdatedSelectedItem
+    ItemsLoadStart: UseComboboxStateChangeTypes.ItemsLoadStart
+    ItemsLoadSuccess: UseComboboxStateChangeTypes.ItemsLoadSuccess
+    ItemsLoadError: UseComboboxStateChangeTypes.ItemsLoadError
+    ItemCreate: UseComboboxStateChangeTypes.ItemCreate
   }
 }
 
 export const useCombobox: UseComboboxInterface
 
+export interface ComboboxMachine<Item>
+  extends DownshiftMachine<
+    UseComboboxState<Item>,
+    UseComboboxProps<Item>,
+    UseComboboxDispatchAction<Item>
+  > {
+  getItemToCreate: () => Item | null
+}
+
+export interface CreateComboboxMachineInterface {
+  <Item>(props: UseComboboxProps<Item>): ComboboxMachine<Item>
+  stateChangeTypes: UseComboboxInterface['stateChangeTypes']
+}
+
+export const createComboboxMachine: CreateComboboxMachineInterface
+
+export interface BindComboboxRenderItemOptions<Item> {
+  item: Item
+  index: number
+  props: UseComboboxProps<Item>
+}
+
+export interface BindComboboxOptions<Item> extends UseComboboxProps<Item> {
+  renderItem?: (options: BindComboboxRenderItemOptions<Item>) => HTMLElement
+}
+
+export interface BoundCombobox<Item> extends ComboboxMachine<Item> {
+  unbind: () => void
+}
+
+export interface BindComboboxInterface {
+  <Item>(
+    inputElement: HTMLInputElement,
+    menuElement: HTMLElement,
+    options: BindComboboxOptions<Item>,
+  ): BoundCombobox<Item>
+  stateChangeTypes: UseComboboxInterface['stateChangeTypes']
+}
+
+export const bindCombobox: BindComboboxInterface
+
 // useMultipleSelection types.
 
 export interface UseMultipleSelectionState<Item> {
   selectedItems: Item[]
   activeIndex: number
+  activeRange: [number, number] | null
+  rejectionReason: string | null
 }
 
 export enum UseMultipleSelectionStateChangeTypes {
@@ -715,6 +1157,12 @@ export enum UseMultipleSelectionStateChangeTypes {
   SelectedItemKeyDownBackspace = '__selected_item_keydown_backspace__',
   SelectedItemKeyDownNavigationNext = '__selected_item_keydown_navigation_next__',
   SelectedItemKeyDownNavigationPrevious = '__selected_item_keydown_navigation_previous__',
+  SelectedItemKeyDownShiftNavigationNext = '__selected_item_keydown_shift_navigation_next__',
+  SelectedItemKeyDownShiftNavigationPrevious = '__selected_item_keydown_shift_navigation_previous__',
+  SelectedItemKeyDownSelectAll = '__selected_item_keydown_select_all__',
+  SelectedItemKeyDownDeleteRange = '__selected_item_keydown_delete_range__',
+  SelectedItemKeyDownBackspaceRange = '__selected_item_keydown_backspace_range__',
+  SelectedItemMove = '__selected_item_move__',
   DropdownKeyDownNavigationPrevious = '__dropdown_keydown_navigation_previous__',
   DropdownKeyDownBackspace = '__dropdown_keydown_backspace__',
   DropdownClick = '__dropdown_click__',
@@ -723,6 +1171,9 @@ export enum UseMultipleSelectionStateChangeTypes {
   FunctionSetSelectedItems = '__function_set_selected_items__',
   FunctionSetActiveIndex = '__function_set_active_index__',
   FunctionReset = '__function_reset__',
+  FunctionUndo = '__function_undo__',
+  FunctionRedo = '__function_redo__',
+  SelectionRejected = '__selection_rejected__',
 }
 
 export interface UseMultipleSelectionProps<Item> {
@@ -731,6 +1182,17 @@ export interface UseMultipleSelectionProps<Item> {
   defaultSelectedItems?: Item[]
   itemToString?: (item: Item) => string
   getA11yRemovalMessage?: (options: A11yRemovalMessage<Item>) => string
+  announce?: (message: string, options: A11yAnnounceOptions) => void
+  messages?: Partial<A11yMessages>
+  locale?: string
+  getA11yMoveMessage?: (options: A11yMoveMessage<Item>) => string
+  onSelectedItemsReorder?: (
+    options: UseMultipleSelectionReorderOptions<Item>,
+  ) => void
+  draggableSelectedItems?: boolean
+  maxSelectedItems?: number
+  validateSelectedItem?: (item: Item, selectedItems: Item[]) => boolean | string
+  getA11yRejectionMessage?: (options: A11yRejectionMessage<Item>) => string
   stateReducer?: (
     state: UseMultipleSelectionState<Item>,
     actionAndChanges: UseMultipleSelectionStateChangeOptions<Item>,
@@ -739,12 +1201,26 @@ export interface UseMultipleSelectionProps<Item> {
   initialActiveIndex?: number
   defaultActiveIndex?: number
   onActiveIndexChange?: (changes: UseMultipleSelectionStateChange<Item>) => void
+  activeRange?: [number, number] | null
+  initialActiveRange?: [number, number] | null
+  defaultActiveRange?: [number, number] | null
+  onActiveRangeChange?: (changes: UseMultipleSelectionStateChange<Item>) => void
+  rejectionReason?: string | null
+  initialRejectionReason?: string | null
+  defaultRejectionReason?: string | null
+  onRejectionReasonChange?: (
+    changes: UseMultipleSelectionStateChange<Item>,
+  ) => void
   onSelectedItemsChange?: (
     changes: UseMultipleSelectionStateChange<Item>,
   ) => void
   onStateChange?: (changes: UseMultipleSelectionStateChange<Item>) => void
   keyNavigationNext?: string
   keyNavigationPrevious?: string
+  itemToValue?: (item: Item) => string
+  history?: boolean
+  debug?: boolean
+  actionRecorder?: ActionRecorder
   environment?: Environment
 }
 
@@ -759,6 +1235,10 @@ export interface UseMultipleSelectionDispatchAction<Item> {
   selectedItem?: Item | null
   selectedItems?: Item[]
   activeIndex?: number
+  newIndex?: number
+  rejectedSelectedItem?: Item
+  rejectionReason?: string
+  historyState?: Partial<UseMultipleSelectionState<Item>>
 }
 
 export interface UseMultipleSelectionStateChange<Item>
@@ -771,7 +1251,36 @@ export interface A11yRemovalMessage<Item> {
   resultCount: number
   activeSelectedItem: Item
   removedSelectedItem: Item
+  removedSelectedItems: Item[]
   activeIndex: number
+  messages?: Partial<A11yMessages>
+  locale?: string
+}
+
+export interface A11yMoveMessage<Item> {
+  itemToString: (item: Item) => string
+  resultCount: number
+  movedSelectedItem: Item
+  newIndex: number
+  messages?: Partial<A11yMessages>
+  locale?: string
+}
+
+export interface A11yRejectionMessage<Item> {
+  itemToString: (item: Item) => string
+  resultCount: number
+  rejectedSelectedItem: Item
+  rejectionReason: string
+  maxSelectedItems: number | undefined
+  messages?: Partial<A11yMessages>
+  locale?: string
+}
+
+export interface UseMultipleSelectionReorderOptions<Item> {
+  selectedItems: Item[]
+  movedSelectedItem: Item
+  index: number
+  newIndex: number
 }
 
 export interface UseMultipleSelectionGetSelectedItemPropsOptions<Item>
@@ -784,8 +1293,13 @@ export interface UseMultipleSelectionGetSelectedItemPropsOptions<Item>
 export interface UseMultipleSelectionGetSelectedItemReturnValue {
   ref?: React.RefObject<any>
   tabIndex: 0 | -1
+  draggable?: boolean
   onClick: React.MouseEventHandler
   onKeyDown: React.KeyboardEventHandler
+  onDragStart?: React.DragEventHandler
+  onDragOver?: React.DragEventHandler
+  onDrop?: React.DragEventHandler
+  onDragEnd?: React.DragEventHandler
 }
 
 export interface UseMultipleSelectionGetDropdownPropsOptions
@@ -813,6 +1327,12 @@ export interface UseMultipleSelectionPropGetters<Item> {
     Overwrite<UseMultipleSelectionGetSelectedItemReturnValue, Options>,
     'index' | 'selectedItem'
   >
+  getA11yStatusProps: <Options>(
+    options?: GetA11yStatusPropsOptions & Options,
+  ) => Overwrite<GetA11yStatusPropsReturnValue, Options>
+  getHiddenInputProps: <Options>(
+    options?: GetHiddenInputPropsOptions & Options,
+  ) => Overwrite<GetHiddenInputPropsReturnValue, Options>
 }
 
 export interface UseMultipleSelectionActions<Item> {
@@ -821,11 +1341,15 @@ export interface UseMultipleSelectionActions<Item> {
   removeSelectedItem: (item: Item) => void
   setSelectedItems: (items: Item[]) => void
   setActiveIndex: (index: number) => void
+  undo: () => void
+  redo: () => void
 }
 
 export type UseMultipleSelectionReturnValue<Item> =
-  UseMultipleSelectionState<Item> &
-    UseMultipleSelectionPropGetters<Item> &
+  UseMultipleSelectionState<Item> & {
+    canUndo: boolean
+    canRedo: boolean
+  } & UseMultipleSelectionPropGetters<Item> &
     UseMultipleSelectionActions<Item>
 
 export interface UseMultipleSelectionInterface {
@@ -838,6 +1362,12 @@ export interface UseMultipleSelectionInterface {
     SelectedItemKeyDownBackspace: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownBackspace
     SelectedItemKeyDownNavigationNext: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownNavigationNext
     SelectedItemKeyDownNavigationPrevious: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownNavigationPrevious
+    SelectedItemKeyDownShiftNavigationNext: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownShiftNavigationNext
+    SelectedItemKeyDownShiftNavigationPrevious: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownShiftNavigationPrevious
+    SelectedItemKeyDownSelectAll: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownSelectAll
+    SelectedItemKeyDownDeleteRange: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownDeleteRange
+    SelectedItemKeyDownBackspaceRange: UseMultipleSelectionStateChangeTypes.SelectedItemKeyDownBackspaceRange
+    SelectedItemMove: UseMultipleSelectionStateChangeTypes.SelectedItemMove
     DropdownKeyDownNavigationPrevious: UseMultipleSelectionStateChangeTypes.DropdownKeyDownNavigationPrevious
     DropdownKeyDownBackspace: UseMultipleSelectionStateChangeTypes.DropdownKeyDownBackspace
     DropdownClick: UseMultipleSelectionStateChangeTypes.DropdownClick
@@ -846,7 +1376,274 @@ export interface UseMultipleSelectionInterface {
     FunctionSetSelectedItems: UseMultipleSelectionStateChangeTypes.FunctionSetSelectedItems
     FunctionSetActiveIndex: UseMultipleSelectionStateChangeTypes.FunctionSetActiveIndex
     FunctionReset: UseMultipleSelectionStateChangeTypes.FunctionReset
+    FunctionUndo: UseMultipleSelectionStateChangeTypes.FunctionUndo
+    FunctionRedo: UseMultipleSelectionStateChangeTypes.FunctionRedo
+    SelectionRejected: UseMultipleSelectionStateChangeTypes.SelectionRejected
   }
 }
 
 export const useMultipleSelection: UseMultipleSelectionInterface
+
+export interface CreateMultipleSelectionMachineInterface {
+  <Item>(props?: UseMultipleSelectionProps<Item>): DownshiftMachine<
+    UseMultipleSelectionState<Item>,
+    UseMultipleSelectionProps<Item>,
+    UseMultipleSelectionDispatchAction<Item>
+  >
+  stateChangeTypes: UseMultipleSelectionInterface['stateChangeTypes']
+}
+
+export const createMultipleSelectionMachine: CreateMultipleSelectionMachineInterface
+
+/* useTreeSelect Types */
+
+export interface UseTreeSelectState<Item> extends UseSelectState<Item> {
+  expandedIds: any[]
+}
+
+export enum UseTreeSelectStateChangeTypes {
+  ToggleButtonClick = '__togglebutton_click__',
+  ToggleButtonKeyDownArrowDown = '__togglebutton_keydown_arrow_down__',
+  ToggleButtonKeyDownArrowUp = '__togglebutton_keydown_arrow_up__',
+  ToggleButtonKeyDownArrowRight = '__togglebutton_keydown_arrow_right__',
+  ToggleButtonKeyDownArrowLeft = '__togglebutton_keydown_arrow_left__',
+  ToggleButtonKeyDownCharacter = '__togglebutton_keydown_character__',
+  ToggleButtonKeyDownEscape = '__togglebutton_keydown_escape__',
+  ToggleButtonKeyDownHome = '__togglebutton_keydown_home__',
+  ToggleButtonKeyDownEnd = '__togglebutton_keydown_end__',
+  ToggleButtonKeyDownEnter = '__togglebutton_keydown_enter__',
+  ToggleButtonKeyDownSpaceButton = '__togglebutton_keydown_space_button__',
+  ToggleButtonKeyDownPageUp = '__togglebutton_keydown_page_up__',
+  ToggleButtonKeyDownPageDown = '__togglebutton_keydown_page_down__',
+  ToggleButtonBlur = '__togglebutton_blur__',
+  MenuMouseLeave = '__menu_mouse_leave__',
+  ItemMouseMove = '__item_mouse_move__',
+  ItemClick = '__item_click__',
+  FunctionToggleMenu = '__function_toggle_menu__',
+  FunctionOpenMenu = '__function_open_menu__',
+  FunctionCloseMenu = '__function_close_menu__',
+  FunctionSetHighlightedIndex = '__function_set_highlighted_index__',
+  FunctionSelectItem = '__function_select_item__',
+  FunctionSetInputValue = '__function_set_input_value__',
+  FunctionExpandItem = '__function_expand_item__',
+  FunctionCollapseItem = '__function_collapse_item__',
+  FunctionSetExpandedIds = '__function_set_expanded_ids__',
+  FunctionReset = '__function_reset__',
+}
+
+export interface UseTreeSelectProps<Item>
+  extends Omit<
+    UseSelectProps<Item>,
+    | 'stateReducer'
+    | 'onSelectedItemChange'
+    | 'onIsOpenChange'
+    | 'onHighlightedIndexChange'
+    | 'onStateChange'
+    | 'items'
+    | 'groups'
+    | 'itemCount'
+    | 'getItem'
+    | 'scrollToIndex'
+    | 'multiple'
+    | 'selectedItems'
+    | 'initialSelectedItems'
+    | 'defaultSelectedItems'
+    | 'onSelectedItemsChange'
+  > {
+  items: Item[]
+  getItemChildren?: (item: Item) => Item[] | undefined
+  itemToId?: (item: Item) => any
+  expandedIds?: any[]
+  initialExpandedIds?: any[]
+  defaultExpandedIds?: any[]
+  stateReducer?: (
+    state: UseTreeSelectState<Item>,
+    actionAndChanges: UseTreeSelectStateChangeOptions<Item>,
+  ) => Partial<UseTreeSelectState<Item>>
+  onSelectedItemChange?: (changes: UseTreeSelectStateChange<Item>) => void
+  onIsOpenChange?: (changes: UseTreeSelectStateChange<Item>) => void
+  onHighlightedIndexChange?: (changes: UseTreeSelectStateChange<Item>) => void
+  onExpandedIdsChange?: (changes: UseTreeSelectStateChange<Item>) => void
+  onStateChange?: (changes: UseTreeSelectStateChange<Item>) => void
+}
+
+export interface UseTreeSelectStateChangeOptions<Item>
+  extends UseTreeSelectDispatchAction<Item> {
+  changes: Partial<UseTreeSelectState<Item>>
+}
+
+export interface UseTreeSelectDispatchAction<Item>
+  extends Omit<UseSelectDispatchAction<Item>, 'type'> {
+  type: UseTreeSelectStateChangeTypes
+  item?: Item
+  expandedIds?: any[]
+}
+
+export interface UseTreeSelectStateChange<Item>
+  extends Partial<UseTreeSelectState<Item>> {
+  type: UseTreeSelectStateChangeTypes
+}
+
+export interface UseTreeSelectNode<Item> {
+  item: Item
+  level: number
+  setSize: number
+  posInSet: number
+  parentIndex: number
+  hasChildren: boolean
+  isExpanded: boolean
+}
+
+export interface UseTreeSelectGetMenuReturnValue
+  extends Omit<UseSelectGetMenuReturnValue, 'role'> {
+  role: 'tree'
+}
+
+export interface UseTreeSelectGetToggleButtonReturnValue
+  extends Omit<UseSelectGetToggleButtonReturnValue, 'aria-haspopup'> {
+  'aria-haspopup': 'tree'
+}
+
+export interface UseTreeSelectGetItemPropsReturnValue
+  extends Omit<UseSelectGetItemPropsReturnValue, 'role'> {
+  'aria-expanded': boolean | undefined
+  'aria-level': number
+  'aria-setsize': number
+  'aria-posinset': number
+  role: 'treeitem'
+}
+
+export interface UseTreeSelectPropGetters<Item> {
+  getToggleButtonProps: <Options>(
+    options?: UseSelectGetToggleButtonPropsOptions & Options,
+    otherOptions?: GetPropsCommonOptions,
+  ) => Overwrite<UseTreeSelectGetToggleButtonReturnValue, Options>
+  getLabelProps: <Options>(
+    options?: UseSelectGetLabelPropsOptions & Options,
+  ) => Overwrite<UseSelectGetLabelPropsReturnValue, Options>
+  getMenuProps: <Options>(
+    options?: UseSelectGetMenuPropsOptions & Options,
+    otherOptions?: GetPropsCommonOptions,
+  ) => Overwrite<UseTreeSelectGetMenuReturnValue, Options>
+  getItemProps: <Options>(
+    options: UseSelectGetItemPropsOptions<Item> & Options,
+  ) => Omit<
+    Overwrite<UseTreeSelectGetItemPropsReturnValue, Options>,
+    'index' | 'item'
+  >
+  getA11yStatusProps: <Options>(
+    options?: GetA11yStatusPropsOptions & Options,
+  ) => Overwrite<GetA11yStatusPropsReturnValue, Options>
+}
+
+export interface UseTreeSelectActions<Item> extends UseSelectActions<Item> {
+  expandItem: (item: Item) => void
+  collapseItem: (item: Item) => void
+  setExpandedIds: (expandedIds: any[]) => void
+}
+
+export type UseTreeSelectReturnValue<Item> = UseTreeSelectState<Item> &
+  UseTreeSelectPropGetters<Item> &
+  UseTreeSelectActions<Item> & {
+    visibleNodes: UseTreeSelectNode<Item>[]
+  }
+
+export interface UseTreeSelectInterface {
+  <Item>(props: UseTreeSelectProps<Item>): UseTreeSelectReturnValue<Item>
+  stateChangeTypes: {
+    ToggleButtonClick: UseTreeSelectStateChangeTypes.ToggleButtonClick
+    ToggleButtonKeyDownArrowDown: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownArrowDown
+    ToggleButtonKeyDownArrowUp: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownArrowUp
+    ToggleButtonKeyDownArrowRight: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownArrowRight
+    ToggleButtonKeyDownArrowLeft: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownArrowLeft
+    ToggleButtonKeyDownCharacter: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownCharacter
+    ToggleButtonKeyDownEscape: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownEscape
+    ToggleButtonKeyDownHome: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownHome
+    ToggleButtonKeyDownEnd: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownEnd
+    ToggleButtonKeyDownEnter: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownEnter
+    ToggleButtonKeyDownSpaceButton: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownSpaceButton
+    ToggleButtonKeyDownPageUp: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownPageUp
+    ToggleButtonKeyDownPageDown: UseTreeSelectStateChangeTypes.ToggleButtonKeyDownPageDown
+    ToggleButtonBlur: UseTreeSelectStateChangeTypes.ToggleButtonBlur
+    MenuMouseLeave: UseTreeSelectStateChangeTypes.MenuMouseLeave
+    ItemMouseMove: UseTreeSelectStateChangeTypes.ItemMouseMove
+    ItemClick: UseTreeSelectStateChangeTypes.ItemClick
+    FunctionToggleMenu: UseTreeSelectStateChangeTypes.FunctionToggleMenu
+    FunctionOpenMenu: UseTreeSelectStateChangeTypes.FunctionOpenMenu
+    FunctionCloseMenu: UseTreeSelectStateChangeTypes.FunctionCloseMenu
+    FunctionSetHighlightedIndex: UseTreeSelectStateChangeTypes.FunctionSetHighlightedIndex
+    FunctionSelectItem: UseTreeSelectStateChangeTypes.FunctionSelectItem
+    FunctionSetInputValue: UseTreeSelectStateChangeTypes.FunctionSetInputValue
+    FunctionExpandItem: UseTreeSelectStateChangeTypes.FunctionExpandItem
+    FunctionCollapseItem: UseTreeSelectStateChangeTypes.FunctionCollapseItem
+    FunctionSetExpandedIds: UseTreeSelectStateChangeTypes.FunctionSetExpandedIds
+    FunctionReset: UseTreeSelectStateChangeTypes.FunctionReset
+  }
+}
+
+export const useTreeSelect: UseTreeSelectInterface
+
+// debug types.
+
+export interface DownshiftDebugInstance {
+  id?: string
+  state: Record<string, unknown>
+  props: Record<string, unknown>
+  action?: {type: string; [key: string]: unknown}
+}
+
+export interface DownshiftDebugRegistry {
+  instances: Map<number, DownshiftDebugInstance>
+  subscribe: (
+    listener: (instances: Map<number, DownshiftDebugInstance>) => void,
+  ) => () => void
+}
+
+export const debugRegistry: DownshiftDebugRegistry
+
+export function withDownshiftLogger<
+  State,
+  ActionAndChanges extends {changes: Partial<State>},
+>(
+  stateReducer?: (
+    state: State,
+    actionAndChanges: ActionAndChanges,
+  ) => Partial<State>,
+): (state: State, actionAndChanges: ActionAndChanges) => Partial<State>
+
+// recordActions types.
+
+export interface RecordedAction {
+  type: string
+  props?: {items?: unknown}
+  [key: string]: unknown
+}
+
+export interface ActionRecorder {
+  record: (reducer: Function, action: {type: string}) => void
+  getActions: () => RecordedAction[]
+  clear: () => void
+}
+
+export function recordActions(): ActionRecorder
+
+export function replayActions<Item>(
+  hookName: 'useSelect',
+  props: UseSelectProps<Item>,
+  actions: RecordedAction[],
+): UseSelectState<Item>
+export function replayActions<Item>(
+  hookName: 'useCombobox',
+  props: UseComboboxProps<Item>,
+  actions: RecordedAction[],
+): UseComboboxState<Item>
+export function replayActions<Item>(
+  hookName: 'useMultipleSelection',
+  props: UseMultipleSelectionProps<Item>,
+  actions: RecordedAction[],
+): UseMultipleSelectionState<Item>
+export function replayActions<Item>(
+  hookName: 'useTreeSelect',
+  props: UseTreeSelectProps<Item>,
+  actions: RecordedAction[],
+): UseTreeSelectState<Item>